@@ -0,0 +1,788 @@
+/**
+ * OSINT Playground - API Description
+ * The OpenAPI 3 document for every /api route. server.js serves it at
+ * /api/openapi.json and validates requests against it (lib/openapi.js);
+ * public/api-docs.html renders it. Enumerations come from the modules that
+ * own them so the document cannot drift from what they accept.
+ */
+
+const { version } = require('../package.json');
+const { TARGET_TYPES, SCAN_PROFILES } = require('./scan-profiles');
+const { ENTITY_TYPES, RELATIONSHIP_TYPES } = require('./entity-graph');
+const { ROLES, PERMISSIONS } = require('./auth');
+
+// ==========================================
+// BUILDING BLOCKS
+// ==========================================
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, required = []) => ({ type: 'object', properties, ...(required.length ? { required } : {}) });
+
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const INTEGER = { type: 'integer' };
+const TIMESTAMP = { type: 'integer', description: 'Milliseconds since the epoch' };
+const ANY = {};
+
+function pathParam(name, schema, description) {
+    return { name, in: 'path', required: true, schema, ...(description ? { description } : {}) };
+}
+
+function queryParam(name, schema, description, required = false) {
+    return { name, in: 'query', required, schema, ...(description ? { description } : {}) };
+}
+
+const PAGE = [
+    queryParam('limit', { type: 'integer', minimum: 1 }, 'Page size (default 100, at most 1000)'),
+    queryParam('offset', { type: 'integer', minimum: 0 }, 'Entries to skip')
+];
+
+// Audited lookups name a case or say why they are made (lib/audit-log.js)
+const AUDIT_PARAMS = [
+    queryParam('caseId', ref('Id'), 'Case this lookup belongs to'),
+    queryParam('justification', ref('Justification'), 'Why this lookup is made; required without caseId')
+];
+const AUDIT_FIELDS = { caseId: ref('Id'), justification: ref('Justification') };
+
+/**
+ * One operation. `ok` is the success schema (JSON unless `contentType`
+ * says otherwise); every operation documents its error body.
+ */
+function operation(tag, summary, options = {}) {
+    const { params = [], body, ok = ANY, status = 200, contentType = 'application/json', description, deprecated } = options;
+    const success = { description: options.okDescription || 'OK', content: { [contentType]: { schema: ok } } };
+
+    return {
+        tags: [tag],
+        summary,
+        ...(description ? { description } : {}),
+        ...(deprecated ? { deprecated: true } : {}),
+        ...(params.length ? { parameters: params } : {}),
+        ...(body ? { requestBody: { required: options.bodyRequired !== false, content: json(body) } } : {}),
+        responses: {
+            [status]: success,
+            ...(params.length || body ? { 400: { description: 'Invalid input', content: json(ref('Error')) } } : {}),
+            default: { description: 'Error', content: json(ref('Error')) }
+        }
+    };
+}
+
+// Lookups that pass the upstream API's answer through
+const lookup = (summary, params, description) => operation('Lookups', summary, {
+    params: [...params, ...AUDIT_PARAMS],
+    ok: ref('Upstream'),
+    description
+});
+
+const deleted = object({ deleted: { type: 'boolean', enum: [true] }, id: STRING }, ['deleted']);
+
+// ==========================================
+// SCHEMAS
+// ==========================================
+
+const SCHEMAS = {
+    Error: object({
+        error: { type: 'string', description: 'What went wrong; several problems are joined with "; "' },
+        errors: arrayOf(STRING, { description: 'Every problem found, for invalid input' }),
+        reason: { type: 'string', description: 'Machine-readable cause, e.g. "terms", "justification" or "blocked"' },
+        permission: { type: 'string', description: 'Permission the route needs (403)' },
+        retryAfter: { type: 'integer', description: 'Seconds until the rate limit allows the request (429)' }
+    }, ['error']),
+
+    Id: { type: 'string', title: 'ID', minLength: 1, maxLength: 200 },
+    Username: {
+        type: 'string',
+        title: 'username (letters, digits, ".", "_" and "-")',
+        pattern: '^[a-zA-Z0-9_.-]{1,64}$'
+    },
+    ScanQuery: {
+        type: 'string',
+        title: 'username or email (letters, digits, ".", "_", "-" and "@")',
+        pattern: '^[a-zA-Z0-9_.@-]{1,254}$'
+    },
+    Email: { type: 'string', title: 'email address', format: 'email', maxLength: 254 },
+    Domain: {
+        type: 'string',
+        title: 'domain name',
+        pattern: '^(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\\.)+[a-zA-Z]{2,63}$',
+        maxLength: 253
+    },
+    IpAddress: {
+        type: 'string',
+        title: 'IP address',
+        pattern: '^(?:(?:\\d{1,3}\\.){3}\\d{1,3}|[0-9a-fA-F:]*:[0-9a-fA-F:.]*)$'
+    },
+    // How short a justification may be depends on caseId; the audit log checks that
+    Justification: { type: 'string', title: 'justification', maxLength: 1000 },
+    Upstream: { description: 'The upstream API\'s response, passed through unchanged' },
+
+    Target: object({
+        type: { type: 'string', enum: TARGET_TYPES },
+        value: { type: 'string', minLength: 1, maxLength: 500 }
+    }, ['type', 'value']),
+    Pivot: {
+        anyOf: [
+            BOOLEAN,
+            {
+                ...object({
+                    maxDepth: { type: 'integer', minimum: 0 },
+                    maxRequests: { type: 'integer', minimum: 1 },
+                    types: arrayOf(STRING)
+                }),
+                title: 'object of pivot limits'
+            }
+        ]
+    },
+    ScanRequest: object({
+        query: ref('ScanQuery'),
+        target: ref('Target'),
+        profile: { type: 'string', enum: Object.keys(SCAN_PROFILES) },
+        adapters: arrayOf(STRING, { description: 'Only run these adapters' }),
+        pivot: ref('Pivot'),
+        options: { type: 'object', description: 'Adapter options, e.g. { permutations: true }' },
+        ...AUDIT_FIELDS
+    }),
+    ScanStarted: object({
+        scanId: STRING,
+        status: STRING,
+        queuePosition: { type: 'integer', nullable: true },
+        query: { type: 'string', nullable: true },
+        target: { ...ref('Target'), nullable: true },
+        profile: { type: 'string', nullable: true },
+        adapters: { type: 'array', nullable: true, items: STRING },
+        variants: arrayOf(STRING),
+        pivot: { type: 'object', nullable: true },
+        caseId: { type: 'string', nullable: true },
+        message: STRING
+    }, ['scanId', 'status']),
+    Scan: object({
+        id: STRING,
+        query: { type: 'string', nullable: true },
+        status: { type: 'string', enum: ['queued', 'running', 'completed', 'cancelled', 'error', 'interrupted'] },
+        progress: { type: 'number', nullable: true },
+        stats: { type: 'object', nullable: true },
+        startTime: { ...TIMESTAMP, nullable: true },
+        endTime: { ...TIMESTAMP, nullable: true },
+        results: arrayOf({ type: 'object' }),
+        errors: { type: 'array', nullable: true },
+        timedOut: { type: 'boolean', description: 'The scan ran out of time and completed with partial results' }
+    }, ['id', 'status']),
+
+    Entity: object({
+        id: STRING,
+        type: { type: 'string', enum: Object.keys(ENTITY_TYPES) },
+        key: STRING,
+        label: STRING,
+        attributes: { type: 'object' },
+        provenance: { type: 'object', description: 'Observations per attribute: value, source, scanId, confidence' },
+        confidence: { type: 'number', nullable: true },
+        scans: arrayOf(STRING),
+        createdAt: TIMESTAMP,
+        updatedAt: TIMESTAMP
+    }, ['id', 'type']),
+    EntityInput: object({
+        type: { type: 'string', enum: Object.keys(ENTITY_TYPES) },
+        attributes: { type: 'object' },
+        label: STRING
+    }, ['type', 'attributes']),
+    Relationship: object({
+        id: STRING,
+        type: { type: 'string', enum: Object.keys(RELATIONSHIP_TYPES) },
+        source: STRING,
+        target: STRING,
+        attributes: { type: 'object' },
+        provenance: arrayOf({ type: 'object' }),
+        confidence: { type: 'number', nullable: true },
+        scans: arrayOf(STRING),
+        createdAt: TIMESTAMP
+    }, ['id', 'type', 'source', 'target']),
+
+    CaseSummary: object({
+        id: STRING,
+        name: STRING,
+        description: STRING,
+        status: { type: 'string', enum: ['open', 'archived'] },
+        createdAt: TIMESTAMP,
+        updatedAt: TIMESTAMP,
+        archivedAt: { ...TIMESTAMP, nullable: true },
+        counts: object({ scans: INTEGER, entities: INTEGER, notes: INTEGER, artifacts: INTEGER })
+    }, ['id', 'name', 'status']),
+    Case: object({
+        id: STRING,
+        name: STRING,
+        description: STRING,
+        status: { type: 'string', enum: ['open', 'archived'] },
+        scans: arrayOf(STRING),
+        entities: arrayOf(STRING),
+        notes: arrayOf(object({ id: STRING, text: STRING, createdAt: TIMESTAMP })),
+        artifacts: arrayOf(object({ id: STRING, name: STRING, mediaType: STRING, size: INTEGER })),
+        createdAt: TIMESTAMP,
+        updatedAt: TIMESTAMP
+    }, ['id', 'name', 'status']),
+    CaseResponse: object({ case: ref('Case') }, ['case']),
+
+    User: object({
+        id: STRING,
+        username: STRING,
+        role: { type: 'string', enum: ROLES },
+        disabled: BOOLEAN,
+        termsAcceptedAt: { ...TIMESTAMP, nullable: true },
+        permissions: arrayOf({ type: 'string', enum: PERMISSIONS }),
+        createdAt: TIMESTAMP
+    }, ['id', 'username', 'role']),
+    Token: object({
+        id: STRING,
+        userId: STRING,
+        name: STRING,
+        scopes: arrayOf({ type: 'string', enum: PERMISSIONS }),
+        expiresAt: { ...TIMESTAMP, nullable: true },
+        lastUsedAt: { ...TIMESTAMP, nullable: true },
+        createdAt: TIMESTAMP
+    }, ['id', 'name', 'scopes']),
+    Password: { type: 'string', title: 'password of at least 10 characters', minLength: 10, maxLength: 1024 },
+
+    AuditEntry: object({
+        seq: INTEGER,
+        timestamp: TIMESTAMP,
+        event: { type: 'string', enum: ['lookup', 'lookup:aborted', 'scan:complete', 'scan:cancelled'] },
+        user: STRING,
+        userId: { type: 'string', nullable: true },
+        via: { type: 'string', nullable: true },
+        ip: { type: 'string', nullable: true },
+        endpoint: STRING,
+        path: { type: 'string', nullable: true },
+        target: { type: 'string', nullable: true },
+        caseId: { type: 'string', nullable: true },
+        justification: { type: 'string', nullable: true },
+        scanId: { type: 'string', nullable: true },
+        status: { type: 'integer', nullable: true },
+        resultCount: { type: 'integer', nullable: true },
+        prevHash: STRING,
+        hash: STRING
+    }, ['seq', 'timestamp', 'event', 'endpoint', 'prevHash', 'hash'])
+};
+
+// ==========================================
+// PATHS
+// ==========================================
+
+const id = description => pathParam('id', ref('Id'), description);
+const hackerNewsLimit = queryParam('limit', { type: 'integer', minimum: 1 }, 'Stories to return');
+const hackerNewsStories = object({ stories: arrayOf({ type: 'object', nullable: true }), type: STRING, count: INTEGER }, ['stories', 'count']);
+
+const PATHS = {
+    // Core
+    '/api/health': {
+        get: operation('Core', 'Health check', {
+            ok: object({ status: { type: 'string', enum: ['ok'] }, timestamp: STRING }, ['status'])
+        })
+    },
+    '/api/status': {
+        get: operation('Core', 'Which third-party APIs are configured, and outbound HTTP counters', {
+            ok: object({ apis: { type: 'object', additionalProperties: BOOLEAN }, freeApis: arrayOf(STRING), outbound: { type: 'object' } }, ['apis'])
+        })
+    },
+    '/api/adapters': {
+        get: operation('Core', 'Search adapters and the scan queue', {
+            ok: object({ adapters: arrayOf(object({ name: STRING, priority: INTEGER, targets: arrayOf(STRING) })), queue: { type: 'object' } }, ['adapters'])
+        })
+    },
+    '/api/platforms': {
+        get: operation('Core', 'Platforms checked by username searches', {
+            ok: object({ platforms: arrayOf({ type: 'object' }), categories: ANY, searchEngines: arrayOf(STRING) }, ['platforms'])
+        })
+    },
+    '/api/openapi.json': {
+        get: operation('Core', 'This document', { ok: { type: 'object' } })
+    },
+
+    // Username checks
+    '/api/check': {
+        get: operation('Usernames', 'Check one profile URL for an existing account', {
+            params: [queryParam('url', { type: 'string', title: 'URL', format: 'uri', maxLength: 2048 }, 'Profile URL', true), ...AUDIT_PARAMS],
+            ok: { type: 'object' },
+            description: 'Private, loopback and link-local targets are refused with 403 and a reason.'
+        }),
+        post: operation('Usernames', 'Check the first 50 platforms for a username (server-sent events)', {
+            body: object({ username: ref('Username'), calibrate: BOOLEAN, ...AUDIT_FIELDS }, ['username']),
+            contentType: 'text/event-stream',
+            ok: STRING
+        })
+    },
+    '/api/search': {
+        post: operation('Usernames', 'Check every platform for a username (newline-delimited JSON)', {
+            body: object({
+                username: ref('Username'),
+                engines: arrayOf(STRING),
+                categories: { anyOf: [{ type: 'string', enum: ['all'] }, { ...arrayOf(STRING), title: 'array of categories' }] },
+                calibrate: BOOLEAN,
+                ...AUDIT_FIELDS
+            }, ['username']),
+            contentType: 'application/x-ndjson',
+            ok: STRING
+        })
+    },
+    '/api/search-engines': {
+        post: operation('Usernames', 'Search engine results for a username', {
+            body: object({ username: ref('Username'), engines: arrayOf(STRING), ...AUDIT_FIELDS }, ['username']),
+            ok: { type: 'object', additionalProperties: ANY }
+        })
+    },
+    '/api/search/global': {
+        get: operation('Usernames', 'Look a name up on GitHub, Reddit, GitLab, Keybase, Hacker News and Wikidata at once', {
+            params: [
+                queryParam('q', { type: 'string', minLength: 1, maxLength: 200 }, 'Name to look up', true),
+                queryParam('type', STRING, 'Reserved; all sources are searched'),
+                ...AUDIT_PARAMS
+            ],
+            ok: object({ query: STRING, sources: { type: 'object' }, found: INTEGER }, ['query', 'sources'])
+        })
+    },
+    '/api/email/candidates': {
+        post: operation('Usernames', 'Infer a domain\'s email pattern and rank validated candidates', {
+            body: object({
+                firstName: { type: 'string', minLength: 1, maxLength: 100 },
+                lastName: { type: 'string', maxLength: 100 },
+                domain: ref('Domain'),
+                samples: arrayOf(STRING, { maxItems: 1000, description: 'Known addresses at the domain' }),
+                useHunter: BOOLEAN,
+                validate: BOOLEAN,
+                limit: { type: 'integer', minimum: 1 },
+                ...AUDIT_FIELDS
+            }, ['firstName', 'domain']),
+            ok: object({ domain: STRING, pattern: ANY, candidates: arrayOf({ type: 'object' }) }, ['domain', 'candidates'])
+        })
+    },
+
+    // Scans
+    '/api/profiles': {
+        get: operation('Scans', 'Scan profiles, their adapters and target types', {
+            ok: object({ profiles: arrayOf({ type: 'object' }), targetTypes: arrayOf(STRING) }, ['profiles', 'targetTypes'])
+        })
+    },
+    '/api/scan': {
+        post: operation('Scans', 'Start a scan; follow it at /api/scan/{id}/stream', {
+            body: ref('ScanRequest'),
+            ok: ref('ScanStarted'),
+            description: 'Send `query` for a username scan or `target` with an optional `profile`. ' +
+                'Without `caseId`, a `justification` is required.'
+        })
+    },
+    '/api/scan/quick': {
+        post: operation('Scans', 'Run a scan and wait for its results', {
+            body: {
+                ...SCHEMAS.ScanRequest,
+                properties: { ...SCHEMAS.ScanRequest.properties, timeout: { type: 'integer', minimum: 1000, maximum: 300000 } }
+            },
+            ok: ref('Scan')
+        })
+    },
+    '/api/scans': {
+        get: operation('Scans', 'Stored scans, newest first', {
+            params: [
+                queryParam('status', SCHEMAS.Scan.properties.status),
+                queryParam('query', STRING, 'Scans of this query'),
+                queryParam('limit', { type: 'integer', minimum: 1 }, 'Scans to return (default 50, at most 500)')
+            ],
+            ok: object({ scans: arrayOf({ type: 'object' }), count: INTEGER }, ['scans', 'count'])
+        })
+    },
+    '/api/scan/{id}': {
+        get: operation('Scans', 'Scan status, results, identities and queue position', {
+            params: [id()],
+            ok: ref('Scan')
+        }),
+        delete: operation('Scans', 'Cancel a running scan, keeping partial results', {
+            params: [id()],
+            ok: object({ id: STRING, status: STRING, resultsCount: INTEGER }, ['id', 'status'])
+        })
+    },
+    '/api/scan/{id}/stream': {
+        get: operation('Scans', 'Live scan events (server-sent events)', {
+            params: [id()],
+            contentType: 'text/event-stream',
+            ok: STRING
+        })
+    },
+
+    // Lookups
+    '/api/osint/github/{username}': { get: lookup('GitHub profile', [pathParam('username', ref('Username'))]) },
+    '/api/osint/keybase/{username}': { get: lookup('Keybase user', [pathParam('username', ref('Username'))]) },
+    '/api/osint/reddit/{username}': { get: lookup('Reddit profile', [pathParam('username', ref('Username'))]) },
+    '/api/osint/gitlab/{username}': { get: lookup('GitLab profile', [pathParam('username', ref('Username'))]) },
+    '/api/osint/shodan/{target}': {
+        get: lookup('Shodan host information (needs SHODAN_API_KEY)', [
+            pathParam('target', { anyOf: [ref('IpAddress'), ref('Domain')] }, 'IP address or domain')
+        ])
+    },
+    '/api/osint/hunter/verify': {
+        get: lookup('Hunter.io email verification (needs HUNTER_API_KEY)', [queryParam('email', ref('Email'), null, true)])
+    },
+    '/api/osint/hunter/domain': {
+        get: lookup('Hunter.io addresses at a domain (needs HUNTER_API_KEY)', [queryParam('domain', ref('Domain'), null, true)])
+    },
+    '/api/osint/hibp/{email}': {
+        get: lookup('Have I Been Pwned breaches (needs HIBP_API_KEY)', [pathParam('email', ref('Email'))])
+    },
+    '/api/osint/abuseipdb/{ip}': {
+        get: lookup('AbuseIPDB reputation (needs ABUSEIPDB_API_KEY)', [pathParam('ip', ref('IpAddress'))])
+    },
+    '/api/osint/virustotal/{target}': {
+        get: lookup('VirusTotal report for an IP address, domain or URL (needs VIRUSTOTAL_API_KEY)', [
+            pathParam('target', { type: 'string', minLength: 1, maxLength: 2048 }),
+            queryParam('type', { type: 'string', enum: ['ip', 'domain', 'url', 'file'] }, 'Reserved; the type is detected')
+        ])
+    },
+    '/api/osint/wikidata': {
+        get: lookup('Wikidata entity search', [queryParam('query', { type: 'string', minLength: 1, maxLength: 200 }, null, true)])
+    },
+    '/api/dns/{domain}': {
+        get: operation('Lookups', 'A, AAAA, MX, TXT, NS and CNAME records', {
+            params: [pathParam('domain', ref('Domain')), ...AUDIT_PARAMS],
+            ok: object({ domain: STRING, records: { type: 'object' } }, ['domain', 'records']),
+            description: 'Answers 503 with reason "proxied" while requests go through a proxy or Tor.'
+        })
+    },
+    '/api/whois/{domain}': { get: lookup('Registration contacts (ARIN)', [pathParam('domain', ref('Domain'))]) },
+    '/api/github/{username}': {
+        get: {
+            ...lookup('GitHub profile summary', [pathParam('username', ref('Username'))]),
+            deprecated: true,
+            description: 'Use /api/osint/github/{username}.'
+        }
+    },
+    '/api/hibp/{email}': {
+        get: {
+            ...lookup('Breach check', [pathParam('email', ref('Email'))]),
+            deprecated: true,
+            description: 'Use /api/osint/hibp/{email}.'
+        }
+    },
+
+    // Hacker News
+    '/api/hackernews/top': { get: operation('Hacker News', 'Top stories', { params: [hackerNewsLimit], ok: hackerNewsStories }) },
+    '/api/hackernews/new': { get: operation('Hacker News', 'Newest stories', { params: [hackerNewsLimit], ok: hackerNewsStories }) },
+    '/api/hackernews/best': { get: operation('Hacker News', 'Best stories', { params: [hackerNewsLimit], ok: hackerNewsStories }) },
+    '/api/hackernews/{type}': {
+        get: operation('Hacker News', 'Ask, Show or job stories', {
+            params: [pathParam('type', { type: 'string', enum: ['ask', 'show', 'job'] }), hackerNewsLimit],
+            ok: hackerNewsStories
+        })
+    },
+    '/api/hackernews/item/{id}': {
+        get: operation('Hacker News', 'Story, comment or poll', { params: [pathParam('id', { type: 'integer', minimum: 1 })] })
+    },
+    '/api/hackernews/user/{username}': {
+        get: operation('Hacker News', 'User profile', { params: [pathParam('username', ref('Username'))] })
+    },
+    '/api/hackernews/search': {
+        get: operation('Hacker News', 'Full-text search (Algolia)', {
+            params: [queryParam('q', { type: 'string', maxLength: 200 }), queryParam('tags', { type: 'string', maxLength: 200 })]
+        })
+    },
+
+    // Entity graph
+    '/api/entities/types': {
+        get: operation('Entity Graph', 'Entity types and the relationship types between them', {
+            ok: object({ entities: arrayOf({ type: 'object' }), relationships: arrayOf({ type: 'object' }) }, ['entities', 'relationships'])
+        })
+    },
+    '/api/entities': {
+        get: operation('Entity Graph', 'Entities, most recently updated first', {
+            params: [
+                queryParam('type', SCHEMAS.Entity.properties.type),
+                queryParam('q', STRING, 'Text in the label or attributes'),
+                queryParam('scanId', STRING, 'Entities found by this scan'),
+                ...PAGE
+            ],
+            ok: object({ entities: arrayOf(ref('Entity')), count: INTEGER, total: INTEGER }, ['entities', 'count', 'total'])
+        }),
+        post: operation('Entity Graph', 'Create an entity, or add observations to the one with the same identity', {
+            body: ref('EntityInput'),
+            status: 201,
+            ok: object({ entity: ref('Entity'), created: BOOLEAN }, ['entity', 'created']),
+            okDescription: 'Created (200 when merged into an existing entity)'
+        })
+    },
+    '/api/entities/{id}': {
+        get: operation('Entity Graph', 'Entity with its relationships', {
+            params: [id()],
+            ok: object({ entity: ref('Entity'), relationships: arrayOf(ref('Relationship')) }, ['entity'])
+        }),
+        patch: operation('Entity Graph', 'Set (or with null, remove) attributes and the label', {
+            params: [id()],
+            body: object({ attributes: { type: 'object' }, label: { type: 'string', nullable: true } }),
+            ok: object({ entity: ref('Entity') }, ['entity'])
+        }),
+        delete: operation('Entity Graph', 'Delete an entity and its relationships', { params: [id()], ok: deleted })
+    },
+    '/api/relationships': {
+        get: operation('Entity Graph', 'Relationships', {
+            params: [
+                queryParam('type', SCHEMAS.Relationship.properties.type),
+                queryParam('entity', STRING, 'Relationships touching this entity'),
+                queryParam('source', STRING),
+                queryParam('target', STRING),
+                queryParam('scanId', STRING),
+                ...PAGE
+            ],
+            ok: object({ relationships: arrayOf(ref('Relationship')), count: INTEGER, total: INTEGER }, ['relationships'])
+        }),
+        post: operation('Entity Graph', 'Connect two entities', {
+            body: object({
+                type: SCHEMAS.Relationship.properties.type,
+                source: ref('Id'),
+                target: ref('Id'),
+                attributes: { type: 'object' }
+            }, ['type', 'source', 'target']),
+            status: 201,
+            ok: object({ relationship: ref('Relationship'), created: BOOLEAN }, ['relationship', 'created']),
+            okDescription: 'Created (200 when it already existed)'
+        })
+    },
+    '/api/relationships/{id}': {
+        get: operation('Entity Graph', 'Relationship', { params: [id()], ok: object({ relationship: ref('Relationship') }, ['relationship']) }),
+        patch: operation('Entity Graph', 'Set (or with null, remove) attributes', {
+            params: [id()],
+            body: object({ attributes: { type: 'object' } }, ['attributes']),
+            ok: object({ relationship: ref('Relationship') }, ['relationship'])
+        }),
+        delete: operation('Entity Graph', 'Delete a relationship', { params: [id()], ok: deleted })
+    },
+
+    // Cases
+    '/api/cases': {
+        get: operation('Cases', 'Cases, most recently updated first', {
+            params: [
+                queryParam('status', { type: 'string', enum: ['open', 'archived'] }),
+                queryParam('q', STRING, 'Text in the name or description'),
+                queryParam('scanId', STRING, 'Cases holding this scan'),
+                queryParam('entityId', STRING, 'Cases holding this entity'),
+                ...PAGE
+            ],
+            ok: object({ cases: arrayOf(ref('CaseSummary')), count: INTEGER, total: INTEGER }, ['cases', 'count', 'total'])
+        }),
+        post: operation('Cases', 'Open a case', {
+            body: object({ name: STRING, description: STRING }, ['name']),
+            status: 201,
+            ok: ref('CaseResponse')
+        })
+    },
+    '/api/cases/{id}': {
+        get: operation('Cases', 'Case with its scans, entity IDs, notes and artifact list', { params: [id()], ok: ref('CaseResponse') }),
+        patch: operation('Cases', 'Rename, describe, archive or reopen a case', {
+            params: [id()],
+            body: object({ name: STRING, description: STRING, status: { type: 'string', enum: ['open', 'archived'] } }),
+            ok: ref('CaseResponse')
+        }),
+        delete: operation('Cases', 'Delete a case; its scans and entities are kept', { params: [id()], ok: deleted })
+    },
+    '/api/cases/{id}/archive': {
+        post: operation('Cases', 'Archive a case (read-only until reopened)', { params: [id()], ok: ref('CaseResponse') })
+    },
+    '/api/cases/{id}/scans': {
+        get: operation('Cases', 'Scans attached to a case, newest first', { params: [id()], ok: object({ scans: arrayOf({ type: 'object' }) }, ['scans']) }),
+        post: operation('Cases', 'Attach a scan and the entities it found', {
+            params: [id()],
+            body: object({ scanId: ref('Id') }, ['scanId']),
+            ok: ref('CaseResponse')
+        })
+    },
+    '/api/cases/{id}/scans/{scanId}': {
+        delete: operation('Cases', 'Detach a scan; entities it brought stay', { params: [id(), pathParam('scanId', ref('Id'))], ok: ref('CaseResponse') })
+    },
+    '/api/cases/{id}/graph': {
+        get: operation('Cases', 'Case entities and the relationships between them', {
+            params: [id()],
+            ok: object({ entities: arrayOf(ref('Entity')), relationships: arrayOf(ref('Relationship')) })
+        })
+    },
+    '/api/cases/{id}/entities': {
+        post: operation('Cases', 'Attach an entity', {
+            params: [id()],
+            body: object({ entityId: ref('Id') }, ['entityId']),
+            ok: ref('CaseResponse')
+        })
+    },
+    '/api/cases/{id}/entities/{entityId}': {
+        delete: operation('Cases', 'Detach an entity', { params: [id(), pathParam('entityId', ref('Id'))], ok: ref('CaseResponse') })
+    },
+    '/api/cases/{id}/notes': {
+        post: operation('Cases', 'Add a note', {
+            params: [id()],
+            body: object({ text: STRING }, ['text']),
+            status: 201,
+            ok: object({ note: { type: 'object' } }, ['note'])
+        })
+    },
+    '/api/cases/{id}/notes/{noteId}': {
+        patch: operation('Cases', 'Edit a note', {
+            params: [id(), pathParam('noteId', ref('Id'))],
+            body: object({ text: STRING }, ['text']),
+            ok: object({ note: { type: 'object' } }, ['note'])
+        }),
+        delete: operation('Cases', 'Delete a note', { params: [id(), pathParam('noteId', ref('Id'))], ok: deleted })
+    },
+    '/api/cases/{id}/artifacts': {
+        post: operation('Cases', 'Store an exported file with the case', {
+            params: [id()],
+            body: object({ name: STRING, mediaType: STRING, content: { description: 'Text, or JSON to store serialized' } }, ['name', 'content']),
+            status: 201,
+            ok: object({ artifact: { type: 'object' } }, ['artifact'])
+        })
+    },
+    '/api/cases/{id}/artifacts/{artifactId}': {
+        get: operation('Cases', 'Download an artifact with its media type', {
+            params: [id(), pathParam('artifactId', ref('Id'))],
+            contentType: '*/*',
+            ok: STRING
+        }),
+        delete: operation('Cases', 'Delete an artifact', { params: [id(), pathParam('artifactId', ref('Id'))], ok: deleted })
+    },
+
+    // Accounts
+    '/api/auth/session': {
+        get: operation('Auth', 'Who is signed in, and what they may do', {
+            ok: object({
+                enabled: BOOLEAN,
+                user: { ...ref('User'), nullable: true },
+                via: { type: 'string', nullable: true },
+                permissions: arrayOf(STRING)
+            }, ['enabled', 'permissions'])
+        })
+    },
+    '/api/auth/login': {
+        post: operation('Auth', 'Sign in; sets the osint_session cookie', {
+            body: object({ username: { type: 'string', minLength: 1, maxLength: 64 }, password: { type: 'string', minLength: 1, maxLength: 1024 } }, ['username', 'password']),
+            ok: object({ user: ref('User'), expiresAt: TIMESTAMP }, ['user'])
+        })
+    },
+    '/api/auth/logout': { post: operation('Auth', 'Sign out', { ok: object({ ok: BOOLEAN }) }) },
+    '/api/auth/terms': { post: operation('Auth', 'Accept the terms of use', { ok: object({ user: ref('User') }, ['user']) }) },
+    '/api/auth/password': {
+        post: operation('Auth', 'Change your password; ends your other sessions', {
+            body: object({ currentPassword: STRING, password: ref('Password') }, ['currentPassword', 'password']),
+            ok: object({ user: ref('User') }, ['user'])
+        })
+    },
+    '/api/auth/tokens': {
+        get: operation('Auth', 'Your API tokens', { ok: object({ tokens: arrayOf(ref('Token')) }, ['tokens']) }),
+        post: operation('Auth', 'Issue an API token; the secret is shown once', {
+            body: object({
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                scopes: arrayOf({ type: 'string', enum: PERMISSIONS }, { minItems: 1 }),
+                expiresInDays: { type: 'integer', minimum: 1 }
+            }, ['name', 'scopes']),
+            status: 201,
+            ok: object({ token: ref('Token'), secret: STRING }, ['token', 'secret'])
+        })
+    },
+    '/api/auth/tokens/{id}': {
+        delete: operation('Auth', 'Revoke one of your API tokens', { params: [id()], ok: deleted })
+    },
+    '/api/users': {
+        get: operation('Auth', 'Accounts', { ok: object({ users: arrayOf(ref('User')) }, ['users']) }),
+        post: operation('Auth', 'Create an account', {
+            body: object({
+                username: { type: 'string', minLength: 2, maxLength: 64 },
+                password: ref('Password'),
+                role: { type: 'string', enum: ROLES }
+            }, ['username', 'password']),
+            status: 201,
+            ok: object({ user: ref('User') }, ['user'])
+        })
+    },
+    '/api/users/{id}': {
+        patch: operation('Auth', 'Change an account\'s role, password or disabled flag', {
+            params: [id()],
+            body: object({ role: { type: 'string', enum: ROLES }, password: ref('Password'), disabled: BOOLEAN }),
+            ok: object({ user: ref('User') }, ['user'])
+        }),
+        delete: operation('Auth', 'Delete an account', { params: [id()], ok: deleted })
+    },
+    '/api/users/{id}/tokens': {
+        get: operation('Auth', 'An account\'s API tokens', { params: [id()], ok: object({ tokens: arrayOf(ref('Token')) }, ['tokens']) })
+    },
+    '/api/users/{id}/tokens/{tokenId}': {
+        delete: operation('Auth', 'Revoke any account\'s API token', { params: [id(), pathParam('tokenId', ref('Id'))], ok: deleted })
+    },
+
+    // Audit log
+    '/api/audit': {
+        get: operation('Audit', 'Logged lookups, newest first', {
+            params: [
+                queryParam('user', STRING),
+                queryParam('endpoint', STRING, 'Text in "METHOD /route"'),
+                queryParam('target', STRING, 'Text in the target'),
+                queryParam('caseId', STRING),
+                queryParam('scanId', STRING),
+                queryParam('event', SCHEMAS.AuditEntry.properties.event),
+                queryParam('from', STRING, 'Earliest time, ms or ISO 8601'),
+                queryParam('to', STRING, 'Latest time, ms or ISO 8601'),
+                ...PAGE
+            ],
+            ok: object({ entries: arrayOf(ref('AuditEntry')), total: INTEGER, count: INTEGER }, ['entries', 'total', 'count'])
+        })
+    },
+    '/api/audit/verify': {
+        get: operation('Audit', 'Check the hash chain for edited, removed or reordered entries', {
+            ok: object({
+                valid: BOOLEAN,
+                count: INTEGER,
+                lastHash: STRING,
+                brokenAt: INTEGER,
+                reason: STRING
+            }, ['valid', 'count'])
+        })
+    },
+
+    // Outbound HTTP cache
+    '/api/cache': {
+        get: operation('Cache', 'HTTP cache stats and entries', {
+            params: [
+                queryParam('host', STRING),
+                queryParam('url', STRING, 'URL prefix'),
+                queryParam('limit', { type: 'integer', minimum: 1 }, 'Entries to return (default 100, at most 1000)')
+            ],
+            ok: object({ stats: { type: 'object' }, entries: arrayOf({ type: 'object' }), count: INTEGER }, ['stats', 'entries'])
+        }),
+        delete: operation('Cache', 'Purge the HTTP cache, optionally one host or URL prefix', {
+            params: [queryParam('host', STRING), queryParam('url', STRING, 'URL prefix')],
+            ok: object({ deleted: INTEGER }, ['deleted'])
+        })
+    }
+};
+
+/**
+ * A fresh copy of the document, so callers may annotate it
+ */
+function buildApiSpec() {
+    return JSON.parse(JSON.stringify({
+        openapi: '3.0.3',
+        info: {
+            title: 'OSINT Playground API',
+            version,
+            description: 'Username, email, domain and IP reconnaissance with scans, an entity graph, cases and an audit log. ' +
+                'Invalid input is answered with 400 and `{ error, errors }`.'
+        },
+        servers: [{ url: '/' }],
+        tags: ['Core', 'Usernames', 'Scans', 'Lookups', 'Hacker News', 'Entity Graph', 'Cases', 'Auth', 'Audit', 'Cache']
+            .map(name => ({ name })),
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: {
+                session: { type: 'apiKey', in: 'cookie', name: 'osint_session' },
+                token: { type: 'http', scheme: 'bearer', description: 'API token (osint_...) from POST /api/auth/tokens' }
+            }
+        },
+        // Only enforced when the server runs with AUTH_ENABLED=true
+        security: [{ session: [] }, { token: [] }, {}],
+        paths: PATHS
+    }));
+}
+
+module.exports = {
+    buildApiSpec
+};
@@ -0,0 +1,394 @@
+/**
+ * OSINT Playground - Audit Log
+ * Who searched what and why. Audited lookups must name a case or give a
+ * justification; each one appends an entry to a hash chain (every entry
+ * carries the hash of the one before it), so editing, removing or
+ * reordering entries is detected by verify(). The hashes are HMACs under a
+ * server key, so whoever can write the log cannot rebuild the chain.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { MemoryAuditStore } = require('./audit-store');
+const { compileRouteTable, matchRoute, routeParams } = require('./route-table');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MIN_JUSTIFICATION = 3;
+const MAX_JUSTIFICATION = 1000;
+
+/**
+ * Routes that look people up, first match wins (lib/route-table)
+ */
+const DEFAULT_AUDITED_ROUTES = [
+    { method: 'POST', path: '/api/scan' },
+    { method: 'POST', path: '/api/scan/quick' },
+    { method: 'POST', path: '/api/search' },
+    { method: 'POST', path: '/api/search-engines' },
+    { method: 'GET', path: '/api/search/global' },
+    { method: '*', path: '/api/check' },
+    { method: 'POST', path: '/api/email/candidates' },
+    { method: 'GET', path: '/api/osint/*' },
+    { method: 'GET', path: '/api/dns/:domain' },
+    { method: 'GET', path: '/api/whois/:domain' },
+    // Older aliases of /api/osint lookups
+    { method: 'GET', path: '/api/github/:username' },
+    { method: 'GET', path: '/api/hibp/:email' }
+];
+
+// Hashed in this order; changing it invalidates existing logs
+const HASHED_FIELDS = [
+    'seq', 'timestamp', 'event', 'user', 'userId', 'via', 'ip', 'endpoint', 'path',
+    'target', 'caseId', 'justification', 'scanId', 'status', 'resultCount', 'prevHash'
+];
+
+// Request fields that name the target, most specific first
+const TARGET_FIELDS = ['target', 'query', 'username', 'email', 'domain', 'ip', 'q', 'url'];
+
+// Fields that only carry the audit context
+const AUDIT_FIELDS = ['caseId', 'justification'];
+
+/**
+ * Hash of an entry's fields chained to the previous entry's hash: an
+ * HMAC-SHA256 under `key`, or a plain SHA-256 without one
+ */
+function hashEntry(entry, key = null) {
+    const values = HASHED_FIELDS.map(field => entry[field] ?? null);
+    const hash = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+    return hash.update(JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Walk a chain of entries, oldest first: { valid, count, lastHash } or,
+ * at the first break, { valid: false, count, brokenAt, reason }
+ */
+function verifyAuditChain(entries, key = null) {
+    let prevHash = GENESIS_HASH;
+
+    for (let index = 0; index < entries.length; index++) {
+        const entry = entries[index];
+        const broken = reason => ({ valid: false, count: entries.length, brokenAt: index + 1, reason });
+
+        if (entry.corrupt) return broken(`line ${entry.line} is not valid JSON`);
+        if (entry.seq !== index + 1) return broken(`entry ${index + 1} has sequence number ${entry.seq}`);
+        if (entry.prevHash !== prevHash) return broken(`entry ${entry.seq} does not follow entry ${entry.seq - 1}`);
+        if (hashEntry(entry, key) !== entry.hash) return broken(`entry ${entry.seq} was modified`);
+
+        prevHash = entry.hash;
+    }
+
+    return { valid: true, count: entries.length, lastHash: prevHash };
+}
+
+/**
+ * Chain key kept in `filePath`, created (readable by its owner only) on
+ * first use. The key must not live where the log does: whoever can read it
+ * can rebuild the chain.
+ */
+function loadAuditKey(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8').trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const key = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${key}\n`, { mode: 0o600, flag: 'wx' });
+    return key;
+}
+
+/**
+ * Short text for a target field; typed scan targets become "type:value"
+ */
+function describeTarget(value) {
+    if (value && typeof value === 'object') {
+        const inner = typeof value.value === 'string' ? value.value : JSON.stringify(value.value ?? value);
+        return value.type ? `${value.type}:${inner}` : inner;
+    }
+    return String(value);
+}
+
+/**
+ * Number of results in a JSON response body, or null when it cannot tell
+ */
+function countResults(body) {
+    if (Array.isArray(body)) return body.length;
+    if (!body || typeof body !== 'object' || body.error) return null;
+    if (Array.isArray(body.results)) return body.results.length;
+    if (typeof body.count === 'number') return body.count;
+    return 1;
+}
+
+function toTime(value) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+// ==========================================
+// AUDIT LOG
+// ==========================================
+
+class AuditLog {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryAuditStore();
+        // HMAC key for the chain; without one, anyone who can write the log can rebuild it
+        this.key = options.key || null;
+        // Used to check that a caseId names a case
+        this.cases = options.cases || null;
+        this.requireJustification = options.requireJustification !== false;
+        this.routes = compileRouteTable([...(options.routes || []), ...DEFAULT_AUDITED_ROUTES]);
+
+        this.last = undefined;          // newest entry written, loaded on first use
+        this.pending = new Map();       // scanId -> lookup context, until the scan ends
+        this.outcomes = new Map();      // scans that ended before their lookup was logged
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Append one entry at a time so the chain never forks
+     */
+    exclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Append an entry: { event?, user, userId?, via?, ip?, endpoint, path?,
+     * target?, caseId?, justification?, scanId?, status?, resultCount? }
+     */
+    record(input) {
+        return this.exclusive(async () => {
+            if (this.last === undefined) this.last = await this.store.tail();
+            const last = this.last;
+
+            const entry = {
+                seq: last ? last.seq + 1 : 1,
+                timestamp: Date.now(),
+                event: input.event || 'lookup',
+                user: input.user || 'anonymous',
+                userId: input.userId || null,
+                via: input.via || null,
+                ip: input.ip || null,
+                endpoint: input.endpoint,
+                path: input.path || null,
+                target: input.target ?? null,
+                caseId: input.caseId || null,
+                justification: input.justification || null,
+                scanId: input.scanId || null,
+                status: input.status ?? null,
+                resultCount: input.resultCount ?? null,
+                prevHash: last ? last.hash : GENESIS_HASH
+            };
+            entry.hash = hashEntry(entry, this.key);
+
+            await this.store.append(entry);
+            this.last = entry;
+            return entry;
+        });
+    }
+
+    /**
+     * Entries matching { user, event, endpoint, target, caseId, scanId,
+     * from, to }, newest first, paged with { limit, offset }: { items, total }.
+     * endpoint and target match substrings; from/to take ms or ISO dates.
+     */
+    async query(filter = {}) {
+        let list = (await this.store.list()).filter(entry => !entry.corrupt);
+
+        ['user', 'event', 'caseId', 'scanId'].forEach(field => {
+            if (filter[field]) list = list.filter(entry => entry[field] === filter[field]);
+        });
+        if (filter.endpoint) {
+            list = list.filter(entry => entry.endpoint?.includes(filter.endpoint));
+        }
+        if (filter.target) {
+            const target = String(filter.target).toLowerCase();
+            list = list.filter(entry => entry.target?.toLowerCase().includes(target));
+        }
+        const from = toTime(filter.from);
+        const to = toTime(filter.to);
+        if (from !== null) list = list.filter(entry => entry.timestamp >= from);
+        if (to !== null) list = list.filter(entry => entry.timestamp <= to);
+
+        const offset = filter.offset || 0;
+        const limit = filter.limit || 100;
+        list = list.reverse();
+        return { items: list.slice(offset, offset + limit), total: list.length };
+    }
+
+    /**
+     * Check the stored chain. Also catches entries cut from the end, which
+     * the chain alone cannot show, against the newest entry this process wrote.
+     */
+    async verify() {
+        await this.queue;
+        const entries = await this.store.list();
+        const result = verifyAuditChain(entries, this.key);
+
+        if (result.valid && this.last && (entries.length < this.last.seq || result.lastHash !== this.last.hash)) {
+            return {
+                valid: false,
+                count: entries.length,
+                brokenAt: Math.min(entries.length + 1, this.last.seq),
+                reason: `the log ends at entry ${entries.length} but entry ${this.last.seq} was written`
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Log how a scan that was started through an audited route ended
+     */
+    completeScan(scan) {
+        const outcome = {
+            event: scan.status === 'cancelled' ? 'scan:cancelled' : 'scan:complete',
+            resultCount: scan.results?.length ?? null
+        };
+
+        const context = this.pending.get(scan.id);
+        if (!context) {
+            // The scan beat its own response; logScanStart() picks this up
+            this.outcomes.set(scan.id, outcome);
+            if (this.outcomes.size > 500) this.outcomes.delete(this.outcomes.keys().next().value);
+            return Promise.resolve(null);
+        }
+
+        this.pending.delete(scan.id);
+        return this.record({ ...context, ...outcome, status: null });
+    }
+
+    /**
+     * Log the lookup that started a scan, and its outcome if it already ended
+     */
+    logScanStart(context) {
+        const outcome = this.outcomes.get(context.scanId);
+        this.outcomes.delete(context.scanId);
+
+        if (!outcome) {
+            this.pending.set(context.scanId, context);
+            return this.record(context);
+        }
+        // Both go on the queue now, in order
+        const logged = this.record(context);
+        return Promise.all([logged, this.record({ ...context, ...outcome, status: null })]).then(([entry]) => entry);
+    }
+
+    /**
+     * Whether requests to a route are audited
+     */
+    audits(method, requestPath) {
+        return Boolean(matchRoute(this.routes, method, requestPath));
+    }
+
+    /**
+     * Express middleware for audited routes: requires a caseId or a
+     * justification (query string for GET, body otherwise) and logs the
+     * lookup once the response is sent, or as 'lookup:aborted' when the
+     * client goes away first. Route handlers may set res.locals.audit.scanId
+     * and .resultCount; otherwise the result count is read from the JSON
+     * response.
+     */
+    middleware() {
+        return async (req, res, next) => {
+            const rule = matchRoute(this.routes, req.method, req.path);
+            if (!rule) return next();
+
+            const source = (req.method === 'GET' ? req.query : req.body) || {};
+            const caseId = typeof source.caseId === 'string' && source.caseId ? source.caseId : null;
+            const justification = typeof source.justification === 'string' ? source.justification.trim() : '';
+
+            const errors = [];
+            if (source.justification !== undefined && typeof source.justification !== 'string') {
+                errors.push('justification must be a string');
+            } else if (justification.length > MAX_JUSTIFICATION) {
+                errors.push(`justification must be at most ${MAX_JUSTIFICATION} characters`);
+            }
+            if (this.requireJustification && !caseId && justification.length < MIN_JUSTIFICATION) {
+                errors.push(`a caseId or a justification of at least ${MIN_JUSTIFICATION} characters is required for this lookup`);
+            }
+            if (errors.length) {
+                return res.status(400).json({ error: errors.join('; '), errors, reason: 'justification' });
+            }
+
+            try {
+                if (caseId && this.cases && !(await this.cases.getCase(caseId))) {
+                    return res.status(404).json({ error: 'Case not found' });
+                }
+            } catch (error) {
+                return next(error);
+            }
+
+            res.locals.audit = {};
+            const json = res.json.bind(res);
+            res.json = body => {
+                res.locals.audit.body = body;
+                return json(body);
+            };
+
+            let logged = false;
+            const log = () => {
+                if (logged) return;
+                logged = true;
+
+                const aborted = !res.writableFinished;
+                const { body, scanId, resultCount } = res.locals.audit;
+                const params = req.params && Object.keys(req.params).length ? req.params : routeParams(rule, req.path);
+                const context = {
+                    event: aborted ? 'lookup:aborted' : 'lookup',
+                    user: req.auth?.user.username,
+                    userId: req.auth?.user.id,
+                    via: req.auth ? (req.auth.via === 'token' ? `token:${req.auth.token.id}` : req.auth.via) : null,
+                    ip: req.ip,
+                    endpoint: `${req.method} ${req.route ? req.route.path : rule.path}`,
+                    path: req.path,
+                    target: this.targetOf(params, source),
+                    caseId,
+                    justification: justification || null,
+                    scanId: scanId || null,
+                    status: res.statusCode,
+                    resultCount: resultCount !== undefined ? resultCount : countResults(body)
+                };
+
+                const written = scanId && resultCount === null && res.statusCode < 400
+                    ? this.logScanStart(context)
+                    : this.record(context);
+                written.catch(error => console.error(`[Audit] Could not log ${context.endpoint}: ${error.message}`));
+            };
+            // 'close' alone means the client aborted, e.g. a streamed search
+            res.on('finish', log);
+            res.on('close', log);
+
+            next();
+        };
+    }
+
+    targetOf(params, source) {
+        for (const fields of [params, source]) {
+            const field = TARGET_FIELDS.find(name => fields[name] !== undefined && fields[name] !== '');
+            if (field) return describeTarget(fields[field]).slice(0, 500);
+        }
+
+        const rest = Object.entries(source).filter(([name]) => !AUDIT_FIELDS.includes(name));
+        const values = [...Object.values(params), ...rest.map(([name, value]) => `${name}=${describeTarget(value)}`)];
+        return values.length ? values.join(' ').slice(0, 500) : null;
+    }
+
+    async close() {
+        await this.queue;
+        await this.store.close();
+    }
+}
+
+module.exports = {
+    DEFAULT_AUDITED_ROUTES,
+    GENESIS_HASH,
+    AuditLog,
+    hashEntry,
+    loadAuditKey,
+    verifyAuditChain,
+    countResults
+};
@@ -0,0 +1,159 @@
+/**
+ * OSINT Playground - Audit Store
+ * Pluggable persistence for the audit log (lib/audit-log.js). Entries are
+ * only ever appended. Ships with an in-memory store and a JSON-lines file
+ * store that is never compacted or rewritten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// STORE INTERFACE
+// ==========================================
+
+/**
+ * Base store interface. Custom stores extend this and implement every
+ * method; all methods are async. There is no update or delete.
+ */
+class AuditStore {
+    async append(entry) {
+        throw new Error('append() must be implemented');
+    }
+
+    /**
+     * Every entry, oldest first, exactly as stored
+     */
+    async list() {
+        throw new Error('list() must be implemented');
+    }
+
+    /**
+     * The newest entry, or null for an empty log
+     */
+    async tail() {
+        const entries = await this.list();
+        return entries.length ? entries[entries.length - 1] : null;
+    }
+
+    async close() {}
+}
+
+// ==========================================
+// MEMORY STORE
+// ==========================================
+
+/**
+ * Non-persistent store, used by default by the library and in tests
+ */
+class MemoryAuditStore extends AuditStore {
+    constructor() {
+        super();
+        this.entries = [];
+    }
+
+    async append(entry) {
+        this.entries.push(JSON.parse(JSON.stringify(entry)));
+    }
+
+    async list() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+}
+
+// ==========================================
+// JSON-LINES FILE STORE
+// ==========================================
+
+/**
+ * Append-only JSON-lines file. list() reads the file itself each time, so
+ * reviews and verification see exactly what is on disk; a line that is not
+ * valid JSON comes back as { corrupt: true, line } for the verifier.
+ */
+class JsonLinesAuditStore extends AuditStore {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.path || path.join(process.cwd(), 'data', 'audit.jsonl');
+        this.writeQueue = Promise.resolve();
+        this.ready = null;
+    }
+
+    /**
+     * Create the directory once; every public method awaits this
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        }
+        return this.ready;
+    }
+
+    async append(entry) {
+        await this.init();
+
+        // Serialize appends so concurrent writes never interleave. Unlike
+        // the other stores a failed write is an error for the caller.
+        const write = this.writeQueue.then(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n'));
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    async list() {
+        await this.init();
+        await this.writeQueue;
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const entries = [];
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                entries.push({ corrupt: true, line: index + 1 });
+            }
+        });
+        return entries;
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+// ==========================================
+// FACTORY
+// ==========================================
+
+const STORE_TYPES = {
+    memory: MemoryAuditStore,
+    jsonl: JsonLinesAuditStore
+};
+
+function createAuditStore(options = {}) {
+    const type = options.type || 'memory';
+    const StoreClass = STORE_TYPES[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown audit store type: ${type}`);
+    }
+
+    return new StoreClass(options);
+}
+
+function registerAuditStoreType(type, StoreClass) {
+    STORE_TYPES[type] = StoreClass;
+}
+
+module.exports = {
+    AuditStore,
+    MemoryAuditStore,
+    JsonLinesAuditStore,
+    createAuditStore,
+    registerAuditStoreType
+};
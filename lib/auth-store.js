@@ -0,0 +1,249 @@
+/**
+ * OSINT Playground - Auth Store
+ * Pluggable persistence for accounts, API tokens and login sessions
+ * (lib/auth.js). Ships with an in-memory store and an append-only
+ * JSON-lines file store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KINDS = ['user', 'token', 'session'];
+
+// ==========================================
+// STORE INTERFACE
+// ==========================================
+
+/**
+ * Base store interface. Records of each kind ('user', 'token', 'session')
+ * are keyed by `id` and saved whole; all methods are async. Secrets are
+ * only ever stored hashed.
+ */
+class AuthStore {
+    async save(kind, record) {
+        throw new Error('save() must be implemented');
+    }
+
+    async get(kind, id) {
+        throw new Error('get() must be implemented');
+    }
+
+    /**
+     * Every record of a kind, optionally those matching `fields` exactly
+     */
+    async list(kind, fields = {}) {
+        throw new Error('list() must be implemented');
+    }
+
+    async delete(kind, id) {
+        throw new Error('delete() must be implemented');
+    }
+
+    async close() {}
+}
+
+// ==========================================
+// MEMORY STORE
+// ==========================================
+
+/**
+ * Non-persistent store, used by default by the library and in tests
+ */
+class MemoryAuthStore extends AuthStore {
+    constructor() {
+        super();
+        this.records = Object.fromEntries(KINDS.map(kind => [kind, new Map()]));
+    }
+
+    collection(kind) {
+        if (!this.records[kind]) throw new Error(`Unknown auth record kind: ${kind}`);
+        return this.records[kind];
+    }
+
+    async save(kind, record) {
+        this.collection(kind).set(record.id, JSON.parse(JSON.stringify(record)));
+    }
+
+    // Copies, so callers can change a record before saving it
+    async get(kind, id) {
+        const record = this.collection(kind).get(id);
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    async list(kind, fields = {}) {
+        const entries = Object.entries(fields);
+        return [...this.collection(kind).values()]
+            .filter(record => entries.every(([field, value]) => record[field] === value))
+            .map(record => JSON.parse(JSON.stringify(record)));
+    }
+
+    async delete(kind, id) {
+        return this.collection(kind).delete(id);
+    }
+}
+
+// ==========================================
+// JSON-LINES FILE STORE
+// ==========================================
+
+/**
+ * Append-only JSON-lines file of `save` and `delete` records; the last
+ * record for a kind and id wins. Loaded on first use and compacted when
+ * stale lines pile up.
+ */
+class JsonLinesAuthStore extends MemoryAuthStore {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.path || path.join(process.cwd(), 'data', 'auth.jsonl');
+        this.compactThreshold = options.compactThreshold || 200;
+        this.staleLines = 0;
+        this.writeQueue = Promise.resolve();
+        this.ready = null;
+    }
+
+    /**
+     * Load the file once; every public method awaits this
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.load();
+        }
+        return this.ready;
+    }
+
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        let lines = 0;
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            lines++;
+
+            try {
+                const record = JSON.parse(line);
+                if (record.type === 'save') {
+                    this.collection(record.kind).set(record.record.id, record.record);
+                } else if (record.type === 'delete') {
+                    this.collection(record.kind).delete(record.id);
+                }
+            } catch (error) {
+                console.error(`[AuthStore] Skipping corrupt line in ${this.filePath}: ${error.message}`);
+            }
+        });
+
+        this.staleLines = lines - this.size();
+    }
+
+    size() {
+        return KINDS.reduce((total, kind) => total + this.records[kind].size, 0);
+    }
+
+    /**
+     * Serialize appends so concurrent writes never interleave
+     */
+    append(record) {
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n', { mode: 0o600 }))
+            .catch(error => {
+                console.error(`[AuthStore] Write failed: ${error.message}`);
+            });
+        return this.writeQueue;
+    }
+
+    async save(kind, record) {
+        await this.init();
+        if (this.collection(kind).has(record.id)) this.staleLines++;
+
+        await super.save(kind, record);
+        await this.append({ type: 'save', kind, record: this.collection(kind).get(record.id) });
+        await this.maybeCompact();
+    }
+
+    async get(kind, id) {
+        await this.init();
+        return super.get(kind, id);
+    }
+
+    async list(kind, fields = {}) {
+        await this.init();
+        return super.list(kind, fields);
+    }
+
+    async delete(kind, id) {
+        await this.init();
+        const existed = await super.delete(kind, id);
+        if (existed) {
+            this.staleLines += 2;
+            await this.append({ type: 'delete', kind, id });
+            await this.maybeCompact();
+        }
+        return existed;
+    }
+
+    async maybeCompact() {
+        if (this.staleLines >= this.compactThreshold) {
+            await this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the file with only live records
+     */
+    async compact() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            const lines = KINDS.flatMap(kind => [...this.records[kind].values()]
+                .map(record => JSON.stringify({ type: 'save', kind, record })));
+
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, lines.length ? lines.join('\n') + '\n' : '', { mode: 0o600 });
+            await fs.promises.rename(tmpPath, this.filePath);
+            this.staleLines = 0;
+        }).catch(error => {
+            console.error(`[AuthStore] Compaction failed: ${error.message}`);
+        });
+        return this.writeQueue;
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+// ==========================================
+// FACTORY
+// ==========================================
+
+const STORE_TYPES = {
+    memory: MemoryAuthStore,
+    jsonl: JsonLinesAuthStore
+};
+
+function createAuthStore(options = {}) {
+    const type = options.type || 'memory';
+    const StoreClass = STORE_TYPES[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown auth store type: ${type}`);
+    }
+
+    return new StoreClass(options);
+}
+
+function registerAuthStoreType(type, StoreClass) {
+    STORE_TYPES[type] = StoreClass;
+}
+
+module.exports = {
+    AuthStore,
+    MemoryAuthStore,
+    JsonLinesAuthStore,
+    createAuthStore,
+    registerAuthStoreType
+};
@@ -0,0 +1,602 @@
+/**
+ * OSINT Playground - Authentication & Roles
+ * Local accounts with scrypt-hashed passwords, cookie sessions for the
+ * SPA and scoped API tokens for scripts. Roles grant permissions, a route
+ * table says which permission each route needs, and API tokens can only
+ * narrow what their owner's role allows. Terms of use are accepted per
+ * account on the server.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const { MemoryAuthStore } = require('./auth-store');
+const { compileRouteTable, matchRoute } = require('./route-table');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'analyst', 'admin'];
+const PERMISSIONS = ['read', 'scan', 'write', 'paid', 'admin'];
+
+const ROLE_PERMISSIONS = {
+    viewer: ['read'],
+    analyst: ['read', 'scan', 'write', 'paid'],
+    admin: PERMISSIONS
+};
+
+// Scan adapters that spend paid API quota; scans leave them out without 'paid'
+const PAID_ADAPTERS = ['shodan', 'hibp', 'virustotal', 'hunter', 'abuseipdb'];
+
+/**
+ * Permission each route needs, first match wins (lib/route-table). null
+ * routes are open; every /api/auth route past login needs a signed-in user.
+ * Requests no rule matches need 'admin'.
+ */
+const DEFAULT_ROUTE_PERMISSIONS = [
+    { method: 'GET', path: '/api/health', permission: null },
+    { method: 'GET', path: '/api/openapi.json', permission: null },
+    { method: 'GET', path: '/api/auth/session', permission: null },
+    { method: 'POST', path: '/api/auth/login', permission: null },
+    { method: 'POST', path: '/api/auth/logout', permission: null },
+    { method: '*', path: '/api/auth/*', permission: 'read' },
+    { method: '*', path: '/api/users', permission: 'admin' },
+    { method: '*', path: '/api/users/*', permission: 'admin' },
+    // Cached lookup URLs name other analysts' targets
+    { method: 'GET', path: '/api/cache', permission: 'admin' },
+    { method: 'DELETE', path: '/api/cache', permission: 'admin' },
+    { method: 'GET', path: '/api/audit', permission: 'admin' },
+    { method: 'GET', path: '/api/audit/*', permission: 'admin' },
+    // Paid lookups
+    { method: 'GET', path: '/api/osint/shodan/:target', permission: 'paid' },
+    { method: 'GET', path: '/api/osint/hibp/:email', permission: 'paid' },
+    { method: 'GET', path: '/api/osint/virustotal/:target', permission: 'paid' },
+    { method: 'GET', path: '/api/osint/hunter/*', permission: 'paid' },
+    { method: 'GET', path: '/api/osint/abuseipdb/:ip', permission: 'paid' },
+    { method: 'GET', path: '/api/hibp/:email', permission: 'paid' },
+    // Anything that sends requests to third parties
+    { method: 'POST', path: '/api/scan', permission: 'scan' },
+    { method: 'POST', path: '/api/scan/quick', permission: 'scan' },
+    { method: 'DELETE', path: '/api/scan/:id', permission: 'scan' },
+    { method: 'POST', path: '/api/search', permission: 'scan' },
+    { method: 'POST', path: '/api/search-engines', permission: 'scan' },
+    { method: '*', path: '/api/check', permission: 'scan' },
+    { method: 'POST', path: '/api/email/candidates', permission: 'scan' },
+    { method: 'GET', path: '/api/search/global', permission: 'scan' },
+    { method: 'GET', path: '/api/osint/*', permission: 'scan' },
+    { method: 'GET', path: '/api/github/:username', permission: 'scan' },
+    { method: 'GET', path: '/api/dns/:domain', permission: 'scan' },
+    { method: 'GET', path: '/api/whois/:domain', permission: 'scan' },
+    { method: 'GET', path: '/api/*', permission: 'read' },
+    { method: '*', path: '/api/*', permission: 'write' },
+    // The app shell and static files
+    { method: 'GET', path: '*', permission: null }
+];
+
+const SESSION_COOKIE = 'osint_session';
+const DEFAULT_SESSION_TTL = 12 * 60 * 60;       // seconds
+const TOKEN_PREFIX = 'osint_';
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{1,63}$/;
+
+// scrypt cost; stored with each hash so it can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+class AuthValidationError extends Error {
+    constructor(errors, status = 400) {
+        super(`Invalid auth input:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'AuthValidationError';
+        this.errors = errors;
+        this.status = status;
+    }
+}
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// ==========================================
+// PASSWORDS
+// ==========================================
+
+/**
+ * "scrypt$N$r$p$salt$hash" for a password
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const key = await scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p, maxmem: 64 * 1024 * 1024 });
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p), maxmem: 64 * 1024 * 1024
+    });
+    return crypto.timingSafeEqual(key, expected);
+}
+
+// Compared against when the username does not exist, so both cases take as long
+let dummyHash = null;
+function getDummyHash() {
+    if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    return dummyHash;
+}
+
+function checkPassword(errors, password, field = 'password') {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`${field} must be a string of at least ${MIN_PASSWORD_LENGTH} characters`);
+    } else if (password.length > 1024) {
+        errors.push(`${field} must be at most 1024 characters`);
+    }
+}
+
+function checkRole(errors, role) {
+    if (!ROLES.includes(role)) {
+        errors.push(`role must be one of ${ROLES.join(', ')}`);
+    }
+}
+
+/**
+ * Account as shown to clients, without the password hash
+ */
+function publicUser(user) {
+    const { passwordHash, ...visible } = user;
+    return { ...visible, permissions: ROLE_PERMISSIONS[user.role] };
+}
+
+/**
+ * API token as shown to clients, without the secret's hash
+ */
+function publicToken(token) {
+    const { hash, ...visible } = token;
+    return visible;
+}
+
+/**
+ * Session cookie value from a Cookie header
+ */
+function readSessionCookie(header) {
+    const match = String(header || '').match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]+)`));
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// ==========================================
+// AUTH MANAGER
+// ==========================================
+
+class AuthManager {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryAuthStore();
+        // Off by default so existing single-user setups keep working
+        this.enabled = options.enabled || false;
+        this.sessionTtl = options.sessionTtl || DEFAULT_SESSION_TTL;
+        this.routes = compileRouteTable([...(options.routes || []), ...DEFAULT_ROUTE_PERMISSIONS]);
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run writes one at a time so checks like "last admin" stay true
+     */
+    exclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // ==========================================
+    // USERS
+    // ==========================================
+
+    /**
+     * Create an account: { username, password, role? } (role defaults to viewer)
+     */
+    async createUser(input) {
+        const { username, password, role = 'viewer' } = input || {};
+        const errors = [];
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.toLowerCase())) {
+            errors.push('username must be 2-64 letters, digits, dots, dashes or underscores');
+        }
+        checkPassword(errors, password);
+        checkRole(errors, role);
+        if (errors.length) throw new AuthValidationError(errors);
+
+        const passwordHash = await hashPassword(password);
+        return this.exclusive(async () => {
+            const name = username.toLowerCase();
+            if ((await this.store.list('user', { username: name })).length) {
+                throw new AuthValidationError([`username "${name}" is taken`], 409);
+            }
+
+            const now = Date.now();
+            const user = {
+                id: generateId('user'),
+                username: name,
+                role,
+                passwordHash,
+                disabled: false,
+                termsAcceptedAt: null,
+                createdAt: now,
+                updatedAt: now,
+                lastLoginAt: null
+            };
+            await this.store.save('user', user);
+            return publicUser(user);
+        });
+    }
+
+    /**
+     * Create the first admin from configuration when there are no accounts
+     */
+    async ensureAdmin(username, password) {
+        if ((await this.store.list('user')).length) return null;
+        return this.createUser({ username, password, role: 'admin' });
+    }
+
+    async getUser(id) {
+        const user = await this.store.get('user', id);
+        return user ? publicUser(user) : null;
+    }
+
+    async listUsers() {
+        const users = await this.store.list('user');
+        return users.sort((a, b) => a.createdAt - b.createdAt).map(publicUser);
+    }
+
+    /**
+     * Change role, password or disabled flag: { role?, password?, disabled? }.
+     * A new password or disabling signs the account out everywhere; the last
+     * active admin cannot be demoted or disabled.
+     */
+    async updateUser(id, patch) {
+        const { role, password, disabled } = patch || {};
+        const errors = [];
+        if (role !== undefined) checkRole(errors, role);
+        if (password !== undefined) checkPassword(errors, password);
+        if (disabled !== undefined && typeof disabled !== 'boolean') errors.push('disabled must be a boolean');
+        if (errors.length) throw new AuthValidationError(errors);
+
+        const passwordHash = password !== undefined ? await hashPassword(password) : null;
+        return this.exclusive(async () => {
+            const user = await this.store.get('user', id);
+            if (!user) return null;
+
+            const demoted = (role !== undefined && role !== 'admin') || disabled === true;
+            if (demoted && user.role === 'admin' && !user.disabled) await this.assertOtherAdmin(id);
+
+            if (role !== undefined) user.role = role;
+            if (disabled !== undefined) user.disabled = disabled;
+            if (passwordHash) user.passwordHash = passwordHash;
+            user.updatedAt = Date.now();
+            await this.store.save('user', user);
+
+            if (passwordHash || disabled === true) await this.endSessions(id);
+            return publicUser(user);
+        });
+    }
+
+    /**
+     * Delete an account with its sessions and tokens
+     */
+    deleteUser(id) {
+        return this.exclusive(async () => {
+            const user = await this.store.get('user', id);
+            if (!user) return false;
+            if (user.role === 'admin' && !user.disabled) await this.assertOtherAdmin(id);
+
+            await this.endSessions(id);
+            for (const token of await this.store.list('token', { userId: id })) {
+                await this.store.delete('token', token.id);
+            }
+            return this.store.delete('user', id);
+        });
+    }
+
+    async assertOtherAdmin(id) {
+        const admins = await this.store.list('user', { role: 'admin', disabled: false });
+        if (!admins.some(admin => admin.id !== id)) {
+            throw new AuthValidationError(['the last active admin cannot be removed, demoted or disabled'], 409);
+        }
+    }
+
+    /**
+     * Change your own password; other sessions are signed out
+     */
+    async changePassword(id, currentPassword, password, keepSessionId = null) {
+        const user = await this.store.get('user', id);
+        if (!user) return null;
+        if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, user.passwordHash))) {
+            throw new AuthValidationError(['current password is wrong'], 403);
+        }
+
+        const errors = [];
+        checkPassword(errors, password);
+        if (errors.length) throw new AuthValidationError(errors);
+
+        const passwordHash = await hashPassword(password);
+        return this.exclusive(async () => {
+            const stored = await this.store.get('user', id);
+            stored.passwordHash = passwordHash;
+            stored.updatedAt = Date.now();
+            await this.store.save('user', stored);
+            await this.endSessions(id, keepSessionId);
+            return publicUser(stored);
+        });
+    }
+
+    /**
+     * Record that the account accepted the terms of use
+     */
+    acceptTerms(id) {
+        return this.exclusive(async () => {
+            const user = await this.store.get('user', id);
+            if (!user) return null;
+            if (!user.termsAcceptedAt) {
+                user.termsAcceptedAt = Date.now();
+                await this.store.save('user', user);
+            }
+            return publicUser(user);
+        });
+    }
+
+    // ==========================================
+    // SESSIONS
+    // ==========================================
+
+    /**
+     * Check a password and open a session. Resolves with { user, secret,
+     * expiresAt }; the secret goes in the session cookie and only its hash
+     * is stored.
+     */
+    async login(username, password) {
+        const name = typeof username === 'string' ? username.toLowerCase() : '';
+        const [user] = name ? await this.store.list('user', { username: name }) : [];
+
+        const valid = typeof password === 'string' &&
+            await verifyPassword(password, user ? user.passwordHash : await getDummyHash());
+        if (!user || !valid || user.disabled) {
+            throw new AuthValidationError(['invalid username or password'], 401);
+        }
+
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const session = { id: sha256(secret), userId: user.id, createdAt: now, expiresAt: now + this.sessionTtl * 1000 };
+
+        await this.exclusive(async () => {
+            await this.store.save('session', session);
+            const stored = await this.store.get('user', user.id);
+            stored.lastLoginAt = now;
+            await this.store.save('user', stored);
+        });
+        this.pruneSessions();
+
+        return { user: publicUser({ ...user, lastLoginAt: now }), secret, expiresAt: session.expiresAt };
+    }
+
+    logout(secret) {
+        return this.exclusive(() => this.store.delete('session', sha256(secret)));
+    }
+
+    async endSessions(userId, keepSessionId = null) {
+        for (const session of await this.store.list('session', { userId })) {
+            if (session.id !== keepSessionId) await this.store.delete('session', session.id);
+        }
+    }
+
+    /**
+     * Drop expired sessions now and then
+     */
+    pruneSessions() {
+        return this.exclusive(async () => {
+            const now = Date.now();
+            for (const session of await this.store.list('session')) {
+                if (session.expiresAt <= now) await this.store.delete('session', session.id);
+            }
+        });
+    }
+
+    // ==========================================
+    // API TOKENS
+    // ==========================================
+
+    /**
+     * Issue an API token: { name, scopes, expiresInDays? }. Scopes are
+     * permissions and must be allowed by the owner's role. Resolves with
+     * { token, secret }; the secret is only returned here.
+     */
+    async createToken(userId, input) {
+        const { name, scopes, expiresInDays } = input || {};
+        const user = await this.store.get('user', userId);
+        if (!user) return null;
+
+        const errors = [];
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+            errors.push('name must be a non-empty string of at most 100 characters');
+        }
+        if (!Array.isArray(scopes) || !scopes.length) {
+            errors.push(`scopes must be a non-empty array of ${PERMISSIONS.join(', ')}`);
+        } else {
+            scopes.filter(scope => !ROLE_PERMISSIONS[user.role].includes(scope)).forEach(scope => {
+                errors.push(`scope "${scope}" is not allowed for the ${user.role} role`);
+            });
+        }
+        if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= 3650)) {
+            errors.push('expiresInDays must be an integer between 1 and 3650');
+        }
+        if (errors.length) throw new AuthValidationError(errors);
+
+        const secret = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const now = Date.now();
+        const token = {
+            id: generateId('token'),
+            userId,
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            prefix: secret.slice(0, TOKEN_PREFIX.length + 4),
+            hash: sha256(secret),
+            createdAt: now,
+            expiresAt: expiresInDays ? now + expiresInDays * 24 * 60 * 60 * 1000 : null,
+            lastUsedAt: null
+        };
+
+        await this.exclusive(() => this.store.save('token', token));
+        return { token: publicToken(token), secret };
+    }
+
+    async listTokens(userId) {
+        const tokens = await this.store.list('token', userId ? { userId } : {});
+        return tokens.sort((a, b) => b.createdAt - a.createdAt).map(publicToken);
+    }
+
+    /**
+     * Revoke a token; with `userId`, only one of that user's
+     */
+    revokeToken(id, userId = null) {
+        return this.exclusive(async () => {
+            const token = await this.store.get('token', id);
+            if (!token || (userId && token.userId !== userId)) return false;
+            return this.store.delete('token', id);
+        });
+    }
+
+    // ==========================================
+    // REQUESTS
+    // ==========================================
+
+    /**
+     * Who is making a request: { user, via: 'session' | 'token', session?,
+     * token?, permissions } or null. A bearer token wins over the cookie;
+     * an invalid one is not retried as a session.
+     */
+    async authenticate(req) {
+        const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+        if (bearer) return this.authenticateToken(bearer[1]);
+
+        const secret = readSessionCookie(req.get('Cookie'));
+        if (!secret) return null;
+
+        const session = await this.store.get('session', sha256(secret));
+        if (!session || session.expiresAt <= Date.now()) return null;
+
+        const user = await this.store.get('user', session.userId);
+        if (!user || user.disabled) return null;
+
+        return { user: publicUser(user), via: 'session', session, permissions: new Set(ROLE_PERMISSIONS[user.role]) };
+    }
+
+    async authenticateToken(secret) {
+        if (!secret.startsWith(TOKEN_PREFIX)) return null;
+
+        const [token] = await this.store.list('token', { hash: sha256(secret) });
+        if (!token || (token.expiresAt && token.expiresAt <= Date.now())) return null;
+
+        const user = await this.store.get('user', token.userId);
+        if (!user || user.disabled) return null;
+
+        // Record use at most once a minute to keep the store quiet
+        const now = Date.now();
+        if (!token.lastUsedAt || now - token.lastUsedAt > 60 * 1000) {
+            token.lastUsedAt = now;
+            this.exclusive(() => this.store.save('token', token));
+        }
+
+        // A token never outgrows its owner's current role
+        const allowed = ROLE_PERMISSIONS[user.role];
+        return {
+            user: publicUser(user),
+            via: 'token',
+            token: publicToken(token),
+            permissions: new Set(token.scopes.filter(scope => allowed.includes(scope)))
+        };
+    }
+
+    /**
+     * Permission a route needs, or null for open routes. Unlisted routes are
+     * closed, so a route added without a rule is not left open.
+     */
+    routePermission(method, requestPath) {
+        const rule = matchRoute(this.routes, method, requestPath);
+        return rule ? rule.permission : 'admin';
+    }
+
+    /**
+     * Whether the request may use a permission (always, with auth disabled)
+     */
+    can(req, permission) {
+        return !this.enabled || Boolean(req.auth?.permissions.has(permission));
+    }
+
+    /**
+     * Express middleware: sets req.auth, gives the rate limiter a bucket per
+     * session user or token, and answers 401/403 for routes the caller may
+     * not use. Until the terms of use are accepted only /api/auth works.
+     */
+    middleware() {
+        return async (req, res, next) => {
+            if (!this.enabled) return next();
+
+            const permission = this.routePermission(req.method, req.path);
+            try {
+                req.auth = await this.authenticate(req);
+            } catch (error) {
+                return next(error);
+            }
+
+            if (req.auth) {
+                req.rateLimitKey = req.auth.via === 'token' ? `token:${req.auth.token.id}` : `user:${req.auth.user.id}`;
+            }
+            if (!permission) return next();
+
+            if (!req.auth) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!req.auth.user.termsAcceptedAt && !/^\/api\/auth\//i.test(req.path)) {
+                return res.status(403).json({ error: 'Accept the terms of use first', reason: 'terms' });
+            }
+            if (!req.auth.permissions.has(permission)) {
+                return res.status(403).json({ error: `This requires the "${permission}" permission`, permission });
+            }
+            next();
+        };
+    }
+
+    /**
+     * Set-Cookie options for a session secret
+     */
+    cookieOptions(req) {
+        return {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            path: '/',
+            maxAge: this.sessionTtl * 1000
+        };
+    }
+
+    async close() {
+        await this.queue;
+        await this.store.close();
+    }
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    PAID_ADAPTERS,
+    DEFAULT_ROUTE_PERMISSIONS,
+    SESSION_COOKIE,
+    AuthManager,
+    AuthValidationError,
+    hashPassword,
+    verifyPassword,
+    readSessionCookie
+};
@@ -0,0 +1,254 @@
+/**
+ * OSINT Playground - Case Store
+ * Pluggable persistence for investigation cases (lib/cases.js).
+ * Ships with an in-memory store and an append-only JSON-lines file store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// STORE INTERFACE
+// ==========================================
+
+/**
+ * Base store interface. Custom stores extend this and implement every
+ * method; all methods are async. Cases are saved whole, with their notes
+ * and artifacts.
+ */
+class CaseStore {
+    async saveCase(record) {
+        throw new Error('saveCase() must be implemented');
+    }
+
+    async getCase(id) {
+        throw new Error('getCase() must be implemented');
+    }
+
+    async listCases(filter = {}) {
+        throw new Error('listCases() must be implemented');
+    }
+
+    async deleteCase(id) {
+        throw new Error('deleteCase() must be implemented');
+    }
+
+    async close() {}
+
+    /**
+     * Cases matching { status, q, scanId, entityId }, most recently updated
+     * first, paged with { limit, offset }: { items, total }
+     */
+    filterCases(cases, filter = {}) {
+        let list = cases;
+
+        if (filter.status) {
+            list = list.filter(c => c.status === filter.status);
+        }
+        if (filter.scanId) {
+            list = list.filter(c => c.scans.includes(filter.scanId));
+        }
+        if (filter.entityId) {
+            list = list.filter(c => c.entities.includes(filter.entityId));
+        }
+        if (filter.q) {
+            const q = String(filter.q).toLowerCase();
+            list = list.filter(c => c.name.toLowerCase().includes(q) || c.description.toLowerCase().includes(q));
+        }
+
+        const offset = filter.offset || 0;
+        const limit = filter.limit || 100;
+        list = list.sort((a, b) => b.updatedAt - a.updatedAt);
+        return { items: list.slice(offset, offset + limit), total: list.length };
+    }
+}
+
+// ==========================================
+// MEMORY STORE
+// ==========================================
+
+/**
+ * Non-persistent store, used by default by the library and in tests
+ */
+class MemoryCaseStore extends CaseStore {
+    constructor() {
+        super();
+        this.cases = new Map();
+    }
+
+    async saveCase(record) {
+        this.cases.set(record.id, JSON.parse(JSON.stringify(record)));
+    }
+
+    async getCase(id) {
+        return this.cases.get(id) || null;
+    }
+
+    async listCases(filter = {}) {
+        return this.filterCases([...this.cases.values()], filter);
+    }
+
+    async deleteCase(id) {
+        return this.cases.delete(id);
+    }
+}
+
+// ==========================================
+// JSON-LINES FILE STORE
+// ==========================================
+
+/**
+ * Append-only JSON-lines file of `case` and `delete` records; the last
+ * record for an id wins. Loaded on first use and compacted when stale
+ * lines pile up.
+ */
+class JsonLinesCaseStore extends MemoryCaseStore {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.path || path.join(process.cwd(), 'data', 'cases.jsonl');
+        this.compactThreshold = options.compactThreshold || 200;
+        this.staleLines = 0;
+        this.writeQueue = Promise.resolve();
+        this.ready = null;
+    }
+
+    /**
+     * Load the file once; every public method awaits this
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.load();
+        }
+        return this.ready;
+    }
+
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        let lines = 0;
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            lines++;
+
+            try {
+                const record = JSON.parse(line);
+                if (record.type === 'case') {
+                    this.cases.set(record.case.id, record.case);
+                } else if (record.type === 'delete') {
+                    this.cases.delete(record.id);
+                }
+            } catch (error) {
+                console.error(`[CaseStore] Skipping corrupt line in ${this.filePath}: ${error.message}`);
+            }
+        });
+
+        this.staleLines = lines - this.cases.size;
+    }
+
+    /**
+     * Serialize appends so concurrent writes never interleave
+     */
+    append(record) {
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n'))
+            .catch(error => {
+                console.error(`[CaseStore] Write failed: ${error.message}`);
+            });
+        return this.writeQueue;
+    }
+
+    async saveCase(record) {
+        await this.init();
+        if (this.cases.has(record.id)) this.staleLines++;
+
+        await super.saveCase(record);
+        await this.append({ type: 'case', case: this.cases.get(record.id) });
+        await this.maybeCompact();
+    }
+
+    async getCase(id) {
+        await this.init();
+        return super.getCase(id);
+    }
+
+    async listCases(filter = {}) {
+        await this.init();
+        return super.listCases(filter);
+    }
+
+    async deleteCase(id) {
+        await this.init();
+        const existed = await super.deleteCase(id);
+        if (existed) {
+            this.staleLines += 2;
+            await this.append({ type: 'delete', id });
+        }
+        return existed;
+    }
+
+    async maybeCompact() {
+        if (this.staleLines >= this.compactThreshold) {
+            await this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the file with only live records
+     */
+    async compact() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            const lines = [...this.cases.values()].map(record => JSON.stringify({ type: 'case', case: record }));
+
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+            await fs.promises.rename(tmpPath, this.filePath);
+            this.staleLines = 0;
+        }).catch(error => {
+            console.error(`[CaseStore] Compaction failed: ${error.message}`);
+        });
+        return this.writeQueue;
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+// ==========================================
+// FACTORY
+// ==========================================
+
+const STORE_TYPES = {
+    memory: MemoryCaseStore,
+    jsonl: JsonLinesCaseStore
+};
+
+function createCaseStore(options = {}) {
+    const type = options.type || 'memory';
+    const StoreClass = STORE_TYPES[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown case store type: ${type}`);
+    }
+
+    return new StoreClass(options);
+}
+
+function registerCaseStoreType(type, StoreClass) {
+    STORE_TYPES[type] = StoreClass;
+}
+
+module.exports = {
+    CaseStore,
+    MemoryCaseStore,
+    JsonLinesCaseStore,
+    createCaseStore,
+    registerCaseStoreType
+};
@@ -0,0 +1,400 @@
+/**
+ * OSINT Playground - Cases
+ * Named investigation workspaces. A case groups the scans, graph
+ * entities, analyst notes and exported artifacts of one investigation,
+ * so several investigations can run side by side. Archived cases are
+ * read-only until they are reopened.
+ */
+
+const { MemoryCaseStore } = require('./case-store');
+
+const CASE_STATUSES = ['open', 'archived'];
+
+const LIMITS = {
+    name: 120,
+    description: 4000,
+    note: 20000,
+    artifactName: 200
+};
+
+class CaseValidationError extends Error {
+    constructor(errors, status = 400) {
+        super(`Invalid case input:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'CaseValidationError';
+        this.errors = errors;
+        this.status = status;
+    }
+}
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Check an optional string field, pushing a message for bad values
+ */
+function checkString(errors, value, field, { required = false, max }) {
+    if (value === undefined && !required) return;
+    if (typeof value !== 'string' || (required && !value.trim())) {
+        errors.push(`${field} must be a${required ? ' non-empty' : ''} string`);
+    } else if (value.length > max) {
+        errors.push(`${field} must be at most ${max} characters`);
+    }
+}
+
+/**
+ * List view of a case: counts instead of notes and artifacts
+ */
+function summarizeCase(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        description: record.description,
+        status: record.status,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        archivedAt: record.archivedAt,
+        counts: {
+            scans: record.scans.length,
+            entities: record.entities.length,
+            notes: record.notes.length,
+            artifacts: record.artifacts.length
+        }
+    };
+}
+
+/**
+ * Full case without artifact contents, which are fetched one at a time
+ */
+function describeCase(record) {
+    return {
+        ...record,
+        artifacts: record.artifacts.map(({ content, ...artifact }) => artifact)
+    };
+}
+
+// ==========================================
+// CASE MANAGER
+// ==========================================
+
+class CaseManager {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryCaseStore();
+        this.graph = options.graph || null;
+        this.maxArtifactBytes = options.maxArtifactBytes || 5 * 1024 * 1024;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run writes one at a time so concurrent edits never drop each other
+     */
+    exclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Load, change and save a case. Returns null when it does not exist;
+     * `writable` refuses archived cases.
+     */
+    modify(id, change, { writable = true } = {}) {
+        return this.exclusive(async () => {
+            const stored = await this.store.getCase(id);
+            if (!stored) return null;
+            if (writable && stored.status === 'archived') {
+                throw new CaseValidationError([`case "${id}" is archived; reopen it to make changes`], 409);
+            }
+
+            const record = JSON.parse(JSON.stringify(stored));
+            const value = await change(record);
+            if (value === null) return null;
+
+            record.updatedAt = Date.now();
+            await this.store.saveCase(record);
+            return value === undefined ? record : value;
+        });
+    }
+
+    /**
+     * Open a new case: { name, description? }
+     */
+    async createCase(input) {
+        const { name, description = '' } = input || {};
+        const errors = [];
+        checkString(errors, name, 'name', { required: true, max: LIMITS.name });
+        checkString(errors, description, 'description', { max: LIMITS.description });
+        if (errors.length) throw new CaseValidationError(errors);
+
+        const now = Date.now();
+        const record = {
+            id: generateId('case'),
+            name: name.trim(),
+            description,
+            status: 'open',
+            scans: [],
+            entities: [],
+            notes: [],
+            artifacts: [],
+            createdAt: now,
+            updatedAt: now,
+            archivedAt: null
+        };
+
+        await this.exclusive(() => this.store.saveCase(record));
+        return record;
+    }
+
+    getCase(id) {
+        return this.store.getCase(id);
+    }
+
+    listCases(filter = {}) {
+        return this.store.listCases(filter);
+    }
+
+    /**
+     * Rename, describe, archive or reopen a case: { name?, description?, status? }.
+     * Archived cases only accept a status change.
+     */
+    async updateCase(id, patch) {
+        const { name, description, status } = patch || {};
+        const errors = [];
+        checkString(errors, name, 'name', { required: name !== undefined, max: LIMITS.name });
+        checkString(errors, description, 'description', { max: LIMITS.description });
+        if (status !== undefined && !CASE_STATUSES.includes(status)) {
+            errors.push(`status must be one of ${CASE_STATUSES.join(', ')}`);
+        }
+        if (errors.length) throw new CaseValidationError(errors);
+
+        return this.modify(id, record => {
+            if (record.status === 'archived' && (name !== undefined || description !== undefined) && status !== 'open') {
+                throw new CaseValidationError([`case "${id}" is archived; reopen it to make changes`], 409);
+            }
+
+            if (name !== undefined) record.name = name.trim();
+            if (description !== undefined) record.description = description;
+            if (status !== undefined && status !== record.status) {
+                record.status = status;
+                record.archivedAt = status === 'archived' ? Date.now() : null;
+            }
+        }, { writable: false });
+    }
+
+    archiveCase(id) {
+        return this.updateCase(id, { status: 'archived' });
+    }
+
+    deleteCase(id) {
+        return this.exclusive(() => this.store.deleteCase(id));
+    }
+
+    // ==========================================
+    // SCANS & ENTITIES
+    // ==========================================
+
+    /**
+     * IDs of the graph entities a scan touched (empty while it runs)
+     */
+    async scanEntityIds(scanId) {
+        if (!this.graph) return [];
+        const { items } = await this.graph.listEntities({ scanId, limit: Infinity });
+        return items.map(entity => entity.id);
+    }
+
+    /**
+     * Attach a scan and the entities it has put in the graph so far
+     */
+    async attachScan(id, scanId) {
+        if (typeof scanId !== 'string' || !scanId) {
+            throw new CaseValidationError(['scanId must be a non-empty string']);
+        }
+        const entityIds = await this.scanEntityIds(scanId);
+
+        return this.modify(id, record => {
+            if (!record.scans.includes(scanId)) record.scans.push(scanId);
+            entityIds.forEach(entityId => {
+                if (!record.entities.includes(entityId)) record.entities.push(entityId);
+            });
+        });
+    }
+
+    /**
+     * Detach a scan; its entities stay attached
+     */
+    detachScan(id, scanId) {
+        return this.modify(id, record => {
+            if (!record.scans.includes(scanId)) return null;
+            record.scans = record.scans.filter(attached => attached !== scanId);
+        });
+    }
+
+    /**
+     * Attach a finished scan's entities to every case it belongs to,
+     * archived ones included. Returns the number of cases updated.
+     */
+    async syncScan(scanId) {
+        const { items } = await this.store.listCases({ scanId, limit: Infinity });
+        if (!items.length) return 0;
+
+        const entityIds = await this.scanEntityIds(scanId);
+        for (const { id } of items) {
+            await this.modify(id, record => {
+                entityIds.forEach(entityId => {
+                    if (!record.entities.includes(entityId)) record.entities.push(entityId);
+                });
+            }, { writable: false });
+        }
+        return items.length;
+    }
+
+    async attachEntity(id, entityId) {
+        if (typeof entityId !== 'string' || !entityId) {
+            throw new CaseValidationError(['entityId must be a non-empty string']);
+        }
+        if (this.graph && !(await this.graph.getEntity(entityId))) {
+            throw new CaseValidationError([`entity "${entityId}" does not exist`]);
+        }
+
+        return this.modify(id, record => {
+            if (!record.entities.includes(entityId)) record.entities.push(entityId);
+        });
+    }
+
+    detachEntity(id, entityId) {
+        return this.modify(id, record => {
+            if (!record.entities.includes(entityId)) return null;
+            record.entities = record.entities.filter(attached => attached !== entityId);
+        });
+    }
+
+    /**
+     * The case's entities and the relationships between them. Includes what
+     * its scans found but syncScan() has not recorded yet; entities deleted
+     * from the graph since they were attached are left out.
+     */
+    async getCaseGraph(id) {
+        const record = await this.store.getCase(id);
+        if (!record) return null;
+        if (!this.graph) return { entities: [], relationships: [] };
+
+        const ids = new Set(record.entities);
+        for (const scanId of record.scans) {
+            (await this.scanEntityIds(scanId)).forEach(entityId => ids.add(entityId));
+        }
+        if (!ids.size) return { entities: [], relationships: [] };
+
+        const [entities, relationships] = await Promise.all([
+            this.graph.listEntities({ ids: [...ids], limit: Infinity }),
+            this.graph.listRelationships({ within: [...ids], limit: Infinity })
+        ]);
+        return { entities: entities.items, relationships: relationships.items };
+    }
+
+    // ==========================================
+    // NOTES
+    // ==========================================
+
+    addNote(id, input) {
+        const { text } = input || {};
+        const errors = [];
+        checkString(errors, text, 'text', { required: true, max: LIMITS.note });
+        if (errors.length) return Promise.reject(new CaseValidationError(errors));
+
+        return this.modify(id, record => {
+            const now = Date.now();
+            const note = { id: generateId('note'), text, createdAt: now, updatedAt: now };
+            record.notes.push(note);
+            return note;
+        });
+    }
+
+    updateNote(id, noteId, input) {
+        const { text } = input || {};
+        const errors = [];
+        checkString(errors, text, 'text', { required: true, max: LIMITS.note });
+        if (errors.length) return Promise.reject(new CaseValidationError(errors));
+
+        return this.modify(id, record => {
+            const note = record.notes.find(n => n.id === noteId);
+            if (!note) return null;
+            note.text = text;
+            note.updatedAt = Date.now();
+            return note;
+        });
+    }
+
+    deleteNote(id, noteId) {
+        return this.modify(id, record => {
+            if (!record.notes.some(n => n.id === noteId)) return null;
+            record.notes = record.notes.filter(n => n.id !== noteId);
+        });
+    }
+
+    // ==========================================
+    // ARTIFACTS
+    // ==========================================
+
+    /**
+     * Store an exported file: { name, mediaType?, content }. Non-string
+     * content is saved as JSON.
+     */
+    addArtifact(id, input) {
+        const { name, mediaType } = input || {};
+        let content = input?.content;
+        const errors = [];
+
+        checkString(errors, name, 'name', { required: true, max: LIMITS.artifactName });
+        checkString(errors, mediaType, 'mediaType', { max: 100 });
+        if (content === undefined || content === null) {
+            errors.push('content is required');
+        } else if (typeof content !== 'string') {
+            content = JSON.stringify(content);
+        }
+        const size = typeof content === 'string' ? Buffer.byteLength(content) : 0;
+        if (size > this.maxArtifactBytes) {
+            errors.push(`content must be at most ${this.maxArtifactBytes} bytes`);
+        }
+        if (errors.length) return Promise.reject(new CaseValidationError(errors));
+
+        return this.modify(id, record => {
+            const artifact = {
+                id: generateId('artifact'),
+                name,
+                mediaType: mediaType || (typeof input.content === 'string' ? 'text/plain' : 'application/json'),
+                size,
+                content,
+                createdAt: Date.now()
+            };
+            record.artifacts.push(artifact);
+
+            const { content: omitted, ...listed } = artifact;
+            return listed;
+        });
+    }
+
+    async getArtifact(id, artifactId) {
+        const record = await this.store.getCase(id);
+        return record?.artifacts.find(a => a.id === artifactId) || null;
+    }
+
+    deleteArtifact(id, artifactId) {
+        return this.modify(id, record => {
+            if (!record.artifacts.some(a => a.id === artifactId)) return null;
+            record.artifacts = record.artifacts.filter(a => a.id !== artifactId);
+        });
+    }
+
+    async close() {
+        await this.queue;
+        await this.store.close();
+    }
+}
+
+module.exports = {
+    CASE_STATUSES,
+    CaseManager,
+    CaseValidationError,
+    summarizeCase,
+    describeCase
+};
@@ -4,24 +4,37 @@
  */
 
 const axios = require('axios');
-const cheerio = require('cheerio');
+const crypto = require('crypto');
+const {
+    expandTemplate,
+    isValidUsername,
+    buildProbeRequest,
+    evaluateResponse
+} = require('./platform-catalog');
+const { fingerprintResponse, compareFingerprint } = require('./detection');
 
 class UsernameChecker {
     constructor(options = {}) {
         this.timeout = options.timeout || 10000;
-        this.userAgent = options.userAgent || 
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+        // Fixed User-Agent; by default the outbound HTTP layer rotates one in
+        this.userAgent = options.userAgent || null;
         this.retries = options.retries || 2;
+        
+        // Soft-404 calibration: probe a random username per platform first
+        this.calibrate = options.calibrate || false;
+        this.calibrationTTL = options.calibrationTTL || 3600000;
+        this.calibrations = new Map();
     }
 
     /**
-     * Create axios instance with default config
+     * Create axios instance with default config. Instances inherit the
+     * global adapter, so requests still pass through lib/outbound-http.
      */
     createClient() {
         return axios.create({
             timeout: this.timeout,
             headers: {
-                'User-Agent': this.userAgent,
+                ...(this.userAgent ? { 'User-Agent': this.userAgent } : {}),
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
                 'Accept-Language': 'en-US,en;q=0.5',
                 'Accept-Encoding': 'gzip, deflate',
@@ -34,23 +47,45 @@ class UsernameChecker {
     }
 
     /**
-     * Check if username exists on a platform
+     * Check if username exists on a platform.
+     * Pass { calibrate: true } to compare against a soft-404 baseline.
      */
-    async check(platform, username) {
-        const url = platform.url.replace('{username}', username);
+    async check(platform, username, options = {}) {
+        const calibrate = options.calibrate ?? this.calibrate;
+        const url = expandTemplate(platform.url, username);
         const startTime = Date.now();
+        const base = {
+            platform: platform.name,
+            url: url,
+            category: platform.category,
+            icon: platform.icon,
+            color: platform.color
+        };
+        
+        // Skip platforms whose username rules the query cannot satisfy
+        if (!isValidUsername(platform, username)) {
+            return {
+                ...base,
+                status: 'skipped',
+                reason: 'Username not valid on this platform',
+                responseTime: 0
+            };
+        }
+        
+        const calibration = calibrate && platform.checkMethod !== 'api'
+            ? await this.getCalibration(platform)
+            : null;
         
         let lastError;
         for (let attempt = 0; attempt < this.retries; attempt++) {
             try {
-                const result = await this.performCheck(url, platform);
-                result.responseTime = Date.now() - startTime;
-                result.platform = platform.name;
-                result.url = url;
-                result.category = platform.category;
-                result.icon = platform.icon;
-                result.color = platform.color;
-                return result;
+                const result = await this.performCheck(platform, username, calibration);
+                return {
+                    ...(calibrate && { calibrated: false }),
+                    ...result,
+                    ...base,
+                    responseTime: Date.now() - startTime
+                };
             } catch (error) {
                 lastError = error;
                 await this.sleep(500 * (attempt + 1));
@@ -58,11 +93,7 @@ class UsernameChecker {
         }
         
         return {
-            platform: platform.name,
-            url: url,
-            category: platform.category,
-            icon: platform.icon,
-            color: platform.color,
+            ...base,
             status: 'error',
             error: lastError.message,
             responseTime: Date.now() - startTime
@@ -70,122 +101,121 @@ class UsernameChecker {
     }
 
     /**
-     * Perform the actual check based on platform method
+     * Perform the actual check based on the platform definition
      */
-    async performCheck(url, platform) {
-        const client = this.createClient();
-        const method = platform.checkMethod || 'status';
-        
-        switch (method) {
-            case 'status':
-                return this.checkByStatus(client, url, platform.validStatus || 200);
-            
-            case 'content':
-                return this.checkByContent(client, url, platform.validContent);
-            
-            case 'json':
-                return this.checkByJson(client, url);
-            
-            case 'api':
-                return this.checkByApi(client, url, platform);
-            
-            default:
-                return this.checkByStatus(client, url, 200);
+    async performCheck(platform, username, calibration = null) {
+        if (platform.checkMethod === 'api') {
+            return this.checkByApi(this.createClient(), expandTemplate(platform.url, username), platform, username);
         }
+        
+        return this.checkByProbe(this.createClient(), platform, username, calibration);
     }
 
     /**
-     * Check by HTTP status code
+     * Send the platform's probe request and evaluate the response
+     * with the detection engine (see lib/detection.js)
      */
-    async checkByStatus(client, url, validStatus) {
-        const response = await client.get(url);
-        return {
-            status: response.status === validStatus ? 'found' : 'not-found',
-            httpStatus: response.status
+    async checkByProbe(client, platform, username, calibration = null) {
+        const response = await client.request(buildProbeRequest(platform, username));
+        const verdict = evaluateResponse(platform, response, username);
+        
+        const result = {
+            status: verdict.status,
+            reason: verdict.reason,
+            confidence: verdict.confidence,
+            httpStatus: response.status,
+            ...(verdict.status === 'found' && platform.checkMethod === 'json' && { data: response.data })
         };
+        
+        if (calibration) {
+            this.applyCalibration(result, calibration, fingerprintResponse(response, username));
+        }
+        
+        return result;
     }
 
     /**
-     * Check by page content
+     * Compare a result with the platform's soft-404 baseline. A "found"
+     * response indistinguishable from a random username's is downgraded.
      */
-    async checkByContent(client, url, validContent) {
-        const response = await client.get(url);
+    applyCalibration(result, calibration, fingerprint) {
+        const { matches, differences } = compareFingerprint(calibration.fingerprint, fingerprint);
         
-        if (response.status !== 200) {
-            return { status: 'not-found', httpStatus: response.status };
-        }
+        result.calibrated = true;
+        result.calibration = {
+            probe: calibration.username,
+            baseline: calibration.fingerprint,
+            differences
+        };
         
-        const $ = cheerio.load(response.data);
-        const pageText = $('body').text().toLowerCase();
-        const html = response.data.toLowerCase();
+        if (result.status !== 'found') return;
         
-        // Check for "not found" indicators
-        const notFoundIndicators = [
-            'page not found',
-            'user not found',
-            'account suspended',
-            'account deleted',
-            'profile not found',
-            'this account doesn\'t exist',
-            'this page isn\'t available',
-            'sorry, this page',
-            'nothing here',
-            '404'
+        if (matches) {
+            result.status = 'not-found';
+            result.reason = 'Response matches the soft-404 baseline for a random username';
+            result.confidence = 0.05;
+        } else {
+            const fields = differences.map(d => d.field).join(', ');
+            result.reason = `${result.reason}; differs from soft-404 baseline (${fields})`;
+            result.confidence = Math.min(0.95, Math.round((result.confidence + 0.1 * differences.length) * 100) / 100);
+        }
+    }
+
+    /**
+     * Random username that should not exist, shaped to pass the platform's usernamePattern
+     */
+    generateProbeUsername(platform) {
+        const candidates = [
+            `x${crypto.randomBytes(6).toString('hex')}`,
+            crypto.randomBytes(4).toString('hex').replace(/^[0-9]/, 'q'),
+            `q${crypto.randomBytes(2).toString('hex')}`
         ];
-        
-        const hasNotFoundIndicator = notFoundIndicators.some(indicator => 
-            pageText.includes(indicator) || html.includes(indicator)
-        );
-        
-        if (hasNotFoundIndicator) {
-            return { status: 'not-found', httpStatus: response.status };
+        return candidates.find(candidate => isValidUsername(platform, candidate)) || null;
+    }
+
+    /**
+     * Fingerprint the platform's "not found" response (cached per platform)
+     */
+    async getCalibration(platform) {
+        const cached = this.calibrations.get(platform.name);
+        if (cached && Date.now() - cached.timestamp < this.calibrationTTL) {
+            return cached;
         }
         
-        // Check for valid content if specified
-        if (validContent) {
-            const hasValidContent = html.includes(validContent.toLowerCase());
-            return {
-                status: hasValidContent ? 'found' : 'not-found',
-                httpStatus: response.status
+        const username = this.generateProbeUsername(platform);
+        if (!username) return null;
+        
+        try {
+            const response = await this.createClient().request(buildProbeRequest(platform, username));
+            const calibration = {
+                username,
+                fingerprint: fingerprintResponse(response, username),
+                timestamp: Date.now()
             };
+            this.calibrations.set(platform.name, calibration);
+            return calibration;
+        } catch (error) {
+            return null;
         }
-        
-        return { status: 'found', httpStatus: response.status };
     }
 
     /**
-     * Check by JSON response
+     * Calibrate several platforms up front, e.g. before a batch scan
      */
-    async checkByJson(client, url) {
-        try {
-            const response = await client.get(url, {
-                headers: { 'Accept': 'application/json' }
-            });
-            
-            if (response.status !== 200) {
-                return { status: 'not-found', httpStatus: response.status };
-            }
-            
-            const data = response.data;
-            
-            // Check for error indicators in JSON
-            if (data.error || data.errors || data.message === 'Not Found') {
-                return { status: 'not-found', httpStatus: response.status };
-            }
-            
-            return { status: 'found', httpStatus: response.status, data: data };
-        } catch (error) {
-            if (error.response?.status === 404) {
-                return { status: 'not-found', httpStatus: 404 };
-            }
-            throw error;
+    async calibratePlatforms(platforms, concurrency = 5) {
+        for (let i = 0; i < platforms.length; i += concurrency) {
+            await Promise.all(
+                platforms.slice(i, i + concurrency)
+                    .filter(platform => platform.checkMethod !== 'api')
+                    .map(platform => this.getCalibration(platform))
+            );
         }
     }
 
     /**
      * Check using platform-specific API
      */
-    async checkByApi(client, url, platform) {
+    async checkByApi(client, url, platform, username) {
         // Platform-specific API checks
         const platformName = platform.name.toLowerCase();
         
@@ -196,7 +226,7 @@ class UsernameChecker {
             case 'twitter/x':
                 return this.checkTwitter(url);
             default:
-                return this.checkByStatus(client, url, 200);
+                return this.checkByProbe(client, platform, username);
         }
     }
 
@@ -264,6 +294,10 @@ class UsernameChecker {
         const results = [];
         const batches = [];
         
+        if (this.calibrate) {
+            await this.calibratePlatforms(platforms, concurrency);
+        }
+        
         for (let i = 0; i < platforms.length; i += concurrency) {
             batches.push(platforms.slice(i, i + concurrency));
         }
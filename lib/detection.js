@@ -0,0 +1,286 @@
+/**
+ * OSINT Playground - Profile Detection Engine
+ * Decides whether a probe response means a profile exists by combining
+ * status code, final redirect URL, page title, body markers and content length
+ */
+
+// Generic "not found" phrases used by the content check when a
+// platform does not declare its own errorStrings
+const DEFAULT_ERROR_STRINGS = [
+    'page not found',
+    'user not found',
+    'account suspended',
+    'account deleted',
+    'profile not found',
+    'this account doesn\'t exist',
+    'this page isn\'t available',
+    'does not exist',
+    'profile unavailable'
+];
+
+// Titles that mark a soft-404 page on any platform
+const DEFAULT_ERROR_TITLES = [
+    '404',
+    'not found',
+    'page not found',
+    'error',
+    'oops'
+];
+
+// Responses shorter than this are rarely a real profile page
+const TINY_BODY_LENGTH = 256;
+
+// Log-odds weights for signals that adjust confidence without deciding the verdict
+const WEIGHTS = {
+    status: 0.4,
+    missingStatus: 0.5,
+    validContent: 1.6,
+    json: 1.2,
+    titleUsername: 0.8,
+    bodyUsername: 0.4,
+    bodyNoUsername: -0.4,
+    tinyBody: -0.6
+};
+
+const MIN_CONFIDENCE = 0.05;
+const MAX_CONFIDENCE = 0.95;
+
+function findMarker(text, markers) {
+    return (markers || []).find(marker => text.includes(marker.toLowerCase()));
+}
+
+function extractTitle(html) {
+    const match = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+    return match ? match[1].replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * URL the response was finally served from, after redirects
+ */
+function getFinalUrl(response) {
+    return response.request?.res?.responseUrl || response.request?.responseURL || response.config?.url || null;
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+function getContentLength(response, body) {
+    const header = Number(response.headers?.['content-length']);
+    return Number.isFinite(header) && header > 0 ? header : body.length;
+}
+
+function toConfidence(logit) {
+    const value = 1 / (1 + Math.exp(-logit));
+    return Math.round(Math.min(MAX_CONFIDENCE, Math.max(MIN_CONFIDENCE, value)) * 100) / 100;
+}
+
+function verdict(status, reason, signals, confidence) {
+    return { status, reason, confidence, signals };
+}
+
+/**
+ * Evaluate a probe response for `platform`.
+ *
+ * Decisive signals (status mismatch, error strings, error titles, redirects
+ * away from the profile, missing expected content) settle the verdict;
+ * the remaining signals only move the confidence of a "found" verdict.
+ *
+ * Returns { status: 'found' | 'not-found' | 'unknown', reason, confidence, signals }
+ * where `confidence` is the probability that the profile exists.
+ */
+function detectProfile(platform, response, context = {}) {
+    const method = platform.checkMethod || 'status';
+    const validStatus = platform.validStatus || 200;
+    const username = context.username ? String(context.username).toLowerCase() : null;
+    const data = response.data;
+    const isText = typeof data === 'string';
+    const body = (isText ? data : JSON.stringify(data ?? '')).toLowerCase();
+    const signals = [];
+
+    // Login walls and generic landing pages say nothing about the user
+    const falsePositive = findMarker(body, platform.falsePositiveMarkers);
+    if (falsePositive) {
+        signals.push({ signal: 'falsePositiveMarker', detail: falsePositive });
+        return verdict('unknown', `Matched false-positive marker "${falsePositive}"`, signals, 0.5);
+    }
+
+    // --- Status code ---
+    if (response.status !== validStatus) {
+        signals.push({ signal: 'status', detail: response.status });
+        // With a declared missing code, any other status is inconclusive
+        if (platform.missingStatus && response.status !== platform.missingStatus) {
+            return verdict('unknown', `HTTP ${response.status} (expected ${validStatus} or ${platform.missingStatus})`, signals, 0.5);
+        }
+        return verdict('not-found', `HTTP ${response.status} (expected ${validStatus})`, signals, MIN_CONFIDENCE);
+    }
+
+    let logit = WEIGHTS.status;
+    const positives = [`HTTP ${response.status}`];
+    signals.push({ signal: 'status', detail: response.status, weight: WEIGHTS.status });
+
+    if (platform.missingStatus) {
+        logit += WEIGHTS.missingStatus;
+        signals.push({ signal: 'missingStatus', detail: platform.missingStatus, weight: WEIGHTS.missingStatus });
+    }
+
+    // --- Final redirect URL ---
+    const requestUrl = context.requestUrl;
+    const finalUrl = getFinalUrl(response);
+    if (finalUrl && requestUrl && finalUrl !== requestUrl) {
+        signals.push({ signal: 'redirect', detail: finalUrl });
+
+        if (platform.notFoundRedirect && new RegExp(platform.notFoundRedirect, 'i').test(finalUrl)) {
+            return verdict('not-found', `Redirected to ${finalUrl}`, signals, MIN_CONFIDENCE);
+        }
+        if (username && !safeDecode(finalUrl).toLowerCase().includes(username)) {
+            return verdict('not-found', `Redirected away from the profile to ${finalUrl}`, signals, MIN_CONFIDENCE);
+        }
+    }
+
+    // --- Body markers ---
+    const errorStrings = platform.errorStrings || (method === 'content' ? DEFAULT_ERROR_STRINGS : []);
+    const errorString = findMarker(body, errorStrings);
+    if (errorString) {
+        signals.push({ signal: 'errorString', detail: errorString });
+        return verdict('not-found', `Matched error string "${errorString}"`, signals, MIN_CONFIDENCE);
+    }
+
+    if (method === 'json') {
+        if (!data || typeof data !== 'object' || data.error || data.errors || data.message === 'Not Found') {
+            signals.push({ signal: 'jsonError' });
+            return verdict('not-found', 'JSON response reports an error', signals, MIN_CONFIDENCE);
+        }
+        logit += WEIGHTS.json;
+        positives.push('JSON profile');
+        signals.push({ signal: 'json', weight: WEIGHTS.json });
+    }
+
+    if (platform.validContent) {
+        if (!body.includes(platform.validContent.toLowerCase())) {
+            signals.push({ signal: 'validContentMissing', detail: platform.validContent });
+            return verdict('not-found', `Missing expected content "${platform.validContent}"`, signals, MIN_CONFIDENCE);
+        }
+        logit += WEIGHTS.validContent;
+        positives.push('expected content');
+        signals.push({ signal: 'validContent', detail: platform.validContent, weight: WEIGHTS.validContent });
+    }
+
+    // --- Page title ---
+    const title = isText ? extractTitle(data) : null;
+    if (title) {
+        const lowerTitle = title.toLowerCase();
+        const errorTitle = findMarker(lowerTitle, platform.errorTitles) ||
+            DEFAULT_ERROR_TITLES.find(marker => lowerTitle === marker || lowerTitle.startsWith(`${marker} `) ||
+                lowerTitle.includes(` ${marker} `) || lowerTitle.endsWith(` ${marker}`));
+
+        if (errorTitle && !(username && lowerTitle.includes(username))) {
+            signals.push({ signal: 'errorTitle', detail: title });
+            return verdict('not-found', `Page title "${title}" looks like an error page`, signals, MIN_CONFIDENCE);
+        }
+        if (username && lowerTitle.includes(username)) {
+            logit += WEIGHTS.titleUsername;
+            positives.push('username in title');
+            signals.push({ signal: 'titleUsername', detail: title, weight: WEIGHTS.titleUsername });
+        }
+    }
+
+    // --- Content length ---
+    const length = getContentLength(response, body);
+    if (platform.minContentLength && length < platform.minContentLength) {
+        signals.push({ signal: 'contentLength', detail: length });
+        return verdict('not-found', `Body is ${length} bytes (expected at least ${platform.minContentLength})`, signals, MIN_CONFIDENCE);
+    }
+
+    if (isText && method !== 'json') {
+        if (length < TINY_BODY_LENGTH) {
+            logit += WEIGHTS.tinyBody;
+            signals.push({ signal: 'tinyBody', detail: length, weight: WEIGHTS.tinyBody });
+        }
+        if (username && body.length) {
+            const weight = body.includes(username) ? WEIGHTS.bodyUsername : WEIGHTS.bodyNoUsername;
+            logit += weight;
+            if (weight > 0) positives.push('username in page');
+            signals.push({ signal: weight > 0 ? 'bodyUsername' : 'bodyNoUsername', weight });
+        }
+    }
+
+    return verdict('found', positives.join(', '), signals, toConfidence(logit));
+}
+
+// ==========================================
+// SOFT-404 CALIBRATION
+// ==========================================
+
+// Bodies within this share of the baseline length count as "the same page"
+const LENGTH_TOLERANCE = 0.1;
+const MIN_LENGTH_TOLERANCE = 200;
+
+function maskUsername(value, username) {
+    if (!value || !username) return value;
+    const variants = [username, encodeURIComponent(username)].map(v => v.toLowerCase());
+    let masked = value.toLowerCase();
+    variants.forEach(variant => {
+        masked = masked.split(variant).join('{username}');
+    });
+    return masked;
+}
+
+/**
+ * Summarize a response so it can be compared with responses for other
+ * usernames. The username is masked out of the title and final URL, and
+ * its occurrences are removed from the body length.
+ */
+function fingerprintResponse(response, username) {
+    const data = response.data;
+    const body = typeof data === 'string' ? data : JSON.stringify(data ?? '');
+    const occurrences = username ? body.toLowerCase().split(String(username).toLowerCase()).length - 1 : 0;
+    const title = typeof data === 'string' ? extractTitle(data) : null;
+    const finalUrl = getFinalUrl(response);
+
+    return {
+        status: response.status,
+        length: body.length - occurrences * (username ? String(username).length : 0),
+        title: maskUsername(title, username),
+        redirect: maskUsername(finalUrl, username)
+    };
+}
+
+/**
+ * Compare a response fingerprint with the "not found" baseline captured
+ * for a random username. `matches` is true when nothing tells them apart.
+ */
+function compareFingerprint(baseline, fingerprint) {
+    const differences = [];
+
+    if (baseline.status !== fingerprint.status) {
+        differences.push({ field: 'status', baseline: baseline.status, actual: fingerprint.status });
+    }
+    if (baseline.title !== fingerprint.title) {
+        differences.push({ field: 'title', baseline: baseline.title, actual: fingerprint.title });
+    }
+    if (baseline.redirect !== fingerprint.redirect) {
+        differences.push({ field: 'redirect', baseline: baseline.redirect, actual: fingerprint.redirect });
+    }
+
+    const tolerance = Math.max(MIN_LENGTH_TOLERANCE, baseline.length * LENGTH_TOLERANCE);
+    if (Math.abs(baseline.length - fingerprint.length) > tolerance) {
+        differences.push({ field: 'length', baseline: baseline.length, actual: fingerprint.length });
+    }
+
+    return { matches: differences.length === 0, differences };
+}
+
+module.exports = {
+    DEFAULT_ERROR_STRINGS,
+    DEFAULT_ERROR_TITLES,
+    detectProfile,
+    fingerprintResponse,
+    compareFingerprint,
+    extractTitle,
+    getFinalUrl
+};
@@ -0,0 +1,279 @@
+/**
+ * OSINT Playground - Email Discovery
+ * Infers an organization's address pattern from known samples, generates
+ * candidates for a person and validates them without talking SMTP
+ * (syntax, MX lookup, disposable domains, role accounts)
+ */
+
+const dns = require('dns');
+const path = require('path');
+
+const DEFAULT_DISPOSABLE_PATH = path.join(__dirname, '..', 'config', 'disposable-domains.json');
+
+/**
+ * Local-part patterns, most common first. The prior is the share of
+ * organizations using the pattern and ranks candidates when no samples exist.
+ */
+const EMAIL_PATTERNS = [
+    { pattern: '{first}.{last}', prior: 0.30 },
+    { pattern: '{f}{last}', prior: 0.20 },
+    { pattern: '{first}', prior: 0.12 },
+    { pattern: '{first}{last}', prior: 0.10 },
+    { pattern: '{first}_{last}', prior: 0.05 },
+    { pattern: '{f}.{last}', prior: 0.05 },
+    { pattern: '{first}{l}', prior: 0.04 },
+    { pattern: '{last}', prior: 0.03 },
+    { pattern: '{last}.{first}', prior: 0.03 },
+    { pattern: '{last}{f}', prior: 0.02 },
+    { pattern: '{first}-{last}', prior: 0.02 },
+    { pattern: '{last}{first}', prior: 0.02 },
+    { pattern: '{f}{l}', prior: 0.01 },
+    { pattern: '{first}.{l}', prior: 0.01 }
+];
+
+// Shared mailboxes that do not belong to a person
+const ROLE_ACCOUNTS = [
+    'abuse', 'admin', 'administrator', 'billing', 'careers', 'contact', 'help',
+    'hello', 'hostmaster', 'hr', 'info', 'jobs', 'marketing', 'media', 'no-reply',
+    'noreply', 'office', 'postmaster', 'press', 'privacy', 'sales', 'security',
+    'support', 'team', 'webmaster'
+];
+
+// Practical subset of RFC 5322: dot-atom local part, hostname domain with a TLD
+const EMAIL_REGEX = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+let disposableDomains = null;
+
+/**
+ * Disposable provider list from config/disposable-domains.json (loaded once)
+ */
+function loadDisposableDomains() {
+    if (!disposableDomains) {
+        disposableDomains = new Set(require(DEFAULT_DISPOSABLE_PATH).domains);
+    }
+    return disposableDomains;
+}
+
+// ==========================================
+// PATTERNS
+// ==========================================
+
+/**
+ * Lowercase ASCII form of a name part: "Zoë-Anne" -> "zoeanne"
+ */
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+function applyPattern(pattern, firstName, lastName) {
+    const first = normalizeName(firstName);
+    const last = normalizeName(lastName);
+    if (!first || (pattern.includes('{l') && !last)) return null;
+
+    return pattern
+        .replace('{first}', first)
+        .replace('{last}', last)
+        .replace('{f}', first[0])
+        .replace('{l}', last[0] || '');
+}
+
+/**
+ * Accept samples as { email, firstName, lastName } or in Hunter's
+ * domain-search shape { value, first_name, last_name }
+ */
+function normalizeSample(sample) {
+    if (typeof sample === 'string') return { email: sample.toLowerCase() };
+    return {
+        email: String(sample.email || sample.value || '').toLowerCase(),
+        firstName: sample.firstName || sample.first_name,
+        lastName: sample.lastName || sample.last_name
+    };
+}
+
+/**
+ * Infer the address pattern used at `domain` from known addresses.
+ * Only samples with a name can be attributed to a pattern. Returns the
+ * patterns seen, best first, as { pattern, matches, confidence }.
+ */
+function inferPattern(samples, domain, options = {}) {
+    const counts = new Map();
+    let attributed = 0;
+
+    samples.map(normalizeSample).forEach(sample => {
+        const [local, sampleDomain] = sample.email.split('@');
+        if (!local || (domain && sampleDomain !== domain.toLowerCase())) return;
+        if (!sample.firstName) return;
+
+        const matched = EMAIL_PATTERNS.filter(({ pattern }) =>
+            applyPattern(pattern, sample.firstName, sample.lastName) === local
+        );
+        if (!matched.length) return;
+
+        attributed++;
+        // Ambiguous samples (one-letter names, "{first}" vs "{first}{l}") share the credit
+        matched.forEach(({ pattern }) => {
+            counts.set(pattern, (counts.get(pattern) || 0) + 1 / matched.length);
+        });
+    });
+
+    // A pattern reported by Hunter counts as one extra sample
+    if (options.hint && EMAIL_PATTERNS.some(p => p.pattern === options.hint)) {
+        counts.set(options.hint, (counts.get(options.hint) || 0) + 1);
+        attributed++;
+    }
+
+    return [...counts.entries()]
+        .map(([pattern, matches]) => ({
+            pattern,
+            matches: Math.round(matches * 100) / 100,
+            // Laplace smoothing keeps one sample from claiming certainty
+            confidence: Math.round(((matches + 1) / (attributed + 2)) * 100) / 100
+        }))
+        .sort((a, b) => b.matches - a.matches);
+}
+
+/**
+ * Candidate addresses for a person at `domain`. Inferred patterns rank
+ * first, then the remaining patterns by prior.
+ */
+function generateCandidates({ firstName, lastName, domain }, inferred = [], options = {}) {
+    const limit = options.limit || EMAIL_PATTERNS.length;
+    const lowerDomain = String(domain || '').toLowerCase();
+    const seen = new Set();
+    const candidates = [];
+
+    const add = (pattern, confidence, source) => {
+        const local = applyPattern(pattern, firstName, lastName);
+        if (!local) return;
+
+        const email = `${local}@${lowerDomain}`;
+        if (seen.has(email)) return;
+        seen.add(email);
+        candidates.push({ email, pattern, confidence: Math.round(confidence * 100) / 100, source });
+    };
+
+    inferred.forEach(({ pattern, confidence }) => add(pattern, confidence, 'inferred'));
+
+    // Without samples the prior is all we have; with samples it is discounted
+    const discount = inferred.length ? 0.5 : 1;
+    EMAIL_PATTERNS.forEach(({ pattern, prior }) => add(pattern, prior * discount, 'common'));
+
+    return candidates.slice(0, limit);
+}
+
+// ==========================================
+// VALIDATION
+// ==========================================
+
+function checkSyntax(email) {
+    if (typeof email !== 'string' || email.length > 254) return false;
+    const [local] = email.split('@');
+    return local.length <= 64 && EMAIL_REGEX.test(email);
+}
+
+function isRoleAccount(email) {
+    const local = email.split('@')[0].toLowerCase().split('+')[0];
+    return ROLE_ACCOUNTS.includes(local);
+}
+
+function isDisposable(domain) {
+    const domains = loadDisposableDomains();
+    const parts = domain.toLowerCase().split('.');
+    // Match subdomains of listed providers too
+    return parts.some((_, i) => domains.has(parts.slice(i).join('.')));
+}
+
+/**
+ * Look up MX records for a domain. Falls back to A records (the implicit
+ * MX of RFC 5321) so domains that accept mail without MX are not rejected.
+ */
+async function checkMx(domain, options = {}) {
+    const resolver = options.resolver || dns.promises;
+
+    try {
+        const records = await resolver.resolveMx(domain);
+        if (records.length) {
+            return {
+                found: true,
+                implicit: false,
+                records: records.sort((a, b) => a.priority - b.priority).map(r => r.exchange)
+            };
+        }
+    } catch (error) {
+        if (!['ENODATA', 'ENOTFOUND'].includes(error.code)) {
+            return { found: null, error: error.code || error.message, records: [] };
+        }
+    }
+
+    try {
+        const addresses = await resolver.resolve4(domain);
+        return { found: addresses.length > 0, implicit: true, records: addresses.length ? [domain] : [] };
+    } catch (error) {
+        return { found: false, implicit: false, records: [] };
+    }
+}
+
+/**
+ * Validate a domain once for all of its candidates
+ */
+async function validateDomain(domain, options = {}) {
+    return {
+        domain,
+        disposable: isDisposable(domain),
+        mx: options.mx === false ? null : await checkMx(domain, options)
+    };
+}
+
+/**
+ * Offline-friendly validation of one address. `status` is:
+ *   invalid  - bad syntax or a domain that cannot receive mail
+ *   risky    - deliverable domain but disposable or a role account
+ *   valid    - nothing against it (SMTP is never contacted)
+ *   unknown  - DNS could not be checked
+ */
+function validateEmail(email, domainCheck) {
+    const reasons = [];
+    const syntax = checkSyntax(email);
+    const role = syntax && isRoleAccount(email);
+
+    if (!syntax) reasons.push('Invalid syntax');
+    if (domainCheck.mx?.found === false) reasons.push('Domain has no mail server');
+    if (domainCheck.disposable) reasons.push('Disposable email provider');
+    if (role) reasons.push('Role account');
+
+    let status = 'valid';
+    if (!syntax || domainCheck.mx?.found === false) status = 'invalid';
+    else if (domainCheck.disposable || role) status = 'risky';
+    else if (!domainCheck.mx || domainCheck.mx.found === null) status = 'unknown';
+
+    return {
+        status,
+        checks: {
+            syntax,
+            mx: domainCheck.mx?.found ?? null,
+            disposable: domainCheck.disposable,
+            role
+        },
+        reasons
+    };
+}
+
+module.exports = {
+    EMAIL_PATTERNS,
+    ROLE_ACCOUNTS,
+    loadDisposableDomains,
+    normalizeName,
+    applyPattern,
+    inferPattern,
+    generateCandidates,
+    checkSyntax,
+    isRoleAccount,
+    isDisposable,
+    checkMx,
+    validateDomain,
+    validateEmail
+};
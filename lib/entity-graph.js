@@ -0,0 +1,674 @@
+/**
+ * OSINT Playground - Entity Graph
+ * Typed entities (people, accounts, emails, domains, ...) and typed
+ * relationships shared by every scan. An entity's ID derives from its
+ * identifying attributes, so the same email found by two scans is one
+ * entity, and every attribute value keeps the sources that reported it.
+ */
+
+const crypto = require('crypto');
+const { normalizeTarget } = require('./scan-profiles');
+const { normalizeUrl } = require('./identity-resolution');
+const { MemoryEntityStore } = require('./entity-store');
+
+// Observations kept per attribute; the oldest are dropped first
+const MAX_OBSERVATIONS = 20;
+
+// Scans remembered per entity or relationship (most recent)
+const MAX_SCANS = 50;
+
+const MANUAL_ORIGIN = { source: 'manual', confidence: 1 };
+
+const text = value => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Validated, normalized value of a scan target kind, or ''
+function targetKey(type, value) {
+    try {
+        return normalizeTarget({ type, value: String(value ?? '').trim() }).queries[type];
+    } catch {
+        return '';
+    }
+}
+
+// ==========================================
+// TYPES
+// ==========================================
+
+/**
+ * Entity types: `key` builds the identifying key from attributes ('' when
+ * they do not identify an entity), `label` the display name.
+ * A manual `label` attribute overrides the generated one.
+ */
+const ENTITY_TYPES = {
+    person: {
+        name: 'Person',
+        requires: 'name',
+        key: a => text(a.name),
+        label: a => a.name
+    },
+    username: {
+        name: 'Username',
+        requires: 'username',
+        key: a => targetKey('username', a.username).toLowerCase(),
+        label: a => a.username
+    },
+    email: {
+        name: 'Email',
+        requires: 'email',
+        key: a => targetKey('email', a.email),
+        label: a => a.email
+    },
+    domain: {
+        name: 'Domain',
+        requires: 'domain',
+        key: a => targetKey('domain', a.domain),
+        label: a => a.domain
+    },
+    ip: {
+        name: 'IP Address',
+        requires: 'ip',
+        key: a => targetKey('ip', a.ip).toLowerCase(),
+        label: a => a.ip
+    },
+    organization: {
+        name: 'Organization',
+        requires: 'name',
+        key: a => text(a.name),
+        label: a => a.name
+    },
+    location: {
+        name: 'Location',
+        requires: 'name',
+        key: a => text(a.name),
+        label: a => a.name
+    },
+    account: {
+        name: 'Account',
+        requires: 'platform and username, or url',
+        key: a => (a.platform && a.username ? `${text(a.platform)}:${text(a.username)}` : normalizeUrl(a.url || '') || ''),
+        label: a => (a.platform && a.username ? `${a.platform}: ${a.username}` : a.url)
+    },
+    breach: {
+        name: 'Breach',
+        requires: 'name',
+        key: a => text(a.name),
+        label: a => a.title || a.name
+    },
+    document: {
+        name: 'Document',
+        requires: 'url',
+        key: a => normalizeUrl(a.url || '') || '',
+        label: a => a.title || a.url
+    }
+};
+
+const ALL_TYPES = Object.keys(ENTITY_TYPES);
+
+/**
+ * Relationship types and the entity types each may connect
+ */
+const RELATIONSHIP_TYPES = {
+    has_account: { from: ['person', 'username', 'email', 'organization'], to: ['account'] },
+    has_username: { from: ['person', 'account'], to: ['username'] },
+    has_email: { from: ['person', 'account', 'domain', 'organization'], to: ['email'] },
+    owns_domain: { from: ['person', 'organization', 'email', 'account'], to: ['domain'] },
+    resolves_to: { from: ['domain'], to: ['ip'] },
+    located_at: { from: ['person', 'account', 'organization', 'ip'], to: ['location'] },
+    works_at: { from: ['person', 'account'], to: ['organization'] },
+    exposed_in: { from: ['email', 'username', 'account'], to: ['breach'] },
+    verified_identity: { from: ['account'], to: ['account', 'domain'] },
+    linked_account: { from: ['account'], to: ['account'] },
+    authored: { from: ['person', 'account', 'organization'], to: ['document'] },
+    mentioned_in: { from: ALL_TYPES, to: ['document'] },
+    same_as: { from: ALL_TYPES, to: ALL_TYPES },
+    related_to: { from: ALL_TYPES, to: ALL_TYPES }
+};
+
+/**
+ * Raised for an invalid entity or relationship; `errors` lists every problem
+ */
+class EntityValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid entity graph input:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'EntityValidationError';
+        this.errors = errors;
+        this.status = 400;
+    }
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Stable ID of the entity `attributes` identify, or null
+ */
+function entityIdFor(type, attributes = {}) {
+    const key = ENTITY_TYPES[type]?.key(attributes);
+    return key ? `${type}-${hash(`${type}:${key}`)}` : null;
+}
+
+function relationshipIdFor(source, type, target) {
+    return `rel-${hash(`${source}|${type}|${target}`)}`;
+}
+
+// Entity IDs start with their type
+function typeOfId(id) {
+    return String(id).split('-')[0];
+}
+
+function allows(type, fromType, toType) {
+    const rule = RELATIONSHIP_TYPES[type];
+    return Boolean(rule && rule.from.includes(fromType) && rule.to.includes(toType));
+}
+
+// ==========================================
+// PROVENANCE
+// ==========================================
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+}
+
+function originOf(origin) {
+    const entry = { source: origin.source, confidence: origin.confidence ?? null, observedAt: Date.now() };
+    if (origin.scanId) entry.scanId = origin.scanId;
+    if (origin.resultId) entry.resultId = origin.resultId;
+    return entry;
+}
+
+// Most confident observation, the latest on ties
+function bestObservation(observations) {
+    return observations.reduce((best, observation) => {
+        const a = observation.confidence ?? 0;
+        const b = best.confidence ?? 0;
+        return a > b || (a === b && observation.observedAt >= best.observedAt) ? observation : best;
+    });
+}
+
+/**
+ * Record that `origin` reported `value` for attribute `name`, then make
+ * the best observation the attribute's value
+ */
+function observe(entity, name, value, origin) {
+    const observations = entity.provenance[name] || (entity.provenance[name] = []);
+    const serialized = JSON.stringify(value);
+    const entry = originOf(origin);
+    const existing = observations.find(o => o.source === entry.source && o.scanId === entry.scanId && JSON.stringify(o.value) === serialized);
+
+    if (existing) {
+        Object.assign(existing, entry, { confidence: Math.max(existing.confidence ?? 0, entry.confidence ?? 0) });
+    } else {
+        observations.push({ value, ...entry });
+        if (observations.length > MAX_OBSERVATIONS) observations.splice(0, observations.length - MAX_OBSERVATIONS);
+    }
+
+    entity.attributes[name] = bestObservation(observations).value;
+}
+
+function trackScan(record, scanId) {
+    if (!scanId) return;
+    record.scans = [...(record.scans || []).filter(id => id !== scanId), scanId].slice(-MAX_SCANS);
+}
+
+function refresh(entity) {
+    const type = ENTITY_TYPES[entity.type];
+    entity.label = String(entity.attributes.label || type.label(entity.attributes) || entity.key);
+    const confidences = Object.values(entity.provenance).flat().map(o => o.confidence ?? 0);
+    entity.confidence = confidences.length ? Math.max(...confidences) : null;
+    entity.updatedAt = Date.now();
+    return entity;
+}
+
+// ==========================================
+// SCAN MAPPING
+// ==========================================
+
+const ACCOUNT_FIELDS = ['username', 'url', 'displayName', 'bio', 'avatar', 'followers', 'following',
+    'publicRepos', 'karma', 'createdAt', 'verified'];
+
+const REPUTATION_FIELDS = ['abuseScore', 'totalReports', 'lastReportedAt', 'malicious', 'suspicious', 'harmless',
+    'reputation', 'severity', 'isp', 'usageType', 'country'];
+
+// Keybase proofs of these types name a domain; the rest name an account
+const DOMAIN_PROOFS = ['dns', 'generic_web_site'];
+
+// Relationship from a result's entity to a lead followed from it
+const PIVOT_RELATIONSHIPS = {
+    email: 'has_email',
+    username: 'has_username',
+    domain: 'owns_domain',
+    ip: 'resolves_to'
+};
+
+function pick(source, fields, extra = {}) {
+    const attributes = { ...extra };
+    fields.forEach(field => {
+        if (!isEmpty(source[field])) attributes[field] = source[field];
+    });
+    return attributes;
+}
+
+/**
+ * Entity observations and relationships a finished scan contributes:
+ * { entities: [{ type, attributes, origin }], relationships: [{ type,
+ * source, target, origin }], resultEntities: Map(resultId -> entityId) }.
+ * Results attach to the scan target, or to the lead a pivot followed.
+ */
+function scanToGraph(scan) {
+    const entities = [];
+    const relationships = [];
+    const resultEntities = new Map();
+    const scanOrigin = { source: 'scan', scanId: scan.id, confidence: 1 };
+
+    const add = (type, attributes, origin) => {
+        const id = entityIdFor(type, attributes);
+        if (id) entities.push({ type, attributes, origin });
+        return id;
+    };
+
+    // Unsupported pairs fall back to a generic edge
+    const link = (type, source, target, origin) => {
+        if (!source || !target || source === target) return;
+        const allowed = allows(type, typeOfId(source), typeOfId(target));
+        relationships.push({ type: allowed ? type : 'related_to', source, target, origin });
+    };
+
+    // Scan subject
+    const target = scan.target;
+    let subject;
+    if (!target) {
+        subject = add('username', { username: scan.query }, scanOrigin);
+    } else if (target.type === 'person' || target.type === 'organization') {
+        subject = add(target.type, { name: target.name || target.label }, scanOrigin);
+        link('owns_domain', subject, add('domain', { domain: target.queries.domain }, scanOrigin), scanOrigin);
+        link('located_at', subject, add('location', { name: target.queries.location }, scanOrigin), scanOrigin);
+    } else {
+        subject = add(target.type, { [target.type]: target.queries[target.type] }, scanOrigin);
+    }
+
+    const pivots = new Map((scan.pivots || []).map(pivot => [pivot.id, pivot]));
+    const leadOf = pivot => add(pivot.type, { [pivot.type]: pivot.value }, { ...scanOrigin, confidence: null });
+
+    (scan.results || []).forEach(result => {
+        const origin = { source: result.source, scanId: scan.id, resultId: result.id, confidence: result.confidence };
+        const pivot = result.pivot && pivots.get(result.pivot.id);
+        const anchor = pivot ? leadOf(pivot) : subject;
+        let main = null;
+
+        switch (result.type) {
+            case 'profile':
+            case 'potential': {
+                main = add('account', pick(result, ACCOUNT_FIELDS, { platform: result.platform || result.source }), origin);
+                link('has_account', anchor, main, origin);
+                link('has_email', main, add('email', { email: result.email }, origin), origin);
+                link('located_at', main, add('location', { name: result.location }, origin), origin);
+                link('works_at', main, add('organization', { name: String(result.company || '').replace(/^@/, '') }, origin), origin);
+
+                (result.proofs || []).forEach(proof => {
+                    const proven = DOMAIN_PROOFS.includes(proof.proof_type)
+                        ? add('domain', { domain: proof.nametag }, origin)
+                        : add('account', { platform: proof.proof_type, username: proof.nametag, url: proof.service_url }, origin);
+                    link('verified_identity', main, proven, origin);
+                });
+                (result.accounts || []).forEach(account => {
+                    link('linked_account', main, add('account', pick(account, ['platform', 'username', 'url']), origin), origin);
+                });
+                break;
+            }
+
+            case 'repository':
+                main = add('document', pick(result, ['url', 'description', 'language', 'stars'], { title: result.name }), origin);
+                link('authored', add('account', { platform: result.source, username: result.parentUsername }, origin) || anchor, main, origin);
+                break;
+
+            case 'search':
+                main = add('document', pick(result, ['url', 'title', 'description']), origin);
+                link('mentioned_in', anchor, main, origin);
+                break;
+
+            case 'breach':
+                main = add('breach', pick(result, ['title', 'domain', 'breachDate', 'dataClasses'], { name: result.breach }), origin);
+                link('exposed_in', anchor, main, origin);
+                break;
+
+            case 'dns':
+                main = add('domain', pick(result, ['domain', 'records', 'mailServers']), origin);
+                (result.ips || []).forEach(ip => link('resolves_to', main, add('ip', { ip }, origin), origin));
+                break;
+
+            case 'domain':
+                main = add('domain', pick(result, ['domain', 'pattern']), origin);
+                link('owns_domain', add('organization', { name: result.organization }, origin), main, origin);
+                (result.emails || []).forEach(email => {
+                    link('has_email', main, add('email', { email: email?.value || email }, origin), origin);
+                });
+                break;
+
+            case 'email':
+                main = add('email', pick(result, ['email', 'status', 'score', 'disposable', 'webmail']), origin);
+                break;
+
+            case 'infrastructure':
+                main = add('ip', pick(result, ['ip', 'hostnames', 'ports', 'vulns', 'org', 'isp', 'country', 'city']), origin);
+                link('located_at', main, add('location', { name: [result.city, result.country].filter(Boolean).join(', ') }, origin), origin);
+                break;
+
+            case 'reputation':
+                main = result.ip
+                    ? add('ip', pick(result, REPUTATION_FIELDS, { ip: result.ip }), origin)
+                    : add('domain', pick(result, REPUTATION_FIELDS, { domain: result.domain }), origin);
+                break;
+
+            case 'location':
+                main = add('location', pick(result, ['lat', 'lng', 'placeType', 'url'], { name: result.label }), origin);
+                link('located_at', anchor, main, origin);
+                break;
+        }
+
+        if (main) {
+            resultEntities.set(result.id, main);
+            // Entities of the target's own kind (DNS, reputation) are the anchor itself
+            if (!relationships.some(r => r.origin === origin && (r.source === main || r.target === main))) {
+                link('related_to', anchor, main, origin);
+            }
+        }
+    });
+
+    // Edges from the result a lead was found in to the lead
+    pivots.forEach(pivot => {
+        link(PIVOT_RELATIONSHIPS[pivot.type], resultEntities.get(pivot.parentId), leadOf(pivot), { ...scanOrigin, confidence: null });
+    });
+
+    // Profiles identity resolution found to be the same person
+    (scan.identities || []).forEach(identity => {
+        const [first, ...rest] = identity.members.map(member => resultEntities.get(member.resultId)).filter(Boolean);
+        const origin = { source: 'identity-resolution', scanId: scan.id, confidence: identity.confidence };
+        rest.forEach(id => link('same_as', first, id, origin));
+    });
+
+    return { entities, relationships, resultEntities };
+}
+
+// ==========================================
+// ENTITY GRAPH
+// ==========================================
+
+class EntityGraph {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryEntityStore();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run writes one at a time so concurrent merges never drop observations
+     */
+    exclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Validate `{ type, attributes, label }` and return its ID and key
+     */
+    identify(input) {
+        const errors = [];
+        const { type, attributes, label } = input || {};
+
+        if (!ENTITY_TYPES[type]) {
+            throw new EntityValidationError([`type must be one of ${ALL_TYPES.join(', ')}`]);
+        }
+        if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+            errors.push('attributes must be an object');
+        } else if (!entityIdFor(type, attributes)) {
+            errors.push(`${type} entities need ${ENTITY_TYPES[type].requires}`);
+        }
+        if (label !== undefined && typeof label !== 'string') {
+            errors.push('label must be a string');
+        }
+        if (errors.length) throw new EntityValidationError(errors);
+
+        return { id: entityIdFor(type, attributes), key: ENTITY_TYPES[type].key(attributes) };
+    }
+
+    /**
+     * Create an entity or merge into the one with the same identity.
+     * Resolves with { entity, created }.
+     */
+    upsertEntity(input, origin = MANUAL_ORIGIN) {
+        return this.exclusive(() => this.mergeEntity(input, origin));
+    }
+
+    async mergeEntity(input, origin) {
+        const { id, key } = this.identify(input);
+        const stored = await this.store.getEntity(id);
+        const now = Date.now();
+        const entity = stored ? JSON.parse(JSON.stringify(stored)) : {
+            id,
+            type: input.type,
+            key,
+            label: key,
+            attributes: {},
+            provenance: {},
+            confidence: null,
+            scans: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const attributes = input.label ? { ...input.attributes, label: input.label } : input.attributes;
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (!isEmpty(value)) observe(entity, name, value, origin);
+        });
+        trackScan(entity, origin.scanId);
+
+        await this.store.saveEntity(refresh(entity));
+        return { entity, created: !stored };
+    }
+
+    getEntity(id) {
+        return this.store.getEntity(id);
+    }
+
+    listEntities(filter = {}) {
+        return this.store.listEntities(filter);
+    }
+
+    /**
+     * Apply manual attribute values; null removes an attribute. Attributes
+     * that identify the entity cannot change. Resolves null if not found.
+     */
+    updateEntity(id, patch = {}) {
+        return this.exclusive(async () => {
+            const stored = await this.store.getEntity(id);
+            if (!stored) return null;
+
+            const { attributes = {}, label } = patch;
+            if (typeof attributes !== 'object' || Array.isArray(attributes) || attributes === null) {
+                throw new EntityValidationError(['attributes must be an object']);
+            }
+            if (label !== undefined && label !== null && typeof label !== 'string') {
+                throw new EntityValidationError(['label must be a string']);
+            }
+
+            const entity = JSON.parse(JSON.stringify(stored));
+            const changes = label === undefined ? attributes : { ...attributes, label };
+            Object.entries(changes).forEach(([name, value]) => {
+                if (value === null) {
+                    delete entity.attributes[name];
+                    delete entity.provenance[name];
+                } else if (!isEmpty(value)) {
+                    observe(entity, name, value, MANUAL_ORIGIN);
+                }
+            });
+
+            if (ENTITY_TYPES[entity.type].key(entity.attributes) !== entity.key) {
+                throw new EntityValidationError([`attributes that identify the ${entity.type} (${ENTITY_TYPES[entity.type].requires}) cannot change`]);
+            }
+
+            await this.store.saveEntity(refresh(entity));
+            return entity;
+        });
+    }
+
+    /**
+     * Delete an entity and every relationship touching it.
+     * Resolves { id, relationships } or null if not found.
+     */
+    deleteEntity(id) {
+        return this.exclusive(async () => {
+            if (!(await this.store.getEntity(id))) return null;
+
+            const { items } = await this.store.listRelationships({ entity: id, limit: Infinity });
+            for (const relationship of items) {
+                await this.store.deleteRelationship(relationship.id);
+            }
+            await this.store.deleteEntity(id);
+            return { id, relationships: items.length };
+        });
+    }
+
+    /**
+     * Create a relationship `{ type, source, target, attributes }` between
+     * existing entities or merge into the same one. Resolves { relationship, created }.
+     */
+    upsertRelationship(input, origin = MANUAL_ORIGIN) {
+        return this.exclusive(() => this.mergeRelationship(input, origin));
+    }
+
+    async mergeRelationship(input, origin) {
+        const { type, source, target, attributes = {} } = input || {};
+        const errors = [];
+
+        if (!RELATIONSHIP_TYPES[type]) {
+            throw new EntityValidationError([`type must be one of ${Object.keys(RELATIONSHIP_TYPES).join(', ')}`]);
+        }
+        const [from, to] = await Promise.all([this.store.getEntity(source), this.store.getEntity(target)]);
+        if (!from) errors.push(`source entity "${source}" does not exist`);
+        if (!to) errors.push(`target entity "${target}" does not exist`);
+        if (source === target) errors.push('source and target must differ');
+        if (typeof attributes !== 'object' || Array.isArray(attributes) || attributes === null) {
+            errors.push('attributes must be an object');
+        }
+        if (from && to && !allows(type, from.type, to.type)) {
+            errors.push(`${type} cannot connect ${from.type} to ${to.type}`);
+        }
+        if (errors.length) throw new EntityValidationError(errors);
+
+        const id = relationshipIdFor(source, type, target);
+        const stored = await this.store.getRelationship(id);
+        const now = Date.now();
+        const relationship = stored ? JSON.parse(JSON.stringify(stored)) : {
+            id,
+            type,
+            source,
+            target,
+            attributes: {},
+            provenance: [],
+            confidence: null,
+            scans: [],
+            createdAt: now
+        };
+
+        Object.assign(relationship.attributes, attributes);
+        const entry = originOf(origin);
+        relationship.provenance = relationship.provenance
+            .filter(o => !(o.source === entry.source && o.scanId === entry.scanId && o.resultId === entry.resultId))
+            .concat(entry)
+            .slice(-MAX_OBSERVATIONS);
+        relationship.confidence = Math.max(...relationship.provenance.map(o => o.confidence ?? 0));
+        relationship.updatedAt = now;
+        trackScan(relationship, origin.scanId);
+
+        await this.store.saveRelationship(relationship);
+        return { relationship, created: !stored };
+    }
+
+    getRelationship(id) {
+        return this.store.getRelationship(id);
+    }
+
+    listRelationships(filter = {}) {
+        return this.store.listRelationships(filter);
+    }
+
+    /**
+     * Replace attribute values (null removes one); resolves null if not found
+     */
+    updateRelationship(id, patch = {}) {
+        return this.exclusive(async () => {
+            const stored = await this.store.getRelationship(id);
+            if (!stored) return null;
+
+            const { attributes } = patch;
+            if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+                throw new EntityValidationError(['attributes must be an object']);
+            }
+
+            const relationship = JSON.parse(JSON.stringify(stored));
+            Object.entries(attributes).forEach(([name, value]) => {
+                if (value === null) delete relationship.attributes[name];
+                else relationship.attributes[name] = value;
+            });
+            relationship.updatedAt = Date.now();
+
+            await this.store.saveRelationship(relationship);
+            return relationship;
+        });
+    }
+
+    deleteRelationship(id) {
+        return this.exclusive(() => this.store.deleteRelationship(id));
+    }
+
+    /**
+     * Merge a finished scan into the graph and tag each mapped result with
+     * its entityId. Resolves { entities, relationships } (distinct counts).
+     */
+    ingestScan(scan) {
+        return this.exclusive(async () => {
+            const { entities, relationships, resultEntities } = scanToGraph(scan);
+
+            for (const { type, attributes, origin } of entities) {
+                await this.mergeEntity({ type, attributes }, origin);
+            }
+            for (const { origin, ...relationship } of relationships) {
+                await this.mergeRelationship(relationship, origin);
+            }
+
+            scan.results.forEach(result => {
+                if (resultEntities.has(result.id)) result.entityId = resultEntities.get(result.id);
+            });
+
+            return {
+                entities: new Set(entities.map(e => entityIdFor(e.type, e.attributes))).size,
+                relationships: new Set(relationships.map(r => relationshipIdFor(r.source, r.type, r.target))).size
+            };
+        });
+    }
+
+    close() {
+        return this.store.close();
+    }
+}
+
+/**
+ * Entity and relationship types for clients
+ */
+function describeEntityTypes() {
+    return {
+        entities: ALL_TYPES.map(type => ({ type, name: ENTITY_TYPES[type].name, requires: ENTITY_TYPES[type].requires })),
+        relationships: Object.entries(RELATIONSHIP_TYPES).map(([type, rule]) => ({ type, from: rule.from, to: rule.to }))
+    };
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    RELATIONSHIP_TYPES,
+    EntityGraph,
+    EntityValidationError,
+    entityIdFor,
+    scanToGraph,
+    describeEntityTypes
+};
@@ -0,0 +1,364 @@
+/**
+ * OSINT Playground - Entity Store
+ * Pluggable persistence for the entity graph (lib/entity-graph.js).
+ * Ships with an in-memory store and an append-only JSON-lines file store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// STORE INTERFACE
+// ==========================================
+
+/**
+ * Base store interface. Custom stores extend this and implement every
+ * method; all methods are async. Entities and relationships are saved
+ * whole, already merged by the graph.
+ */
+class EntityStore {
+    async saveEntity(entity) {
+        throw new Error('saveEntity() must be implemented');
+    }
+
+    async getEntity(id) {
+        throw new Error('getEntity() must be implemented');
+    }
+
+    async listEntities(filter = {}) {
+        throw new Error('listEntities() must be implemented');
+    }
+
+    async deleteEntity(id) {
+        throw new Error('deleteEntity() must be implemented');
+    }
+
+    async saveRelationship(relationship) {
+        throw new Error('saveRelationship() must be implemented');
+    }
+
+    async getRelationship(id) {
+        throw new Error('getRelationship() must be implemented');
+    }
+
+    async listRelationships(filter = {}) {
+        throw new Error('listRelationships() must be implemented');
+    }
+
+    async deleteRelationship(id) {
+        throw new Error('deleteRelationship() must be implemented');
+    }
+
+    async close() {}
+
+    /**
+     * Entities matching { type, q, scanId, ids }, most recently updated
+     * first, paged with { limit, offset }: { items, total }
+     */
+    filterEntities(entities, filter = {}) {
+        let list = entities;
+
+        if (filter.ids) {
+            const ids = new Set(filter.ids);
+            list = list.filter(e => ids.has(e.id));
+        }
+        if (filter.type) {
+            list = list.filter(e => e.type === filter.type);
+        }
+        if (filter.scanId) {
+            list = list.filter(e => e.scans?.includes(filter.scanId));
+        }
+        if (filter.q) {
+            const q = String(filter.q).toLowerCase();
+            list = list.filter(e => e.label.toLowerCase().includes(q) || e.key.includes(q));
+        }
+
+        return this.page(list.sort((a, b) => b.updatedAt - a.updatedAt), filter);
+    }
+
+    /**
+     * Relationships matching { type, source, target, entity (either end),
+     * within (both ends in a list of IDs), scanId }, paged like filterEntities
+     */
+    filterRelationships(relationships, filter = {}) {
+        let list = relationships;
+
+        if (filter.type) {
+            list = list.filter(r => r.type === filter.type);
+        }
+        if (filter.source) {
+            list = list.filter(r => r.source === filter.source);
+        }
+        if (filter.target) {
+            list = list.filter(r => r.target === filter.target);
+        }
+        if (filter.entity) {
+            list = list.filter(r => r.source === filter.entity || r.target === filter.entity);
+        }
+        if (filter.within) {
+            const ids = new Set(filter.within);
+            list = list.filter(r => ids.has(r.source) && ids.has(r.target));
+        }
+        if (filter.scanId) {
+            list = list.filter(r => r.scans?.includes(filter.scanId));
+        }
+
+        return this.page(list.sort((a, b) => b.updatedAt - a.updatedAt), filter);
+    }
+
+    page(list, filter) {
+        const offset = filter.offset || 0;
+        const limit = filter.limit || 100;
+        return { items: list.slice(offset, offset + limit), total: list.length };
+    }
+}
+
+// ==========================================
+// MEMORY STORE
+// ==========================================
+
+/**
+ * Non-persistent store, used by default by the library and in tests
+ */
+class MemoryEntityStore extends EntityStore {
+    constructor() {
+        super();
+        this.entities = new Map();
+        this.relationships = new Map();
+    }
+
+    async saveEntity(entity) {
+        this.entities.set(entity.id, JSON.parse(JSON.stringify(entity)));
+    }
+
+    async getEntity(id) {
+        return this.entities.get(id) || null;
+    }
+
+    async listEntities(filter = {}) {
+        return this.filterEntities([...this.entities.values()], filter);
+    }
+
+    async deleteEntity(id) {
+        return this.entities.delete(id);
+    }
+
+    async saveRelationship(relationship) {
+        this.relationships.set(relationship.id, JSON.parse(JSON.stringify(relationship)));
+    }
+
+    async getRelationship(id) {
+        return this.relationships.get(id) || null;
+    }
+
+    async listRelationships(filter = {}) {
+        return this.filterRelationships([...this.relationships.values()], filter);
+    }
+
+    async deleteRelationship(id) {
+        return this.relationships.delete(id);
+    }
+}
+
+// ==========================================
+// JSON-LINES FILE STORE
+// ==========================================
+
+/**
+ * Append-only JSON-lines file. Each line is an `entity`, `relationship`,
+ * `delete-entity` or `delete-relationship` record; the last record for an
+ * id wins. Loaded on first use and compacted when stale lines pile up.
+ */
+class JsonLinesEntityStore extends MemoryEntityStore {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.path || path.join(process.cwd(), 'data', 'entities.jsonl');
+        this.compactThreshold = options.compactThreshold || 1000;
+        this.staleLines = 0;
+        this.writeQueue = Promise.resolve();
+        this.ready = null;
+    }
+
+    /**
+     * Load the file once; every public method awaits this
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.load();
+        }
+        return this.ready;
+    }
+
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        let lines = 0;
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            lines++;
+
+            try {
+                this.applyRecord(JSON.parse(line));
+            } catch (error) {
+                console.error(`[EntityStore] Skipping corrupt line in ${this.filePath}: ${error.message}`);
+            }
+        });
+
+        this.staleLines = lines - this.entities.size - this.relationships.size;
+    }
+
+    applyRecord(record) {
+        switch (record.type) {
+            case 'entity':
+                this.entities.set(record.entity.id, record.entity);
+                break;
+            case 'relationship':
+                this.relationships.set(record.relationship.id, record.relationship);
+                break;
+            case 'delete-entity':
+                this.entities.delete(record.id);
+                break;
+            case 'delete-relationship':
+                this.relationships.delete(record.id);
+                break;
+        }
+    }
+
+    /**
+     * Serialize appends so concurrent writes never interleave
+     */
+    append(record) {
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n'))
+            .catch(error => {
+                console.error(`[EntityStore] Write failed: ${error.message}`);
+            });
+        return this.writeQueue;
+    }
+
+    async saveEntity(entity) {
+        await this.init();
+        if (this.entities.has(entity.id)) this.staleLines++;
+
+        await super.saveEntity(entity);
+        await this.append({ type: 'entity', entity: this.entities.get(entity.id) });
+        await this.maybeCompact();
+    }
+
+    async getEntity(id) {
+        await this.init();
+        return super.getEntity(id);
+    }
+
+    async listEntities(filter = {}) {
+        await this.init();
+        return super.listEntities(filter);
+    }
+
+    async deleteEntity(id) {
+        await this.init();
+        const existed = await super.deleteEntity(id);
+        if (existed) {
+            this.staleLines += 2;
+            await this.append({ type: 'delete-entity', id });
+        }
+        return existed;
+    }
+
+    async saveRelationship(relationship) {
+        await this.init();
+        if (this.relationships.has(relationship.id)) this.staleLines++;
+
+        await super.saveRelationship(relationship);
+        await this.append({ type: 'relationship', relationship: this.relationships.get(relationship.id) });
+        await this.maybeCompact();
+    }
+
+    async getRelationship(id) {
+        await this.init();
+        return super.getRelationship(id);
+    }
+
+    async listRelationships(filter = {}) {
+        await this.init();
+        return super.listRelationships(filter);
+    }
+
+    async deleteRelationship(id) {
+        await this.init();
+        const existed = await super.deleteRelationship(id);
+        if (existed) {
+            this.staleLines += 2;
+            await this.append({ type: 'delete-relationship', id });
+        }
+        return existed;
+    }
+
+    async maybeCompact() {
+        if (this.staleLines >= this.compactThreshold) {
+            await this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the file with only live records
+     */
+    async compact() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            const lines = [];
+            this.entities.forEach(entity => lines.push(JSON.stringify({ type: 'entity', entity })));
+            this.relationships.forEach(relationship => lines.push(JSON.stringify({ type: 'relationship', relationship })));
+
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+            await fs.promises.rename(tmpPath, this.filePath);
+            this.staleLines = 0;
+        }).catch(error => {
+            console.error(`[EntityStore] Compaction failed: ${error.message}`);
+        });
+        return this.writeQueue;
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+// ==========================================
+// FACTORY
+// ==========================================
+
+const STORE_TYPES = {
+    memory: MemoryEntityStore,
+    jsonl: JsonLinesEntityStore
+};
+
+function createEntityStore(options = {}) {
+    const type = options.type || 'memory';
+    const StoreClass = STORE_TYPES[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown entity store type: ${type}`);
+    }
+
+    return new StoreClass(options);
+}
+
+function registerEntityStoreType(type, StoreClass) {
+    STORE_TYPES[type] = StoreClass;
+}
+
+module.exports = {
+    EntityStore,
+    MemoryEntityStore,
+    JsonLinesEntityStore,
+    createEntityStore,
+    registerEntityStoreType
+};
@@ -0,0 +1,439 @@
+/**
+ * OSINT Playground - HTTP Response Cache
+ * Persistent cache for outbound axios requests. Honours Cache-Control and
+ * Expires, stores ETag / Last-Modified and revalidates stale entries with
+ * conditional requests, so a 304 replaces a full (rate-limited) response.
+ * Each URL keeps one stored response per set of credentials; Vary decides
+ * whether it answers a request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Statuses cacheable by default (RFC 9110 section 15.1)
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+
+const CACHEABLE_METHODS = ['get', 'head'];
+
+// Query parameters masked in stored URLs; several APIs take keys in the URL
+const SECRET_PARAMS = /^(api_?key|apikey|key|token|access_token|secret|password)$/i;
+
+// Request headers that carry credentials (HIBP, VirusTotal and AbuseIPDB
+// use their own); responses for different values are never shared
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'x-apikey', 'hibp-api-key', 'key'];
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Parse a Cache-Control header into { directive: value | true }
+ */
+function parseCacheControl(value) {
+    const directives = {};
+    String(value || '').split(',').forEach(part => {
+        const [name, ...rest] = part.trim().split('=');
+        if (!name) return;
+        directives[name.toLowerCase()] = rest.length ? rest.join('=').replace(/^"|"$/g, '') : true;
+    });
+    return directives;
+}
+
+/**
+ * Seconds a response stays fresh from when it was received, or null when
+ * it must not be stored at all
+ */
+function freshnessLifetime(headers, defaultTTL = 0) {
+    const cacheControl = parseCacheControl(headers['cache-control']);
+    if (cacheControl['no-store'] || headers.vary?.trim() === '*') return null;
+
+    let lifetime = defaultTTL;
+    if (cacheControl['no-cache']) {
+        lifetime = 0;
+    } else if (cacheControl['max-age'] !== undefined) {
+        lifetime = parseInt(cacheControl['max-age'], 10) || 0;
+    } else if (headers.expires) {
+        const expires = Date.parse(headers.expires);
+        const date = Date.parse(headers.date) || Date.now();
+        lifetime = Number.isNaN(expires) ? 0 : Math.max(0, (expires - date) / 1000);
+    }
+
+    const age = parseInt(headers.age, 10) || 0;
+    return Math.max(0, lifetime - age);
+}
+
+/**
+ * URL with credentials in the query string masked
+ */
+function redactUrl(value) {
+    try {
+        const url = new URL(value);
+        [...url.searchParams.keys()].forEach(key => {
+            if (SECRET_PARAMS.test(key)) url.searchParams.set(key, 'REDACTED');
+        });
+        return url.toString();
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * The request's values of the headers a response varies on: { name: value }
+ */
+function varyValues(vary, requestHeaders) {
+    const values = {};
+    String(vary || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean).forEach(name => {
+        values[name] = requestHeaders[name] ?? null;
+    });
+    return values;
+}
+
+function plainHeaders(headers) {
+    const source = typeof headers?.toJSON === 'function' ? headers.toJSON() : headers || {};
+    const result = {};
+    Object.entries(source).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) result[name.toLowerCase()] = value;
+    });
+    return result;
+}
+
+// ==========================================
+// CACHE
+// ==========================================
+
+/**
+ * One JSON file per response under `dir`, with an in-memory index of the
+ * metadata. The directory is scanned once on first use.
+ */
+class HttpCache {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(process.cwd(), 'data', 'http-cache');
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+        this.defaultTTL = options.defaultTTL || 0;     // seconds, for responses without freshness headers
+        this.index = new Map();
+        this.stats = { hits: 0, misses: 0, revalidated: 0, stored: 0 };
+        this.ready = null;
+    }
+
+    /**
+     * Load the index once; every public method awaits this
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.load();
+        }
+        return this.ready;
+    }
+
+    async load() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const files = await fs.promises.readdir(this.dir);
+
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+                this.index.set(entry.key, this.describe(entry));
+            } catch {
+                // Unreadable entries are dropped; the next response rewrites them
+                await fs.promises.unlink(path.join(this.dir, file)).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Cache key: method, full URL and the credentials used, so responses
+     * for different tokens are never mixed
+     */
+    key(method, url, headers = {}) {
+        const credentials = CREDENTIAL_HEADERS
+            .filter(name => headers[name] !== undefined)
+            .map(name => `${name}: ${headers[name]}`);
+        return crypto.createHash('sha256')
+            .update([`${method.toUpperCase()} ${url}`, ...credentials].join('\n'))
+            .digest('hex');
+    }
+
+    /**
+     * Whether a stored response applies to a request with these headers
+     */
+    matchesVary(entry, requestHeaders) {
+        return Object.entries(entry.vary || {}).every(([name, value]) => (requestHeaders[name] ?? null) === value);
+    }
+
+    filePath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    describe(entry) {
+        return {
+            key: entry.key,
+            method: entry.method,
+            url: entry.url,
+            status: entry.status,
+            size: entry.size,
+            storedAt: entry.storedAt,
+            expiresAt: entry.expiresAt,
+            etag: entry.etag || null,
+            lastModified: entry.lastModified || null
+        };
+    }
+
+    isFresh(entry, now = Date.now()) {
+        return entry.expiresAt > now;
+    }
+
+    async get(key) {
+        await this.init();
+        if (!this.index.has(key)) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+        } catch {
+            this.index.delete(key);
+            return null;
+        }
+    }
+
+    async set(entry) {
+        await this.init();
+
+        // Write then rename so readers never see a partial file
+        const file = this.filePath(entry.key);
+        const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(entry));
+        await fs.promises.rename(temp, file);
+
+        this.index.delete(entry.key);
+        this.index.set(entry.key, this.describe(entry));
+        this.stats.stored++;
+
+        // Map order is insertion order: evict the least recently stored
+        while (this.index.size > this.maxEntries) {
+            await this.delete(this.index.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        await this.init();
+        if (!this.index.delete(key)) return false;
+        await fs.promises.unlink(this.filePath(key)).catch(() => {});
+        return true;
+    }
+
+    /**
+     * Index entries, newest first. Filter by `host` or `url` prefix.
+     */
+    async list(filter = {}) {
+        await this.init();
+        const now = Date.now();
+
+        return [...this.index.values()]
+            .filter(entry => this.matches(entry, filter))
+            .sort((a, b) => b.storedAt - a.storedAt)
+            .slice(0, filter.limit || 100)
+            .map(entry => ({ ...entry, fresh: this.isFresh(entry, now) }));
+    }
+
+    matches(entry, filter) {
+        if (filter.url && !entry.url.startsWith(filter.url)) return false;
+        if (filter.host) {
+            try {
+                if (new URL(entry.url).hostname !== filter.host.toLowerCase()) return false;
+            } catch {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Delete every entry, or those matching `host` / `url`
+     */
+    async purge(filter = {}) {
+        await this.init();
+        const keys = [...this.index.values()].filter(entry => this.matches(entry, filter)).map(entry => entry.key);
+        for (const key of keys) await this.delete(key);
+        return keys.length;
+    }
+
+    async getStats() {
+        await this.init();
+        const now = Date.now();
+        const entries = [...this.index.values()];
+
+        return {
+            entries: entries.length,
+            fresh: entries.filter(entry => this.isFresh(entry, now)).length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            ...this.stats
+        };
+    }
+
+    // ==========================================
+    // AXIOS INTEGRATION
+    // ==========================================
+
+    /**
+     * Build a cache entry from a network response, or null if it may not be stored
+     */
+    createEntry(key, config, response, now = Date.now()) {
+        const headers = plainHeaders(response.headers);
+        if (!CACHEABLE_STATUSES.includes(response.status)) return null;
+
+        const lifetime = freshnessLifetime(headers, this.defaultTTL);
+        if (lifetime === null) return null;
+        if (lifetime === 0 && !headers.etag && !headers['last-modified']) return null;
+
+        const binary = Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer;
+        let body = response.data;
+        if (binary) body = Buffer.from(body).toString('base64');
+        else if (typeof body !== 'string') body = JSON.stringify(body ?? '');
+
+        const size = Buffer.byteLength(body);
+        if (size > this.maxBodyBytes) return null;
+
+        return {
+            key,
+            method: config.method.toUpperCase(),
+            url: redactUrl(axios.getUri(config)),
+            finalUrl: redactUrl(response.request?.res?.responseUrl || axios.getUri(config)),
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+            vary: varyValues(headers.vary, plainHeaders(config.headers)),
+            body,
+            encoding: binary ? 'base64' : 'utf8',
+            size,
+            etag: headers.etag,
+            lastModified: headers['last-modified'],
+            storedAt: now,
+            expiresAt: now + lifetime * 1000
+        };
+    }
+
+    /**
+     * A 304 refreshes the stored entry's headers and freshness
+     */
+    refreshEntry(entry, response, now = Date.now()) {
+        const headers = { ...entry.headers, ...plainHeaders(response.headers) };
+        const lifetime = freshnessLifetime(headers, this.defaultTTL) || 0;
+
+        return {
+            ...entry,
+            headers,
+            etag: headers.etag || entry.etag,
+            lastModified: headers['last-modified'] || entry.lastModified,
+            storedAt: now,
+            expiresAt: now + lifetime * 1000
+        };
+    }
+
+    /**
+     * axios response for a stored entry, tagged with x-cache. The request's
+     * validateStatus applies as it would to a network response.
+     */
+    toResponse(entry, config, state) {
+        const response = {
+            data: entry.encoding === 'base64' ? Buffer.from(entry.body, 'base64') : entry.body,
+            status: entry.status,
+            statusText: entry.statusText,
+            headers: new axios.AxiosHeaders({ ...entry.headers, 'x-cache': state }),
+            config,
+            request: { res: { responseUrl: entry.finalUrl } }
+        };
+
+        if (config.validateStatus && !config.validateStatus(response.status)) {
+            throw new axios.AxiosError(
+                `Request failed with status code ${response.status}`,
+                response.status < 500 ? axios.AxiosError.ERR_BAD_REQUEST : axios.AxiosError.ERR_BAD_RESPONSE,
+                config,
+                response.request,
+                response
+            );
+        }
+        return response;
+    }
+
+    /**
+     * Wrap an axios adapter with the cache. Requests opt out with
+     * `{ cache: false }`; `Cache-Control: no-cache` forces revalidation.
+     */
+    createAdapter(next) {
+        return async config => {
+            const method = (config.method || 'get').toLowerCase();
+            if (config.cache === false || !CACHEABLE_METHODS.includes(method) || config.responseType === 'stream') {
+                return next(config);
+            }
+
+            const requestHeaders = plainHeaders(config.headers);
+            const key = this.key(method, axios.getUri(config), requestHeaders);
+            let entry = await this.get(key).catch(() => null);
+            // Stored for other values of the headers it varies on
+            if (entry && !this.matchesVary(entry, requestHeaders)) entry = null;
+            const forceRevalidate = /no-cache/i.test(requestHeaders['cache-control'] || '');
+
+            if (entry && this.isFresh(entry) && !forceRevalidate) {
+                this.stats.hits++;
+                return this.toResponse(entry, config, 'HIT');
+            }
+            this.stats.misses++;
+
+            if (entry?.etag && !requestHeaders['if-none-match']) config.headers.set('If-None-Match', entry.etag);
+            if (entry?.lastModified && !requestHeaders['if-modified-since']) config.headers.set('If-Modified-Since', entry.lastModified);
+
+            let response;
+            try {
+                response = await next(config);
+            } catch (error) {
+                if (entry && error.response?.status === 304) {
+                    return this.revalidated(entry, error.response, config);
+                }
+                // Rejected by validateStatus (a 404, say) but still cacheable
+                if (error.response) await this.store(key, config, error.response);
+                throw error;
+            }
+
+            if (entry && response.status === 304) {
+                return this.revalidated(entry, response, config);
+            }
+
+            await this.store(key, config, response);
+            return response;
+        };
+    }
+
+    async store(key, config, response) {
+        const entry = this.createEntry(key, config, response);
+        if (entry) {
+            await this.set(entry).catch(error => console.warn('[HttpCache] Write failed:', error.message));
+        }
+        response.headers?.set?.('x-cache', 'MISS');
+    }
+
+    async revalidated(entry, response, config) {
+        this.stats.revalidated++;
+        const refreshed = this.refreshEntry(entry, response);
+        await this.set(refreshed).catch(error => console.warn('[HttpCache] Write failed:', error.message));
+        return this.toResponse(refreshed, config, 'REVALIDATED');
+    }
+}
+
+/**
+ * Route every request made through `instance` (the global axios by
+ * default) and instances created from it afterwards through `cache`
+ */
+function installHttpCache(cache, instance = axios) {
+    const next = axios.getAdapter(instance.defaults.adapter);
+    instance.defaults.adapter = cache.createAdapter(next);
+    return cache;
+}
+
+module.exports = {
+    HttpCache,
+    installHttpCache,
+    parseCacheControl,
+    freshnessLifetime,
+    redactUrl
+};
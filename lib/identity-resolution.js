@@ -0,0 +1,290 @@
+/**
+ * OSINT Playground - Identity Resolution
+ * Clusters profile results from different sources that belong to the same
+ * person and merges them into identities with per-attribute provenance
+ */
+
+const { compareHashes } = require('./image-hash');
+
+// Evidence weights: the probability that a single link of this kind
+// means the two profiles belong to the same person
+const EVIDENCE_WEIGHTS = {
+    keybaseProof: 0.95,
+    email: 0.95,
+    linkedUrl: 0.85,
+    avatar: 0.8,
+    displayName: 0.6,
+    displayNameSingle: 0.35
+};
+
+// Links weaker than this are recorded as evidence but do not merge profiles
+const MERGE_THRESHOLD = 0.5;
+
+// Minimum token overlap for two display names to count as the same name
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+const PROFILE_TYPES = ['profile', 'potential'];
+
+const MERGED_ATTRIBUTES = ['displayName', 'email', 'location', 'bio', 'company', 'avatar', 'username'];
+
+const URL_REGEX = /https?:\/\/[^\s"'<>)]+/gi;
+
+// Keybase proof types mapped to aggregator adapter names
+const PROOF_SOURCES = {
+    github: 'github',
+    reddit: 'reddit',
+    hackernews: 'hackernews',
+    twitter: 'twitter',
+    gitlab: 'gitlab'
+};
+
+/**
+ * host + path, lowercase, without scheme, "www." or trailing slash
+ */
+function normalizeUrl(value) {
+    try {
+        const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        return `${host}${url.pathname.replace(/\/+$/, '').toLowerCase()}`;
+    } catch {
+        return null;
+    }
+}
+
+function nameTokens(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Jaccard overlap of name tokens, order-insensitive: "Doe, Jane" ~ "Jane Doe"
+ */
+function nameSimilarity(a, b) {
+    const tokensA = new Set(nameTokens(a));
+    const tokensB = new Set(nameTokens(b));
+    if (!tokensA.size || !tokensB.size) return 0;
+
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return shared / new Set([...tokensA, ...tokensB]).size;
+}
+
+/**
+ * URLs a profile links to: bio/about text plus website-like fields
+ */
+function extractLinks(result) {
+    const text = [result.bio, result.about, result.description].filter(Boolean).join(' ');
+    const links = text.match(URL_REGEX) || [];
+
+    [result.website, result.blog, result.raw?.blog].filter(Boolean).forEach(link => links.push(link));
+    if (result.raw?.twitter_username) {
+        links.push(`https://twitter.com/${result.raw.twitter_username}`);
+    }
+
+    return [...new Set(links.map(normalizeUrl).filter(Boolean))];
+}
+
+/**
+ * The site a profile lives on; the direct adapter reports many platforms
+ */
+function siteKey(result) {
+    return result.platform ? `${result.source}:${result.platform.toLowerCase()}` : result.source;
+}
+
+function avatarKey(result) {
+    if (!result.avatar) return null;
+    // Default/placeholder avatars are shared by unrelated accounts
+    if (/default|placeholder|identicon|avatar_default/i.test(result.avatar)) return null;
+    return `url:${result.avatar.split('?')[0]}`;
+}
+
+/**
+ * Perceptual hashes when both avatars were hashed, the URL otherwise
+ */
+function compareAvatars(a, b) {
+    const hashesA = a.avatarHashes;
+    const hashesB = b.avatarHashes;
+    if (hashesA && hashesB) {
+        if (hashesA.uniform || hashesB.uniform) return null;
+        const { match, distances } = compareHashes(hashesA, hashesB);
+        return match ? `perceptual hash distance ${distances.pHash}` : null;
+    }
+
+    const key = avatarKey(a);
+    return key && key === avatarKey(b) ? key : null;
+}
+
+// ==========================================
+// EVIDENCE
+// ==========================================
+
+/**
+ * Find every piece of evidence linking two profiles
+ */
+function compareProfiles(a, b) {
+    const evidence = [];
+
+    if (a.email && b.email && a.email.toLowerCase() === b.email.toLowerCase()) {
+        evidence.push({ type: 'email', weight: EVIDENCE_WEIGHTS.email, detail: a.email.toLowerCase() });
+    }
+
+    const avatar = compareAvatars(a, b);
+    if (avatar) {
+        evidence.push({ type: 'avatar', weight: EVIDENCE_WEIGHTS.avatar, detail: avatar });
+    }
+
+    if (a.displayName && b.displayName) {
+        const similarity = nameSimilarity(a.displayName, b.displayName);
+        if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+            const multiWord = nameTokens(a.displayName).length > 1;
+            evidence.push({
+                type: 'displayName',
+                weight: Math.round((multiWord ? EVIDENCE_WEIGHTS.displayName : EVIDENCE_WEIGHTS.displayNameSingle) * similarity * 100) / 100,
+                detail: `${a.displayName} ~ ${b.displayName}`
+            });
+        }
+    }
+
+    const urlA = a.url && normalizeUrl(a.url);
+    const urlB = b.url && normalizeUrl(b.url);
+    if ((urlB && extractLinks(a).includes(urlB)) || (urlA && extractLinks(b).includes(urlA))) {
+        evidence.push({ type: 'linkedUrl', weight: EVIDENCE_WEIGHTS.linkedUrl, detail: 'profile links to the other' });
+    }
+
+    const proof = findKeybaseProof(a, b) || findKeybaseProof(b, a);
+    if (proof) {
+        evidence.push({ type: 'keybaseProof', weight: EVIDENCE_WEIGHTS.keybaseProof, detail: proof });
+    }
+
+    return evidence;
+}
+
+/**
+ * Keybase proofs are cryptographic claims of account ownership
+ */
+function findKeybaseProof(keybase, other) {
+    if (keybase.source !== 'keybase' || !Array.isArray(keybase.proofs)) return null;
+
+    const otherUrl = other.url && normalizeUrl(other.url);
+    const proof = keybase.proofs.find(p => {
+        if (p.service_url && otherUrl && normalizeUrl(p.service_url) === otherUrl) return true;
+        const source = PROOF_SOURCES[p.proof_type];
+        return source && source === other.source &&
+            p.nametag?.toLowerCase() === other.username?.toLowerCase();
+    });
+
+    return proof ? `${proof.proof_type}:${proof.nametag}` : null;
+}
+
+// ==========================================
+// CLUSTERING
+// ==========================================
+
+function createUnionFind(size) {
+    const parent = Array.from({ length: size }, (_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    return {
+        find,
+        union: (a, b) => {
+            parent[find(a)] = find(b);
+        }
+    };
+}
+
+/**
+ * Merge a cluster's attributes, keeping which results reported each value
+ */
+function mergeAttributes(members) {
+    const attributes = {};
+
+    MERGED_ATTRIBUTES.forEach(field => {
+        const values = new Map();
+
+        members.forEach(result => {
+            const value = result[field];
+            if (!value) return;
+
+            const key = String(value).trim().toLowerCase();
+            if (!values.has(key)) values.set(key, { value, sources: [] });
+            values.get(key).sources.push({ source: result.source, resultId: result.id, url: result.url });
+        });
+
+        if (values.size) {
+            attributes[field] = [...values.values()].sort((a, b) => b.sources.length - a.sources.length);
+        }
+    });
+
+    return attributes;
+}
+
+/**
+ * Cluster profile results into identities.
+ * Only clusters of two or more profiles are returned; a lone profile is
+ * already represented by its result.
+ */
+function resolveIdentities(results, options = {}) {
+    const threshold = options.mergeThreshold || MERGE_THRESHOLD;
+    const profiles = results.filter(r => PROFILE_TYPES.includes(r.type) && r.source);
+    const unionFind = createUnionFind(profiles.length);
+    const links = [];
+
+    for (let i = 0; i < profiles.length; i++) {
+        for (let j = i + 1; j < profiles.length; j++) {
+            // Two results from one site are different accounts
+            if (siteKey(profiles[i]) === siteKey(profiles[j])) continue;
+
+            const evidence = compareProfiles(profiles[i], profiles[j]);
+            if (!evidence.length) continue;
+
+            links.push({ a: i, b: j, evidence });
+            if (evidence.some(e => e.weight >= threshold)) {
+                unionFind.union(i, j);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    profiles.forEach((_, index) => {
+        const root = unionFind.find(index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(index);
+    });
+
+    let counter = 0;
+    return [...clusters.values()]
+        .filter(indexes => indexes.length > 1)
+        .map(indexes => {
+            const members = indexes.map(i => profiles[i]);
+            const evidence = links
+                .filter(link => indexes.includes(link.a) && indexes.includes(link.b))
+                .flatMap(link => link.evidence.map(e => ({
+                    ...e,
+                    between: [profiles[link.a].id, profiles[link.b].id]
+                })));
+
+            // Noisy-OR: the cluster is wrong only if every piece of evidence is
+            const confidence = 1 - evidence.reduce((p, e) => p * (1 - e.weight), 1);
+
+            return {
+                id: `identity-${++counter}`,
+                confidence: Math.round(Math.min(0.99, confidence) * 100) / 100,
+                sources: [...new Set(members.map(m => m.source))],
+                members: members.map(m => ({ resultId: m.id, source: m.source, username: m.username, url: m.url })),
+                attributes: mergeAttributes(members),
+                evidence
+            };
+        })
+        .sort((a, b) => b.confidence - a.confidence || b.members.length - a.members.length);
+}
+
+module.exports = {
+    EVIDENCE_WEIGHTS,
+    normalizeUrl,
+    nameSimilarity,
+    extractLinks,
+    compareProfiles,
+    resolveIdentities
+};
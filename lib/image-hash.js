@@ -0,0 +1,969 @@
+/**
+ * OSINT Playground - Avatar Perceptual Hashing
+ * Pure-JS PNG / baseline JPEG / GIF decoding to grayscale and
+ * aHash, dHash and pHash fingerprints for correlating avatars across platforms
+ */
+
+const zlib = require('zlib');
+
+const { UrlGuard } = require('./url-guard');
+
+const DEFAULT_MATCH_THRESHOLD = 10;     // max Hamming distance (of 64 bits)
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+// Decoding is synchronous; avatars are far smaller than this
+const MAX_IMAGE_PIXELS = 2048 * 2048;
+
+// Images with less contrast than this hash to noise and match each other
+const MIN_VARIANCE = 25;
+
+// Placeholder avatars are shared by unrelated accounts
+const DEFAULT_AVATAR_PATTERN = /default|placeholder|identicon|avatar_default|mystery|blank/i;
+
+/**
+ * Raised for unsupported or corrupt images
+ */
+class ImageDecodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageDecodeError';
+    }
+}
+
+const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+// ==========================================
+// PNG
+// ==========================================
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const ADAM7 = [
+    { x: 0, y: 0, dx: 8, dy: 8 },
+    { x: 4, y: 0, dx: 8, dy: 8 },
+    { x: 0, y: 4, dx: 4, dy: 8 },
+    { x: 2, y: 0, dx: 4, dy: 4 },
+    { x: 0, y: 2, dx: 2, dy: 4 },
+    { x: 1, y: 0, dx: 2, dy: 2 },
+    { x: 0, y: 1, dx: 1, dy: 2 }
+];
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function unfilterLine(line, prev, type, bpp) {
+    for (let i = 0; i < line.length; i++) {
+        const a = i >= bpp ? line[i - bpp] : 0;
+        const b = prev[i];
+        const c = i >= bpp ? prev[i - bpp] : 0;
+
+        switch (type) {
+            case 0: break;
+            case 1: line[i] = (line[i] + a) & 0xff; break;
+            case 2: line[i] = (line[i] + b) & 0xff; break;
+            case 3: line[i] = (line[i] + ((a + b) >> 1)) & 0xff; break;
+            case 4: line[i] = (line[i] + paeth(a, b, c)) & 0xff; break;
+            default: throw new ImageDecodeError(`Unknown PNG filter ${type}`);
+        }
+    }
+}
+
+function decodePng(buffer) {
+    let offset = 8;
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new ImageDecodeError('PNG has no IHDR chunk');
+
+    const { width, height, bitDepth, colorType } = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels) throw new ImageDecodeError(`Unsupported PNG color type ${colorType}`);
+    if (colorType === 3 && !palette) throw new ImageDecodeError('Palette PNG has no PLTE chunk');
+    checkDimensions(width, height);
+
+    // Never inflate more than the image can hold: rows of pixel bytes plus a
+    // filter byte each, with room for the partial rows of interlace passes
+    const rowBytes = Math.ceil((width * channels * bitDepth) / 8);
+    const raw = inflate(Buffer.concat(idat), height * (rowBytes + 1) + 16 * (height + 8));
+    const gray = new Float32Array(width * height);
+    const maxValue = (1 << bitDepth) - 1;
+
+    const sample = (line, index) => {
+        if (bitDepth === 8) return line[index];
+        if (bitDepth === 16) return line.readUInt16BE(index * 2) / 257;
+        const bit = index * bitDepth;
+        const value = (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+        // Palette indices stay raw; gray levels scale to 0-255
+        return colorType === 3 ? value : (value * 255) / maxValue;
+    };
+
+    const pixel = (line, col) => {
+        const i = col * channels;
+        let value;
+        let alpha = 1;
+
+        switch (colorType) {
+            case 0:
+                value = sample(line, i);
+                break;
+            case 2:
+                value = luma(sample(line, i), sample(line, i + 1), sample(line, i + 2));
+                break;
+            case 3: {
+                const index = sample(line, i);
+                value = luma(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2]);
+                if (transparency && index < transparency.length) alpha = transparency[index] / 255;
+                break;
+            }
+            case 4:
+                value = sample(line, i);
+                alpha = sample(line, i + 1) / 255;
+                break;
+            case 6:
+                value = luma(sample(line, i), sample(line, i + 1), sample(line, i + 2));
+                alpha = sample(line, i + 3) / 255;
+                break;
+        }
+
+        // Composite transparent areas onto white, as browsers show avatars
+        return value * alpha + 255 * (1 - alpha);
+    };
+
+    const passes = header.interlace ? ADAM7 : [{ x: 0, y: 0, dx: 1, dy: 1 }];
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    let pos = 0;
+
+    passes.forEach(pass => {
+        const passWidth = Math.ceil((width - pass.x) / pass.dx);
+        const passHeight = Math.ceil((height - pass.y) / pass.dy);
+        if (passWidth <= 0 || passHeight <= 0) return;
+
+        const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+        let prev = Buffer.alloc(stride);
+
+        for (let row = 0; row < passHeight; row++) {
+            if (pos + 1 + stride > raw.length) throw new ImageDecodeError('Truncated PNG data');
+
+            const filter = raw[pos];
+            const line = Buffer.from(raw.subarray(pos + 1, pos + 1 + stride));
+            pos += 1 + stride;
+            unfilterLine(line, prev, filter, bpp);
+
+            const y = pass.y + row * pass.dy;
+            for (let col = 0; col < passWidth; col++) {
+                gray[y * width + pass.x + col * pass.dx] = pixel(line, col);
+            }
+            prev = line;
+        }
+    });
+
+    return { width, height, gray, format: 'png' };
+}
+
+// ==========================================
+// JPEG (baseline)
+// ==========================================
+
+const ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// IDCT basis: IDCT_COS[x * 8 + u] = C(u) * cos((2x + 1) * u * pi / 16) / 2
+const IDCT_COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) {
+        IDCT_COS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+    }
+}
+
+function buildHuffmanTable(counts, symbols) {
+    const maxcode = new Int32Array(18).fill(-1);
+    const valptr = new Int32Array(17);
+    const mincode = new Int32Array(17);
+    let code = 0;
+    let k = 0;
+
+    for (let length = 1; length <= 16; length++) {
+        const count = counts[length - 1];
+        valptr[length] = k;
+        mincode[length] = code;
+        code += count;
+        k += count;
+        maxcode[length] = count ? code - 1 : -1;
+        code <<= 1;
+    }
+
+    return { maxcode, valptr, mincode, symbols };
+}
+
+/**
+ * Entropy-coded data reader: removes byte stuffing and pads with zeros
+ * when it runs into a marker
+ */
+class JpegBitReader {
+    constructor(data, pos) {
+        this.data = data;
+        this.pos = pos;
+        this.byte = 0;
+        this.bits = 0;
+    }
+
+    readBit() {
+        if (this.bits === 0) {
+            let byte = 0;
+            if (this.pos < this.data.length) {
+                byte = this.data[this.pos];
+                if (byte === 0xff) {
+                    if (this.data[this.pos + 1] === 0x00) {
+                        this.pos += 2;
+                    } else {
+                        byte = 0;
+                    }
+                } else {
+                    this.pos++;
+                }
+            }
+            this.byte = byte;
+            this.bits = 8;
+        }
+        this.bits--;
+        return (this.byte >> this.bits) & 1;
+    }
+
+    receive(length) {
+        let value = 0;
+        for (let i = 0; i < length; i++) value = (value << 1) | this.readBit();
+        return value;
+    }
+
+    decode(table) {
+        if (!table) throw new ImageDecodeError('JPEG references a missing Huffman table');
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | this.readBit();
+            if (code <= table.maxcode[length]) {
+                return table.symbols[table.valptr[length] + code - table.mincode[length]];
+            }
+        }
+        throw new ImageDecodeError('Invalid JPEG Huffman code');
+    }
+
+    /**
+     * Skip to just past the next RSTn marker
+     */
+    restart() {
+        this.bits = 0;
+        const { data } = this;
+        while (this.pos < data.length - 1 &&
+            !(data[this.pos] === 0xff && data[this.pos + 1] >= 0xd0 && data[this.pos + 1] <= 0xd7)) {
+            this.pos++;
+        }
+        this.pos += 2;
+    }
+}
+
+const extend = (value, length) => (value < 1 << (length - 1) ? value - (1 << length) + 1 : value);
+
+function idctBlock(coefficients, plane, planeWidth, top, left) {
+    const tmp = new Float64Array(64);
+
+    for (let v = 0; v < 8; v++) {
+        for (let x = 0; x < 8; x++) {
+            let sum = 0;
+            for (let u = 0; u < 8; u++) sum += coefficients[v * 8 + u] * IDCT_COS[x * 8 + u];
+            tmp[v * 8 + x] = sum;
+        }
+    }
+
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            let sum = 0;
+            for (let v = 0; v < 8; v++) sum += tmp[v * 8 + x] * IDCT_COS[y * 8 + v];
+            plane[(top + y) * planeWidth + left + x] = Math.min(255, Math.max(0, sum + 128));
+        }
+    }
+}
+
+function decodeJpeg(buffer) {
+    const quantTables = [];
+    const dcTables = [];
+    const acTables = [];
+    let frame = null;
+    let restartInterval = 0;
+    let pos = 2;
+
+    while (pos < buffer.length) {
+        if (buffer[pos] !== 0xff) {
+            pos++;
+            continue;
+        }
+        const marker = buffer[pos + 1];
+        pos += 2;
+
+        if (marker === 0xff) {
+            pos--;
+            continue;
+        }
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) continue;
+        if (marker === 0xd9) break;
+
+        const length = buffer.readUInt16BE(pos);
+        const segment = buffer.subarray(pos + 2, pos + length);
+
+        switch (marker) {
+            case 0xdb: {
+                let p = 0;
+                while (p < segment.length) {
+                    const precision = segment[p] >> 4;
+                    const id = segment[p] & 15;
+                    const table = new Int32Array(64);
+                    p++;
+                    for (let i = 0; i < 64; i++) {
+                        table[ZIGZAG[i]] = precision ? segment.readUInt16BE(p + i * 2) : segment[p + i];
+                    }
+                    p += precision ? 128 : 64;
+                    quantTables[id] = table;
+                }
+                break;
+            }
+            case 0xc4: {
+                let p = 0;
+                while (p < segment.length) {
+                    const tableClass = segment[p] >> 4;
+                    const id = segment[p] & 15;
+                    const counts = segment.subarray(p + 1, p + 17);
+                    const total = counts.reduce((sum, c) => sum + c, 0);
+                    const table = buildHuffmanTable(counts, segment.subarray(p + 17, p + 17 + total));
+                    (tableClass === 0 ? dcTables : acTables)[id] = table;
+                    p += 17 + total;
+                }
+                break;
+            }
+            case 0xc0:
+            case 0xc1:
+                frame = parseJpegFrame(segment);
+                break;
+            case 0xdd:
+                restartInterval = segment.readUInt16BE(0);
+                break;
+            case 0xda: {
+                if (!frame) throw new ImageDecodeError('JPEG scan before frame header');
+                const count = segment[0];
+                const components = [];
+                for (let i = 0; i < count; i++) {
+                    const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+                    if (!component) throw new ImageDecodeError('JPEG scan references an unknown component');
+                    components.push({
+                        component,
+                        dc: dcTables[segment[2 + i * 2] >> 4],
+                        ac: acTables[segment[2 + i * 2] & 15]
+                    });
+                }
+                pos = decodeJpegScan(buffer, pos + length, frame, components, quantTables, restartInterval);
+                continue;
+            }
+            default:
+                if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                    throw new ImageDecodeError('Only baseline JPEG is supported (progressive or lossless found)');
+                }
+        }
+
+        pos += length;
+    }
+
+    if (!frame) throw new ImageDecodeError('JPEG has no frame header');
+
+    // Luma plane of the first component, resampled if it is subsampled
+    const luma0 = frame.components[0];
+    const gray = new Float32Array(frame.width * frame.height);
+    for (let y = 0; y < frame.height; y++) {
+        const sy = Math.floor((y * luma0.v) / frame.vmax);
+        for (let x = 0; x < frame.width; x++) {
+            const sx = Math.floor((x * luma0.h) / frame.hmax);
+            gray[y * frame.width + x] = luma0.plane[sy * luma0.planeWidth + sx];
+        }
+    }
+
+    return { width: frame.width, height: frame.height, gray, format: 'jpeg' };
+}
+
+function parseJpegFrame(segment) {
+    const height = segment.readUInt16BE(1);
+    const width = segment.readUInt16BE(3);
+    const count = segment[5];
+    checkDimensions(width, height);
+
+    const components = [];
+    for (let i = 0; i < count; i++) {
+        components.push({
+            id: segment[6 + i * 3],
+            h: segment[7 + i * 3] >> 4,
+            v: segment[7 + i * 3] & 15,
+            tq: segment[8 + i * 3]
+        });
+    }
+
+    const hmax = Math.max(...components.map(c => c.h));
+    const vmax = Math.max(...components.map(c => c.v));
+    const mcusX = Math.ceil(width / (8 * hmax));
+    const mcusY = Math.ceil(height / (8 * vmax));
+
+    components.forEach((component, index) => {
+        component.blocksPerLine = Math.ceil(Math.ceil((width * component.h) / hmax) / 8);
+        component.blocksPerColumn = Math.ceil(Math.ceil((height * component.v) / vmax) / 8);
+        component.pred = 0;
+        // Only the first (luma) component is reconstructed
+        if (index === 0) {
+            component.planeWidth = mcusX * component.h * 8;
+            component.plane = new Float32Array(component.planeWidth * mcusY * component.v * 8);
+        }
+    });
+
+    return { width, height, components, hmax, vmax, mcusX, mcusY };
+}
+
+function decodeJpegScan(buffer, pos, frame, scanComponents, quantTables, restartInterval) {
+    const reader = new JpegBitReader(buffer, pos);
+    const coefficients = new Float64Array(64);
+    const single = scanComponents.length === 1;
+    const first = scanComponents[0].component;
+    const totalMcus = single ? first.blocksPerLine * first.blocksPerColumn : frame.mcusX * frame.mcusY;
+
+    const decodeBlock = ({ component, dc, ac }, blockRow, blockCol) => {
+        const quant = quantTables[component.tq];
+        if (!quant) throw new ImageDecodeError('JPEG references a missing quantization table');
+        coefficients.fill(0);
+
+        const t = reader.decode(dc);
+        component.pred += t ? extend(reader.receive(t), t) : 0;
+        coefficients[0] = component.pred * quant[0];
+
+        for (let k = 1; k < 64;) {
+            const rs = reader.decode(ac);
+            const run = rs >> 4;
+            const size = rs & 15;
+            if (size === 0) {
+                if (run !== 15) break;
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) break;
+            coefficients[ZIGZAG[k]] = extend(reader.receive(size), size) * quant[ZIGZAG[k]];
+            k++;
+        }
+
+        if (component.plane) {
+            idctBlock(coefficients, component.plane, component.planeWidth, blockRow * 8, blockCol * 8);
+        }
+    };
+
+    for (let mcu = 0; mcu < totalMcus; mcu++) {
+        if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+            reader.restart();
+            scanComponents.forEach(({ component }) => { component.pred = 0; });
+        }
+
+        if (single) {
+            decodeBlock(scanComponents[0], Math.floor(mcu / first.blocksPerLine), mcu % first.blocksPerLine);
+            continue;
+        }
+
+        const mcuRow = Math.floor(mcu / frame.mcusX);
+        const mcuCol = mcu % frame.mcusX;
+        scanComponents.forEach(scanComponent => {
+            const { component } = scanComponent;
+            for (let v = 0; v < component.v; v++) {
+                for (let h = 0; h < component.h; h++) {
+                    decodeBlock(scanComponent, mcuRow * component.v + v, mcuCol * component.h + h);
+                }
+            }
+        });
+    }
+
+    // Continue marker parsing at the next non-RST marker
+    let next = reader.pos;
+    while (next < buffer.length - 1 &&
+        !(buffer[next] === 0xff && buffer[next + 1] !== 0 && !(buffer[next + 1] >= 0xd0 && buffer[next + 1] <= 0xd7))) {
+        next++;
+    }
+    return next;
+}
+
+// ==========================================
+// GIF (first frame)
+// ==========================================
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const prefix = new Int32Array(4096);
+    const suffix = new Uint8Array(4096);
+    for (let i = 0; i < clear; i++) suffix[i] = i;
+
+    const output = new Uint8Array(pixelCount);
+    const stack = [];
+    let outPos = 0;
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let prev = -1;
+    let prevFirst = 0;
+    let bitPos = 0;
+
+    while (outPos < pixelCount && bitPos + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bitPos++) {
+            code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+        }
+
+        if (code === clear) {
+            codeSize = minCodeSize + 1;
+            next = end + 1;
+            prev = -1;
+            continue;
+        }
+        if (code === end) break;
+
+        if (prev === -1) {
+            output[outPos++] = suffix[code];
+            prev = code;
+            prevFirst = suffix[code];
+            continue;
+        }
+
+        let current = code;
+        stack.length = 0;
+        if (code >= next) {
+            // KwKwK: the code being defined is the previous string plus its first byte
+            stack.push(prevFirst);
+            current = prev;
+        }
+        while (current > end) {
+            stack.push(suffix[current]);
+            current = prefix[current];
+        }
+        stack.push(current);
+        const firstByte = current;
+
+        while (stack.length && outPos < pixelCount) output[outPos++] = stack.pop();
+
+        if (next < 4096) {
+            prefix[next] = prev;
+            suffix[next] = firstByte;
+            next++;
+            if (next === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        prev = code;
+        prevFirst = firstByte;
+    }
+
+    return output;
+}
+
+function decodeGif(buffer) {
+    const width = buffer.readUInt16LE(6);
+    const height = buffer.readUInt16LE(8);
+    const flags = buffer[10];
+    checkDimensions(width, height);
+
+    let pos = 13;
+    let globalTable = null;
+    if (flags & 0x80) {
+        const size = 3 * (1 << ((flags & 7) + 1));
+        globalTable = buffer.subarray(pos, pos + size);
+        pos += size;
+    }
+
+    let transparentIndex = -1;
+    const skipSubBlocks = () => {
+        while (pos < buffer.length && buffer[pos] !== 0) pos += buffer[pos] + 1;
+        pos++;
+    };
+
+    while (pos < buffer.length) {
+        const block = buffer[pos++];
+
+        if (block === 0x21) {
+            const label = buffer[pos++];
+            if (label === 0xf9 && buffer[pos + 1] & 1) {
+                transparentIndex = buffer[pos + 4];
+            }
+            skipSubBlocks();
+        } else if (block === 0x2c) {
+            const left = buffer.readUInt16LE(pos);
+            const top = buffer.readUInt16LE(pos + 2);
+            const frameWidth = buffer.readUInt16LE(pos + 4);
+            const frameHeight = buffer.readUInt16LE(pos + 6);
+            const frameFlags = buffer[pos + 8];
+            pos += 9;
+
+            let table = globalTable;
+            if (frameFlags & 0x80) {
+                const size = 3 * (1 << ((frameFlags & 7) + 1));
+                table = buffer.subarray(pos, pos + size);
+                pos += size;
+            }
+            if (!table) throw new ImageDecodeError('GIF has no color table');
+
+            const minCodeSize = buffer[pos++];
+            const chunks = [];
+            while (pos < buffer.length && buffer[pos] !== 0) {
+                chunks.push(buffer.subarray(pos + 1, pos + 1 + buffer[pos]));
+                pos += buffer[pos] + 1;
+            }
+
+            const indices = lzwDecode(Buffer.concat(chunks), minCodeSize, frameWidth * frameHeight);
+
+            // Interlaced frames store rows in four passes
+            const rows = [];
+            if (frameFlags & 0x40) {
+                [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+                    for (let row = start; row < frameHeight; row += step) rows.push(row);
+                });
+            } else {
+                for (let row = 0; row < frameHeight; row++) rows.push(row);
+            }
+
+            const gray = new Float32Array(width * height).fill(255);
+            rows.forEach((row, i) => {
+                const y = top + row;
+                if (y >= height) return;
+                for (let col = 0; col < frameWidth; col++) {
+                    const index = indices[i * frameWidth + col];
+                    const x = left + col;
+                    if (index === transparentIndex || x >= width) continue;
+                    gray[y * width + x] = luma(table[index * 3], table[index * 3 + 1], table[index * 3 + 2]);
+                }
+            });
+
+            return { width, height, gray, format: 'gif' };
+        } else if (block === 0x3b) {
+            break;
+        } else {
+            throw new ImageDecodeError(`Unexpected GIF block 0x${block.toString(16)}`);
+        }
+    }
+
+    throw new ImageDecodeError('GIF has no image data');
+}
+
+// ==========================================
+// DECODING
+// ==========================================
+
+function inflate(data, maxOutputLength) {
+    try {
+        return zlib.inflateSync(data, { maxOutputLength });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new ImageDecodeError('PNG data is larger than its dimensions allow');
+        throw error;
+    }
+}
+
+function checkDimensions(width, height) {
+    if (!width || !height || width * height > MAX_IMAGE_PIXELS) {
+        throw new ImageDecodeError(`Unsupported image size ${width}x${height}`);
+    }
+}
+
+/**
+ * Decode PNG, baseline JPEG or GIF into an 8-bit grayscale plane
+ */
+function decodeImage(buffer) {
+    if (buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return decodePng(buffer);
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) return decodeJpeg(buffer);
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return decodeGif(buffer);
+    throw new ImageDecodeError('Unsupported image format');
+}
+
+// ==========================================
+// HASHES
+// ==========================================
+
+/**
+ * Box-filter downscale of a grayscale plane
+ */
+function resize(image, targetWidth, targetHeight) {
+    const { width, height, gray } = image;
+    const output = new Float64Array(targetWidth * targetHeight);
+
+    for (let ty = 0; ty < targetHeight; ty++) {
+        const y0 = Math.floor((ty * height) / targetHeight);
+        const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / targetHeight));
+
+        for (let tx = 0; tx < targetWidth; tx++) {
+            const x0 = Math.floor((tx * width) / targetWidth);
+            const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / targetWidth));
+
+            let sum = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) sum += gray[y * width + x];
+            }
+            output[ty * targetWidth + tx] = sum / ((y1 - y0) * (x1 - x0));
+        }
+    }
+
+    return output;
+}
+
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Average hash: 8x8 pixels compared with their mean
+ */
+function averageHash(image) {
+    const pixels = resize(image, 8, 8);
+    const mean = pixels.reduce((sum, p) => sum + p, 0) / 64;
+    return bitsToHex(Array.from(pixels, p => (p > mean ? 1 : 0)));
+}
+
+/**
+ * Difference hash: horizontal gradient of a 9x8 thumbnail
+ */
+function differenceHash(image) {
+    const pixels = resize(image, 9, 8);
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+// DCT basis for the 32x32 -> 8x8 low-frequency transform used by pHash
+const PHASH_COS = new Float64Array(32 * 8);
+for (let x = 0; x < 32; x++) {
+    for (let u = 0; u < 8; u++) {
+        PHASH_COS[x * 8 + u] = Math.cos(((2 * x + 1) * u * Math.PI) / 64);
+    }
+}
+
+/**
+ * Perceptual hash: low 8x8 frequencies of a 32x32 DCT compared with their median
+ */
+function perceptualHash(image) {
+    const pixels = resize(image, 32, 32);
+    const rows = new Float64Array(32 * 8);
+
+    for (let y = 0; y < 32; y++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let x = 0; x < 32; x++) sum += pixels[y * 32 + x] * PHASH_COS[x * 8 + u];
+            rows[y * 8 + u] = sum;
+        }
+    }
+
+    const coefficients = [];
+    for (let v = 0; v < 8; v++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let y = 0; y < 32; y++) sum += rows[y * 8 + u] * PHASH_COS[y * 8 + v];
+            coefficients.push(sum);
+        }
+    }
+
+    // The DC term is the overall brightness; leave it out of the median
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    return bitsToHex(coefficients.map(c => (c > median ? 1 : 0)));
+}
+
+function variance(image) {
+    const { gray } = image;
+    let sum = 0;
+    let squares = 0;
+    for (let i = 0; i < gray.length; i++) {
+        sum += gray[i];
+        squares += gray[i] * gray[i];
+    }
+    const mean = sum / gray.length;
+    return squares / gray.length - mean * mean;
+}
+
+/**
+ * All three hashes for an encoded image buffer
+ */
+function hashImage(buffer) {
+    const image = decodeImage(buffer);
+    return {
+        aHash: averageHash(image),
+        dHash: differenceHash(image),
+        pHash: perceptualHash(image),
+        width: image.width,
+        height: image.height,
+        format: image.format,
+        uniform: variance(image) < MIN_VARIANCE
+    };
+}
+
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+}
+
+/**
+ * Compare two hash sets. They match when at least two of the three
+ * hashes are within `threshold` bits.
+ */
+function compareHashes(a, b, threshold = DEFAULT_MATCH_THRESHOLD) {
+    const distances = {
+        aHash: hammingDistance(a.aHash, b.aHash),
+        dHash: hammingDistance(a.dHash, b.dHash),
+        pHash: hammingDistance(a.pHash, b.pHash)
+    };
+    const close = Object.values(distances).filter(d => d <= threshold).length;
+
+    return { match: close >= 2, distances };
+}
+
+// ==========================================
+// AVATARS
+// ==========================================
+
+/**
+ * Downloads and hashes avatars, caching by URL
+ */
+class AvatarHasher {
+    constructor(options = {}) {
+        // Avatar URLs come from third-party sites; keep them off internal addresses
+        this.guard = options.guard || new UrlGuard();
+        this.timeout = options.timeout || 5000;
+        this.maxBytes = options.maxBytes || MAX_IMAGE_BYTES;
+        this.cache = new Map();
+        this.maxCacheSize = options.maxCacheSize || 1000;
+    }
+
+    isPlaceholder(url) {
+        return DEFAULT_AVATAR_PATTERN.test(url);
+    }
+
+    /**
+     * Resolves to the hashes, or null when the avatar cannot be fetched or decoded
+     */
+    hash(url, options = {}) {
+        if (!url || this.isPlaceholder(url)) return Promise.resolve(null);
+        if (this.cache.has(url)) return this.cache.get(url);
+
+        const pending = this.fetch(url, options.signal)
+            .then(buffer => hashImage(buffer))
+            .catch(() => {
+                // A cancelled download says nothing about the avatar; allow a retry
+                if (options.signal?.aborted) this.cache.delete(url);
+                return null;
+            });
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(url, pending);
+        return pending;
+    }
+
+    /**
+     * Download an avatar through the URL guard; throws UrlBlockedError for
+     * URLs (or redirects) that lead to private addresses
+     */
+    async fetch(url, signal) {
+        const response = await this.guard.fetch(url, {
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxContentLength: this.maxBytes,
+            signal,
+            headers: { 'User-Agent': 'OSINT-Playground/2.0', Accept: 'image/png,image/jpeg,image/gif' },
+            validateStatus: status => status < 400
+        });
+        if (response.status !== 200) throw new Error(`Avatar request answered ${response.status}`);
+        return Buffer.from(response.data);
+    }
+}
+
+/**
+ * "Same avatar" links between results from different sites whose
+ * avatar hashes match
+ */
+function findAvatarMatches(results, options = {}) {
+    const threshold = options.threshold ?? DEFAULT_MATCH_THRESHOLD;
+    const hashed = results.filter(r => r.avatarHashes && !r.avatarHashes.uniform);
+    const site = r => (r.platform ? `${r.source}:${r.platform.toLowerCase()}` : r.source);
+    const links = [];
+
+    for (let i = 0; i < hashed.length; i++) {
+        for (let j = i + 1; j < hashed.length; j++) {
+            if (site(hashed[i]) === site(hashed[j])) continue;
+
+            const { match, distances } = compareHashes(hashed[i].avatarHashes, hashed[j].avatarHashes, threshold);
+            if (match) {
+                links.push({
+                    type: 'same-avatar',
+                    between: [hashed[i].id, hashed[j].id],
+                    sources: [site(hashed[i]), site(hashed[j])],
+                    distances
+                });
+            }
+        }
+    }
+
+    return links;
+}
+
+module.exports = {
+    ImageDecodeError,
+    DEFAULT_MATCH_THRESHOLD,
+    decodeImage,
+    averageHash,
+    differenceHash,
+    perceptualHash,
+    hashImage,
+    hammingDistance,
+    compareHashes,
+    AvatarHasher,
+    findAvatarMatches
+};
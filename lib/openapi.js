@@ -0,0 +1,314 @@
+/**
+ * OSINT Playground - OpenAPI Validation
+ * Checks requests, and optionally responses, against the OpenAPI document
+ * (lib/api-spec.js). Implements the part of JSON Schema the document uses:
+ * type, nullable, enum, pattern, format (email, uri), minLength/maxLength,
+ * minimum/maximum, items, minItems/maxItems, properties, required,
+ * additionalProperties, anyOf and local $refs.
+ */
+
+const { compileRouteTable, matchRoute, routeParams } = require('./route-table');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const FORMATS = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => {
+        try {
+            new URL(value);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+};
+
+/**
+ * Raised for a document the validator cannot use; `errors` lists every problem
+ */
+class ApiSpecError extends Error {
+    constructor(errors) {
+        super(`Invalid API description:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ApiSpecError';
+        this.errors = errors;
+        this.status = 500;
+    }
+}
+
+// ==========================================
+// SCHEMAS
+// ==========================================
+
+function resolve(spec, schema) {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+        const name = resolved.$ref.replace('#/components/schemas/', '');
+        resolved = spec.components?.schemas?.[name];
+        if (!resolved) throw new ApiSpecError([`unknown schema reference ${schema.$ref}`]);
+    }
+    return resolved || {};
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// How a schema is named in messages: its title, else its type
+function describe(spec, schema) {
+    const resolved = resolve(spec, schema);
+    return resolved.title || (resolved.enum ? `one of ${resolved.enum.join(', ')}` : resolved.type) || 'value';
+}
+
+// "an integer", "an IP address" but "a username", "a URL"
+const article = type => (/^(?!u[rs])[aeiou]/i.test(type) ? `an ${type}` : `a ${type}`);
+
+/**
+ * Problems with `value` under `schema`, each starting with `where`
+ * ("body.query", "path.domain"); an empty array when it is valid
+ */
+function validateSchema(spec, schema, value, where = 'value') {
+    const errors = [];
+    const rule = resolve(spec, schema);
+
+    if (value === null) {
+        // nullable may sit next to a $ref
+        if (!rule.nullable && !schema.nullable && rule.type) errors.push(`${where} must not be null`);
+        return errors;
+    }
+
+    if (rule.anyOf) {
+        if (!rule.anyOf.some(option => validateSchema(spec, option, value, where).length === 0)) {
+            errors.push(`${where} must be ${rule.anyOf.map(option => article(describe(spec, option))).join(' or ')}`);
+        }
+        return errors;
+    }
+
+    if (rule.type && !matchesType(rule.type, value)) {
+        errors.push(`${where} must be ${article(rule.type)}`);
+        return errors;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`${where} must be one of ${rule.enum.join(', ')}`);
+        return errors;
+    }
+
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            errors.push(rule.minLength === 1 ? `${where} must not be empty` : `${where} must be at least ${rule.minLength} characters`);
+        } else if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push(`${where} must be at most ${rule.maxLength} characters`);
+        } else if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+            errors.push(`${where} must be ${article(rule.title || `string matching ${rule.pattern}`)}`);
+        } else if (rule.format && FORMATS[rule.format] && !FORMATS[rule.format](value)) {
+            errors.push(`${where} must be ${article(rule.title || rule.format)}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (rule.minimum !== undefined && value < rule.minimum) errors.push(`${where} must be at least ${rule.minimum}`);
+        if (rule.maximum !== undefined && value > rule.maximum) errors.push(`${where} must be at most ${rule.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (rule.minItems !== undefined && value.length < rule.minItems) errors.push(`${where} must have at least ${rule.minItems} items`);
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) errors.push(`${where} must have at most ${rule.maxItems} items`);
+        if (rule.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(spec, rule.items, item, `${where}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = rule.properties || {};
+        (rule.required || []).forEach(name => {
+            if (value[name] === undefined) errors.push(`${where}.${name} is required`);
+        });
+        Object.entries(value).forEach(([name, item]) => {
+            if (item === undefined) return;
+            if (properties[name]) {
+                errors.push(...validateSchema(spec, properties[name], item, `${where}.${name}`));
+            } else if (rule.additionalProperties === false) {
+                errors.push(`${where}.${name} is not allowed`);
+            } else if (typeof rule.additionalProperties === 'object') {
+                errors.push(...validateSchema(spec, rule.additionalProperties, item, `${where}.${name}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Query and path values arrive as strings; read them as the schema's type.
+ * Values that do not convert are left for validateSchema() to reject.
+ */
+function coerceParameter(spec, schema, value) {
+    const rule = resolve(spec, schema);
+    if (typeof value !== 'string') return value;
+
+    if (rule.type === 'integer' || rule.type === 'number') {
+        const number = Number(value);
+        return value.trim() !== '' && !Number.isNaN(number) ? number : value;
+    }
+    if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+// ==========================================
+// OPERATIONS
+// ==========================================
+
+/**
+ * Route table of the document's operations; paths without parameters come
+ * first so /api/entities/types wins over /api/entities/{id}
+ */
+function compileOperations(spec) {
+    const rules = [];
+    Object.entries(spec.paths || {}).forEach(([template, item]) => {
+        METHODS.filter(method => item[method]).forEach(method => {
+            rules.push({
+                method,
+                path: template.replace(/\{(\w+)\}/g, ':$1'),
+                template,
+                operation: item[method],
+                parameters: [...(item.parameters || []), ...(item[method].parameters || [])]
+            });
+        });
+    });
+
+    const params = rule => (rule.template.match(/\{/g) || []).length;
+    return compileRouteTable(rules.sort((a, b) => params(a) - params(b)));
+}
+
+/**
+ * Problems with a request ({ method, path, query, body }) under the
+ * operation it matches, or null when the document does not describe it
+ */
+function validateRequest(spec, table, req) {
+    const rule = matchRoute(table, req.method, req.path);
+    if (!rule) return null;
+
+    const errors = [];
+    const pathValues = routeParams(rule, req.path);
+
+    rule.parameters.map(parameter => resolve(spec, parameter)).forEach(parameter => {
+        const source = parameter.in === 'path' ? pathValues : parameter.in === 'query' ? (req.query || {}) : null;
+        if (!source) return;
+
+        const where = `${parameter.in}.${parameter.name}`;
+        const value = source[parameter.name];
+        if (value === undefined || value === '') {
+            if (parameter.required) errors.push(`${where} is required`);
+            return;
+        }
+        if (Array.isArray(value)) {
+            errors.push(`${where} must be given once`);
+            return;
+        }
+        errors.push(...validateSchema(spec, parameter.schema, coerceParameter(spec, parameter.schema, value), where));
+    });
+
+    const requestBody = rule.operation.requestBody;
+    const bodySchema = requestBody?.content?.['application/json']?.schema;
+    if (bodySchema) {
+        const body = req.body;
+        const empty = body === undefined || (typeOf(body) === 'object' && Object.keys(body).length === 0);
+        if (empty && requestBody.required) {
+            errors.push('body is required');
+        } else if (!empty) {
+            errors.push(...validateSchema(spec, bodySchema, body, 'body'));
+        }
+    }
+
+    return { rule, errors };
+}
+
+/**
+ * JSON schema documented for a response status of an operation, if any
+ */
+function responseSchema(operation, status) {
+    const responses = operation.responses || {};
+    const response = responses[status] || responses[`${String(status)[0]}XX`] || (status >= 400 ? responses.default : null);
+    return response?.content?.['application/json']?.schema || null;
+}
+
+/**
+ * Add fields to every operation: `annotate(method, path)` returns them for
+ * an Express-style path (`/api/scan/:id`). Returns the document.
+ */
+function annotateOperations(spec, annotate) {
+    Object.entries(spec.paths || {}).forEach(([template, item]) => {
+        METHODS.filter(method => item[method]).forEach(method => {
+            Object.assign(item[method], annotate(method.toUpperCase(), template.replace(/\{(\w+)\}/g, ':$1')));
+        });
+    });
+    return spec;
+}
+
+// ==========================================
+// MIDDLEWARE
+// ==========================================
+
+/**
+ * Express middleware validating requests against the document. Invalid
+ * requests get 400 { error, errors }. `responses` also checks JSON
+ * responses: 'warn' logs mismatches, 'strict' replaces the response with
+ * a 500. Requests under `scope` (default /api) the document does not
+ * describe get 404; others, the app and static files, pass untouched.
+ */
+function createApiValidator(spec, options = {}) {
+    const table = compileOperations(spec);
+    const responses = options.responses || false;
+    const scope = options.scope || /^\/api(?:\/|$)/i;
+
+    return (req, res, next) => {
+        const result = validateRequest(spec, table, req);
+        if (!result) {
+            if (!scope.test(req.path)) return next();
+            const error = `${req.method} ${req.path} is not part of the API`;
+            return res.status(404).json({ error, errors: [error] });
+        }
+
+        if (result.errors.length) {
+            return res.status(400).json({ error: result.errors.join('; '), errors: result.errors });
+        }
+
+        if (responses) {
+            const json = res.json.bind(res);
+            res.json = body => {
+                const schema = responseSchema(result.rule.operation, res.statusCode);
+                const errors = schema ? validateSchema(spec, schema, body, 'response') : [];
+                if (!errors.length) return json(body);
+
+                const operation = `${req.method} ${result.rule.template} (${res.statusCode})`;
+                if (responses !== 'strict') {
+                    console.warn(`[OpenAPI] ${operation} does not match the API description: ${errors.join('; ')}`);
+                    return json(body);
+                }
+                res.status(500);
+                return json({ error: `Response of ${operation} does not match the API description`, errors });
+            };
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    ApiSpecError,
+    validateSchema,
+    compileOperations,
+    validateRequest,
+    responseSchema,
+    annotateOperations,
+    createApiValidator
+};
@@ -12,6 +12,8 @@ class OSINTApis {
         this.shodanApiKey = options.shodanApiKey || process.env.SHODAN_API_KEY;
         this.githubToken = options.githubToken || process.env.GITHUB_TOKEN;
         this.hibpApiKey = options.hibpApiKey || process.env.HIBP_API_KEY;
+        // Optional lib/image-hash AvatarHasher; adds avatarHashes to Gravatar profiles
+        this.avatarHasher = options.avatarHasher || null;
     }
 
     /**
@@ -363,6 +365,9 @@ class OSINTApis {
             );
 
             const profile = response.data.entry?.[0];
+            const avatarHashes = this.avatarHasher && profile?.thumbnailUrl
+                ? await this.avatarHasher.hash(profile.thumbnailUrl)
+                : null;
             return {
                 exists: true,
                 profile: {
@@ -372,6 +377,7 @@ class OSINTApis {
                     aboutMe: profile?.aboutMe,
                     currentLocation: profile?.currentLocation,
                     thumbnailUrl: profile?.thumbnailUrl,
+                    avatarHashes,
                     urls: profile?.urls,
                     accounts: profile?.accounts
                 }
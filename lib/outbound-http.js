@@ -0,0 +1,355 @@
+/**
+ * OSINT Playground - Outbound HTTP Layer
+ * One egress policy for every axios request the server makes: per-host
+ * token buckets, a global concurrency cap, User-Agent rotation, HTTP/SOCKS
+ * proxy or Tor routing, and request/response hooks.
+ */
+
+const axios = require('axios');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { Semaphore } = require('./semaphore');
+
+const DEFAULT_MAX_CONCURRENCY = 16;
+const DEFAULT_HOST_RATE = 5;        // requests per second per host
+const DEFAULT_HOST_BURST = 10;
+const BUCKET_SWEEP_INTERVAL = 60000;  // ms between sweeps of idle host buckets
+
+const DEFAULT_TOR_PROXY = 'socks5h://127.0.0.1:9050';
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+const DEFAULT_USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+];
+
+/**
+ * Raised for an invalid proxy or host limit setting
+ */
+class OutboundConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid outbound HTTP settings:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'OutboundConfigError';
+        this.errors = errors;
+    }
+}
+
+// ==========================================
+// RATE LIMITING
+// ==========================================
+
+/**
+ * Token bucket refilled at `rate` tokens per second up to `burst`.
+ * reserve() always takes a token and returns how long to wait before
+ * using it; the balance going negative queues callers in order.
+ */
+class TokenBucket {
+    constructor({ rate, burst }) {
+        this.rate = rate;
+        this.capacity = Math.max(1, burst || Math.ceil(rate));
+        this.tokens = this.capacity;
+        this.updated = Date.now();
+    }
+
+    refill(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updated) / 1000) * this.rate);
+        this.updated = now;
+    }
+
+    reserve() {
+        this.refill();
+        this.tokens -= 1;
+        return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+    }
+
+    // Give back a reservation that was never used (aborted while waiting)
+    cancel() {
+        this.tokens = Math.min(this.capacity, this.tokens + 1);
+    }
+}
+
+/**
+ * One token bucket per host. `hosts` overrides the default rate for a
+ * host and its subdomains ({ 'reddit.com': { rate: 0.5, burst: 2 } });
+ * a rate of 0 disables limiting for that host. Buckets that have refilled
+ * are dropped now and then, so hosts seen once do not stay forever.
+ */
+class HostRateLimiter {
+    constructor(options = {}) {
+        this.rate = options.rate ?? DEFAULT_HOST_RATE;
+        this.burst = options.burst ?? DEFAULT_HOST_BURST;
+        this.hosts = options.hosts || {};
+        this.buckets = new Map();
+        this.sweepInterval = options.sweepInterval ?? BUCKET_SWEEP_INTERVAL;
+        this.lastSweep = Date.now();
+    }
+
+    /**
+     * Drop full buckets: a new one would start in the same state
+     */
+    sweep(now = Date.now()) {
+        this.lastSweep = now;
+        this.buckets.forEach((bucket, key) => {
+            bucket.refill(now);
+            if (bucket.tokens >= bucket.capacity) this.buckets.delete(key);
+        });
+    }
+
+    /**
+     * Most specific configured host matching `hostname`, or the hostname itself
+     */
+    resolve(hostname) {
+        const host = String(hostname || '').toLowerCase();
+        const match = Object.keys(this.hosts)
+            .filter(pattern => host === pattern || host.endsWith(`.${pattern}`))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return match
+            ? { key: match, rate: this.hosts[match].rate, burst: this.hosts[match].burst }
+            : { key: host, rate: this.rate, burst: this.burst };
+    }
+
+    bucket(hostname) {
+        if (Date.now() - this.lastSweep >= this.sweepInterval) this.sweep();
+
+        const { key, rate, burst } = this.resolve(hostname);
+        if (!(rate > 0)) return null;
+
+        if (!this.buckets.has(key)) this.buckets.set(key, new TokenBucket({ rate, burst }));
+        return this.buckets.get(key);
+    }
+
+    /**
+     * Wait for a token for `hostname`; resolves with the milliseconds waited
+     */
+    acquire(hostname, signal) {
+        const bucket = this.bucket(hostname);
+        if (!bucket) return Promise.resolve(0);
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(new Error('Aborted'));
+
+            const wait = bucket.reserve();
+            if (!wait) return resolve(0);
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                bucket.cancel();
+                reject(new Error('Aborted'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(wait);
+            }, wait);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// ==========================================
+// EGRESS
+// ==========================================
+
+/**
+ * Proxy URL with the password masked, for logs and /api/status
+ */
+function describeProxy(proxyUrl) {
+    if (!proxyUrl) return null;
+    try {
+        const url = new URL(proxyUrl);
+        if (url.password) url.password = '***';
+        return url.toString().replace(/\/$/, '');
+    } catch {
+        return 'invalid';
+    }
+}
+
+/**
+ * http(s) and SOCKS agents routing through `proxyUrl`. socks5h resolves
+ * hostnames on the proxy, which Tor needs to keep DNS off the local resolver.
+ */
+function createProxyAgents(proxyUrl) {
+    let url;
+    try {
+        url = new URL(proxyUrl);
+    } catch {
+        throw new OutboundConfigError([`proxy "${proxyUrl}" is not a valid URL`]);
+    }
+    if (!PROXY_PROTOCOLS.includes(url.protocol)) {
+        throw new OutboundConfigError([`proxy protocol "${url.protocol}" is not supported (${PROXY_PROTOCOLS.join(', ')})`]);
+    }
+
+    if (url.protocol.startsWith('socks')) {
+        const agent = new SocksProxyAgent(url);
+        return { httpAgent: agent, httpsAgent: agent };
+    }
+    return { httpAgent: new HttpProxyAgent(url), httpsAgent: new HttpsProxyAgent(url) };
+}
+
+/**
+ * Parse "api.github.com=1:5,reddit.com=0.5" into
+ * { 'api.github.com': { rate: 1, burst: 5 }, 'reddit.com': { rate: 0.5 } }
+ */
+function parseHostLimits(value) {
+    const hosts = {};
+    const errors = [];
+
+    String(value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [host, limit = ''] = part.split('=');
+        const [rate, burst] = limit.split(':').map(Number);
+        if (!host || !limit || !Number.isFinite(rate) || rate < 0 || (burst !== undefined && !(burst >= 1))) {
+            errors.push(`host limit "${part}" must look like host=rate or host=rate:burst`);
+            return;
+        }
+        hosts[host.trim().toLowerCase()] = burst === undefined ? { rate } : { rate, burst };
+    });
+
+    if (errors.length) throw new OutboundConfigError(errors);
+    return hosts;
+}
+
+// ==========================================
+// OUTBOUND LAYER
+// ==========================================
+
+class OutboundHttp {
+    constructor(options = {}) {
+        this.limiter = new HostRateLimiter({
+            rate: options.hostRate,
+            burst: options.hostBurst,
+            hosts: options.hostLimits
+        });
+        this.maxConcurrency = options.maxConcurrency || DEFAULT_MAX_CONCURRENCY;
+        this.slots = new Semaphore(this.maxConcurrency);
+
+        // Applied to requests that do not set their own User-Agent
+        this.userAgents = options.userAgents?.length ? options.userAgents : DEFAULT_USER_AGENTS;
+        this.rotateUserAgents = options.rotateUserAgents !== false;
+        this.userAgentIndex = 0;
+
+        this.tor = options.tor || false;
+        this.proxy = options.tor ? (options.torProxy || DEFAULT_TOR_PROXY) : (options.proxy || null);
+        this.agents = this.proxy ? createProxyAgents(this.proxy) : null;
+
+        this.hooks = { request: [], response: [] };
+
+        // axios instance the layer is installed on; clients pass it to code that sends requests
+        this.client = null;
+
+        this.stats = {
+            requests: 0,
+            throttled: 0,
+            throttledMs: 0
+        };
+    }
+
+    /**
+     * Register hooks: request(config) may return a replacement config,
+     * response(response, config) a replacement response. Both may be async.
+     */
+    use({ request, response } = {}) {
+        if (request) this.hooks.request.push(request);
+        if (response) this.hooks.response.push(response);
+        return this;
+    }
+
+    nextUserAgent() {
+        if (!this.rotateUserAgents) return this.userAgents[0];
+        const userAgent = this.userAgents[this.userAgentIndex % this.userAgents.length];
+        this.userAgentIndex++;
+        return userAgent;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            active: this.slots.active,
+            queued: this.slots.waiting.length,
+            maxConcurrency: this.maxConcurrency,
+            hosts: this.limiter.buckets.size,
+            userAgents: this.userAgents.length,
+            proxy: describeProxy(this.proxy),
+            tor: this.tor
+        };
+    }
+
+    /**
+     * Wrap the next adapter (the network, usually) with the egress policy
+     */
+    createAdapter(next) {
+        return async config => {
+            for (const hook of this.hooks.request) {
+                config = (await hook(config)) || config;
+            }
+
+            if (!config.headers.has('User-Agent')) {
+                config.headers.set('User-Agent', this.nextUserAgent());
+            }
+
+            let hostname = '';
+            try {
+                hostname = new URL(axios.getUri(config)).hostname;
+            } catch {
+                // Relative URL; the network adapter reports the real error
+            }
+
+            let release;
+            try {
+                const waited = await this.limiter.acquire(hostname, config.signal);
+                if (waited) {
+                    this.stats.throttled++;
+                    this.stats.throttledMs += waited;
+                }
+                release = await this.slots.acquire(config.signal);
+            } catch {
+                throw new axios.CanceledError(null, config);
+            }
+
+            this.stats.requests++;
+            try {
+                let response = await next(config);
+                for (const hook of this.hooks.response) {
+                    response = (await hook(response, config)) || response;
+                }
+                return response;
+            } finally {
+                release();
+            }
+        };
+    }
+}
+
+/**
+ * Route every request made through `instance` (the global axios by
+ * default) and instances created from it afterwards through `outbound`.
+ * Install before the HTTP cache so cache hits skip the rate limits.
+ */
+function installOutboundHttp(outbound, instance = axios) {
+    const next = axios.getAdapter(instance.defaults.adapter);
+    instance.defaults.adapter = outbound.createAdapter(next);
+    outbound.client = instance;
+
+    if (outbound.agents) {
+        instance.defaults.httpAgent = outbound.agents.httpAgent;
+        instance.defaults.httpsAgent = outbound.agents.httpsAgent;
+        // The agents do the proxying; stop axios applying HTTP(S)_PROXY on top
+        instance.defaults.proxy = false;
+    }
+    return outbound;
+}
+
+module.exports = {
+    OutboundHttp,
+    OutboundConfigError,
+    TokenBucket,
+    HostRateLimiter,
+    installOutboundHttp,
+    createProxyAgents,
+    parseHostLimits,
+    describeProxy,
+    DEFAULT_USER_AGENTS
+};
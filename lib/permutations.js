@@ -0,0 +1,168 @@
+/**
+ * OSINT Playground - Username Permutations
+ * Generates ranked username variants from a seed username or a person's name
+ */
+
+const SEPARATORS = ['', '.', '_', '-'];
+
+const LEET_MAP = {
+    a: '4',
+    e: '3',
+    i: '1',
+    o: '0',
+    s: '5',
+    t: '7'
+};
+
+const COMMON_SUFFIXES = ['1', '01', '123', '007', 'x', 'official', 'real', 'dev'];
+
+// Higher weight = more likely to be the same person
+const WEIGHTS = {
+    separator: 0.9,
+    reversed: 0.8,
+    initial: 0.75,
+    truncation: 0.65,
+    year: 0.55,
+    suffix: 0.5,
+    leet: 0.4
+};
+
+const DEFAULT_LIMIT = 25;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,30}$/;
+
+/**
+ * Split a username or full name into lowercase word tokens and a
+ * trailing number: "JohnDoe_92" -> { tokens: ['john', 'doe'], number: '92' }
+ */
+function tokenize(input) {
+    const words = String(input)
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[\s._\-@]+/)
+        .filter(Boolean);
+
+    let number = null;
+    const tokens = [];
+
+    words.forEach(word => {
+        const match = /^([a-z]*)(\d+)$/.exec(word);
+        if (match) {
+            if (match[1]) tokens.push(match[1]);
+            number = match[2];
+        } else {
+            tokens.push(word.replace(/[^a-z0-9]/g, ''));
+        }
+    });
+
+    return { tokens: tokens.filter(Boolean), number };
+}
+
+function birthYears(options) {
+    if (Array.isArray(options.years)) return options.years.map(String);
+
+    // Most likely birth years first, centred on an adult in their early thirties
+    const centre = new Date().getFullYear() - 32;
+    const years = [];
+    for (let offset = 0; offset <= 12; offset++) {
+        years.push(centre - offset);
+        if (offset) years.push(centre + offset);
+    }
+
+    // Two-digit forms first; they are far more common in handles
+    return [
+        ...years.slice(0, 10).map(year => String(year).slice(2)),
+        ...years.slice(0, 5).map(String)
+    ];
+}
+
+function leetspeak(value) {
+    return value.replace(/[aeiost]/g, c => LEET_MAP[c]);
+}
+
+/**
+ * Generate ranked variants of `input`.
+ *
+ * `input` is a username ("john_doe92"), a full name ("John Doe") or
+ * `{ firstName, lastName }`. Returns up to `options.limit` entries of
+ * `{ username, score, transforms }` sorted by score, excluding the seed.
+ */
+function generatePermutations(input, options = {}) {
+    const limit = options.limit || DEFAULT_LIMIT;
+    const source = input && typeof input === 'object'
+        ? [input.firstName, input.middleName, input.lastName].filter(Boolean).join(' ')
+        : input;
+    const seed = String(source || '').toLowerCase();
+    const { tokens, number } = tokenize(source || '');
+
+    if (tokens.length === 0) return [];
+
+    const variants = new Map();
+    const add = (username, score, transforms) => {
+        const value = username.toLowerCase();
+        if (value === seed || !USERNAME_PATTERN.test(value)) return;
+
+        const existing = variants.get(value);
+        if (!existing || existing.score < score) {
+            variants.set(value, { username: value, score: Math.round(score * 100) / 100, transforms });
+        }
+    };
+
+    // Base forms: joined tokens, reversed order, initials, truncations
+    const bases = [];
+    const [first, ...rest] = tokens;
+    const last = rest[rest.length - 1];
+
+    SEPARATORS.forEach(sep => {
+        bases.push({ value: tokens.join(sep), score: WEIGHTS.separator, transforms: sep ? [`separator:${sep}`] : ['joined'] });
+
+        if (last) {
+            bases.push({ value: [...tokens].reverse().join(sep), score: WEIGHTS.reversed, transforms: ['reversed', `separator:${sep || 'none'}`] });
+            bases.push({ value: `${first[0]}${sep}${last}`, score: WEIGHTS.initial, transforms: ['first-initial', `separator:${sep || 'none'}`] });
+            bases.push({ value: `${first}${sep}${last[0]}`, score: WEIGHTS.initial - 0.05, transforms: ['last-initial', `separator:${sep || 'none'}`] });
+        }
+    });
+
+    if (last) {
+        bases.push({ value: `${first.slice(0, 3)}${last.slice(0, 3)}`, score: WEIGHTS.truncation, transforms: ['truncated'] });
+        bases.push({ value: first, score: WEIGHTS.truncation - 0.1, transforms: ['first-name-only'] });
+        bases.push({ value: last, score: WEIGHTS.truncation - 0.15, transforms: ['last-name-only'] });
+    } else if (first.length > 5) {
+        bases.push({ value: first.slice(0, first.length - 1), score: WEIGHTS.truncation - 0.1, transforms: ['truncated'] });
+        bases.push({ value: first.split('').reverse().join(''), score: WEIGHTS.leet - 0.1, transforms: ['reversed'] });
+    }
+
+    bases.forEach(base => add(base.value, base.score, base.transforms));
+
+    // Suffixes and leetspeak apply to the strongest bases only
+    const topBases = bases
+        .filter((b, index) => b.score >= WEIGHTS.initial && bases.findIndex(o => o.value === b.value) === index)
+        .slice(0, 6);
+    const suffixes = [
+        ...(number ? [{ value: number, score: WEIGHTS.separator - 0.05, transform: 'original-number' }] : []),
+        ...birthYears(options).map(year => ({ value: year, score: WEIGHTS.year, transform: `year:${year}` })),
+        ...COMMON_SUFFIXES.map(suffix => ({ value: suffix, score: WEIGHTS.suffix, transform: `suffix:${suffix}` }))
+    ];
+
+    topBases.forEach(base => {
+        add(base.value, base.score, base.transforms);
+
+        suffixes.forEach(suffix => {
+            add(`${base.value}${suffix.value}`, base.score * suffix.score, [...base.transforms, suffix.transform]);
+            add(`${base.value}_${suffix.value}`, base.score * suffix.score * 0.9, [...base.transforms, suffix.transform, 'separator:_']);
+        });
+
+        const leet = leetspeak(base.value);
+        if (leet !== base.value) {
+            add(leet, base.score * WEIGHTS.leet, [...base.transforms, 'leetspeak']);
+        }
+    });
+
+    return [...variants.values()]
+        .sort((a, b) => b.score - a.score || a.username.length - b.username.length)
+        .slice(0, limit);
+}
+
+module.exports = {
+    tokenize,
+    generatePermutations
+};
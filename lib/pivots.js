@@ -0,0 +1,128 @@
+/**
+ * OSINT Playground - Pivots
+ * Finds leads in scan results (emails, domains, usernames, IPs) that a
+ * recursive scan can follow with the modules for that target type.
+ */
+
+const { normalizeTarget, ScanTargetError } = require('./scan-profiles');
+
+const PIVOT_TYPES = ['email', 'domain', 'username', 'ip'];
+
+// Profile links and shorteners point at a platform, not at the subject
+const PLATFORM_DOMAINS = [
+    'github.com', 'gitlab.com', 'reddit.com', 'keybase.io', 'twitter.com', 'x.com',
+    'instagram.com', 'linkedin.com', 'facebook.com', 'youtube.com', 'medium.com',
+    'gravatar.com', 'ycombinator.com', 't.co', 'bit.ly', 'linktr.ee'
+];
+
+// Keybase proofs of these types name a domain; the rest name a platform account
+const KEYBASE_DOMAIN_PROOFS = ['dns', 'generic_web_site'];
+
+const EMAIL_IN_TEXT = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const URL_IN_TEXT = /\bhttps?:\/\/[^\s<>"')\]]+/gi;
+const NOREPLY_EMAIL = /(^|[.+_-])no-?reply|@users\.noreply\./i;
+
+function isPlatformDomain(domain) {
+    return PLATFORM_DOMAINS.some(platform => domain === platform || domain.endsWith(`.${platform}`));
+}
+
+function hostOf(value) {
+    try {
+        return new URL(/^[a-z]+:\/\//i.test(value) ? value : `http://${value}`).hostname;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Leads found in one result: [{ type, value, field }]. Values are
+ * normalized as target values (lowercased emails and domains); invalid
+ * values, noreply addresses and platform domains are dropped.
+ */
+function extractLeads(result) {
+    const leads = [];
+    const seen = new Set();
+
+    const add = (type, value, field) => {
+        if (!value || typeof value !== 'string') return;
+
+        let normalized;
+        try {
+            normalized = normalizeTarget({ type, value: value.trim() }).queries[type];
+        } catch {
+            return;
+        }
+        if (type === 'email' && NOREPLY_EMAIL.test(normalized)) return;
+        if (type === 'domain' && isPlatformDomain(normalized)) return;
+
+        const key = `${type}:${normalized.toLowerCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        leads.push({ type, value: normalized, field });
+    };
+
+    add('email', result.email, 'email');
+    (result.emails || []).forEach(email => add('email', email?.value || email, 'emails'));
+
+    // Websites: GitHub's blog field, then links and addresses in free text
+    add('domain', hostOf(result.raw?.blog || ''), 'blog');
+    ['bio', 'description'].forEach(field => {
+        const text = typeof result[field] === 'string' ? result[field] : '';
+        (text.match(EMAIL_IN_TEXT) || []).forEach(email => add('email', email, field));
+        (text.match(URL_IN_TEXT) || []).forEach(url => add('domain', hostOf(url), field));
+    });
+
+    (result.proofs || []).forEach(proof => {
+        if (KEYBASE_DOMAIN_PROOFS.includes(proof.proof_type)) {
+            add('domain', hostOf(proof.nametag || ''), `proofs.${proof.proof_type}`);
+        } else {
+            add('username', proof.nametag, `proofs.${proof.proof_type}`);
+        }
+    });
+
+    (result.accounts || []).forEach(account => add('username', account.username, `accounts.${account.platform}`));
+
+    (result.ips || []).forEach(ip => add('ip', ip, 'ips'));
+
+    return leads;
+}
+
+/**
+ * Resolve the pivot option of a scan (true or { maxDepth, maxRequests,
+ * types }) against the server limits; requests can only tighten them.
+ * Returns null when pivoting is off.
+ */
+function resolvePivotLimits(pivot, limits) {
+    if (!pivot) return null;
+
+    const requested = pivot === true ? {} : pivot;
+    const errors = [];
+
+    if (typeof requested !== 'object' || Array.isArray(requested)) {
+        throw new ScanTargetError(['pivot must be true or an object with maxDepth, maxRequests and types']);
+    }
+    ['maxDepth', 'maxRequests'].forEach(key => {
+        if (requested[key] !== undefined && !(Number.isInteger(requested[key]) && requested[key] >= 0)) {
+            errors.push(`pivot.${key} must be a non-negative integer`);
+        }
+    });
+    if (requested.types !== undefined) {
+        const unknown = Array.isArray(requested.types)
+            ? requested.types.filter(type => !PIVOT_TYPES.includes(type))
+            : [requested.types];
+        if (unknown.length) errors.push(`pivot.types must only contain ${PIVOT_TYPES.join(', ')}`);
+    }
+    if (errors.length) throw new ScanTargetError(errors);
+
+    return {
+        maxDepth: Math.min(requested.maxDepth ?? limits.maxDepth, limits.maxDepth),
+        maxRequests: Math.min(requested.maxRequests ?? limits.maxRequests, limits.maxRequests),
+        types: (requested.types || limits.types).filter(type => limits.types.includes(type))
+    };
+}
+
+module.exports = {
+    PIVOT_TYPES,
+    extractLeads,
+    resolvePivotLimits
+};
@@ -0,0 +1,258 @@
+/**
+ * OSINT Playground - Platform Catalogue
+ * Loads and validates the declarative site definitions in config/platforms.json
+ * and turns them into probe requests and existence verdicts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_ERROR_STRINGS, detectProfile } = require('./detection');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'platforms.json');
+
+const CHECK_METHODS = ['status', 'content', 'json', 'api'];
+const PROBE_METHODS = ['GET', 'HEAD', 'POST'];
+
+/**
+ * Raised when the catalogue fails validation; `errors` lists every problem
+ */
+class PlatformCatalogError extends Error {
+    constructor(errors, source) {
+        super(`Invalid platform catalogue${source ? ` (${source})` : ''}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'PlatformCatalogError';
+        this.errors = errors;
+    }
+}
+
+// ==========================================
+// VALIDATION
+// ==========================================
+
+const isString = value => typeof value === 'string' && value.length > 0;
+const isStringArray = value => Array.isArray(value) && value.every(isString);
+
+function validateTemplateUrl(value, field, errors, where, requirePlaceholder = true) {
+    if (!isString(value)) {
+        errors.push(`${where}: "${field}" is required`);
+        return;
+    }
+    if (requirePlaceholder && !value.includes('{username}')) {
+        errors.push(`${where}: "${field}" must contain {username}`);
+    }
+    try {
+        const parsed = new URL(value.replace(/\{username\}/g, 'probe'));
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            errors.push(`${where}: "${field}" must be an http(s) URL`);
+        }
+    } catch {
+        errors.push(`${where}: "${field}" is not a valid URL`);
+    }
+}
+
+/**
+ * Validate a single platform entry, pushing messages onto `errors`
+ */
+function validatePlatform(platform, index, errors, categories = null) {
+    const where = `platforms[${index}]${platform?.name ? ` (${platform.name})` : ''}`;
+
+    if (!platform || typeof platform !== 'object' || Array.isArray(platform)) {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+
+    if (!isString(platform.name)) errors.push(`${where}: "name" is required`);
+    validateTemplateUrl(platform.url, 'url', errors, where);
+
+    if (!isString(platform.category)) {
+        errors.push(`${where}: "category" is required`);
+    } else if (categories && !categories.includes(platform.category)) {
+        errors.push(`${where}: unknown category "${platform.category}"`);
+    }
+
+    if (platform.checkMethod !== undefined && !CHECK_METHODS.includes(platform.checkMethod)) {
+        errors.push(`${where}: "checkMethod" must be one of ${CHECK_METHODS.join(', ')}`);
+    }
+    ['validStatus', 'missingStatus'].forEach(field => {
+        const value = platform[field];
+        if (value !== undefined && !(Number.isInteger(value) && value >= 100 && value < 600)) {
+            errors.push(`${where}: "${field}" must be an HTTP status code`);
+        }
+    });
+
+    ['validContent', 'icon', 'color', 'adapter'].forEach(field => {
+        if (platform[field] !== undefined && !isString(platform[field])) {
+            errors.push(`${where}: "${field}" must be a non-empty string`);
+        }
+    });
+
+    ['errorStrings', 'errorTitles', 'falsePositiveMarkers'].forEach(field => {
+        if (platform[field] !== undefined && !isStringArray(platform[field])) {
+            errors.push(`${where}: "${field}" must be an array of strings`);
+        }
+    });
+
+    ['usernamePattern', 'notFoundRedirect'].forEach(field => {
+        if (platform[field] === undefined) return;
+        try {
+            new RegExp(platform[field]);
+        } catch (error) {
+            errors.push(`${where}: "${field}" is not a valid regex (${error.message})`);
+        }
+    });
+
+    if (platform.minContentLength !== undefined &&
+        !(Number.isInteger(platform.minContentLength) && platform.minContentLength > 0)) {
+        errors.push(`${where}: "minContentLength" must be a positive integer`);
+    }
+
+    if (platform.headers !== undefined) {
+        const valid = platform.headers && typeof platform.headers === 'object' &&
+            !Array.isArray(platform.headers) && Object.values(platform.headers).every(v => typeof v === 'string');
+        if (!valid) errors.push(`${where}: "headers" must map header names to strings`);
+    }
+
+    if (platform.probe !== undefined) {
+        const probe = platform.probe;
+        if (!probe || typeof probe !== 'object' || Array.isArray(probe)) {
+            errors.push(`${where}: "probe" must be an object`);
+            return;
+        }
+        // POST probes may carry the username in the body instead of the URL
+        if (probe.url !== undefined) {
+            validateTemplateUrl(probe.url, 'probe.url', errors, where, probe.method !== 'POST');
+        }
+        if (probe.method !== undefined && !PROBE_METHODS.includes(probe.method)) {
+            errors.push(`${where}: "probe.method" must be one of ${PROBE_METHODS.join(', ')}`);
+        }
+        if (probe.body !== undefined && probe.method !== 'POST') {
+            errors.push(`${where}: "probe.body" is only allowed with POST`);
+        }
+        if (probe.body !== undefined && typeof probe.body !== 'string' && typeof probe.body !== 'object') {
+            errors.push(`${where}: "probe.body" must be a string or object`);
+        }
+    }
+}
+
+/**
+ * Validate a whole catalogue; returns an array of error messages
+ */
+function validateCatalog(catalog) {
+    const errors = [];
+
+    if (!catalog || !Array.isArray(catalog.platforms)) {
+        return ['"platforms" must be an array'];
+    }
+
+    const categories = Array.isArray(catalog.categories) ? catalog.categories : null;
+    const seen = new Set();
+
+    catalog.platforms.forEach((platform, index) => {
+        validatePlatform(platform, index, errors, categories);
+
+        const key = platform?.name?.toLowerCase();
+        if (key) {
+            if (seen.has(key)) errors.push(`platforms[${index}]: duplicate name "${platform.name}"`);
+            seen.add(key);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Read and validate a catalogue file. Throws PlatformCatalogError so a
+ * bad entry stops the server at startup instead of at scan time.
+ */
+function loadPlatformCatalog(filePath = DEFAULT_CATALOG_PATH) {
+    let catalog;
+    try {
+        catalog = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new PlatformCatalogError([error.message], filePath);
+    }
+
+    const errors = validateCatalog(catalog);
+    if (errors.length) {
+        throw new PlatformCatalogError(errors, filePath);
+    }
+
+    return catalog;
+}
+
+// ==========================================
+// PROBES
+// ==========================================
+
+/**
+ * Replace {username} in a string or in every string of an object
+ */
+function expandTemplate(template, username, encode = true) {
+    const value = encode ? encodeURIComponent(username) : username;
+
+    if (typeof template === 'string') {
+        return template.replace(/\{username\}/g, value);
+    }
+    if (template && typeof template === 'object') {
+        return JSON.parse(JSON.stringify(template), (key, v) =>
+            typeof v === 'string' ? v.replace(/\{username\}/g, value) : v
+        );
+    }
+    return template;
+}
+
+function isValidUsername(platform, username) {
+    if (!platform.usernamePattern) return true;
+    return new RegExp(platform.usernamePattern).test(username);
+}
+
+/**
+ * Build the axios request config that probes `platform` for `username`
+ */
+function buildProbeRequest(platform, username) {
+    const probe = platform.probe || {};
+    const method = probe.method || 'GET';
+
+    const request = {
+        method,
+        url: expandTemplate(probe.url || platform.url, username),
+        headers: { ...(platform.headers || {}) }
+    };
+
+    if (method === 'POST' && probe.body !== undefined) {
+        request.data = expandTemplate(probe.body, username, false);
+        if (probe.contentType) {
+            request.headers['Content-Type'] = probe.contentType;
+        }
+    }
+
+    if (platform.checkMethod === 'json') {
+        request.headers.Accept = request.headers.Accept || 'application/json';
+    }
+
+    return request;
+}
+
+/**
+ * Decide whether a probe response means the profile exists.
+ * Returns { status: 'found' | 'not-found' | 'unknown', reason, confidence, signals };
+ * see lib/detection.js for the signals that are combined.
+ */
+function evaluateResponse(platform, response, username = null) {
+    return detectProfile(platform, response, {
+        username,
+        requestUrl: username === null ? null : buildProbeRequest(platform, username).url
+    });
+}
+
+module.exports = {
+    PlatformCatalogError,
+    DEFAULT_CATALOG_PATH,
+    DEFAULT_ERROR_STRINGS,
+    validatePlatform,
+    validateCatalog,
+    loadPlatformCatalog,
+    expandTemplate,
+    isValidUsername,
+    buildProbeRequest,
+    evaluateResponse
+};
@@ -0,0 +1,413 @@
+/**
+ * OSINT Playground - API Rate Limiting
+ * Cost-weighted request budgets: each route costs points (a scan that fans
+ * out to dozens of lookups costs more than reading a stored one), charged to
+ * a bucket per API key or session, or per client IP. Answers carry the
+ * standard RateLimit-* headers. Buckets live in a pluggable store.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { compileRouteTable, matchRoute } = require('./route-table');
+
+const DEFAULT_POINTS = 120;
+const DEFAULT_DURATION = 60;            // seconds
+
+/**
+ * Points per request, first match wins (lib/route-table). Paths outside
+ * /api are the app and static assets; requests no rule matches cost 1.
+ */
+const DEFAULT_ROUTE_COSTS = [
+    { method: 'GET', path: '/api/health', cost: 0 },
+    // Reading a scan that was paid for when it started
+    { method: 'GET', path: '/api/scan/:id/stream', cost: 0 },
+    // Password guesses are as expensive as lookups
+    { method: 'POST', path: '/api/auth/login', cost: 5 },
+    { method: 'POST', path: '/api/scan', cost: 10 },
+    { method: 'POST', path: '/api/scan/quick', cost: 10 },
+    { method: 'POST', path: '/api/search', cost: 10 },
+    { method: 'POST', path: '/api/check', cost: 10 },
+    { method: 'POST', path: '/api/search-engines', cost: 5 },
+    { method: 'GET', path: '/api/search/global', cost: 5 },
+    { method: 'POST', path: '/api/email/candidates', cost: 5 },
+    { method: 'GET', path: '/api/osint/*', cost: 3 },
+    { method: 'GET', path: '/api/github/:username', cost: 3 },
+    { method: 'GET', path: '/api/hibp/:email', cost: 3 },
+    { method: 'GET', path: '/api/dns/:domain', cost: 3 },
+    { method: 'GET', path: '/api/whois/:domain', cost: 3 },
+    { method: 'GET', path: '/api/check', cost: 2 },
+    { method: 'GET', path: '/api/hackernews/*', cost: 2 },
+    { method: '*', path: '/api/*', cost: 1 },
+    { method: 'GET', path: '*', cost: 0 }
+];
+
+/**
+ * Raised for an invalid route cost or key budget setting
+ */
+class RateLimitConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid rate limit settings:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'RateLimitConfigError';
+        this.errors = errors;
+    }
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+// ==========================================
+// ROUTE COSTS
+// ==========================================
+
+/**
+ * Points a request costs under a compiled cost table
+ */
+function routeCost(table, method, requestPath) {
+    const rule = matchRoute(table, method, requestPath);
+    return rule ? rule.cost : 1;
+}
+
+/**
+ * Parse "POST /api/scan=20,GET /api/osint/*=2" into cost rules
+ */
+function parseRouteCosts(value) {
+    const rules = [];
+    const errors = [];
+
+    String(value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^(?:([A-Za-z]+|\*)\s+)?(\S+)\s*=\s*(\d+)$/);
+        if (!match || !(match[2] === '*' || match[2].startsWith('/'))) {
+            errors.push(`route cost "${part}" must look like [METHOD] /path=points`);
+            return;
+        }
+        rules.push({ method: (match[1] || '*').toUpperCase(), path: match[2], cost: Number(match[3]) });
+    });
+
+    if (errors.length) throw new RateLimitConfigError(errors);
+    return rules;
+}
+
+/**
+ * Parse "key1=300,key2" into a Map of API key to points per window
+ * (null uses the default budget)
+ */
+function parseKeyBudgets(value) {
+    const budgets = new Map();
+    const errors = [];
+
+    String(value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [key, points] = part.split('=');
+        if (!key || (points !== undefined && !(Number.isInteger(Number(points)) && Number(points) > 0))) {
+            errors.push(`API key budget "${key ? `${key.slice(0, 4)}...` : part}" must look like key or key=points`);
+            return;
+        }
+        budgets.set(key.trim(), points === undefined ? null : Number(points));
+    });
+
+    if (errors.length) throw new RateLimitConfigError(errors);
+    return budgets;
+}
+
+// ==========================================
+// STORE INTERFACE
+// ==========================================
+
+/**
+ * Base store interface. consume(key, cost, { points, duration }) charges a
+ * fixed window of `duration` seconds and resolves with
+ * { allowed, consumed, remaining, resetAt }; refused requests are not
+ * charged. All methods are async.
+ */
+class RateLimitStore {
+    async consume(key, cost, limits) {
+        throw new Error('consume() must be implemented');
+    }
+
+    async close() {}
+}
+
+// ==========================================
+// MEMORY STORE
+// ==========================================
+
+/**
+ * Non-persistent store, used by default
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+    constructor() {
+        super();
+        this.buckets = new Map();
+        this.calls = 0;
+    }
+
+    async consume(key, cost, { points, duration }) {
+        const now = Date.now();
+
+        // Drop finished windows now and then so idle clients do not pile up
+        if (++this.calls % 1000 === 0) this.prune(now);
+
+        let bucket = this.buckets.get(key);
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { consumed: 0, resetAt: now + duration * 1000 };
+            this.buckets.set(key, bucket);
+        }
+
+        const allowed = bucket.consumed + cost <= points;
+        if (allowed) bucket.consumed += cost;
+
+        return {
+            allowed,
+            consumed: bucket.consumed,
+            remaining: Math.max(0, points - bucket.consumed),
+            resetAt: bucket.resetAt
+        };
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.resetAt <= now) this.buckets.delete(key);
+        }
+    }
+}
+
+// ==========================================
+// FILE STORE
+// ==========================================
+
+/**
+ * Memory store snapshotted to a JSON file shortly after changes and on
+ * close, so budgets survive restarts
+ */
+class FileRateLimitStore extends MemoryRateLimitStore {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.path || path.join(process.cwd(), 'data', 'rate-limits.json');
+        this.saveDelay = options.saveDelay ?? 1000;
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+        this.ready = null;
+    }
+
+    /**
+     * Load the snapshot once; consume() awaits this
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.load();
+        }
+        return this.ready;
+    }
+
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const snapshot = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            const now = Date.now();
+            Object.entries(snapshot.buckets || {}).forEach(([key, bucket]) => {
+                if (bucket.resetAt > now) this.buckets.set(key, bucket);
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[RateLimit] Ignoring unreadable ${this.filePath}: ${error.message}`);
+            }
+        }
+    }
+
+    async consume(key, cost, limits) {
+        await this.init();
+        const result = await super.consume(key, cost, limits);
+        if (result.allowed) this.scheduleSave();
+        return result;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+        this.saveTimer.unref?.();
+    }
+
+    save() {
+        this.saving = this.saving.then(async () => {
+            this.prune();
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify({ buckets: Object.fromEntries(this.buckets) }));
+            await fs.promises.rename(tmpPath, this.filePath);
+        }).catch(error => {
+            console.error(`[RateLimit] Save failed: ${error.message}`);
+        });
+        return this.saving;
+    }
+
+    async close() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            await this.save();
+        }
+        await this.saving;
+    }
+}
+
+// ==========================================
+// RATE-LIMITER-FLEXIBLE STORE
+// ==========================================
+
+/**
+ * Buckets kept by a rate-limiter-flexible limiter (RateLimiterRedis,
+ * RateLimiterPostgres, ...) shared by several server instances. The
+ * limiter's own `duration` sets the window; give it `points` at least as
+ * high as the largest budget, the per-key budget is enforced here.
+ */
+class FlexibleRateLimitStore extends RateLimitStore {
+    constructor(options = {}) {
+        super();
+        if (!options.limiter) {
+            throw new RateLimitConfigError(['the flexible store needs a rate-limiter-flexible `limiter`']);
+        }
+        this.limiter = options.limiter;
+    }
+
+    async consume(key, cost, { points }) {
+        const res = await this.limiter.penalty(key, cost);
+        const allowed = res.consumedPoints <= points;
+        if (!allowed) await this.limiter.reward(key, cost);
+
+        const consumed = allowed ? res.consumedPoints : res.consumedPoints - cost;
+        return {
+            allowed,
+            consumed,
+            remaining: Math.max(0, points - consumed),
+            resetAt: Date.now() + res.msBeforeNext
+        };
+    }
+}
+
+// ==========================================
+// FACTORY
+// ==========================================
+
+const STORE_TYPES = {
+    memory: MemoryRateLimitStore,
+    file: FileRateLimitStore,
+    flexible: FlexibleRateLimitStore
+};
+
+function createRateLimitStore(options = {}) {
+    const type = options.type || 'memory';
+    const StoreClass = STORE_TYPES[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown rate limit store type: ${type}`);
+    }
+
+    return new StoreClass(options);
+}
+
+function registerRateLimitStoreType(type, StoreClass) {
+    STORE_TYPES[type] = StoreClass;
+}
+
+// ==========================================
+// MIDDLEWARE
+// ==========================================
+
+/**
+ * Credential a request presents: X-API-Key, or a Bearer token
+ */
+function requestCredential(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) return apiKey;
+
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Express middleware charging each request its route cost.
+ *
+ * Buckets, in order: `req.rateLimitKey` (and `req.rateLimitPoints`) set by
+ * middleware that authenticated the request, then API keys listed in
+ * `keys` (Map of key to points, null for the default), then the client IP.
+ * Unknown keys share the IP bucket, so made-up keys cannot buy new budgets.
+ */
+function createRateLimiter(options = {}) {
+    const store = options.store || new MemoryRateLimitStore();
+    const points = options.points || DEFAULT_POINTS;
+    const duration = options.duration || DEFAULT_DURATION;
+    const rules = compileRouteTable([...(options.costs || []), ...DEFAULT_ROUTE_COSTS]);
+    const keys = options.keys || new Map();
+
+    const bucketFor = req => {
+        if (req.rateLimitKey) {
+            return { key: req.rateLimitKey, points: req.rateLimitPoints || points };
+        }
+        const credential = requestCredential(req);
+        if (credential && keys.has(credential)) {
+            return { key: `key:${hash(credential)}`, points: keys.get(credential) || points };
+        }
+        return { key: `ip:${req.ip}`, points };
+    };
+
+    const middleware = async (req, res, next) => {
+        const cost = routeCost(rules, req.method, req.path);
+        if (cost === 0) return next();
+
+        const bucket = bucketFor(req);
+        let result;
+        try {
+            result = await store.consume(bucket.key, cost, { points: bucket.points, duration });
+        } catch (error) {
+            // A broken store should not take the API down with it
+            console.error(`[RateLimit] Store failed, letting request through: ${error.message}`);
+            return next();
+        }
+
+        const reset = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Policy': `${bucket.points};w=${duration}`,
+            'RateLimit-Limit': String(bucket.points),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(reset)
+        });
+
+        if (!result.allowed) {
+            res.set('Retry-After', String(reset));
+            return res.status(429).json({
+                error: 'Too many requests',
+                retryAfter: reset,
+                cost,
+                remaining: result.remaining
+            });
+        }
+        next();
+    };
+
+    middleware.store = store;
+    middleware.costOf = (method, requestPath) => routeCost(rules, method, requestPath);
+    return middleware;
+}
+
+// Response headers browsers may read cross-origin
+const RATE_LIMIT_HEADERS = ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'];
+
+module.exports = {
+    DEFAULT_ROUTE_COSTS,
+    RATE_LIMIT_HEADERS,
+    RateLimitConfigError,
+    RateLimitStore,
+    MemoryRateLimitStore,
+    FileRateLimitStore,
+    FlexibleRateLimitStore,
+    createRateLimitStore,
+    registerRateLimitStoreType,
+    createRateLimiter,
+    parseRouteCosts,
+    parseKeyBudgets,
+    routeCost
+};
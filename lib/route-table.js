@@ -0,0 +1,62 @@
+/**
+ * OSINT Playground - Route Tables
+ * Ordered { method, path, ... } rules matched against requests, first match
+ * wins. `*` as a segment matches the rest of the path, `:name` one segment;
+ * a path of `*` alone matches everything. Paths match case-insensitively
+ * and HEAD requests match GET rules, as Express routes them. Used for
+ * per-route rate limit costs, permissions and audited lookups.
+ */
+
+function compilePath(pattern) {
+    if (pattern === '*') return /^/;
+
+    const source = pattern.split('/').map(segment => {
+        if (segment === '*') return '(?<rest>.*)';
+        if (segment.startsWith(':')) return `(?<${segment.slice(1)}>[^/]+)`;
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    return new RegExp(`^${source}/?$`, 'i');
+}
+
+/**
+ * Compile rules for matchRoute(); methods are case-insensitive, `*` for any
+ */
+function compileRouteTable(rules) {
+    return rules.map(rule => ({ ...rule, method: rule.method.toUpperCase(), matcher: compilePath(rule.path) }));
+}
+
+/**
+ * First compiled rule matching the request, or null
+ */
+function matchRoute(table, method, requestPath) {
+    const upper = method.toUpperCase();
+    // Express answers HEAD with the GET handler
+    const methods = upper === 'HEAD' ? ['HEAD', 'GET'] : [upper];
+    return table.find(rule => (rule.method === '*' || methods.includes(rule.method)) && rule.matcher.test(requestPath)) || null;
+}
+
+/**
+ * Named segments of a request path under a matched rule ({ username: 'jdoe' });
+ * `*` is captured as `rest`
+ */
+function routeParams(rule, requestPath) {
+    const match = rule.matcher.exec(requestPath);
+    if (!match || !match.groups) return {};
+    return Object.fromEntries(Object.entries(match.groups)
+        .filter(([, value]) => value !== undefined)
+        .map(([name, value]) => [name, decode(value)]));
+}
+
+function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+module.exports = {
+    compileRouteTable,
+    matchRoute,
+    routeParams
+};
@@ -0,0 +1,275 @@
+/**
+ * OSINT Playground - Scan Profiles
+ * Server-side counterpart of the browser OSINTCore profiles: validates
+ * `{ type, value }` targets and picks the aggregator adapters a profile
+ * runs for them.
+ */
+
+const net = require('net');
+const { generatePermutations } = require('./permutations');
+
+const TARGET_TYPES = ['username', 'email', 'domain', 'ip', 'person', 'organization'];
+
+// Adapters per profile; an adapter only runs when it accepts one of the
+// query kinds (adapter.targets) the target provides
+const SCAN_PROFILES = {
+    social: {
+        name: 'Social Intelligence',
+        adapters: ['github', 'reddit', 'gitlab', 'keybase', 'hackernews', 'twitter', 'instagram',
+            'linkedin', 'direct', 'searchengine', 'gravatar', 'nominatim']
+    },
+    domain: {
+        name: 'Domain Intelligence',
+        adapters: ['dns', 'hunter', 'virustotal']
+    },
+    breach: {
+        name: 'Breach Analysis',
+        adapters: ['hibp', 'hunter', 'gravatar']
+    },
+    geo: {
+        name: 'GeoInt',
+        adapters: ['nominatim', 'shodan']
+    },
+    threat: {
+        name: 'Threat Intel',
+        adapters: ['shodan', 'abuseipdb', 'virustotal']
+    },
+    deep: {
+        name: 'Deep Scan',
+        adapters: 'all'
+    }
+};
+
+// Query kinds each target type can provide (see normalizeTarget)
+const TARGET_QUERY_KINDS = {
+    username: ['username'],
+    email: ['email'],
+    domain: ['domain'],
+    ip: ['ip'],
+    person: ['username', 'location'],
+    organization: ['username', 'domain', 'location']
+};
+
+// Profile used when a request names none
+const DEFAULT_PROFILES = {
+    username: 'social',
+    email: 'breach',
+    domain: 'domain',
+    ip: 'threat',
+    person: 'social',
+    organization: 'deep'
+};
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.\-]{1,64}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Raised for an invalid target or profile; `errors` lists every problem
+ */
+class ScanTargetError extends Error {
+    constructor(errors) {
+        super(`Invalid scan target:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ScanTargetError';
+        this.errors = errors;
+        this.status = 400;
+    }
+}
+
+// ==========================================
+// TARGETS
+// ==========================================
+
+/**
+ * Guess the type of a bare string target, as OSINTCore.detectTargetType does
+ */
+function detectTargetType(value) {
+    const text = String(value || '').trim();
+    if (text.includes('@')) return 'email';
+    if (net.isIP(text)) return 'ip';
+    if (/\s/.test(text)) return 'person';
+    if (DOMAIN_PATTERN.test(text.toLowerCase())) return 'domain';
+    return 'username';
+}
+
+function normalizeDomain(value) {
+    return String(value || '').trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split(/[/?#]/)[0]
+        .replace(/^www\./, '');
+}
+
+/**
+ * Split "Jane Q. Doe", { name } or { firstName, lastName } into name parts
+ */
+function nameParts(value) {
+    if (value && typeof value === 'object' && !value.name) {
+        return {
+            firstName: String(value.firstName || '').trim(),
+            lastName: String(value.lastName || '').trim()
+        };
+    }
+    const [firstName = '', ...rest] = String(value?.name || value || '').trim().split(/\s+/);
+    return { firstName, lastName: rest.join(' ') };
+}
+
+/**
+ * Validate a `{ type, value }` target (or a bare string, typed with
+ * detectTargetType) and derive the queries adapters run:
+ * `queries` maps a query kind (username, email, domain, ip, location) to
+ * its value and `query` is the primary one. Person and organization values
+ * may be strings or objects with optional `domain` and `location`.
+ */
+function normalizeTarget(target) {
+    if (typeof target === 'string') {
+        target = { type: detectTargetType(target), value: target };
+    }
+    if (!target || typeof target !== 'object' || Array.isArray(target)) {
+        throw new ScanTargetError(['target must be an object with "type" and "value"']);
+    }
+
+    const { type, value } = target;
+    const errors = [];
+    if (!TARGET_TYPES.includes(type)) {
+        throw new ScanTargetError([`target.type must be one of ${TARGET_TYPES.join(', ')}`]);
+    }
+    if (value === undefined || value === null || value === '') {
+        throw new ScanTargetError(['target.value is required']);
+    }
+
+    const details = value && typeof value === 'object' ? value : {};
+    const text = typeof value === 'string' ? value.trim() : '';
+    const queries = {};
+    let label = text;
+    let name = null;
+
+    switch (type) {
+        case 'username':
+            if (!USERNAME_PATTERN.test(text)) errors.push('target.value is not a valid username');
+            queries.username = text;
+            break;
+
+        case 'email':
+            if (!EMAIL_PATTERN.test(text)) errors.push('target.value is not a valid email address');
+            label = queries.email = text.toLowerCase();
+            break;
+
+        case 'domain':
+            label = queries.domain = normalizeDomain(text);
+            if (!DOMAIN_PATTERN.test(queries.domain)) errors.push('target.value is not a valid domain');
+            break;
+
+        case 'ip':
+            if (!net.isIP(text)) errors.push('target.value is not a valid IP address');
+            queries.ip = text;
+            break;
+
+        case 'person': {
+            const { firstName, lastName } = nameParts(value);
+            if (!firstName) errors.push('person targets need a name or firstName');
+            label = name = [firstName, lastName].filter(Boolean).join(' ');
+            // Best-ranked handle seeds the scan; the rest run as variants
+            const [seed] = generatePermutations(name, { limit: 1 });
+            if (seed) queries.username = seed.username;
+            break;
+        }
+
+        case 'organization': {
+            label = String(details.name || text).trim();
+            if (!label) errors.push('organization targets need a name');
+            const handle = label.toLowerCase().replace(/[^a-z0-9_-]/g, '');
+            if (handle) queries.username = handle;
+            break;
+        }
+    }
+
+    if (['person', 'organization'].includes(type)) {
+        if (details.domain) {
+            queries.domain = normalizeDomain(details.domain);
+            if (!DOMAIN_PATTERN.test(queries.domain)) errors.push('target.value.domain is not a valid domain');
+        }
+        if (details.location) queries.location = String(details.location).trim();
+    }
+
+    if (errors.length) throw new ScanTargetError(errors);
+
+    const query = queries.username || queries.email || queries.domain || queries.ip || queries.location;
+    return { type, value, label, query, queries, ...(name ? { name } : {}) };
+}
+
+// ==========================================
+// PLANNING
+// ==========================================
+
+// Adapters without `targets` take usernames
+function adapterTargets(adapter) {
+    return adapter.targets || ['username'];
+}
+
+/**
+ * Query kind an adapter runs for a normalized target, or null
+ */
+function queryKindFor(adapter, target) {
+    return adapterTargets(adapter).find(kind => target.queries[kind]) || null;
+}
+
+/**
+ * Resolve a target and profile to the scan the aggregator runs:
+ * { query, target, profile, adapters, options }
+ */
+function planTargetScan(target, profileName, adapters) {
+    const normalized = normalizeTarget(target);
+    const profileKey = profileName || DEFAULT_PROFILES[normalized.type];
+    const profile = SCAN_PROFILES[profileKey];
+
+    if (!profile) {
+        throw new ScanTargetError([`unknown profile "${profileName}" (${Object.keys(SCAN_PROFILES).join(', ')})`]);
+    }
+
+    const selected = [...adapters]
+        .filter(adapter => profile.adapters === 'all' || profile.adapters.includes(adapter.name))
+        .filter(adapter => queryKindFor(adapter, normalized));
+
+    if (!selected.length) {
+        throw new ScanTargetError([`profile "${profileKey}" has no modules for ${normalized.type} targets`]);
+    }
+
+    return {
+        query: normalized.query,
+        target: normalized,
+        profile: profileKey,
+        adapters: selected.map(adapter => adapter.name),
+        // Person scans also try ranked username variants of the name
+        options: normalized.name ? { permutations: true, name: normalized.name } : {}
+    };
+}
+
+/**
+ * Profiles with the registered adapters each would run
+ */
+function describeProfiles(adapters) {
+    const available = [...adapters];
+    return Object.entries(SCAN_PROFILES).map(([id, profile]) => {
+        const modules = available.filter(adapter => profile.adapters === 'all' || profile.adapters.includes(adapter.name));
+        return {
+            id,
+            name: profile.name,
+            adapters: modules.map(adapter => adapter.name),
+            targets: TARGET_TYPES.filter(type => modules.some(adapter =>
+                adapterTargets(adapter).some(kind => TARGET_QUERY_KINDS[type].includes(kind))
+            ))
+        };
+    });
+}
+
+module.exports = {
+    TARGET_TYPES,
+    SCAN_PROFILES,
+    DEFAULT_PROFILES,
+    ScanTargetError,
+    detectTargetType,
+    normalizeTarget,
+    queryKindFor,
+    planTargetScan,
+    describeProfiles
+};
@@ -0,0 +1,472 @@
+/**
+ * OSINT Playground - Scan Store
+ * Pluggable persistence for aggregator scans and cached results.
+ * Ships with an in-memory store and an append-only JSON-lines file store
+ * that keeps only an index in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// ==========================================
+// STORE INTERFACE
+// ==========================================
+
+/**
+ * Base store interface. Custom stores (Redis, SQL, ...) extend this
+ * and implement every method; all methods are async.
+ */
+class ScanStore {
+    constructor(options = {}) {
+        this.scanTTL = options.scanTTL || 7 * 24 * 3600;    // seconds
+        this.cacheTTL = options.cacheTTL || 3600;           // seconds
+    }
+
+    async saveScan(scan) {
+        throw new Error('saveScan() must be implemented');
+    }
+
+    async getScan(scanId) {
+        throw new Error('getScan() must be implemented');
+    }
+
+    async listScans(filter = {}) {
+        throw new Error('listScans() must be implemented');
+    }
+
+    async deleteScan(scanId) {
+        throw new Error('deleteScan() must be implemented');
+    }
+
+    async getCached(key) {
+        throw new Error('getCached() must be implemented');
+    }
+
+    async setCached(key, entry) {
+        throw new Error('setCached() must be implemented');
+    }
+
+    async prune() {
+        throw new Error('prune() must be implemented');
+    }
+
+    async close() {}
+
+    /**
+     * Plain JSON copy of a scan, safe to persist
+     */
+    serializeScan(scan) {
+        return JSON.parse(JSON.stringify({ ...scan, savedAt: Date.now() }));
+    }
+
+    isScanExpired(scan, now = Date.now()) {
+        const finishedAt = scan.endTime || scan.startTime || scan.savedAt;
+        return now - finishedAt > this.scanTTL * 1000;
+    }
+
+    isCacheExpired(entry, now = Date.now()) {
+        return now - entry.timestamp > this.cacheTTL * 1000;
+    }
+
+    filterScans(scans, filter = {}) {
+        let list = scans;
+
+        if (filter.status) {
+            list = list.filter(s => s.status === filter.status);
+        }
+        if (filter.query) {
+            list = list.filter(s => s.query === filter.query);
+        }
+
+        list.sort((a, b) => b.startTime - a.startTime);
+
+        return list.slice(0, filter.limit || 50).map(s => ({
+            id: s.id,
+            query: s.query,
+            status: s.status,
+            startTime: s.startTime,
+            endTime: s.endTime,
+            resultsCount: s.results ? s.results.length : s.resultsCount || 0
+        }));
+    }
+}
+
+// ==========================================
+// MEMORY STORE
+// ==========================================
+
+/**
+ * Non-persistent store, used by default by the library and in tests
+ */
+class MemoryScanStore extends ScanStore {
+    constructor(options = {}) {
+        super(options);
+        this.scans = new Map();
+        this.cache = new Map();
+    }
+
+    async saveScan(scan) {
+        this.scans.set(scan.id, this.serializeScan(scan));
+    }
+
+    async getScan(scanId) {
+        const scan = this.scans.get(scanId);
+        if (!scan || this.isScanExpired(scan)) return null;
+        return scan;
+    }
+
+    async listScans(filter = {}) {
+        return this.filterScans([...this.scans.values()], filter);
+    }
+
+    async deleteScan(scanId) {
+        return this.scans.delete(scanId);
+    }
+
+    async getCached(key) {
+        const entry = this.cache.get(key);
+        if (!entry || this.isCacheExpired(entry)) return null;
+        return entry;
+    }
+
+    async setCached(key, entry) {
+        this.cache.set(key, entry);
+    }
+
+    async prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [id, scan] of this.scans) {
+            if (this.isScanExpired(scan, now)) {
+                this.scans.delete(id);
+                removed++;
+            }
+        }
+        for (const [key, entry] of this.cache) {
+            if (this.isCacheExpired(entry, now)) {
+                this.cache.delete(key);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+}
+
+// ==========================================
+// JSON-LINES FILE STORE
+// ==========================================
+
+/**
+ * Append-only JSON-lines file. Each line is a `scan`, `cache` or
+ * `delete` record; the last record for a key wins. Only an index (what
+ * listScans() and expiry need, plus where each record sits in the file)
+ * stays in memory; scan and cache bodies are read from the file when
+ * asked for. The file is compacted when it accumulates stale lines.
+ */
+class JsonLinesScanStore extends ScanStore {
+    constructor(options = {}) {
+        super(options);
+        this.filePath = options.path || path.join(process.cwd(), 'data', 'scans.jsonl');
+        this.compactThreshold = options.compactThreshold || 500;
+        this.scans = new Map();     // id -> scan summary and record location
+        this.cache = new Map();     // key -> { timestamp } and record location
+        this.size = 0;              // bytes in the file; where the next record goes
+        this.staleLines = 0;
+        this.fileQueue = Promise.resolve();
+        this.ready = null;
+    }
+
+    /**
+     * Index the file once; every public method awaits this
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.load();
+        }
+        return this.ready;
+    }
+
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let lines = 0;
+        try {
+            const input = fs.createReadStream(this.filePath);
+            for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+                const location = { offset: this.size, length: Buffer.byteLength(line) };
+                this.size += location.length + 1;
+                if (!line.trim()) continue;
+                lines++;
+
+                try {
+                    this.indexRecord(JSON.parse(line), location);
+                } catch (error) {
+                    console.error(`[ScanStore] Skipping corrupt line in ${this.filePath}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        // Scans still active when the previous process exited will never finish
+        this.scans.forEach(meta => {
+            if (meta.status === 'running' || meta.status === 'queued') {
+                meta.status = 'interrupted';
+            }
+        });
+
+        this.staleLines = lines - this.scans.size - this.cache.size;
+        await this.removeExpired();
+    }
+
+    indexRecord(record, location) {
+        switch (record.type) {
+            case 'scan':
+                this.scans.set(record.scan.id, { ...this.summarize(record.scan), ...location });
+                break;
+            case 'cache':
+                this.cache.set(record.key, { timestamp: record.entry.timestamp, ...location });
+                break;
+            case 'delete':
+                this.scans.delete(record.id);
+                break;
+        }
+    }
+
+    /**
+     * The fields of a scan kept in memory
+     */
+    summarize(scan) {
+        return {
+            id: scan.id,
+            query: scan.query,
+            status: scan.status,
+            startTime: scan.startTime,
+            endTime: scan.endTime,
+            savedAt: scan.savedAt,
+            resultsCount: scan.results?.length || 0
+        };
+    }
+
+    /**
+     * Run file work one task at a time, so appends never interleave and
+     * reads never see the file while it is rewritten
+     */
+    enqueue(task) {
+        const run = this.fileQueue.then(task);
+        this.fileQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Append a record; `meta` (an index entry) learns where it was written.
+     * Until then it carries the record's body.
+     */
+    append(record, meta) {
+        return this.enqueue(async () => {
+            const line = JSON.stringify(record);
+            await fs.promises.appendFile(this.filePath, line + '\n');
+
+            if (meta) {
+                meta.offset = this.size;
+                meta.length = Buffer.byteLength(line);
+                delete meta.body;
+            }
+            this.size += Buffer.byteLength(line) + 1;
+        }).catch(error => {
+            console.error(`[ScanStore] Write failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Body of the record an index entry points at
+     */
+    read(meta) {
+        if (meta.body) return Promise.resolve(meta.body);
+
+        return this.enqueue(async () => {
+            const buffer = Buffer.alloc(meta.length);
+            const handle = await fs.promises.open(this.filePath, 'r');
+            try {
+                await handle.read(buffer, 0, meta.length, meta.offset);
+            } finally {
+                await handle.close();
+            }
+
+            const record = JSON.parse(buffer.toString('utf8'));
+            return record.type === 'scan' ? { ...record.scan, status: meta.status } : record.entry;
+        });
+    }
+
+    async saveScan(scan) {
+        await this.init();
+        if (this.scans.has(scan.id)) this.staleLines++;
+
+        const serialized = this.serializeScan(scan);
+        const meta = { ...this.summarize(serialized), body: serialized };
+        this.scans.set(scan.id, meta);
+        await this.append({ type: 'scan', scan: serialized }, meta);
+        await this.maybeCompact();
+    }
+
+    async getScan(scanId) {
+        await this.init();
+        const meta = this.scans.get(scanId);
+        if (!meta || this.isScanExpired(meta)) return null;
+        return this.read(meta);
+    }
+
+    async listScans(filter = {}) {
+        await this.init();
+        return this.filterScans([...this.scans.values()], filter);
+    }
+
+    async deleteScan(scanId) {
+        await this.init();
+        const existed = this.scans.delete(scanId);
+        if (existed) {
+            this.staleLines += 2;
+            await this.append({ type: 'delete', id: scanId });
+        }
+        return existed;
+    }
+
+    async getCached(key) {
+        await this.init();
+        const meta = this.cache.get(key);
+        if (!meta || this.isCacheExpired(meta)) return null;
+        return this.read(meta);
+    }
+
+    async setCached(key, entry) {
+        await this.init();
+        if (this.cache.has(key)) this.staleLines++;
+
+        const meta = { timestamp: entry.timestamp, body: entry };
+        this.cache.set(key, meta);
+        await this.append({ type: 'cache', key, entry }, meta);
+        await this.maybeCompact();
+    }
+
+    async prune() {
+        await this.init();
+        return this.removeExpired();
+    }
+
+    async removeExpired() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [id, meta] of this.scans) {
+            if (this.isScanExpired(meta, now)) {
+                this.scans.delete(id);
+                removed++;
+            }
+        }
+        for (const [key, meta] of this.cache) {
+            if (this.isCacheExpired(meta, now)) {
+                this.cache.delete(key);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.staleLines += removed;
+            await this.compact();
+        }
+        return removed;
+    }
+
+    async maybeCompact() {
+        if (this.staleLines >= this.compactThreshold) {
+            await this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the file with only live records, copied one at a time.
+     * Records still being appended are written after the rewrite.
+     */
+    async compact() {
+        return this.enqueue(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            const source = await fs.promises.open(this.filePath, 'r').catch(error => {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            });
+            const target = await fs.promises.open(tmpPath, 'w');
+            const moved = [];
+            let size = 0;
+
+            try {
+                const live = [...this.scans.values(), ...this.cache.values()].filter(meta => !meta.body);
+                for (const meta of live) {
+                    let line = Buffer.alloc(meta.length);
+                    await source.read(line, 0, meta.length, meta.offset);
+
+                    // Scans marked interrupted on load are written with that status
+                    const record = JSON.parse(line.toString('utf8'));
+                    if (record.type === 'scan' && record.scan.status !== meta.status) {
+                        line = Buffer.from(JSON.stringify({ type: 'scan', scan: { ...record.scan, status: meta.status } }));
+                    }
+
+                    await target.write(Buffer.concat([line, Buffer.from('\n')]));
+                    moved.push([meta, size, line.length]);
+                    size += line.length + 1;
+                }
+            } finally {
+                await source?.close();
+                await target.close();
+            }
+
+            await fs.promises.rename(tmpPath, this.filePath);
+            moved.forEach(([meta, offset, length]) => Object.assign(meta, { offset, length }));
+            this.size = size;
+            this.staleLines = 0;
+        }).catch(error => {
+            console.error(`[ScanStore] Compaction failed: ${error.message}`);
+        });
+    }
+
+    async close() {
+        await this.fileQueue;
+    }
+}
+
+// ==========================================
+// FACTORY
+// ==========================================
+
+const STORE_TYPES = {
+    memory: MemoryScanStore,
+    jsonl: JsonLinesScanStore
+};
+
+/**
+ * Create a store by type name; register additional types with registerStoreType
+ */
+function createScanStore(options = {}) {
+    const type = options.type || 'memory';
+    const StoreClass = STORE_TYPES[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown scan store type: ${type}`);
+    }
+
+    return new StoreClass(options);
+}
+
+function registerStoreType(type, StoreClass) {
+    STORE_TYPES[type] = StoreClass;
+}
+
+module.exports = {
+    ScanStore,
+    MemoryScanStore,
+    JsonLinesScanStore,
+    createScanStore,
+    registerStoreType
+};
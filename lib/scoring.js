@@ -0,0 +1,268 @@
+/**
+ * OSINT Playground - Confidence Scoring
+ * Rule-based result scoring. Every rule contributes a named, weighted
+ * factor and the breakdown is kept on the result as `scoreExplanation`.
+ */
+
+const fs = require('fs');
+const { matchQuery } = require('./string-similarity');
+
+// Score = base confidence + sum(weight * value), clamped to 0..1
+const DEFAULT_BASE_CONFIDENCE = 0.5;
+const SCORE_PRECISION = 1000;
+
+const PROFILE_FIELDS = ['displayName', 'bio', 'email', 'location', 'avatar'];
+
+const CONDITION_OPERATORS = ['exists', 'equals', 'in', 'matches', 'gte', 'lte', 'scale'];
+
+/**
+ * Raised when a rule set fails validation; `errors` lists every problem
+ */
+class ScoringRuleError extends Error {
+    constructor(errors, source) {
+        super(`Invalid scoring rules${source ? ` (${source})` : ''}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ScoringRuleError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Built-in factors. Each returns a value in 0..1 (how strongly the rule
+ * applies) and optionally a detail string for the explanation.
+ */
+const BUILTIN_FACTORS = {
+    verified: result => (result.verified ? 1 : 0),
+
+    // Fuzzy username / display name match (lib/string-similarity). The
+    // aggregator passes the similarity it stores on the result.
+    usernameMatch: (result, { query, similarity }) => {
+        const match = similarity || matchQuery(result, query);
+        if (!match.score) return 0;
+        return { value: match.score, detail: `${match.field} ${match.method} match with ${match.target}` };
+    },
+
+    profileCompleteness: result => {
+        const filled = PROFILE_FIELDS.filter(field => result[field]);
+        return { value: filled.length / PROFILE_FIELDS.length, detail: filled.join(', ') || 'no profile fields' };
+    }
+};
+
+const DEFAULT_RULES = [
+    { name: 'verified', builtin: 'verified', weight: 0.2, description: 'Source confirmed the account exists' },
+    { name: 'usernameMatch', builtin: 'usernameMatch', weight: 0.3, description: 'Username or display name matches the query' },
+    { name: 'profileCompleteness', builtin: 'profileCompleteness', weight: 0.1, description: 'Share of profile fields filled' }
+];
+
+// ==========================================
+// RULES
+// ==========================================
+
+function getField(result, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), result);
+}
+
+/**
+ * Declarative condition on a result field, e.g.
+ * { field: 'raw.followers', op: 'scale', max: 1000 }
+ */
+function evaluateCondition(rule, result) {
+    const actual = getField(result, rule.field);
+
+    switch (rule.op) {
+        case 'exists':
+            return actual !== undefined && actual !== null && actual !== '' ? 1 : 0;
+        case 'equals':
+            return actual === rule.value ? 1 : 0;
+        case 'in':
+            return rule.value.includes(actual) ? 1 : 0;
+        case 'matches':
+            return typeof actual === 'string' && new RegExp(rule.value, 'i').test(actual) ? 1 : 0;
+        case 'gte':
+            return typeof actual === 'number' && actual >= rule.value ? 1 : 0;
+        case 'lte':
+            return typeof actual === 'number' && actual <= rule.value ? 1 : 0;
+        case 'scale':
+            return typeof actual === 'number' ? Math.min(1, Math.max(0, actual / rule.max)) : 0;
+    }
+    return 0;
+}
+
+/**
+ * Validate one rule, pushing messages onto `errors`
+ */
+function validateRule(rule, index, errors) {
+    const where = `rules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    if (typeof rule.name !== 'string' || !rule.name) errors.push(`${where}: "name" is required`);
+    if (typeof rule.weight !== 'number' || !Number.isFinite(rule.weight) || Math.abs(rule.weight) > 1) {
+        errors.push(`${where}: "weight" must be a number between -1 and 1`);
+    }
+
+    const kinds = [typeof rule.evaluate === 'function', rule.builtin !== undefined, rule.field !== undefined].filter(Boolean);
+    if (kinds.length !== 1) {
+        errors.push(`${where}: needs exactly one of "builtin", "field" or an evaluate function`);
+        return;
+    }
+
+    if (rule.builtin !== undefined && !BUILTIN_FACTORS[rule.builtin]) {
+        errors.push(`${where}: unknown builtin "${rule.builtin}" (${Object.keys(BUILTIN_FACTORS).join(', ')})`);
+    }
+
+    if (rule.field !== undefined) {
+        if (typeof rule.field !== 'string' || !rule.field) errors.push(`${where}: "field" must be a string`);
+        if (!CONDITION_OPERATORS.includes(rule.op)) {
+            errors.push(`${where}: "op" must be one of ${CONDITION_OPERATORS.join(', ')}`);
+        } else if (rule.op === 'in' && !Array.isArray(rule.value)) {
+            errors.push(`${where}: "in" needs an array "value"`);
+        } else if (['gte', 'lte'].includes(rule.op) && typeof rule.value !== 'number') {
+            errors.push(`${where}: "${rule.op}" needs a numeric "value"`);
+        } else if (rule.op === 'scale' && !(typeof rule.max === 'number' && rule.max > 0)) {
+            errors.push(`${where}: "scale" needs a positive "max"`);
+        } else if (rule.op === 'matches') {
+            try {
+                new RegExp(rule.value);
+            } catch {
+                errors.push(`${where}: "value" is not a valid regular expression`);
+            }
+        }
+    }
+}
+
+/**
+ * Resolve a rule set to a flat list of rules.
+ *
+ * Accepts an array (replaces the defaults) or
+ * `{ name, extends: 'default', rules }`, where rules override defaults
+ * of the same name and a rule with `weight: 0` disables one.
+ */
+function resolveRuleSet(ruleSet) {
+    if (!ruleSet) return { name: 'default', rules: DEFAULT_RULES };
+    if (Array.isArray(ruleSet)) return { name: 'custom', rules: ruleSet };
+
+    const rules = Array.isArray(ruleSet.rules) ? ruleSet.rules : [];
+    if (ruleSet.extends !== 'default') {
+        return { name: ruleSet.name || 'custom', rules };
+    }
+
+    const overrides = new Map(rules.map(rule => [rule?.name, rule]));
+    const merged = DEFAULT_RULES.map(rule => (overrides.has(rule.name) ? { ...rule, ...overrides.get(rule.name) } : rule));
+    rules.forEach(rule => {
+        if (!DEFAULT_RULES.some(d => d.name === rule?.name)) merged.push(rule);
+    });
+
+    return { name: ruleSet.name || 'custom', rules: merged };
+}
+
+function validateRuleSet(ruleSet) {
+    const errors = [];
+    if (ruleSet && !Array.isArray(ruleSet) && typeof ruleSet === 'object' &&
+        ruleSet.extends !== undefined && ruleSet.extends !== 'default') {
+        errors.push('"extends" must be "default"');
+    }
+
+    const { rules } = resolveRuleSet(ruleSet);
+    const names = new Set();
+    rules.forEach((rule, index) => {
+        validateRule(rule, index, errors);
+        if (rule?.name && names.has(rule.name)) errors.push(`rules[${index}]: duplicate name "${rule.name}"`);
+        names.add(rule?.name);
+    });
+
+    return errors;
+}
+
+/**
+ * Read and validate a JSON rule set file
+ */
+function loadScoringRules(filePath) {
+    let ruleSet;
+    try {
+        ruleSet = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ScoringRuleError([error.message], filePath);
+    }
+
+    const errors = validateRuleSet(ruleSet);
+    if (errors.length) throw new ScoringRuleError(errors, filePath);
+
+    return ruleSet;
+}
+
+// ==========================================
+// ENGINE
+// ==========================================
+
+const round = value => Math.round(value * SCORE_PRECISION) / SCORE_PRECISION;
+
+/**
+ * Scores results with a validated rule set
+ */
+class ScoringEngine {
+    constructor(ruleSet = null) {
+        const errors = validateRuleSet(ruleSet);
+        if (errors.length) throw new ScoringRuleError(errors);
+
+        const { name, rules } = resolveRuleSet(ruleSet);
+        this.name = name;
+        this.rules = rules.filter(rule => rule.weight !== 0);
+    }
+
+    evaluate(rule, result, context) {
+        let outcome;
+        if (typeof rule.evaluate === 'function') outcome = rule.evaluate(result, context);
+        else if (rule.builtin) outcome = BUILTIN_FACTORS[rule.builtin](result, context);
+        else outcome = evaluateCondition(rule, result);
+
+        const { value, detail } = typeof outcome === 'object' && outcome !== null
+            ? outcome
+            : { value: Number(outcome) || 0 };
+        return { value: Math.min(1, Math.max(0, value || 0)), detail };
+    }
+
+    /**
+     * Score one result. `base` is the adapter's own confidence; scoring the
+     * same result twice starts from the same base, so the score is stable.
+     */
+    score(result, context = {}) {
+        const base = result.scoreExplanation?.base ?? result.confidence ?? DEFAULT_BASE_CONFIDENCE;
+
+        const factors = this.rules.map(rule => {
+            const { value, detail } = this.evaluate(rule, result, context);
+            return {
+                rule: rule.name,
+                description: rule.description,
+                weight: rule.weight,
+                value: round(value),
+                contribution: round(rule.weight * value),
+                ...(detail ? { detail } : {})
+            };
+        });
+
+        const total = round(base + factors.reduce((sum, f) => sum + f.contribution, 0));
+
+        return {
+            score: Math.min(1, Math.max(0, total)),
+            explanation: {
+                ruleSet: this.name,
+                base,
+                factors,
+                total,
+                score: Math.min(1, Math.max(0, total))
+            }
+        };
+    }
+}
+
+module.exports = {
+    ScoringRuleError,
+    BUILTIN_FACTORS,
+    DEFAULT_RULES,
+    ScoringEngine,
+    resolveRuleSet,
+    validateRuleSet,
+    loadScoringRules
+};
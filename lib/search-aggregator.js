@@ -5,6 +5,27 @@
  */
 
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const axios = require('axios');
+const dns = require('dns').promises;
+const net = require('net');
+const { MemoryScanStore } = require('./scan-store');
+const { generatePermutations } = require('./permutations');
+const { resolveIdentities } = require('./identity-resolution');
+const { AvatarHasher, findAvatarMatches } = require('./image-hash');
+const { ScoringEngine } = require('./scoring');
+const { matchQuery, normalizeForMatch } = require('./string-similarity');
+const { normalizeUrl } = require('./identity-resolution');
+const { Semaphore } = require('./semaphore');
+const { planTargetScan, queryKindFor } = require('./scan-profiles');
+const { extractLeads, resolvePivotLimits } = require('./pivots');
+const {
+    loadPlatformCatalog,
+    expandTemplate,
+    isValidUsername,
+    buildProbeRequest,
+    evaluateResponse
+} = require('./platform-catalog');
 
 // ==========================================
 // CONFIGURATION
@@ -15,26 +36,106 @@ const AGGREGATOR_CONFIG = {
     totalTimeout: 120000,       // 2min total scan time
     
     // Rate limiting
-    maxConcurrentJobs: 10,
+    maxConcurrentJobs: 10,      // scans running at once; the rest wait in the queue
+    maxConcurrentPerAdapter: 3, // in-flight requests per adapter across all scans
+    maxQueueLength: 100,
     requestsPerMinute: 60,
     
     // Retry logic
     maxRetries: 3,
     retryDelay: 1000,
     retryBackoff: 2,
+    maxRetryDelay: 10000,       // longer Retry-After values give up instead of waiting
     
     // Caching
     cacheTTL: 3600,             // 1 hour
     enableCache: true,
     
+    // Persistence
+    scanTTL: 604800,            // 7 days
+    maxScansInMemory: 100,      // finished scans kept hot; older ones load from the store
+    pruneInterval: 600000,      // 10min
+    
+    // Permutations
+    maxPermutations: 10,        // username variants scanned when options.permutations is set
+    
+    // Pivoting (options.pivot); scans may lower these limits, not raise them
+    pivotMaxDepth: 2,           // leads of leads of the original results
+    pivotMaxRequests: 30,       // adapter searches spent on pivots per scan
+    pivotTypes: ['email', 'domain', 'username', 'ip'],
+    
+    // Egress; false behind a proxy or Tor, where DNS queries would go to the
+    // local resolver and reveal the target
+    localDns: true,
+    
     // Results
     maxResultsPerSource: 50,
     minConfidenceThreshold: 0.1,
     
     // Deduplication
-    dedupeFields: ['url', 'username', 'email']
+    dedupeFields: ['url', 'username', 'email'],
+    
+    // Scoring
+    scoringRules: null,         // custom rule set (see lib/scoring.js); null = default rules
+    
+    // Identity resolution
+    resolveIdentities: true,    // cluster profiles from different sources into identities
+    
+    // Avatar hashing
+    hashAvatars: true,          // download avatars and link perceptually identical ones
+    avatarMatchThreshold: 10,   // max Hamming distance (of 64 bits) for a match
+    avatarConcurrency: 4,
+    avatarTimeout: 15000        // time box for hashing all avatars of a scan
 };
 
+// Network error codes worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+// Accept 4xx as "not found" but let 429 and 5xx throw so they can be retried
+const acceptStatus = s => s < 500 && s !== 429;
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Controllers linked to each signal; the signal itself gets one listener
+const linkedControllers = new WeakMap();
+
+/**
+ * AbortController that aborts along with `parent`. However many are linked,
+ * the parent holds a single listener; unlink() drops the controller once its
+ * work is done.
+ */
+function linkedController(parent) {
+    const controller = new AbortController();
+    controller.unlink = () => {};
+    
+    if (!parent) return controller;
+    if (parent.aborted) {
+        controller.abort();
+        return controller;
+    }
+    
+    let children = linkedControllers.get(parent);
+    if (!children) {
+        children = new Set();
+        linkedControllers.set(parent, children);
+        parent.addEventListener('abort', () => children.forEach(child => child.abort()), { once: true });
+    }
+    children.add(controller);
+    controller.unlink = () => children.delete(controller);
+    return controller;
+}
+
 // ==========================================
 // ADAPTER REGISTRY
 // ==========================================
@@ -47,7 +148,11 @@ class BaseAdapter {
         this.name = name;
         this.config = config;
         this.priority = config.priority || 5;
+        // Query kinds the adapter understands (see lib/scan-profiles)
+        this.targets = config.targets || ['username'];
         this.rateLimit = config.rateLimit || { requests: 10, window: 60000 };
+        // HTTP client with the axios API; the server passes its outbound client
+        this.http = config.http || axios;
         this.lastRequest = 0;
         this.requestCount = 0;
     }
@@ -56,7 +161,7 @@ class BaseAdapter {
         throw new Error('search() must be implemented');
     }
     
-    async checkRateLimit() {
+    async checkRateLimit(signal) {
         const now = Date.now();
         if (now - this.lastRequest > this.rateLimit.window) {
             this.requestCount = 0;
@@ -65,7 +170,7 @@ class BaseAdapter {
         
         if (this.requestCount >= this.rateLimit.requests) {
             const waitTime = this.rateLimit.window - (now - this.lastRequest);
-            await this.sleep(waitTime);
+            await this.sleep(waitTime, signal);
             this.requestCount = 0;
             this.lastRequest = Date.now();
         }
@@ -73,8 +178,43 @@ class BaseAdapter {
         this.requestCount++;
     }
     
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    /**
+     * Sleep that resolves early when the scan is cancelled
+     */
+    sleep(ms, signal) {
+        return new Promise(resolve => {
+            if (signal?.aborted) return resolve();
+            
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+    
+    /**
+     * True for errors raised by aborting a request (scan cancelled)
+     */
+    isAbortError(error) {
+        return error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError' || error?.name === 'AbortError';
+    }
+    
+    /**
+     * True for transient failures (429, 5xx, network errors). Adapters
+     * rethrow these so the aggregator can retry them.
+     */
+    isRetryable(error) {
+        if (!error || this.isAbortError(error)) return false;
+        
+        const status = error.response?.status;
+        if (status) return status === 429 || status >= 500;
+        
+        return RETRYABLE_ERROR_CODES.includes(error.code);
     }
     
     normalizeResult(raw, type) {
@@ -101,19 +241,19 @@ class GitHubAdapter extends BaseAdapter {
     }
     
     async search(query, options = {}) {
-        await this.checkRateLimit();
+        await this.checkRateLimit(options.signal);
         
-        const axios = require('axios');
         const results = [];
         
         try {
             // User search
             const headers = this.token ? { Authorization: `token ${this.token}` } : {};
             
-            const userResponse = await axios.get(`${this.baseUrl}/users/${query}`, { 
+            const userResponse = await this.http.get(`${this.baseUrl}/users/${query}`, { 
                 headers,
+                signal: options.signal,
                 timeout: 10000,
-                validateStatus: s => s < 500
+                validateStatus: acceptStatus
             });
             
             if (userResponse.status === 200) {
@@ -137,8 +277,9 @@ class GitHubAdapter extends BaseAdapter {
                 });
                 
                 // Get recent repos
-                const reposResponse = await axios.get(`${this.baseUrl}/users/${query}/repos?sort=updated&per_page=5`, {
+                const reposResponse = await this.http.get(`${this.baseUrl}/users/${query}/repos?sort=updated&per_page=5`, {
                     headers,
+                    signal: options.signal,
                     timeout: 10000
                 });
                 
@@ -159,7 +300,8 @@ class GitHubAdapter extends BaseAdapter {
                 }
             }
         } catch (error) {
-            if (error.response?.status !== 404) {
+            if (this.isRetryable(error)) throw error;
+            if (error.response?.status !== 404 && !this.isAbortError(error)) {
                 console.error(`[GitHub Adapter] Error: ${error.message}`);
             }
         }
@@ -175,16 +317,16 @@ class RedditAdapter extends BaseAdapter {
     }
     
     async search(query, options = {}) {
-        await this.checkRateLimit();
+        await this.checkRateLimit(options.signal);
         
-        const axios = require('axios');
         const results = [];
         
         try {
-            const response = await axios.get(`${this.baseUrl}/user/${query}/about.json`, {
+            const response = await this.http.get(`${this.baseUrl}/user/${query}/about.json`, {
                 headers: { 'User-Agent': 'OSINT-Playground/2.0' },
+                signal: options.signal,
                 timeout: 10000,
-                validateStatus: s => s < 500
+                validateStatus: acceptStatus
             });
             
             if (response.status === 200 && response.data?.data) {
@@ -205,7 +347,8 @@ class RedditAdapter extends BaseAdapter {
                 });
             }
         } catch (error) {
-            if (error.response?.status !== 404) {
+            if (this.isRetryable(error)) throw error;
+            if (error.response?.status !== 404 && !this.isAbortError(error)) {
                 console.error(`[Reddit Adapter] Error: ${error.message}`);
             }
         }
@@ -221,15 +364,15 @@ class GitLabAdapter extends BaseAdapter {
     }
     
     async search(query, options = {}) {
-        await this.checkRateLimit();
+        await this.checkRateLimit(options.signal);
         
-        const axios = require('axios');
         const results = [];
         
         try {
-            const response = await axios.get(`${this.baseUrl}/users?username=${query}`, {
+            const response = await this.http.get(`${this.baseUrl}/users?username=${query}`, {
+                signal: options.signal,
                 timeout: 10000,
-                validateStatus: s => s < 500
+                validateStatus: acceptStatus
             });
             
             if (response.status === 200 && response.data?.length > 0) {
@@ -248,7 +391,8 @@ class GitLabAdapter extends BaseAdapter {
                 });
             }
         } catch (error) {
-            if (error.response?.status !== 404) {
+            if (this.isRetryable(error)) throw error;
+            if (error.response?.status !== 404 && !this.isAbortError(error)) {
                 console.error(`[GitLab Adapter] Error: ${error.message}`);
             }
         }
@@ -264,15 +408,15 @@ class KeybaseAdapter extends BaseAdapter {
     }
     
     async search(query, options = {}) {
-        await this.checkRateLimit();
+        await this.checkRateLimit(options.signal);
         
-        const axios = require('axios');
         const results = [];
         
         try {
-            const response = await axios.get(`${this.baseUrl}/user/lookup.json?usernames=${query}`, {
+            const response = await this.http.get(`${this.baseUrl}/user/lookup.json?usernames=${query}`, {
+                signal: options.signal,
                 timeout: 10000,
-                validateStatus: s => s < 500
+                validateStatus: acceptStatus
             });
             
             if (response.status === 200 && response.data?.them?.length > 0) {
@@ -295,7 +439,8 @@ class KeybaseAdapter extends BaseAdapter {
                 });
             }
         } catch (error) {
-            if (error.response?.status !== 404) {
+            if (this.isRetryable(error)) throw error;
+            if (error.response?.status !== 404 && !this.isAbortError(error)) {
                 console.error(`[Keybase Adapter] Error: ${error.message}`);
             }
         }
@@ -311,15 +456,15 @@ class HackerNewsAdapter extends BaseAdapter {
     }
     
     async search(query, options = {}) {
-        await this.checkRateLimit();
+        await this.checkRateLimit(options.signal);
         
-        const axios = require('axios');
         const results = [];
         
         try {
-            const response = await axios.get(`${this.baseUrl}/user/${query}.json`, {
+            const response = await this.http.get(`${this.baseUrl}/user/${query}.json`, {
+                signal: options.signal,
                 timeout: 10000,
-                validateStatus: s => s < 500
+                validateStatus: acceptStatus
             });
             
             if (response.status === 200 && response.data) {
@@ -337,7 +482,8 @@ class HackerNewsAdapter extends BaseAdapter {
                 });
             }
         } catch (error) {
-            if (error.response?.status !== 404) {
+            if (this.isRetryable(error)) throw error;
+            if (error.response?.status !== 404 && !this.isAbortError(error)) {
                 console.error(`[HackerNews Adapter] Error: ${error.message}`);
             }
         }
@@ -365,18 +511,18 @@ class TwitterAdapter extends BaseAdapter {
             }];
         }
         
-        await this.checkRateLimit();
+        await this.checkRateLimit(options.signal);
         
-        const axios = require('axios');
         const results = [];
         
         try {
-            const response = await axios.get(
+            const response = await this.http.get(
                 `https://api.twitter.com/2/users/by/username/${query}?user.fields=description,location,profile_image_url,public_metrics,created_at,verified`,
                 {
                     headers: { Authorization: `Bearer ${this.bearerToken}` },
+                    signal: options.signal,
                     timeout: 10000,
-                    validateStatus: s => s < 500
+                    validateStatus: acceptStatus
                 }
             );
             
@@ -400,7 +546,8 @@ class TwitterAdapter extends BaseAdapter {
                 });
             }
         } catch (error) {
-            if (error.response?.status !== 404) {
+            if (this.isRetryable(error)) throw error;
+            if (error.response?.status !== 404 && !this.isAbortError(error)) {
                 console.error(`[Twitter Adapter] Error: ${error.message}`);
             }
         }
@@ -447,7 +594,7 @@ class LinkedInAdapter extends BaseAdapter {
 
 class ShodanAdapter extends BaseAdapter {
     constructor(config = {}) {
-        super('shodan', { priority: 6, ...config });
+        super('shodan', { priority: 6, targets: ['ip'], ...config });
         this.apiKey = config.apiKey || process.env.SHODAN_API_KEY;
         this.baseUrl = 'https://api.shodan.io';
     }
@@ -455,9 +602,8 @@ class ShodanAdapter extends BaseAdapter {
     async search(query, options = {}) {
         if (!this.apiKey) return [];
         
-        await this.checkRateLimit();
+        await this.checkRateLimit(options.signal);
         
-        const axios = require('axios');
         const results = [];
         
         try {
@@ -465,9 +611,10 @@ class ShodanAdapter extends BaseAdapter {
             const ipRegex = /^(?:\d{1,3}\.){3}\d{1,3}$/;
             
             if (ipRegex.test(query)) {
-                const response = await axios.get(`${this.baseUrl}/shodan/host/${query}?key=${this.apiKey}`, {
+                const response = await this.http.get(`${this.baseUrl}/shodan/host/${query}?key=${this.apiKey}`, {
+                    signal: options.signal,
                     timeout: 15000,
-                    validateStatus: s => s < 500
+                    validateStatus: acceptStatus
                 });
                 
                 if (response.status === 200 && response.data) {
@@ -489,7 +636,10 @@ class ShodanAdapter extends BaseAdapter {
                 }
             }
         } catch (error) {
-            console.error(`[Shodan Adapter] Error: ${error.message}`);
+            if (this.isRetryable(error)) throw error;
+            if (!this.isAbortError(error)) {
+                console.error(`[Shodan Adapter] Error: ${error.message}`);
+            }
         }
         
         return results;
@@ -498,7 +648,7 @@ class ShodanAdapter extends BaseAdapter {
 
 class HunterAdapter extends BaseAdapter {
     constructor(config = {}) {
-        super('hunter', { priority: 5, ...config });
+        super('hunter', { priority: 5, targets: ['domain', 'email'], ...config });
         this.apiKey = config.apiKey || process.env.HUNTER_API_KEY;
         this.baseUrl = 'https://api.hunter.io/v2';
     }
@@ -506,17 +656,16 @@ class HunterAdapter extends BaseAdapter {
     async search(query, options = {}) {
         if (!this.apiKey) return [];
         
-        await this.checkRateLimit();
+        await this.checkRateLimit(options.signal);
         
-        const axios = require('axios');
         const results = [];
         
         try {
             // Email finder for domains
             if (query.includes('.') && !query.includes('@')) {
-                const response = await axios.get(
+                const response = await this.http.get(
                     `${this.baseUrl}/domain-search?domain=${query}&api_key=${this.apiKey}`,
-                    { timeout: 15000, validateStatus: s => s < 500 }
+                    { timeout: 15000, signal: options.signal, validateStatus: acceptStatus }
                 );
                 
                 if (response.status === 200 && response.data?.data) {
@@ -535,9 +684,9 @@ class HunterAdapter extends BaseAdapter {
             
             // Email verification
             if (query.includes('@')) {
-                const response = await axios.get(
+                const response = await this.http.get(
                     `${this.baseUrl}/email-verifier?email=${query}&api_key=${this.apiKey}`,
-                    { timeout: 15000, validateStatus: s => s < 500 }
+                    { timeout: 15000, signal: options.signal, validateStatus: acceptStatus }
                 );
                 
                 if (response.status === 200 && response.data?.data) {
@@ -557,121 +706,361 @@ class HunterAdapter extends BaseAdapter {
                 }
             }
         } catch (error) {
-            console.error(`[Hunter Adapter] Error: ${error.message}`);
+            if (this.isRetryable(error)) throw error;
+            if (!this.isAbortError(error)) {
+                console.error(`[Hunter Adapter] Error: ${error.message}`);
+            }
         }
         
         return results;
     }
 }
 
-// Direct platform check adapter for 50+ sites
+// ==========================================
+// TARGET ADAPTERS (email, domain, IP, location)
+// ==========================================
+
+class GravatarAdapter extends BaseAdapter {
+    constructor(config = {}) {
+        super('gravatar', { priority: 3, targets: ['email'], ...config });
+    }
+    
+    async search(query, options = {}) {
+        await this.checkRateLimit(options.signal);
+        
+        const hash = crypto.createHash('md5').update(query.trim().toLowerCase()).digest('hex');
+        
+        try {
+            const response = await this.http.get(`https://en.gravatar.com/${hash}.json`, {
+                signal: options.signal,
+                timeout: 10000,
+                validateStatus: acceptStatus
+            });
+            
+            const profile = response.status === 200 ? response.data?.entry?.[0] : null;
+            if (!profile) return [];
+            
+            return [{
+                ...this.normalizeResult(profile, 'profile'),
+                email: query,
+                username: profile.preferredUsername,
+                displayName: profile.displayName,
+                bio: profile.aboutMe,
+                location: profile.currentLocation,
+                avatar: profile.thumbnailUrl,
+                url: profile.profileUrl,
+                accounts: (profile.accounts || []).map(account => ({
+                    platform: account.shortname,
+                    username: account.username,
+                    url: account.url
+                })),
+                confidence: 0.85,
+                verified: true
+            }];
+        } catch (error) {
+            if (this.isRetryable(error)) throw error;
+            if (!this.isAbortError(error)) {
+                console.error(`[Gravatar Adapter] Error: ${error.message}`);
+            }
+            return [];
+        }
+    }
+}
+
+class HibpAdapter extends BaseAdapter {
+    constructor(config = {}) {
+        // HIBP allows roughly one request per 6 seconds on the lowest tier
+        super('hibp', { priority: 2, targets: ['email'], rateLimit: { requests: 10, window: 60000 }, ...config });
+        this.apiKey = config.apiKey || process.env.HIBP_API_KEY;
+    }
+    
+    async search(query, options = {}) {
+        if (!this.apiKey) return [];
+        
+        await this.checkRateLimit(options.signal);
+        
+        
+        try {
+            const response = await this.http.get(
+                `https://haveibeenpwned.com/api/v3/breachedaccount/${encodeURIComponent(query)}?truncateResponse=false`,
+                {
+                    headers: { 'hibp-api-key': this.apiKey, 'User-Agent': 'OSINT-Playground/2.0' },
+                    signal: options.signal,
+                    timeout: 15000,
+                    validateStatus: acceptStatus
+                }
+            );
+            
+            if (response.status !== 200 || !Array.isArray(response.data)) return [];
+            
+            return response.data.map(breach => ({
+                ...this.normalizeResult(breach, 'breach'),
+                email: query,
+                breach: breach.Name,
+                title: breach.Title,
+                domain: breach.Domain,
+                breachDate: breach.BreachDate,
+                dataClasses: breach.DataClasses,
+                url: `https://haveibeenpwned.com/PwnedWebsites#${breach.Name}`,
+                confidence: breach.IsVerified ? 0.95 : 0.7,
+                verified: true
+            }));
+        } catch (error) {
+            if (this.isRetryable(error)) throw error;
+            if (!this.isAbortError(error)) {
+                console.error(`[HIBP Adapter] Error: ${error.message}`);
+            }
+            return [];
+        }
+    }
+}
+
+class DnsAdapter extends BaseAdapter {
+    constructor(config = {}) {
+        super('dns', { priority: 1, targets: ['domain'], ...config });
+        this.resolver = config.resolver || dns;
+        this.localDns = config.localDns !== false;
+    }
+    
+    async search(query, options = {}) {
+        if (!this.localDns) return [];
+        
+        const lookups = {
+            A: this.resolver.resolve4(query),
+            AAAA: this.resolver.resolve6(query),
+            MX: this.resolver.resolveMx(query),
+            TXT: this.resolver.resolveTxt(query),
+            NS: this.resolver.resolveNs(query)
+        };
+        
+        const settled = await Promise.allSettled(Object.values(lookups));
+        const records = {};
+        Object.keys(lookups).forEach((type, index) => {
+            if (settled[index].status === 'fulfilled' && settled[index].value.length) {
+                records[type] = settled[index].value;
+            }
+        });
+        
+        if (!Object.keys(records).length) return [];
+        
+        return [{
+            ...this.normalizeResult(records, 'dns'),
+            domain: query,
+            records,
+            ips: [...(records.A || []), ...(records.AAAA || [])],
+            mailServers: (records.MX || []).map(mx => mx.exchange),
+            confidence: 0.9,
+            verified: true
+        }];
+    }
+}
+
+class AbuseIpdbAdapter extends BaseAdapter {
+    constructor(config = {}) {
+        super('abuseipdb', { priority: 3, targets: ['ip'], ...config });
+        this.apiKey = config.apiKey || process.env.ABUSEIPDB_API_KEY;
+    }
+    
+    async search(query, options = {}) {
+        if (!this.apiKey) return [];
+        
+        await this.checkRateLimit(options.signal);
+        
+        
+        try {
+            const response = await this.http.get('https://api.abuseipdb.com/api/v2/check', {
+                params: { ipAddress: query, maxAgeInDays: 90 },
+                headers: { Key: this.apiKey, Accept: 'application/json' },
+                signal: options.signal,
+                timeout: 15000,
+                validateStatus: acceptStatus
+            });
+            
+            const data = response.status === 200 ? response.data?.data : null;
+            if (!data) return [];
+            
+            return [{
+                ...this.normalizeResult(data, 'reputation'),
+                ip: data.ipAddress,
+                abuseScore: data.abuseConfidenceScore,
+                totalReports: data.totalReports,
+                lastReportedAt: data.lastReportedAt,
+                country: data.countryCode,
+                isp: data.isp,
+                domain: data.domain,
+                usageType: data.usageType,
+                severity: data.abuseConfidenceScore > 50 ? 'high' : 'low',
+                confidence: 0.9,
+                verified: true
+            }];
+        } catch (error) {
+            if (this.isRetryable(error)) throw error;
+            if (!this.isAbortError(error)) {
+                console.error(`[AbuseIPDB Adapter] Error: ${error.message}`);
+            }
+            return [];
+        }
+    }
+}
+
+class VirusTotalAdapter extends BaseAdapter {
+    constructor(config = {}) {
+        // Public API: 4 requests per minute
+        super('virustotal', { priority: 4, targets: ['ip', 'domain'], rateLimit: { requests: 4, window: 60000 }, ...config });
+        this.apiKey = config.apiKey || process.env.VIRUSTOTAL_API_KEY;
+        this.baseUrl = 'https://www.virustotal.com/api/v3';
+    }
+    
+    async search(query, options = {}) {
+        if (!this.apiKey) return [];
+        
+        await this.checkRateLimit(options.signal);
+        
+        const collection = net.isIP(query) ? 'ip_addresses' : 'domains';
+        
+        try {
+            const response = await this.http.get(`${this.baseUrl}/${collection}/${encodeURIComponent(query)}`, {
+                headers: { 'x-apikey': this.apiKey, Accept: 'application/json' },
+                signal: options.signal,
+                timeout: 15000,
+                validateStatus: acceptStatus
+            });
+            
+            const attributes = response.status === 200 ? response.data?.data?.attributes : null;
+            if (!attributes) return [];
+            
+            const stats = attributes.last_analysis_stats || {};
+            return [{
+                ...this.normalizeResult(attributes, 'reputation'),
+                [collection === 'domains' ? 'domain' : 'ip']: query,
+                malicious: stats.malicious || 0,
+                suspicious: stats.suspicious || 0,
+                harmless: stats.harmless || 0,
+                reputation: attributes.reputation,
+                url: `https://www.virustotal.com/gui/${collection === 'domains' ? 'domain' : 'ip-address'}/${query}`,
+                severity: stats.malicious > 0 ? 'high' : 'low',
+                confidence: 0.9,
+                verified: true
+            }];
+        } catch (error) {
+            if (this.isRetryable(error)) throw error;
+            if (!this.isAbortError(error)) {
+                console.error(`[VirusTotal Adapter] Error: ${error.message}`);
+            }
+            return [];
+        }
+    }
+}
+
+class NominatimAdapter extends BaseAdapter {
+    constructor(config = {}) {
+        // Nominatim usage policy: at most one request per second
+        super('nominatim', { priority: 5, targets: ['location'], rateLimit: { requests: 1, window: 1000 }, ...config });
+        this.baseUrl = 'https://nominatim.openstreetmap.org';
+    }
+    
+    async search(query, options = {}) {
+        await this.checkRateLimit(options.signal);
+        
+        
+        try {
+            const response = await this.http.get(`${this.baseUrl}/search`, {
+                params: { q: query, format: 'json', limit: 3 },
+                headers: { 'User-Agent': 'OSINT-Playground/2.0' },
+                signal: options.signal,
+                timeout: 10000,
+                validateStatus: acceptStatus
+            });
+            
+            if (response.status !== 200 || !Array.isArray(response.data)) return [];
+            
+            return response.data.map(place => ({
+                ...this.normalizeResult(place, 'location'),
+                label: place.display_name,
+                lat: parseFloat(place.lat),
+                lng: parseFloat(place.lon),
+                placeType: place.type,
+                url: `https://www.openstreetmap.org/${place.osm_type}/${place.osm_id}`,
+                confidence: Math.round((place.importance || 0.5) * 100) / 100,
+                verified: false
+            }));
+        } catch (error) {
+            if (this.isRetryable(error)) throw error;
+            if (!this.isAbortError(error)) {
+                console.error(`[Nominatim Adapter] Error: ${error.message}`);
+            }
+            return [];
+        }
+    }
+}
+
+// Direct platform check adapter for the sites in config/platforms.json
+// that have no dedicated adapter
 class DirectPlatformAdapter extends BaseAdapter {
     constructor(config = {}) {
         super('direct', { priority: 10, rateLimit: { requests: 20, window: 60000 }, ...config });
         
-        this.platforms = [
-            { name: 'Twitter/X', url: 'https://twitter.com/{username}', category: 'social' },
-            { name: 'Facebook', url: 'https://facebook.com/{username}', category: 'social' },
-            { name: 'TikTok', url: 'https://tiktok.com/@{username}', category: 'social' },
-            { name: 'Pinterest', url: 'https://pinterest.com/{username}', category: 'social' },
-            { name: 'Tumblr', url: 'https://{username}.tumblr.com', category: 'social' },
-            { name: 'Medium', url: 'https://medium.com/@{username}', category: 'social' },
-            { name: 'Dev.to', url: 'https://dev.to/{username}', category: 'development' },
-            { name: 'CodePen', url: 'https://codepen.io/{username}', category: 'development' },
-            { name: 'Replit', url: 'https://replit.com/@{username}', category: 'development' },
-            { name: 'NPM', url: 'https://npmjs.com/~{username}', category: 'development' },
-            { name: 'PyPI', url: 'https://pypi.org/user/{username}', category: 'development' },
-            { name: 'Kaggle', url: 'https://kaggle.com/{username}', category: 'development' },
-            { name: 'LeetCode', url: 'https://leetcode.com/{username}', category: 'development' },
-            { name: 'HackerRank', url: 'https://hackerrank.com/{username}', category: 'development' },
-            { name: 'Twitch', url: 'https://twitch.tv/{username}', category: 'gaming' },
-            { name: 'Steam', url: 'https://steamcommunity.com/id/{username}', category: 'gaming' },
-            { name: 'Spotify', url: 'https://open.spotify.com/user/{username}', category: 'entertainment' },
-            { name: 'SoundCloud', url: 'https://soundcloud.com/{username}', category: 'entertainment' },
-            { name: 'Behance', url: 'https://behance.net/{username}', category: 'creative' },
-            { name: 'Dribbble', url: 'https://dribbble.com/{username}', category: 'creative' },
-            { name: 'Flickr', url: 'https://flickr.com/people/{username}', category: 'creative' },
-            { name: 'Vimeo', url: 'https://vimeo.com/{username}', category: 'creative' },
-            { name: 'HackerOne', url: 'https://hackerone.com/{username}', category: 'security' },
-            { name: 'TryHackMe', url: 'https://tryhackme.com/p/{username}', category: 'security' },
-            { name: 'About.me', url: 'https://about.me/{username}', category: 'professional' },
-            { name: 'Linktree', url: 'https://linktr.ee/{username}', category: 'professional' },
-            { name: 'ProductHunt', url: 'https://producthunt.com/@{username}', category: 'professional' },
-            { name: 'AngelList', url: 'https://angel.co/u/{username}', category: 'professional' },
-            { name: 'Mastodon', url: 'https://mastodon.social/@{username}', category: 'social' },
-            { name: 'Threads', url: 'https://threads.net/@{username}', category: 'social' },
-            { name: 'Bluesky', url: 'https://bsky.app/profile/{username}', category: 'social' },
-            { name: 'Quora', url: 'https://quora.com/profile/{username}', category: 'social' },
-            { name: 'Gravatar', url: 'https://gravatar.com/{username}', category: 'professional' },
-            { name: 'Telegram', url: 'https://t.me/{username}', category: 'messaging' },
-            { name: 'Patreon', url: 'https://patreon.com/{username}', category: 'creative' },
-            { name: 'Ko-fi', url: 'https://ko-fi.com/{username}', category: 'creative' },
-            { name: 'BuyMeACoffee', url: 'https://buymeacoffee.com/{username}', category: 'creative' },
-            { name: 'GitBook', url: 'https://{username}.gitbook.io', category: 'development' },
-            { name: 'Hashnode', url: 'https://hashnode.com/@{username}', category: 'development' },
-            { name: 'Substack', url: 'https://{username}.substack.com', category: 'professional' },
-            { name: 'Notion', url: 'https://notion.so/{username}', category: 'professional' },
-            { name: 'Figma', url: 'https://figma.com/@{username}', category: 'creative' },
-            { name: 'Calendly', url: 'https://calendly.com/{username}', category: 'professional' },
-            { name: 'Gumroad', url: 'https://gumroad.com/{username}', category: 'creative' },
-            { name: 'Etsy', url: 'https://etsy.com/shop/{username}', category: 'creative' },
-            { name: 'Fiverr', url: 'https://fiverr.com/{username}', category: 'professional' },
-            { name: 'Upwork', url: 'https://upwork.com/freelancers/~{username}', category: 'professional' },
-            { name: 'VK', url: 'https://vk.com/{username}', category: 'social' },
-            { name: 'OK.ru', url: 'https://ok.ru/{username}', category: 'social' },
-            { name: 'Weibo', url: 'https://weibo.com/{username}', category: 'social' }
-        ];
+        const catalog = config.catalog || loadPlatformCatalog();
+        this.platforms = catalog.platforms.filter(p => !p.adapter);
     }
     
+    /**
+     * Check the catalogue in batches. Each batch's finds also go to
+     * options.onResults, so a search cut short by its timeout keeps them.
+     */
     async search(query, options = {}) {
-        const axios = require('axios');
         const results = [];
         
         // Check platforms in batches to avoid overwhelming
         const batchSize = 10;
-        const selectedPlatforms = options.platforms 
+        const selectedPlatforms = (options.platforms 
             ? this.platforms.filter(p => options.platforms.includes(p.name.toLowerCase()))
-            : this.platforms;
+            : this.platforms
+        ).filter(p => isValidUsername(p, query));
         
         for (let i = 0; i < selectedPlatforms.length; i += batchSize) {
+            if (options.signal?.aborted) break;
+            
             const batch = selectedPlatforms.slice(i, i + batchSize);
             
             const checks = batch.map(async platform => {
                 try {
-                    const url = platform.url.replace('{username}', query);
-                    const response = await axios.head(url, {
+                    const request = buildProbeRequest(platform, query);
+                    const response = await this.http.request({
+                        ...request,
+                        signal: options.signal,
                         timeout: 5000,
                         maxRedirects: 3,
-                        validateStatus: s => s < 500,
-                        headers: {
-                            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                        }
+                        validateStatus: s => s < 500
                     });
                     
-                    if (response.status === 200) {
+                    const verdict = evaluateResponse(platform, response, query);
+                    if (verdict.status === 'found') {
                         return {
                             ...this.normalizeResult({}, 'potential'),
                             platform: platform.name,
                             category: platform.category,
                             username: query,
-                            url: url,
-                            confidence: 0.6,
+                            url: expandTemplate(platform.url, query),
+                            confidence: verdict.confidence,
                             verified: false,
-                            note: 'URL accessible - profile likely exists'
+                            detection: verdict.signals,
+                            note: `Profile likely exists: ${verdict.reason}`
                         };
                     }
                 } catch (error) {
-                    // 404 or timeout - profile doesn't exist or site is blocking
-                    return null;
+                    // Timeout or blocked - profile status unknown
                 }
+                return null;
             });
             
-            const batchResults = await Promise.all(checks);
-            results.push(...batchResults.filter(Boolean));
+            const found = (await Promise.all(checks)).filter(Boolean);
+            results.push(...found);
+            if (found.length) options.onResults?.(found);
             
             // Rate limit between batches
             if (i + batchSize < selectedPlatforms.length) {
-                await this.sleep(500);
+                await this.sleep(500, options.signal);
             }
         }
         
@@ -686,14 +1075,13 @@ class SearchEngineAdapter extends BaseAdapter {
     }
     
     async search(query, options = {}) {
-        const axios = require('axios');
         const results = [];
         
         try {
             // DuckDuckGo Instant Answer API
-            const ddgResponse = await axios.get(
+            const ddgResponse = await this.http.get(
                 `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_html=1`,
-                { timeout: 10000 }
+                { timeout: 10000, signal: options.signal }
             );
             
             if (ddgResponse.data) {
@@ -727,7 +1115,10 @@ class SearchEngineAdapter extends BaseAdapter {
                 });
             }
         } catch (error) {
-            console.error(`[SearchEngine Adapter] Error: ${error.message}`);
+            if (this.isRetryable(error)) throw error;
+            if (!this.isAbortError(error)) {
+                console.error(`[SearchEngine Adapter] Error: ${error.message}`);
+            }
         }
         
         return results;
@@ -745,25 +1136,51 @@ class SearchAggregator extends EventEmitter {
         this.config = { ...AGGREGATOR_CONFIG, ...options };
         this.adapters = new Map();
         this.scans = new Map();
-        this.cache = new Map();
+        this.controllers = new Map();
+        this.queue = [];
+        this.runningJobs = 0;
+        this.adapterSlots = new Map();
+        this.store = options.store || new MemoryScanStore({
+            scanTTL: this.config.scanTTL,
+            cacheTTL: this.config.cacheTTL
+        });
+        // Client the default adapters send their requests through
+        this.http = options.http || axios;
+        this.avatarHasher = options.avatarHasher || new AvatarHasher();
+        // Shared entity graph (lib/entity-graph) finished scans are merged into
+        this.graph = options.graph || null;
+        this.scoring = new ScoringEngine(this.config.scoringRules);
         
         // Register default adapters
         this.registerDefaultAdapters();
+        
+        // Expire old scans and cache entries in the background
+        if (this.config.pruneInterval > 0) {
+            this.pruneTimer = setInterval(() => this.prune(), this.config.pruneInterval);
+            this.pruneTimer.unref?.();
+        }
     }
     
     registerDefaultAdapters() {
-        this.registerAdapter(new GitHubAdapter());
-        this.registerAdapter(new RedditAdapter());
-        this.registerAdapter(new GitLabAdapter());
-        this.registerAdapter(new KeybaseAdapter());
-        this.registerAdapter(new HackerNewsAdapter());
-        this.registerAdapter(new TwitterAdapter());
-        this.registerAdapter(new InstagramAdapter());
-        this.registerAdapter(new LinkedInAdapter());
-        this.registerAdapter(new ShodanAdapter());
-        this.registerAdapter(new HunterAdapter());
-        this.registerAdapter(new DirectPlatformAdapter());
-        this.registerAdapter(new SearchEngineAdapter());
+        const { http } = this;
+        this.registerAdapter(new GitHubAdapter({ http }));
+        this.registerAdapter(new RedditAdapter({ http }));
+        this.registerAdapter(new GitLabAdapter({ http }));
+        this.registerAdapter(new KeybaseAdapter({ http }));
+        this.registerAdapter(new HackerNewsAdapter({ http }));
+        this.registerAdapter(new TwitterAdapter({ http }));
+        this.registerAdapter(new InstagramAdapter({ http }));
+        this.registerAdapter(new LinkedInAdapter({ http }));
+        this.registerAdapter(new ShodanAdapter({ http }));
+        this.registerAdapter(new HunterAdapter({ http }));
+        this.registerAdapter(new DirectPlatformAdapter({ http, catalog: this.config.catalog }));
+        this.registerAdapter(new SearchEngineAdapter({ http }));
+        this.registerAdapter(new GravatarAdapter({ http }));
+        this.registerAdapter(new HibpAdapter({ http }));
+        this.registerAdapter(new DnsAdapter({ localDns: this.config.localDns }));
+        this.registerAdapter(new AbuseIpdbAdapter({ http }));
+        this.registerAdapter(new VirusTotalAdapter({ http }));
+        this.registerAdapter(new NominatimAdapter({ http }));
     }
     
     registerAdapter(adapter) {
@@ -771,21 +1188,62 @@ class SearchAggregator extends EventEmitter {
         console.log(`[Aggregator] Registered adapter: ${adapter.name}`);
     }
     
+    /**
+     * Per-adapter in-flight request limiter, shared by all scans
+     */
+    getAdapterSlots(name) {
+        if (!this.adapterSlots.has(name)) {
+            this.adapterSlots.set(name, new Semaphore(this.config.maxConcurrentPerAdapter));
+        }
+        return this.adapterSlots.get(name);
+    }
+    
     generateScanId() {
         return `scan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     }
     
     /**
-     * Start a new scan
+     * Start a scan of a typed target ({ type, value }) with a scan profile
+     * (lib/scan-profiles). Throws ScanTargetError for an invalid target,
+     * an unknown profile or a profile with no adapters for the target.
+     */
+    async startTargetScan(target, options = {}) {
+        const plan = planTargetScan(target, options.profile, this.adapters.values());
+        const adapters = (options.adapters
+            ? plan.adapters.filter(name => options.adapters.includes(name))
+            : plan.adapters
+        ).filter(name => !(options.excludeAdapters || []).includes(name));
+        
+        return this.startScan(plan.query, {
+            ...options,
+            ...plan.options,
+            adapters,
+            target: plan.target,
+            profile: plan.profile
+        });
+    }
+    
+    /**
+     * Start a new scan. A plain query is a username scan; startTargetScan()
+     * passes options.target to scan other target types.
      */
     async startScan(query, options = {}) {
         const scanId = this.generateScanId();
+        const pivotLimits = resolvePivotLimits(options.pivot, {
+            maxDepth: this.config.pivotMaxDepth,
+            maxRequests: this.config.pivotMaxRequests,
+            types: this.config.pivotTypes
+        });
         
         const scan = {
             id: scanId,
             query: query,
+            target: options.target || null,
+            profile: options.profile || null,
             options: options,
-            status: 'running',
+            status: 'queued',
+            queuePosition: null,
+            queuedAt: Date.now(),
             startTime: Date.now(),
             endTime: null,
             progress: 0,
@@ -795,58 +1253,166 @@ class SearchAggregator extends EventEmitter {
                 totalSources: this.adapters.size,
                 completedSources: 0,
                 totalResults: 0,
-                uniqueResults: 0
+                uniqueResults: 0,
+                retries: 0
             }
         };
         
+        // Ranked username variants scanned alongside the seed query
+        if (pivotLimits) {
+            scan.pivotLimits = pivotLimits;
+            scan.pivots = [];
+        }
+        
+        if (options.permutations) {
+            const limit = Math.min(options.permutationLimit || this.config.maxPermutations, this.config.maxPermutations);
+            scan.variants = generatePermutations(options.name || query, { limit })
+                .filter(variant => variant.username !== query.toLowerCase())
+                .map(variant => ({ ...variant, hits: 0 }));
+        }
+        
+        if (this.queue.length >= this.config.maxQueueLength) {
+            const error = new Error('Scan queue is full, try again later');
+            error.status = 503;
+            throw error;
+        }
+        
         this.scans.set(scanId, scan);
         
         // Check cache first
-        const cacheKey = this.getCacheKey(query, options);
-        if (this.config.enableCache && this.cache.has(cacheKey)) {
-            const cached = this.cache.get(cacheKey);
-            if (Date.now() - cached.timestamp < this.config.cacheTTL * 1000) {
+        if (this.config.enableCache) {
+            const cached = await this.store.getCached(this.getCacheKey(query, options));
+            if (cached && Date.now() - cached.timestamp < this.config.cacheTTL * 1000) {
                 scan.results = cached.results;
+                if (cached.pivots) scan.pivots = cached.pivots;
+                this.linkAvatars(scan);
+                this.resolveScanIdentities(scan);
                 scan.status = 'completed';
                 scan.endTime = Date.now();
                 scan.fromCache = true;
+                await this.persistScan(scan);
                 this.emit('scan:complete', scan);
                 return scan;
             }
         }
         
-        // Run scan asynchronously
-        this.runScan(scanId, query, options).catch(error => {
-            scan.status = 'error';
-            scan.errors.push(error.message);
-            this.emit('scan:error', { scanId, error });
-        });
+        // Queue the scan; it starts right away if a job slot is free
+        this.queue.push(scanId);
+        scan.queuePosition = this.queue.length;
+        await this.persistScan(scan);
+        
+        this.drainQueue();
+        if (scan.status === 'queued') {
+            this.emitQueuePositions();
+        }
         
         return scan;
     }
     
+    /**
+     * Start queued scans while job slots are free
+     */
+    drainQueue() {
+        let started = false;
+        
+        while (this.runningJobs < this.config.maxConcurrentJobs && this.queue.length > 0) {
+            const scan = this.scans.get(this.queue.shift());
+            if (!scan || scan.status !== 'queued') continue;
+            
+            this.runningJobs++;
+            started = true;
+            
+            scan.status = 'running';
+            scan.queuePosition = null;
+            scan.startTime = Date.now();
+            this.emit('scan:started', { scanId: scan.id });
+            
+            // Run scan asynchronously
+            this.runScan(scan.id, scan.query, scan.options)
+                .catch(error => {
+                    scan.status = 'error';
+                    scan.endTime = Date.now();
+                    scan.errors.push(error.message);
+                    this.persistScan(scan);
+                    this.emit('scan:error', { scanId: scan.id, error });
+                })
+                .finally(() => {
+                    this.runningJobs--;
+                    this.drainQueue();
+                });
+        }
+        
+        if (started) {
+            this.emitQueuePositions();
+        }
+    }
+    
+    /**
+     * Refresh queue positions (1-based) and notify waiting scans
+     */
+    emitQueuePositions() {
+        this.queue.forEach((scanId, index) => {
+            const scan = this.scans.get(scanId);
+            if (!scan) return;
+            
+            scan.queuePosition = index + 1;
+            this.emit('scan:queued', {
+                scanId,
+                position: scan.queuePosition,
+                queueLength: this.queue.length
+            });
+        });
+    }
+    
+    /**
+     * Queued or running scans are still active
+     */
+    isActive(scan) {
+        return scan?.status === 'queued' || scan?.status === 'running';
+    }
+    
+    getQueueStats() {
+        return {
+            running: this.runningJobs,
+            queued: this.queue.length,
+            maxConcurrentJobs: this.config.maxConcurrentJobs
+        };
+    }
+    
     async runScan(scanId, query, options) {
         const scan = this.scans.get(scanId);
         if (!scan) return;
         
-        const selectedAdapters = options.adapters 
+        // Untargeted scans run the username adapters unless told otherwise;
+        // excludeAdapters (e.g. paid lookups the caller may not use) always wins
+        const excluded = options.excludeAdapters || [];
+        const selectedAdapters = (options.adapters 
             ? [...this.adapters.values()].filter(a => options.adapters.includes(a.name))
-            : [...this.adapters.values()];
+            : [...this.adapters.values()].filter(a => (a.targets || ['username']).includes('username'))
+        ).filter(a => !excluded.includes(a.name));
         
         // Sort by priority
         selectedAdapters.sort((a, b) => a.priority - b.priority);
         
         scan.stats.totalSources = selectedAdapters.length;
         
+        // Aborted by cancelScan(); adapters pass the signal to their requests
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.controllers.set(scanId, controller);
+        
         // Fan-out to all adapters
         const adapterPromises = selectedAdapters.map(async (adapter, index) => {
             try {
                 this.emit('scan:adapter:start', { scanId, adapter: adapter.name });
                 
-                const results = await Promise.race([
-                    adapter.search(query, options),
-                    this.timeout(this.config.defaultTimeout)
-                ]);
+                const { kind, value } = this.getAdapterQuery(adapter, query, options);
+                const results = await this.searchAdapter(scan, adapter, value, options, signal);
+                
+                // Late results from a cancelled scan are dropped
+                if (signal.aborted) {
+                    return { adapter: adapter.name, results: [], success: false, cancelled: true };
+                }
                 
                 // Process results
                 results.forEach(result => {
@@ -856,6 +1422,31 @@ class SearchAggregator extends EventEmitter {
                     this.emit('scan:result', { scanId, result });
                 });
                 
+                // Username variants; a failing variant does not fail the adapter
+                for (const variant of kind === 'username' ? scan.variants || [] : []) {
+                    if (signal.aborted) break;
+                    
+                    let variantResults;
+                    try {
+                        variantResults = await this.searchAdapter(scan, adapter, variant.username, options, signal);
+                    } catch (error) {
+                        if (signal.aborted) break;
+                        scan.errors.push({ adapter: adapter.name, query: variant.username, error: error.message });
+                        continue;
+                    }
+                    if (signal.aborted) break;
+                    
+                    variantResults.forEach(result => {
+                        this.linkVariant(result, query, variant);
+                        variant.hits++;
+                        results.push(result);
+                        scan.results.push(result);
+                        scan.stats.totalResults++;
+                        
+                        this.emit('scan:result', { scanId, result });
+                    });
+                }
+                
                 scan.stats.completedSources++;
                 scan.progress = Math.round((scan.stats.completedSources / scan.stats.totalSources) * 100);
                 
@@ -869,6 +1460,10 @@ class SearchAggregator extends EventEmitter {
                 return { adapter: adapter.name, results, success: true };
                 
             } catch (error) {
+                if (signal.aborted) {
+                    return { adapter: adapter.name, results: [], success: false, cancelled: true };
+                }
+                
                 scan.errors.push({ adapter: adapter.name, error: error.message });
                 scan.stats.completedSources++;
                 scan.progress = Math.round((scan.stats.completedSources / scan.stats.totalSources) * 100);
@@ -879,95 +1474,486 @@ class SearchAggregator extends EventEmitter {
             }
         });
         
-        // Wait for all adapters (with total timeout)
-        await Promise.race([
-            Promise.all(adapterPromises),
-            this.timeout(this.config.totalTimeout)
-        ]);
+        // Wait for all adapters (with total timeout), or until cancelled. A
+        // scan that runs out of time stops its adapters and completes with
+        // the results it has.
+        const deadline = this.timeout(this.config.totalTimeout, controller);
+        let onCancel;
+        try {
+            await Promise.race([
+                Promise.all(adapterPromises).then(() => this.runPivots(scan, options, signal)),
+                deadline.catch(() => { scan.timedOut = true; }),
+                new Promise(resolve => {
+                    onCancel = resolve;
+                    signal.addEventListener('abort', onCancel, { once: true });
+                })
+            ]);
+            
+            if (!signal.aborted) await this.hashAvatars(scan, signal);
+        } finally {
+            deadline.clear();
+            signal.removeEventListener('abort', onCancel);
+            this.controllers.delete(scanId);
+        }
         
-        // Deduplicate and score
-        scan.results = this.deduplicateResults(scan.results);
-        scan.results = this.scoreResults(scan.results, query);
-        scan.stats.uniqueResults = scan.results.length;
+        // cancelScan() finalizes the scan itself, also while this one awaits
+        if (scan.status === 'cancelled') return scan;
         
-        // Sort by confidence
-        scan.results.sort((a, b) => b.confidence - a.confidence);
+        this.finalizeResults(scan);
+        await this.ingestGraph(scan);
+        if (scan.status === 'cancelled') return scan;
         
         // Complete scan
         scan.status = 'completed';
         scan.endTime = Date.now();
         scan.progress = 100;
+        if (scan.timedOut) {
+            scan.errors.push({ adapter: 'scan', error: 'Timeout' });
+        }
         
-        // Cache results
-        if (this.config.enableCache) {
+        // Cache results; those of a timed out scan are incomplete
+        if (this.config.enableCache && !scan.timedOut) {
             const cacheKey = this.getCacheKey(query, options);
-            this.cache.set(cacheKey, {
+            await this.store.setCached(cacheKey, {
                 results: scan.results,
+                ...(scan.pivots ? { pivots: scan.pivots } : {}),
                 timestamp: Date.now()
             });
         }
         
+        await this.persistScan(scan);
+        
         this.emit('scan:complete', scan);
         
         return scan;
     }
     
-    timeout(ms) {
-        return new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Timeout')), ms);
+    /**
+     * What an adapter searches for: the scan query for untargeted scans,
+     * otherwise the target's value of a kind the adapter accepts
+     */
+    getAdapterQuery(adapter, query, options) {
+        if (!options.target) return { kind: 'username', value: query };
+        
+        const kind = queryKindFor(adapter, options.target) || 'username';
+        return { kind, value: options.target.queries[kind] || query };
+    }
+    
+    /**
+     * Search one query on one adapter. Waits for a free request slot on the
+     * adapter; the slot is held until the search settles. A search that runs
+     * out of time is aborted and rejects with "Timeout", unless the adapter
+     * already reported results through options.onResults: those are kept.
+     * 
+     * The search gets its own controller linked to the scan signal, so its
+     * waits and requests listen on that rather than each adding a listener
+     * to the scan signal.
+     */
+    async searchAdapter(scan, adapter, query, options, signal) {
+        const controller = linkedController(signal);
+        let release;
+        try {
+            release = await this.getAdapterSlots(adapter.name).acquire(controller.signal);
+        } catch (error) {
+            controller.unlink();
+            throw error;
+        }
+        
+        const partial = [];
+        const onResults = results => partial.push(...results);
+        const search = this.searchWithRetry(scan, adapter, query, { ...options, signal: controller.signal, onResults });
+        search.catch(() => {}).finally(() => {
+            release();
+            controller.unlink();
+        });
+        
+        // Out of time, the search's requests are aborted too
+        const deadline = this.timeout(this.config.defaultTimeout, controller);
+        try {
+            return await Promise.race([search, deadline]);
+        } catch (error) {
+            const timedOut = controller.signal.aborted && !signal?.aborted;
+            if (!timedOut || !partial.length) throw error;
+            
+            scan.errors.push({ adapter: adapter.name, query, error: 'Timeout', partial: true });
+            return partial;
+        } finally {
+            deadline.clear();
+        }
+    }
+    
+    /**
+     * Tag a result found for a username variant with the seed it came from
+     */
+    linkVariant(result, seed, variant) {
+        result.seed = seed;
+        result.variant = {
+            username: variant.username,
+            score: variant.score,
+            transforms: variant.transforms
+        };
+        result.confidence = Math.round((result.confidence || 0.5) * variant.score * 100) / 100;
+        return result;
+    }
+    
+    /**
+     * Follow leads found in the scan's results (lib/pivots), breadth first:
+     * each lead runs the default profile of its type, and its results are
+     * searched for leads of the next depth. Stops at maxDepth or once
+     * maxRequests adapter searches are spent. Each pivot is recorded in
+     * scan.pivots as an edge from the result it was found in.
+     */
+    async runPivots(scan, options, signal) {
+        const limits = scan.pivotLimits;
+        if (!limits || !limits.types.length) return;
+        
+        const stopped = () => signal.aborted || scan.status !== 'running';
+        
+        // The scan's own queries are not leads
+        const seen = new Set(Object.entries(scan.target?.queries || { username: scan.query })
+            .map(([kind, value]) => `${kind}:${String(value).toLowerCase()}`));
+        (scan.variants || []).forEach(variant => seen.add(`username:${variant.username}`));
+        
+        let budget = limits.maxRequests;
+        let parents = [...scan.results];
+        scan.stats.pivots = 0;
+        scan.stats.pivotRequests = 0;
+        
+        for (let depth = 1; depth <= limits.maxDepth && parents.length && !stopped(); depth++) {
+            const level = [];
+            
+            parents.forEach(parent => extractLeads(parent).forEach(lead => {
+                const key = `${lead.type}:${lead.value.toLowerCase()}`;
+                if (!limits.types.includes(lead.type) || seen.has(key)) return;
+                seen.add(key);
+                
+                if (budget <= 0) {
+                    scan.stats.pivotBudgetExhausted = true;
+                    return;
+                }
+                
+                let plan;
+                try {
+                    plan = planTargetScan({ type: lead.type, value: lead.value }, null, this.adapters.values());
+                } catch {
+                    return; // No modules for this lead type
+                }
+                
+                const adapters = plan.adapters
+                    .filter(name => !(options.excludeAdapters || []).includes(name))
+                    .map(name => this.adapters.get(name))
+                    .sort((a, b) => a.priority - b.priority)
+                    .slice(0, budget);
+                budget -= adapters.length;
+                
+                const pivot = {
+                    id: `${scan.id}-pivot-${scan.pivots.length + 1}`,
+                    parentId: parent.id,
+                    type: lead.type,
+                    value: lead.value,
+                    field: lead.field,
+                    depth,
+                    profile: plan.profile,
+                    adapters: adapters.map(adapter => adapter.name),
+                    resultIds: []
+                };
+                scan.pivots.push(pivot);
+                scan.stats.pivots++;
+                scan.stats.pivotRequests += adapters.length;
+                level.push({ pivot, target: plan.target, adapters });
+                
+                this.emit('scan:pivot', { scanId: scan.id, pivot });
+            }));
+            
+            parents = [];
+            await Promise.all(level.flatMap(({ pivot, target, adapters }) => adapters.map(async adapter => {
+                const { value } = this.getAdapterQuery(adapter, target.query, { target });
+                
+                try {
+                    const results = await this.searchAdapter(scan, adapter, value, options, signal);
+                    
+                    // Late results from a cancelled or timed out scan are dropped
+                    if (stopped()) return;
+                    
+                    results.forEach(result => {
+                        result.pivot = { id: pivot.id, parentId: pivot.parentId, depth, query: value };
+                        pivot.resultIds.push(result.id);
+                        parents.push(result);
+                        scan.results.push(result);
+                        scan.stats.totalResults++;
+                        
+                        this.emit('scan:result', { scanId: scan.id, result });
+                    });
+                } catch (error) {
+                    if (stopped()) return;
+                    
+                    scan.errors.push({ adapter: adapter.name, pivot: pivot.id, query: value, error: error.message });
+                    this.emit('scan:adapter:error', { scanId: scan.id, adapter: adapter.name, pivot: pivot.id, error: error.message });
+                }
+            })));
+        }
+    }
+    
+    /**
+     * Run an adapter, retrying transient failures with exponential
+     * backoff and jitter. Retry-After (429/503) takes precedence.
+     */
+    async searchWithRetry(scan, adapter, query, options) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await adapter.search(query, options);
+            } catch (error) {
+                if (options.signal?.aborted || !adapter.isRetryable(error) || attempt > this.config.maxRetries) {
+                    throw error;
+                }
+                
+                const delay = this.getRetryDelay(attempt, error);
+                if (delay === null) throw error;
+                
+                scan.stats.retries++;
+                this.emit('scan:adapter:retry', {
+                    scanId: scan.id,
+                    adapter: adapter.name,
+                    attempt,
+                    maxRetries: this.config.maxRetries,
+                    delay,
+                    status: error.response?.status,
+                    error: error.message
+                });
+                
+                await adapter.sleep(delay, options.signal);
+            }
+        }
+    }
+    
+    /**
+     * Delay before retry `attempt` (1-based), or null if the server
+     * asked us to wait longer than maxRetryDelay
+     */
+    getRetryDelay(attempt, error) {
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null) {
+            return retryAfter <= this.config.maxRetryDelay ? retryAfter : null;
+        }
+        
+        // Equal jitter: half fixed, half random
+        const base = Math.min(
+            this.config.retryDelay * Math.pow(this.config.retryBackoff, attempt - 1),
+            this.config.maxRetryDelay
+        );
+        return Math.round(base / 2 + Math.random() * base / 2);
+    }
+    
+    /**
+     * Deduplicate, score and sort the results collected so far
+     */
+    finalizeResults(scan) {
+        scan.results = this.deduplicateResults(scan.results);
+        scan.results = this.scoreResults(scan.results, scan.query);
+        scan.stats.uniqueResults = scan.results.length;
+        
+        // Pivot results dropped as duplicates leave their pivot
+        if (scan.pivots) {
+            const kept = new Set(scan.results.map(result => result.id));
+            scan.pivots.forEach(pivot => {
+                pivot.resultIds = pivot.resultIds.filter(id => kept.has(id));
+            });
+        }
+        
+        // Sort by confidence
+        scan.results.sort((a, b) => b.confidence - a.confidence);
+        
+        this.linkAvatars(scan);
+        this.resolveScanIdentities(scan);
+    }
+    
+    /**
+     * Download and perceptually hash result avatars (result.avatarHashes).
+     * Avatars that fail to load or decode are skipped; hashing stops when
+     * avatarTimeout runs out.
+     */
+    async hashAvatars(scan, signal) {
+        if (!this.config.hashAvatars) return;
+        
+        const pending = scan.results.filter(result => result.avatar && !result.avatarHashes);
+        let next = 0;
+        
+        const worker = async () => {
+            while (next < pending.length && !signal?.aborted) {
+                const result = pending[next++];
+                const hashes = await this.avatarHasher.hash(result.avatar, { signal });
+                if (hashes) result.avatarHashes = hashes;
+            }
+        };
+        
+        let timer;
+        const workers = Array.from({ length: Math.min(this.config.avatarConcurrency, pending.length) }, worker);
+        await Promise.race([
+            Promise.all(workers),
+            new Promise(resolve => { timer = setTimeout(resolve, this.config.avatarTimeout); })
+        ]);
+        clearTimeout(timer);
+    }
+    
+    /**
+     * Record cross-platform "same avatar" links in scan.avatarLinks
+     */
+    linkAvatars(scan) {
+        if (!this.config.hashAvatars) return;
+        
+        scan.avatarLinks = findAvatarMatches(scan.results, { threshold: this.config.avatarMatchThreshold });
+        scan.stats.avatarLinks = scan.avatarLinks.length;
+    }
+    
+    /**
+     * Merge profiles of the same person across sources into scan.identities
+     * and tag each member result with its identityId
+     */
+    resolveScanIdentities(scan) {
+        if (!this.config.resolveIdentities) return;
+        
+        scan.identities = resolveIdentities(scan.results);
+        
+        const byResult = new Map();
+        scan.identities.forEach(identity => {
+            identity.members.forEach(member => byResult.set(member.resultId, identity.id));
+        });
+        scan.results.forEach(result => {
+            if (byResult.has(result.id)) result.identityId = byResult.get(result.id);
+        });
+        
+        scan.stats.identities = scan.identities.length;
+    }
+    
+    /**
+     * Merge the scan's results into the entity graph, tagging each result
+     * with its entityId. A graph failure does not fail the scan.
+     */
+    async ingestGraph(scan) {
+        if (!this.graph) return;
+        
+        try {
+            const counts = await this.graph.ingestScan(scan);
+            scan.stats.entities = counts.entities;
+            scan.stats.relationships = counts.relationships;
+        } catch (error) {
+            console.error(`[Aggregator] Entity graph ingestion failed for ${scan.id}: ${error.message}`);
+            scan.errors.push({ adapter: 'graph', error: error.message });
+        }
+    }
+    
+    /**
+     * Cancel a running scan, aborting in-flight adapter requests.
+     * Results received before cancellation are kept.
+     */
+    async cancelScan(scanId) {
+        const scan = this.getScan(scanId);
+        if (!this.isActive(scan)) return scan;
+        
+        if (scan.status === 'queued') {
+            this.queue = this.queue.filter(id => id !== scanId);
+            scan.queuePosition = null;
+            this.emitQueuePositions();
+        }
+        
+        scan.status = 'cancelled';
+        scan.endTime = Date.now();
+        this.controllers.get(scanId)?.abort();
+        
+        this.finalizeResults(scan);
+        await this.ingestGraph(scan);
+        await this.persistScan(scan);
+        
+        this.emit('scan:cancelled', scan);
+        
+        return scan;
+    }
+    
+    /**
+     * Promise that rejects with "Timeout" after `ms`, aborting `controller`
+     * first; clear() stops the timer once the race is decided
+     */
+    timeout(ms, controller) {
+        let timer;
+        const promise = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                controller?.abort();
+                reject(new Error('Timeout'));
+            }, ms);
         });
+        promise.clear = () => clearTimeout(timer);
+        return promise;
     }
     
     getCacheKey(query, options) {
         return `${query}:${JSON.stringify(options)}`;
     }
     
+    /**
+     * Drop duplicates by dedupeFields, keeping the most confident copy.
+     * Values are compared normalized: URLs without scheme, "www." or a
+     * trailing slash, other fields case-, separator- and confusable-insensitive.
+     */
     deduplicateResults(results) {
+        const kept = [];
         const seen = new Map();
         
-        return results.filter(result => {
-            // Create dedup key from multiple fields
+        results.forEach(result => {
             const keys = this.config.dedupeFields
-                .map(field => result[field])
+                .map(field => {
+                    const value = result[field];
+                    if (!value) return null;
+                    return field === 'url' ? normalizeUrl(value) || value : normalizeForMatch(value);
+                })
                 .filter(Boolean)
                 .join('|');
             
-            if (!keys) return true;
+            if (!keys) {
+                kept.push(result);
+                return;
+            }
             
             if (seen.has(keys)) {
-                // Keep the one with higher confidence
-                const existing = seen.get(keys);
-                if (result.confidence > existing.confidence) {
-                    seen.set(keys, result);
-                    return true;
-                }
-                return false;
+                // Keep the one with higher confidence, in the first copy's place
+                const index = seen.get(keys);
+                if (result.confidence > kept[index].confidence) kept[index] = result;
+                return;
             }
             
-            seen.set(keys, result);
-            return true;
+            seen.set(keys, kept.length);
+            kept.push(result);
         });
+        
+        return kept;
+    }
+    
+    /**
+     * How closely a result matches the query. Permutation hits also
+     * compare against their variant, discounted by the variant's score.
+     */
+    measureSimilarity(result, query) {
+        // Pivot results answer their lead, not the scan query
+        if (result.pivot) query = result.pivot.query;
+        
+        const match = matchQuery(result, query);
+        if (!result.variant) return match;
+        
+        const variantMatch = matchQuery(result, result.variant.username);
+        const score = Math.round(variantMatch.score * result.variant.score * 1000) / 1000;
+        return score > match.score ? { ...variantMatch, score } : match;
     }
     
+    /**
+     * Score results with the configured rule set, keeping the breakdown
+     * on each result as scoreExplanation
+     */
     scoreResults(results, query) {
         return results.map(result => {
-            let score = result.confidence || 0.5;
-            
-            // Boost verified results
-            if (result.verified) score += 0.2;
-            
-            // Boost exact username matches
-            if (result.username?.toLowerCase() === query.toLowerCase()) {
-                score += 0.3;
-            }
-            
-            // Boost results with more data
-            const dataFields = ['displayName', 'bio', 'email', 'location', 'avatar'];
-            const filledFields = dataFields.filter(f => result[f]).length;
-            score += (filledFields / dataFields.length) * 0.1;
+            result.similarity = this.measureSimilarity(result, query);
             
-            // Normalize
-            result.confidence = Math.min(1, Math.max(0, score));
+            const { score, explanation } = this.scoring.score(result, { query, similarity: result.similarity });
+            result.confidence = score;
+            result.scoreExplanation = explanation;
             
             // Assign confidence level
             if (result.confidence >= 0.8) result.confidenceLevel = 'high';
@@ -978,15 +1964,78 @@ class SearchAggregator extends EventEmitter {
         });
     }
     
+    /**
+     * Persist a scan and drop the oldest finished scans from memory
+     */
+    async persistScan(scan) {
+        try {
+            await this.store.saveScan(scan);
+        } catch (error) {
+            console.error(`[Aggregator] Failed to persist scan ${scan.id}: ${error.message}`);
+            return;
+        }
+        
+        if (this.scans.size <= this.config.maxScansInMemory) return;
+        
+        for (const [id, hot] of this.scans) {
+            if (this.scans.size <= this.config.maxScansInMemory) break;
+            if (!this.isActive(hot) && id !== scan.id) {
+                this.scans.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Get a scan held in memory (running or recently finished)
+     */
     getScan(scanId) {
-        return this.scans.get(scanId);
+        return this.scans.get(scanId) || null;
+    }
+    
+    /**
+     * Get a scan from memory, falling back to the persistent store
+     */
+    async loadScan(scanId) {
+        return this.getScan(scanId) || await this.store.getScan(scanId);
+    }
+    
+    async listScans(filter = {}) {
+        return this.store.listScans(filter);
+    }
+    
+    /**
+     * Expire old scans and cache entries from memory and the store
+     */
+    async prune() {
+        const cutoff = Date.now() - this.config.scanTTL * 1000;
+        
+        for (const [id, scan] of this.scans) {
+            if (!this.isActive(scan) && (scan.endTime || scan.startTime) < cutoff) {
+                this.scans.delete(id);
+            }
+        }
+        
+        try {
+            return await this.store.prune();
+        } catch (error) {
+            console.error(`[Aggregator] Prune failed: ${error.message}`);
+            return 0;
+        }
+    }
+    
+    async close() {
+        clearInterval(this.pruneTimer);
+        await this.store.close();
+        await this.graph?.close();
     }
     
     getAdapters() {
         return [...this.adapters.values()].map(a => ({
             name: a.name,
             priority: a.priority,
-            rateLimit: a.rateLimit
+            rateLimit: a.rateLimit,
+            targets: a.targets || ['username'],
+            inFlight: this.adapterSlots.get(a.name)?.active || 0
         }));
     }
 }
@@ -1005,5 +2054,12 @@ module.exports = {
     HunterAdapter,
     DirectPlatformAdapter,
     SearchEngineAdapter,
-    AGGREGATOR_CONFIG
+    GravatarAdapter,
+    HibpAdapter,
+    DnsAdapter,
+    AbuseIpdbAdapter,
+    VirusTotalAdapter,
+    NominatimAdapter,
+    AGGREGATOR_CONFIG,
+    parseRetryAfter
 };
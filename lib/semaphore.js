@@ -0,0 +1,51 @@
+/**
+ * OSINT Playground - Semaphore
+ * Shared by the aggregator (per-adapter slots) and the outbound HTTP layer
+ */
+
+/**
+ * Counting semaphore; acquire() resolves with a release function
+ */
+class Semaphore {
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+    
+    acquire(signal) {
+        return new Promise((resolve, reject) => {
+            const grant = () => {
+                this.active++;
+                let released = false;
+                resolve(() => {
+                    if (released) return;
+                    released = true;
+                    this.release();
+                });
+            };
+            
+            if (signal?.aborted) return reject(new Error('Aborted'));
+            if (this.active < this.limit) return grant();
+            
+            const waiter = () => {
+                signal?.removeEventListener('abort', onAbort);
+                grant();
+            };
+            const onAbort = () => {
+                this.waiting = this.waiting.filter(w => w !== waiter);
+                reject(new Error('Aborted'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.waiting.push(waiter);
+        });
+    }
+    
+    release() {
+        this.active--;
+        const next = this.waiting.shift();
+        if (next) next();
+    }
+}
+
+module.exports = { Semaphore };
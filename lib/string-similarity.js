@@ -0,0 +1,210 @@
+/**
+ * OSINT Playground - String Similarity
+ * Username-aware fuzzy matching: separator-insensitive normalization,
+ * Unicode confusable folding, Levenshtein and Jaro-Winkler
+ */
+
+// Look-alike letters from other scripts mapped to Latin. NFKC already
+// folds fullwidth forms, ligatures and styled letters (ℓ, ｊ, 𝐣).
+const CONFUSABLES = {
+    // Cyrillic
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+    'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ї': 'i',
+    'ј': 'j', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g',
+    // Greek
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+    'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+    // Latin look-alikes
+    'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe'
+};
+
+const CONFUSABLE_REGEX = new RegExp(`[${Object.keys(CONFUSABLES).join('')}]`, 'g');
+
+// Characters people swap freely inside handles
+const SEPARATOR_REGEX = /[\s._\-·•]+/g;
+
+// Match scores by how the strings matched
+const MATCH_SCORES = {
+    exact: 1,
+    normalized: 0.9,    // equal after dropping case, separators and confusables
+    contains: 0.85      // display name containing the query
+};
+
+// Fuzzy scores below this are noise, not a match
+const MIN_FUZZY_SCORE = 0.7;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// ==========================================
+// NORMALIZATION
+// ==========================================
+
+/**
+ * Fold compatibility forms, accents and cross-script look-alikes:
+ * "Jоhn" (Cyrillic о) -> "john", "Zoë" -> "zoe"
+ */
+function foldConfusables(value) {
+    return String(value || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(CONFUSABLE_REGEX, c => CONFUSABLES[c]);
+}
+
+/**
+ * Comparison form of a username: folded, separators removed
+ * ("John_Doe", "john.doe" and "jоhn-doe" all become "johndoe")
+ */
+function normalizeForMatch(value) {
+    return foldConfusables(value).replace(SEPARATOR_REGEX, '');
+}
+
+// ==========================================
+// DISTANCES
+// ==========================================
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * 1 - edit distance / longer length
+ */
+function levenshteinSimilarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length ? 1 - levenshtein(a, b) / length : 1;
+}
+
+function jaro(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = new Array(a.length).fill(false);
+    const matchedB = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - window);
+        const end = Math.min(b.length - 1, i + window);
+        for (let j = start; j <= end; j++) {
+            if (!matchedB[j] && a[i] === b[j]) {
+                matchedA[i] = matchedB[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (!matches) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!matchedA[i]) continue;
+        while (!matchedB[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+
+    return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+}
+
+/**
+ * Jaro-Winkler: Jaro with a bonus for a shared prefix of up to 4 characters
+ */
+function jaroWinkler(a, b, prefixScale = 0.1) {
+    const score = jaro(a, b);
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+    return score + prefix * prefixScale * (1 - score);
+}
+
+// ==========================================
+// MATCHING
+// ==========================================
+
+/**
+ * Compare two usernames. `score` is 1 for an exact (case-insensitive)
+ * match, 0.9 when only separators/confusables differ, otherwise the mean
+ * of Levenshtein and Jaro-Winkler on the normalized forms, scaled below 0.9.
+ */
+function compareUsernames(a, b) {
+    if (!a || !b) return { score: 0, method: 'none' };
+    if (String(a).toLowerCase() === String(b).toLowerCase()) {
+        return { score: MATCH_SCORES.exact, method: 'exact' };
+    }
+
+    const normalizedA = normalizeForMatch(a);
+    const normalizedB = normalizeForMatch(b);
+    if (!normalizedA || !normalizedB) return { score: 0, method: 'none' };
+    if (normalizedA === normalizedB) {
+        return { score: MATCH_SCORES.normalized, method: 'normalized' };
+    }
+
+    const lev = levenshteinSimilarity(normalizedA, normalizedB);
+    const jw = jaroWinkler(normalizedA, normalizedB);
+    return {
+        score: round(((lev + jw) / 2) * MATCH_SCORES.normalized),
+        method: 'fuzzy',
+        levenshtein: round(lev),
+        jaroWinkler: round(jw)
+    };
+}
+
+/**
+ * Best match of `query` against a result's username and display name.
+ * Returns { score, field, method, target }; fuzzy scores under the
+ * noise floor count as 0.
+ */
+function matchQuery(result, query) {
+    const candidates = [];
+
+    if (result.username) {
+        candidates.push({ field: 'username', ...compareUsernames(result.username, query) });
+    }
+
+    if (result.displayName) {
+        const name = normalizeForMatch(result.displayName);
+        const target = normalizeForMatch(query);
+        if (target.length >= 3 && name.includes(target)) {
+            candidates.push({ field: 'displayName', score: MATCH_SCORES.contains, method: 'contains' });
+        } else {
+            const match = compareUsernames(result.displayName, query);
+            candidates.push({ field: 'displayName', ...match, score: round(match.score * MATCH_SCORES.contains) });
+        }
+    }
+
+    const best = candidates
+        .map(c => (c.method === 'fuzzy' && c.score < MIN_FUZZY_SCORE ? { ...c, score: 0 } : c))
+        .sort((a, b) => b.score - a.score)[0];
+
+    return best ? { ...best, target: query } : { score: 0, field: null, method: 'none', target: query };
+}
+
+module.exports = {
+    CONFUSABLES,
+    foldConfusables,
+    normalizeForMatch,
+    levenshtein,
+    levenshteinSimilarity,
+    jaroWinkler,
+    compareUsernames,
+    matchQuery
+};
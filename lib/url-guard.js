@@ -0,0 +1,296 @@
+/**
+ * OSINT Playground - URL Guard
+ * SSRF protection for fetching caller-supplied URLs. Checks the scheme,
+ * port and every resolved address of each hop (redirects included) and
+ * pins the connection to the addresses it checked, so a DNS answer that
+ * changes between the check and the connect (rebinding) cannot reach an
+ * internal host.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+const DEFAULT_PROTOCOLS = ['http:', 'https:'];
+const DEFAULT_PORTS = [80, 443, 8080, 8443];
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// Names that only mean something on the local network
+const LOCAL_HOSTNAME = /(^|\.)(localhost|local|internal|intranet|lan|home\.arpa)$/i;
+
+// [network, prefix, what it is]
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'unspecified'],
+    ['10.0.0.0', 8, 'private'],
+    ['100.64.0.0', 10, 'carrier-grade NAT'],
+    ['127.0.0.0', 8, 'loopback'],
+    ['169.254.0.0', 16, 'link-local'],
+    ['172.16.0.0', 12, 'private'],
+    ['192.0.0.0', 24, 'IETF protocol'],
+    ['192.0.2.0', 24, 'documentation'],
+    ['192.168.0.0', 16, 'private'],
+    ['198.18.0.0', 15, 'benchmarking'],
+    ['198.51.100.0', 24, 'documentation'],
+    ['203.0.113.0', 24, 'documentation'],
+    ['224.0.0.0', 4, 'multicast'],
+    ['240.0.0.0', 4, 'reserved'],
+    ['::', 128, 'unspecified'],
+    ['::1', 128, 'loopback'],
+    ['100::', 64, 'discard'],
+    ['2001:db8::', 32, 'documentation'],
+    ['fc00::', 7, 'unique local'],
+    ['fe80::', 10, 'link-local'],
+    ['ff00::', 8, 'multicast']
+];
+
+const BLOCK_LISTS = BLOCKED_RANGES.map(([network, prefix, kind]) => {
+    const list = new net.BlockList();
+    list.addSubnet(network, prefix, net.isIPv6(network) ? 'ipv6' : 'ipv4');
+    return { list, kind };
+});
+
+/**
+ * Raised for a URL the guard refuses or cannot vet; `reason` is a stable
+ * code for clients and `status` the HTTP status to answer with (403 for
+ * policy blocks, 400 for malformed URLs, 502 for DNS and redirect failures)
+ */
+class UrlBlockedError extends Error {
+    constructor(reason, message, status = 403) {
+        super(message);
+        this.name = 'UrlBlockedError';
+        this.reason = reason;
+        this.status = status;
+    }
+}
+
+/**
+ * Eight 16-bit groups of an IPv6 address (dotted IPv4 tails included)
+ */
+function ipv6Groups(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted[1].split('.').map(Number);
+        text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const left = parse(head);
+    const right = tail === undefined ? [] : parse(tail);
+    return [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+/**
+ * IPv4 address carried inside an IPv6 one (mapped, compatible, NAT64, 6to4)
+ */
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    const toIPv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+    const zeroPrefix = groups.slice(0, 5).every(group => group === 0);
+    if (zeroPrefix && groups[5] === 0xffff) {
+        return toIPv4(groups[6], groups[7]);
+    }
+    // ::a.b.c.d, but not :: and ::1 themselves
+    if (zeroPrefix && groups[5] === 0 && (groups[6] || groups[7] > 1)) {
+        return toIPv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return toIPv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+        return toIPv4(groups[1], groups[2]);
+    }
+    return null;
+}
+
+/**
+ * What kind of non-public address `address` is ('loopback', 'private',
+ * 'link-local', ...), or null for a public address
+ */
+function classifyAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return 'invalid';
+
+    if (family === 6) {
+        const inner = embeddedIPv4(address);
+        if (inner) return classifyAddress(inner);
+    }
+
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    const match = BLOCK_LISTS.find(({ list }) => list.check(address, type));
+    return match ? match.kind : null;
+}
+
+/**
+ * Matchers for platform URL templates ('https://github.com/{username}')
+ */
+function compilePlatformTemplates(platforms = []) {
+    const templates = new Set();
+    platforms.forEach(platform => {
+        [platform.url, platform.probe?.url].forEach(template => {
+            if (typeof template === 'string' && template.includes('{username}')) templates.add(template);
+        });
+    });
+
+    return [...templates].map(template => new RegExp(
+        '^' + template.split('{username}')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^/?#]+') + '/?$',
+        'i'
+    ));
+}
+
+// ==========================================
+// URL GUARD
+// ==========================================
+
+class UrlGuard {
+    constructor(options = {}) {
+        this.protocols = options.protocols || DEFAULT_PROTOCOLS;
+        this.ports = options.ports || DEFAULT_PORTS;
+        this.maxRedirects = options.maxRedirects ?? DEFAULT_MAX_REDIRECTS;
+
+        // Only URLs matching a platform template pass when required
+        this.requirePlatformMatch = options.requirePlatformMatch || false;
+        this.templates = compilePlatformTemplates(options.platforms);
+
+        // Behind a proxy (or Tor) the proxy resolves names: only literal
+        // addresses and local names are checked, and DNS stays off this host
+        this.resolveDns = options.resolveDns !== false;
+        this.resolve = options.resolve || (hostname => dns.promises.lookup(hostname, { all: true, verbatim: true }));
+    }
+
+    matchesPlatform(url) {
+        return this.templates.some(template => template.test(url));
+    }
+
+    /**
+     * Check one URL. Returns { url, addresses } (addresses is empty when
+     * DNS is left to a proxy) or throws UrlBlockedError.
+     */
+    async check(input, { redirect = false } = {}) {
+        let url;
+        try {
+            url = new URL(input);
+        } catch {
+            throw new UrlBlockedError('invalid-url', `"${input}" is not a valid URL`, 400);
+        }
+
+        if (!this.protocols.includes(url.protocol)) {
+            throw new UrlBlockedError('protocol', `Protocol ${url.protocol} is not allowed (${this.protocols.join(', ')})`);
+        }
+        const port = Number(url.port || (url.protocol === 'https:' ? 443 : 80));
+        if (!this.ports.includes(port)) {
+            throw new UrlBlockedError('port', `Port ${port} is not allowed (${this.ports.join(', ')})`);
+        }
+        if (url.username || url.password) {
+            throw new UrlBlockedError('credentials', 'URLs with credentials are not allowed');
+        }
+        // Redirects may leave the platform (login pages, CDNs); their addresses are still checked
+        if (this.requirePlatformMatch && !redirect && !this.matchesPlatform(url.href)) {
+            throw new UrlBlockedError('not-a-platform', `${url.origin} does not match a known platform URL`);
+        }
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname)) {
+            this.assertPublic(hostname, hostname);
+            return { url, addresses: [hostname] };
+        }
+        if (LOCAL_HOSTNAME.test(hostname) || !hostname.includes('.')) {
+            throw new UrlBlockedError('local-hostname', `${hostname} is a local network name`);
+        }
+        if (!this.resolveDns) {
+            return { url, addresses: [] };
+        }
+
+        return { url, addresses: await this.lookupPublic(hostname) };
+    }
+
+    assertPublic(address, hostname) {
+        const kind = classifyAddress(address);
+        if (kind) {
+            const via = hostname === address ? '' : ` (${hostname})`;
+            throw new UrlBlockedError('private-address', `${address}${via} is a ${kind} address`);
+        }
+    }
+
+    /**
+     * Resolve a hostname and require every address to be public
+     */
+    async lookupPublic(hostname) {
+        let records;
+        try {
+            records = await this.resolve(hostname);
+        } catch (error) {
+            throw new UrlBlockedError('unresolvable', `${hostname} does not resolve (${error.code || error.message})`, 502);
+        }
+        if (!records.length) {
+            throw new UrlBlockedError('unresolvable', `${hostname} does not resolve`, 502);
+        }
+
+        records.forEach(record => this.assertPublic(record.address, hostname));
+        return records.map(record => record.address);
+    }
+
+    /**
+     * `lookup` for the HTTP agent: resolves again at connect time and
+     * refuses non-public answers, so the socket only reaches checked addresses
+     */
+    createLookup() {
+        return (hostname, options, callback) => {
+            this.lookupPublic(hostname).then(addresses => {
+                const entries = addresses.map(address => ({ address, family: net.isIP(address) }));
+                if (options.all) {
+                    callback(null, entries);
+                } else {
+                    callback(null, entries[0].address, entries[0].family);
+                }
+            }, callback);
+        };
+    }
+
+    /**
+     * GET a caller-supplied URL, following redirects one checked hop at a
+     * time. Resolves with the final axios response (plus `redirects`, the
+     * URLs visited); throws UrlBlockedError before any blocked hop is fetched.
+     */
+    async fetch(input, config = {}, instance = axios) {
+        const redirects = [];
+        let current = input;
+
+        for (;;) {
+            const { url } = await this.check(current, { redirect: redirects.length > 0 });
+
+            const response = await instance.request({
+                ...config,
+                method: 'GET',
+                url: url.href,
+                maxRedirects: 0,
+                validateStatus: config.validateStatus || (status => status < 500),
+                ...(this.resolveDns ? { lookup: this.createLookup() } : {})
+            });
+
+            const location = response.headers?.location;
+            if (response.status < 300 || response.status >= 400 || !location) {
+                response.redirects = redirects;
+                return response;
+            }
+            if (redirects.length >= this.maxRedirects) {
+                throw new UrlBlockedError('too-many-redirects', `More than ${this.maxRedirects} redirects`, 502);
+            }
+
+            redirects.push(url.href);
+            current = new URL(location, url).href;
+        }
+    }
+}
+
+module.exports = {
+    UrlGuard,
+    UrlBlockedError,
+    classifyAddress,
+    compilePlatformTemplates,
+    DEFAULT_PORTS
+};
@@ -0,0 +1,163 @@
+/**
+ * OSINT Playground - WhatsMyName Import
+ * Converts site lists in the WhatsMyName JSON format
+ * (https://github.com/WebBreacher/WhatsMyName) into platform catalogue entries
+ */
+
+const fs = require('fs');
+const { PlatformCatalogError, validatePlatform } = require('./platform-catalog');
+
+// WhatsMyName categories that have a catalogue equivalent under another name
+const CATEGORY_MAP = {
+    coding: 'development',
+    blog: 'blogging',
+    images: 'photography',
+    art: 'design',
+    business: 'professional',
+    'xx nsfw xx': 'nsfw'
+};
+
+function mapCategory(cat) {
+    const key = String(cat || 'misc').trim().toLowerCase();
+    return CATEGORY_MAP[key] || key.replace(/[^a-z0-9]+/g, '_');
+}
+
+/**
+ * Replace the WhatsMyName {account} placeholder with {username}
+ * in a string or in every string of an object
+ */
+function toTemplate(value) {
+    if (typeof value === 'string') {
+        return value.replace(/\{account\}/g, '{username}');
+    }
+    if (value && typeof value === 'object') {
+        return JSON.parse(JSON.stringify(value), (key, v) =>
+            typeof v === 'string' ? v.replace(/\{account\}/g, '{username}') : v
+        );
+    }
+    return value;
+}
+
+/**
+ * Convert one WhatsMyName site into a catalogue platform entry:
+ *   e_code / e_string -> validStatus / validContent
+ *   m_code / m_string -> missingStatus / errorStrings
+ *   uri_check / post_body -> probe, uri_pretty -> url
+ */
+function convertSite(site) {
+    const checkUrl = toTemplate(site.uri_check);
+    const platform = {
+        name: site.name,
+        category: mapCategory(site.cat),
+        url: toTemplate(site.uri_pretty) || checkUrl,
+        checkMethod: site.e_string ? 'content' : 'status',
+        validStatus: site.e_code
+    };
+
+    if (site.e_string) platform.validContent = site.e_string;
+    if (site.m_code !== undefined && site.m_code !== site.e_code) platform.missingStatus = site.m_code;
+
+    // An empty list stops the content check falling back to the generic phrases
+    platform.errorStrings = site.m_string ? [site.m_string] : [];
+
+    if (site.headers && Object.keys(site.headers).length) {
+        platform.headers = toTemplate(site.headers);
+    }
+
+    if (site.post_body) {
+        platform.probe = { url: checkUrl, method: 'POST', body: toTemplate(site.post_body) };
+    } else if (checkUrl !== platform.url) {
+        platform.probe = { url: checkUrl };
+    }
+
+    platform.source = 'whatsmyname';
+    return platform;
+}
+
+/**
+ * Convert a parsed WhatsMyName document into a catalogue.
+ * Invalid or disabled sites are skipped and reported in `skipped`.
+ */
+function importWhatsMyName(data, options = {}) {
+    const includeNsfw = options.includeNsfw || false;
+
+    if (!data || !Array.isArray(data.sites)) {
+        throw new PlatformCatalogError(['"sites" must be an array'], options.source);
+    }
+
+    const platforms = [];
+    const skipped = [];
+    const seen = new Set();
+
+    data.sites.forEach((site, index) => {
+        const name = site?.name || `sites[${index}]`;
+
+        if (site?.valid === false) {
+            skipped.push({ name, reason: 'marked invalid upstream' });
+            return;
+        }
+        if (!includeNsfw && mapCategory(site?.cat) === 'nsfw') {
+            skipped.push({ name, reason: 'nsfw' });
+            return;
+        }
+
+        const platform = convertSite(site || {});
+        const errors = [];
+        validatePlatform(platform, index, errors);
+
+        if (errors.length) {
+            skipped.push({ name, reason: errors.join('; ') });
+            return;
+        }
+
+        const key = platform.name.toLowerCase();
+        if (seen.has(key)) {
+            skipped.push({ name, reason: 'duplicate name' });
+            return;
+        }
+        seen.add(key);
+        platforms.push(platform);
+    });
+
+    return {
+        categories: [...new Set(platforms.map(p => p.category))],
+        platforms,
+        skipped
+    };
+}
+
+/**
+ * Read a WhatsMyName JSON file (e.g. wmn-data.json) and convert it
+ */
+function loadWhatsMyNameFile(filePath, options = {}) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new PlatformCatalogError([error.message], filePath);
+    }
+
+    return importWhatsMyName(data, { ...options, source: filePath });
+}
+
+/**
+ * Append imported platforms to a catalogue. Entries already in the base
+ * catalogue win, so hand-tuned definitions are never overwritten.
+ */
+function mergeCatalogs(base, imported) {
+    const names = new Set(base.platforms.map(p => p.name.toLowerCase()));
+    const added = imported.platforms.filter(p => !names.has(p.name.toLowerCase()));
+
+    return {
+        ...base,
+        categories: [...new Set([...(base.categories || []), ...added.map(p => p.category)])],
+        platforms: [...base.platforms, ...added]
+    };
+}
+
+module.exports = {
+    convertSite,
+    importWhatsMyName,
+    loadWhatsMyNameFile,
+    mergeCatalogs
+};
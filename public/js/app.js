@@ -96,6 +96,8 @@ class UsernameOSINT {
     
     acceptTerms() {
         localStorage.setItem('osint_terms_accepted', Date.now());
+        // Recorded on the account when the server has sign-in switched on
+        fetch(`${this.apiBase}/auth/terms`, { method: 'POST' }).catch(() => {});
         this.disclaimerModal.classList.remove('active');
         this.app.classList.remove('hidden');
     }
@@ -123,6 +125,14 @@ class UsernameOSINT {
             return;
         }
         
+        // The server logs a reason with every lookup
+        const justification = (prompt('Reason for this lookup', sessionStorage.getItem('osint_justification') || '') || '').trim();
+        if (justification.length < 3) {
+            this.showNotification('Give a reason of at least 3 characters for this lookup', 'warning');
+            return;
+        }
+        sessionStorage.setItem('osint_justification', justification);
+        
         this.isSearching = true;
         this.results = [];
         this.searchBtn.disabled = true;
@@ -148,6 +158,7 @@ class UsernameOSINT {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     username,
+                    justification,
                     engines: selectedEngines,
                     categories: selectedCategories.includes('all') ? 'all' : selectedCategories
                 })
@@ -272,8 +283,9 @@ class UsernameOSINT {
         };
         
         try {
-            // Use a CORS proxy or the backend API
-            const response = await fetch(`${this.apiBase}/check?url=${encodeURIComponent(url)}`, {
+            // Use a CORS proxy or the backend API; the server logs the search's reason
+            const justification = encodeURIComponent(sessionStorage.getItem('osint_justification') || '');
+            const response = await fetch(`${this.apiBase}/check?url=${encodeURIComponent(url)}&justification=${justification}`, {
                 method: 'GET',
                 signal: AbortSignal.timeout(10000)
             });
@@ -282,6 +294,13 @@ class UsernameOSINT {
             result.status = data.exists ? 'found' : 'not-found';
             result.responseTime = Date.now() - startTime;
             
+            // Refused by the server's URL guard (private address, port, ...)
+            // or by the audit log (no reason given)
+            if (response.status === 403 || response.status === 400) {
+                result.status = 'error';
+                result.error = data.error;
+            }
+            
         } catch (error) {
             // If API check fails, mark as needs manual verification
             result.status = 'error';
@@ -347,8 +366,14 @@ class UsernameOSINT {
                 <span class="status-badge ${result.status}">
                     ${result.status === 'found' ? 'Found' : 
                       result.status === 'not-found' ? 'Not Found' : 
+                      result.status === 'unknown' ? 'Unverified' : 
+                      result.status === 'skipped' ? 'Skipped' : 
                       result.status === 'checking' ? 'Checking...' : 'Error'}
                 </span>
+                ${result.calibrated ? 
+                    `<span class="calibrated" title="${(result.reason || '').replace(/"/g, '&quot;')}">
+                        <i class="fas fa-check-double"></i> Calibrated
+                    </span>` : ''}
                 ${result.status === 'found' ? 
                     `<a href="${result.url}" target="_blank" rel="noopener" class="result-link">
                         <i class="fas fa-external-link-alt"></i> Visit
@@ -548,6 +573,9 @@ class UsernameOSINT {
     }
 }
 
+// Export
+window.UsernameOSINT = UsernameOSINT;
+
 // Initialize the app
 document.addEventListener('DOMContentLoaded', () => {
     window.osintApp = new UsernameOSINT();
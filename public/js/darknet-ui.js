@@ -12,6 +12,13 @@ class DarknetUI {
         this.resultsPanel = null;
         this.intelStream = [];
         
+        // Active investigation case and its server-side data
+        this.activeCase = null;
+        this.caseData = null;
+        
+        // Signed-in user from /api/auth/session ({ enabled: false } without accounts)
+        this.session = null;
+        
         this.init();
     }
     
@@ -46,6 +53,8 @@ class DarknetUI {
             this.setupGraphControls(); // Setup graph controls
             this.setupMapControls(); // Setup map controls
             this.setupTimelineFilters(); // Setup timeline filters
+            this.setupCases(); // Setup case switcher
+            this.setupAuth(); // Sign-in when the server has accounts
             console.log('[DarknetUI] All handlers setup complete');
         } catch (err) {
             console.error('[DarknetUI] Setup error:', err);
@@ -753,6 +762,11 @@ class DarknetUI {
                 btn.disabled = false;
                 return;
             }
+            if (!this.ensureLookupReason()) {
+                btn.innerHTML = originalContent;
+                btn.disabled = false;
+                return;
+            }
             
             // Get selected modules
             const selectedModules = [];
@@ -857,7 +871,7 @@ class DarknetUI {
     
     async executeSearch(query, type, data, modules) {
         // Call global search API
-        const response = await fetch(`/api/search/global?q=${encodeURIComponent(query)}&type=${type}`);
+        const response = await fetch(this.withAudit(`/api/search/global?q=${encodeURIComponent(query)}&type=${type}`));
         const results = await response.json();
         
         // Add to intel stream
@@ -991,6 +1005,419 @@ class DarknetUI {
         return 'just now';
     }
     
+    // ==========================================
+    // 🔐 AUTH - Sign-in, terms of use, session
+    // ==========================================
+    setupAuth() {
+        document.getElementById('loginForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        document.getElementById('agreeTerms')?.addEventListener('change', (e) => {
+            document.getElementById('acceptTermsBtn').disabled = !e.target.checked;
+        });
+        document.getElementById('acceptTermsBtn')?.addEventListener('click', () => this.acceptTerms());
+        document.getElementById('declineTermsBtn')?.addEventListener('click', () => this.logout());
+        document.getElementById('logoutBtn')?.addEventListener('click', () => this.logout());
+        
+        this.loadSession();
+    }
+    
+    /**
+     * Ask the server who we are; with accounts switched on, sign in and
+     * accept the terms before the app is usable
+     */
+    async loadSession() {
+        try {
+            const response = await fetch('/api/auth/session');
+            this.session = await response.json();
+        } catch (error) {
+            console.error('[DarknetUI] Failed to load session:', error);
+            return;
+        }
+        
+        if (!this.session.enabled) return;
+        if (!this.session.user) {
+            this.showAuthStep('login');
+        } else if (!this.session.user.termsAcceptedAt) {
+            this.showAuthStep('terms');
+        } else {
+            this.showAuthStep(null);
+        }
+    }
+    
+    /**
+     * Show the sign-in form, the terms step, or (null) close the modal
+     */
+    showAuthStep(step) {
+        const modal = document.getElementById('authModal');
+        if (!modal) return;
+        
+        modal.classList.toggle('hidden', !step);
+        document.getElementById('loginForm').classList.toggle('hidden', step !== 'login');
+        document.getElementById('termsStep').classList.toggle('hidden', step !== 'terms');
+        document.getElementById('authTitle').textContent = step === 'terms' ? 'Terms of Use' : 'Sign In';
+        
+        const user = this.session?.user;
+        document.getElementById('sessionUser')?.classList.toggle('hidden', !user);
+        const name = document.getElementById('sessionUserName');
+        if (name && user) name.textContent = `${user.username} (${user.role})`;
+        
+        if (step === 'login') document.getElementById('loginUsername')?.focus();
+    }
+    
+    async login() {
+        const error = document.getElementById('loginError');
+        error.classList.add('hidden');
+        
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsername').value.trim(),
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            
+            document.getElementById('loginPassword').value = '';
+            await this.loadSession();
+            if (this.session.user?.termsAcceptedAt) this.loadCases();
+        } catch (err) {
+            error.textContent = err.message;
+            error.classList.remove('hidden');
+        }
+    }
+    
+    async acceptTerms() {
+        try {
+            const response = await fetch('/api/auth/terms', { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            
+            this.session.user = data.user;
+            this.showAuthStep(null);
+            this.loadCases();
+        } catch (error) {
+            this.showToast(`Could not record acceptance: ${error.message}`, 'error');
+        }
+    }
+    
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            this.session.user = null;
+            this.switchCase(null);
+            this.renderCaseOptions([]);
+            this.showAuthStep('login');
+        }
+    }
+    
+    // ==========================================
+    // 🗂️ CASES - Investigation workspaces
+    // ==========================================
+    setupCases() {
+        document.getElementById('caseSelect')?.addEventListener('change', (e) => {
+            this.switchCase(e.target.value || null);
+        });
+        document.getElementById('newCase')?.addEventListener('click', () => this.createCase());
+        document.getElementById('archiveCase')?.addEventListener('click', () => this.archiveActiveCase());
+        
+        // Lookups outside a case are logged with this reason (kept for the tab's session)
+        const reason = document.getElementById('lookupJustification');
+        if (reason) {
+            reason.value = sessionStorage.getItem('osint_justification') || '';
+            reason.addEventListener('input', () => this.setJustification(reason.value));
+            this.setJustification(reason.value);
+        }
+        
+        // Reload the active case when one of its scans finishes
+        document.addEventListener('osint:caseUpdated', (e) => {
+            if (e.detail.caseId === this.activeCase) {
+                this.loadCaseWorkspace(this.activeCase);
+            }
+        });
+        
+        this.loadCases().then(cases => {
+            const saved = localStorage.getItem('osint_active_case');
+            if (saved && cases.some(c => c.id === saved)) {
+                this.switchCase(saved);
+            }
+        });
+    }
+    
+    async loadCases() {
+        try {
+            const response = await fetch('/api/cases?status=open&limit=200');
+            if (!response.ok) throw new Error(response.statusText);
+            
+            const { cases } = await response.json();
+            this.renderCaseOptions(cases);
+            return cases;
+        } catch (error) {
+            console.error('[DarknetUI] Failed to load cases:', error);
+            return [];
+        }
+    }
+    
+    renderCaseOptions(cases) {
+        const select = document.getElementById('caseSelect');
+        if (!select) return;
+        
+        select.innerHTML = '<option value="">No case</option>';
+        cases.forEach(c => {
+            const option = document.createElement('option');
+            option.value = c.id;
+            option.textContent = c.name;
+            select.appendChild(option);
+        });
+        select.value = this.activeCase || '';
+    }
+    
+    async createCase() {
+        const name = prompt('Case name');
+        if (!name || !name.trim()) return;
+        
+        try {
+            const response = await fetch('/api/cases', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            
+            await this.loadCases();
+            this.switchCase(data.case.id);
+            this.showToast(`Case "${data.case.name}" opened`, 'success');
+        } catch (error) {
+            this.showToast(`Could not create case: ${error.message}`, 'error');
+        }
+    }
+    
+    async archiveActiveCase() {
+        if (!this.activeCase || !confirm('Archive this case? It becomes read-only.')) return;
+        
+        try {
+            const response = await fetch(`/api/cases/${encodeURIComponent(this.activeCase)}/archive`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            
+            this.switchCase(null);
+            await this.loadCases();
+            this.showToast(`Case "${data.case.name}" archived`, 'info');
+        } catch (error) {
+            this.showToast(`Could not archive case: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Make a case active (null for none): new scans are attached to it and
+     * the graph, map, timeline and scans view show only its data
+     */
+    switchCase(caseId) {
+        this.activeCase = caseId || null;
+        this.caseData = null;
+        
+        if (this.activeCase) {
+            localStorage.setItem('osint_active_case', this.activeCase);
+        } else {
+            localStorage.removeItem('osint_active_case');
+        }
+        
+        const select = document.getElementById('caseSelect');
+        if (select) select.value = this.activeCase || '';
+        const archiveBtn = document.getElementById('archiveCase');
+        if (archiveBtn) archiveBtn.disabled = !this.activeCase;
+        document.getElementById('lookupJustification')?.classList.toggle('hidden', !!this.activeCase);
+        
+        this.osint?.switchCase(this.activeCase);
+        if (typeof osintSearch !== 'undefined' && osintSearch) {
+            osintSearch.caseId = this.activeCase;
+        }
+        
+        this.graph?.clear();
+        this.map?.clear();
+        this.updateMapStats();
+        this.renderTimeline();
+        this.renderCaseScans();
+        
+        if (this.activeCase) {
+            this.loadCaseWorkspace(this.activeCase);
+        }
+    }
+    
+    /**
+     * Reason sent with lookups while no case is active; the server logs
+     * it and refuses lookups that have neither
+     */
+    setJustification(text) {
+        const justification = (text || '').trim() || null;
+        if (justification) {
+            sessionStorage.setItem('osint_justification', justification);
+        } else {
+            sessionStorage.removeItem('osint_justification');
+        }
+        
+        if (this.osint) this.osint.justification = justification;
+        if (typeof osintSearch !== 'undefined' && osintSearch) {
+            osintSearch.justification = justification;
+        }
+        document.getElementById('lookupJustification')?.classList.remove('needs-reason');
+    }
+    
+    // True when a lookup may start; otherwise asks for a case or a reason
+    ensureLookupReason() {
+        const reason = document.getElementById('lookupJustification');
+        if (this.activeCase) return true;
+        if ((reason?.value.trim().length || 0) >= 3) {
+            this.setJustification(reason.value);
+            return true;
+        }
+        
+        reason?.classList.add('needs-reason');
+        reason?.focus();
+        this.showToast('Pick a case or give a reason for this lookup', 'warning');
+        return false;
+    }
+    
+    // Lookup URL with the active case or the reason the audit log requires
+    withAudit(url) {
+        const param = this.activeCase
+            ? `caseId=${encodeURIComponent(this.activeCase)}`
+            : `justification=${encodeURIComponent(sessionStorage.getItem('osint_justification') || '')}`;
+        return `${url}${url.includes('?') ? '&' : '?'}${param}`;
+    }
+    
+    async loadCaseWorkspace(caseId) {
+        try {
+            const id = encodeURIComponent(caseId);
+            const [graph, scans] = await Promise.all([
+                fetch(`/api/cases/${id}/graph`).then(r => r.json()),
+                fetch(`/api/cases/${id}/scans`).then(r => r.json())
+            ]);
+            if (caseId !== this.activeCase) return;
+            
+            this.caseData = {
+                entities: graph.entities || [],
+                relationships: graph.relationships || [],
+                scans: scans.scans || []
+            };
+            this.renderCaseGraph();
+            this.renderCaseMap();
+            this.renderTimeline();
+            this.renderCaseScans();
+        } catch (error) {
+            console.error('[DarknetUI] Failed to load case:', error);
+            this.showToast('Could not load case data', 'error');
+        }
+    }
+    
+    renderCaseGraph() {
+        if (!this.graph || !this.caseData) return;
+        
+        this.caseData.entities.forEach(entity => this.graph.addNode({
+            id: entity.id,
+            label: entity.label,
+            type: entity.type,
+            confidence: entity.confidence,
+            data: entity.attributes
+        }));
+        this.caseData.relationships.forEach(rel => {
+            this.graph.addLink(rel.source, rel.target, { type: rel.type, label: rel.type });
+        });
+    }
+    
+    renderCaseMap() {
+        if (!this.map || !this.caseData) return;
+        
+        this.caseData.entities
+            .filter(entity => entity.attributes.lat && entity.attributes.lng)
+            .forEach(entity => this.map.addEntity({
+                id: entity.id,
+                label: entity.label,
+                type: entity.type,
+                lat: entity.attributes.lat,
+                lng: entity.attributes.lng
+            }));
+        this.updateMapStats();
+    }
+    
+    /**
+     * Timeline of the active case: scans and when each entity was first seen
+     */
+    renderTimeline() {
+        const container = document.getElementById('timelineContainer');
+        if (!container) return;
+        
+        container.querySelectorAll('.timeline-item').forEach(item => item.remove());
+        const empty = container.querySelector('.timeline-empty');
+        
+        const filterOf = { breach: 'breach', domain: 'domain', ip: 'domain', account: 'social', username: 'social' };
+        const events = [
+            ...(this.caseData?.scans || []).map(scan => ({
+                time: scan.startTime,
+                type: 'scan',
+                text: `Scan "${scan.query}": ${scan.resultsCount} results (${scan.status})`
+            })),
+            ...(this.caseData?.entities || []).map(entity => ({
+                time: entity.createdAt,
+                type: filterOf[entity.type] || entity.type,
+                text: `${entity.type}: ${entity.label}`
+            }))
+        ].sort((a, b) => b.time - a.time);
+        
+        if (empty) empty.style.display = events.length ? 'none' : '';
+        
+        events.forEach(event => {
+            const item = document.createElement('div');
+            item.className = 'timeline-item';
+            item.dataset.type = event.type;
+            item.innerHTML = `<div class="timeline-time">${new Date(event.time).toLocaleString()}</div><div class="timeline-text"></div>`;
+            item.querySelector('.timeline-text').textContent = event.text;
+            container.appendChild(item);
+        });
+        
+        const activeFilter = document.querySelector('.filter-btn.active');
+        if (activeFilter) this.filterTimeline(activeFilter.dataset.filter);
+    }
+    
+    /**
+     * Scans view of the active case (cleared when no case is active)
+     */
+    renderCaseScans() {
+        const scansList = document.getElementById('activeScansList');
+        if (!scansList) return;
+        
+        scansList.querySelectorAll('.scan-item').forEach(item => item.remove());
+        
+        (this.caseData?.scans || []).forEach(scan => {
+            const scanItem = document.createElement('div');
+            scanItem.className = `scan-item ${scan.status === 'running' ? 'active' : 'completed'}`;
+            scanItem.innerHTML = `
+                <div class="scan-status ${scan.status === 'running' ? 'running' : 'done'}">
+                    <i class="fas ${scan.status === 'running' ? 'fa-spinner fa-spin' : 'fa-check'}"></i>
+                </div>
+                <div class="scan-info">
+                    <h4></h4>
+                    <div class="scan-meta">
+                        <span class="scan-type">${scan.target?.type?.toUpperCase() || 'USERNAME'}</span>
+                        <span class="scan-modules">${scan.resultsCount} results</span>
+                        <span class="scan-time">${new Date(scan.startTime).toLocaleString()}</span>
+                    </div>
+                </div>
+            `;
+            scanItem.querySelector('h4').textContent = scan.query;
+            scansList.appendChild(scanItem);
+        });
+        
+        const emptyState = scansList.querySelector('.empty-state');
+        if (emptyState) emptyState.style.display = scansList.querySelector('.scan-item') ? 'none' : '';
+    }
+    
     setupNavigation() {
         const navItems = document.querySelectorAll('.nav-item');
         
@@ -1050,6 +1477,7 @@ class DarknetUI {
         const container = document.getElementById('graphCanvas');
         if (container && typeof OSINTGraph !== 'undefined') {
             this.graph = new OSINTGraph('graphCanvas');
+            this.renderCaseGraph();
             console.log('[DarknetUI] Graph initialized');
         }
     }
@@ -1060,6 +1488,7 @@ class DarknetUI {
             // Small delay to ensure container is visible
             setTimeout(() => {
                 this.map = new OSINTMap('leafletMap');
+                this.renderCaseMap();
                 console.log('[DarknetUI] Map initialized');
                 
                 // Update map stats
@@ -1151,6 +1580,7 @@ class DarknetUI {
             this.showNotification('Please enter a valid target', 'error');
             return;
         }
+        if (!this.ensureLookupReason()) return;
         
         // Show loading state
         const btn = document.getElementById('initScan') || document.getElementById('executeBtn');
@@ -1307,6 +1737,7 @@ class DarknetUI {
     }
     
     async performGlobalSearch(query) {
+        if (!this.ensureLookupReason()) return;
         this.showToast(`Searching for "${query}"...`, 'info');
         
         // Switch to scan view to show results
@@ -1316,7 +1747,7 @@ class DarknetUI {
         
         try {
             // Call the unified global search API
-            const response = await fetch(`/api/search/global?q=${encodeURIComponent(query)}`);
+            const response = await fetch(this.withAudit(`/api/search/global?q=${encodeURIComponent(query)}`));
             const data = await response.json();
             
             if (data.error) {
@@ -1517,6 +1948,37 @@ class DarknetUI {
             // Update scans view
             this.updateScansView(scan);
         });
+        
+        // Double-clicked graph node: scan it on the server and follow its leads
+        document.addEventListener('nodeExpand', (e) => {
+            const target = this.getNodeTarget(e.detail);
+            if (!target || typeof osintSearch === 'undefined' || !osintSearch) return;
+            if (!this.ensureLookupReason()) return;
+            
+            this.addToStream({
+                type: 'info',
+                content: `Pivoting on ${target.type}: ${target.value}`,
+                source: 'Graph'
+            });
+            osintSearch.startScan(target.value, { target, pivot: true });
+        });
+    }
+    
+    /**
+     * Server scan target for a graph node: typed nodes scan their own value,
+     * result nodes the email, domain or username they carry
+     */
+    getNodeTarget(node) {
+        if (!node) return null;
+        const data = node.data || {};
+        
+        if (['person', 'organization', 'ip'].includes(node.type)) {
+            return { type: node.type, value: data[node.type] || node.label };
+        }
+        
+        const type = ['email', 'domain', 'username'].find(kind => kind === node.type && data[kind])
+            || ['email', 'domain', 'username'].find(kind => data[kind]);
+        return type ? { type, value: data[type] } : null;
     }
     
     addToStream(item) {
@@ -1634,9 +2096,11 @@ class DarknetUI {
         }
     }
     
-    // Export all data
+    // Export the active case's data; with a case active it is also saved
+    // to the case as an artifact
     exportAllData() {
         const data = {
+            caseId: this.activeCase,
             graph: this.graph?.exportData(),
             osint: this.osint?.exportResults(),
             stream: this.intelStream,
@@ -1652,6 +2116,19 @@ class DarknetUI {
         a.click();
         
         URL.revokeObjectURL(url);
+        
+        if (this.activeCase) {
+            fetch(`/api/cases/${encodeURIComponent(this.activeCase)}/artifacts`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: a.download, mediaType: 'application/json', content: data })
+            }).then(response => {
+                if (!response.ok) throw new Error(response.statusText);
+                this.showToast('Export saved to case', 'success');
+            }).catch(error => {
+                this.showToast(`Export not saved to case: ${error.message}`, 'error');
+            });
+        }
     }
 }
 
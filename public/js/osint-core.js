@@ -65,6 +65,59 @@ class OSINTCore {
         this.relationships = [];
         this.scanHistory = [];
         this.activeScans = new Map();
+        
+        // Data of the cases not currently active, by case ID ('' is no case)
+        this.caseId = null;
+        this.workspaces = new Map();
+        
+        // Reason logged with lookups made outside a case
+        this.justification = null;
+    }
+    
+    // Lookup URL with the case or reason the server's audit log requires
+    withAudit(url) {
+        const param = this.caseId
+            ? `caseId=${encodeURIComponent(this.caseId)}`
+            : `justification=${encodeURIComponent(this.justification || '')}`;
+        return `${url}${url.includes('?') ? '&' : '?'}${param}`;
+    }
+    
+    // The same for lookups that send a JSON body
+    auditFields() {
+        return this.caseId ? { caseId: this.caseId } : { justification: this.justification || '' };
+    }
+    
+    // Switch the active case, keeping each case's data apart
+    switchCase(caseId) {
+        caseId = caseId || null;
+        if (caseId === this.caseId) return;
+        
+        this.workspaces.set(this.caseId || '', {
+            results: this.results,
+            entities: this.entities,
+            relationships: this.relationships,
+            scanHistory: this.scanHistory
+        });
+        
+        const workspace = this.workspaces.get(caseId || '');
+        this.results = workspace?.results || [];
+        this.entities = workspace?.entities || new Map();
+        this.relationships = workspace?.relationships || [];
+        this.scanHistory = workspace?.scanHistory || [];
+        this.caseId = caseId;
+        
+        this.emitEvent('caseSwitched', { caseId });
+    }
+    
+    // Data of a case; scans finish into the case they started in
+    workspaceOf(caseId) {
+        if ((caseId || null) === this.caseId) return this;
+        
+        const key = caseId || '';
+        if (!this.workspaces.has(key)) {
+            this.workspaces.set(key, { results: [], entities: new Map(), relationships: [], scanHistory: [] });
+        }
+        return this.workspaces.get(key);
     }
     
     // Core scan orchestration
@@ -75,6 +128,7 @@ class OSINTCore {
         
         const scan = {
             id: scanId,
+            caseId: this.caseId,
             target,
             profile,
             modules,
@@ -127,7 +181,7 @@ class OSINTCore {
             // Mark scan complete
             scan.status = 'completed';
             scan.endTime = new Date();
-            this.scanHistory.push(scan);
+            this.workspaceOf(scan.caseId).scanHistory.push(scan);
             this.emitEvent('scanCompleted', scan);
             
         } catch (error) {
@@ -163,7 +217,7 @@ class OSINTCore {
             const response = await fetch(`${this.apiEndpoints.base}/check`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username })
+                body: JSON.stringify({ username, ...this.auditFields() })
             });
             
             const reader = response.body.getReader();
@@ -224,7 +278,7 @@ class OSINTCore {
     
     async checkGitHub(scanId, username) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/osint/github/${username}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/osint/github/${username}`));
             const data = await response.json();
             
             if (data.login) {
@@ -277,7 +331,7 @@ class OSINTCore {
     
     async checkKeybase(scanId, username) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/osint/keybase/${username}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/osint/keybase/${username}`));
             const data = await response.json();
             
             if (data.them && data.them.length > 0) {
@@ -340,7 +394,7 @@ class OSINTCore {
     
     async checkHIBP(scanId, email) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/osint/hibp/${email}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/osint/hibp/${email}`));
             const breaches = await response.json();
             
             if (Array.isArray(breaches) && breaches.length > 0) {
@@ -388,7 +442,7 @@ class OSINTCore {
     
     async checkHunter(scanId, email) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/osint/hunter/verify?email=${email}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/osint/hunter/verify?email=${email}`));
             const data = await response.json();
             
             if (data.data) {
@@ -449,7 +503,7 @@ class OSINTCore {
     
     async checkShodan(scanId, target) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/osint/shodan/${target}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/osint/shodan/${target}`));
             const data = await response.json();
             
             if (data.ip_str || data.data) {
@@ -500,7 +554,7 @@ class OSINTCore {
     
     async checkHunterDomain(scanId, domain) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/osint/hunter/domain?domain=${domain}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/osint/hunter/domain?domain=${domain}`));
             const data = await response.json();
             
             if (data.data) {
@@ -548,7 +602,7 @@ class OSINTCore {
     
     async checkDNS(scanId, domain) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/dns/${domain}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/dns/${domain}`));
             const records = await response.json();
             
             if (records) {
@@ -582,7 +636,7 @@ class OSINTCore {
     
     async checkAbuseIPDB(scanId, ip) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/osint/abuseipdb/${ip}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/osint/abuseipdb/${ip}`));
             const data = await response.json();
             
             if (data.data) {
@@ -600,7 +654,7 @@ class OSINTCore {
     
     async checkVirusTotal(scanId, target) {
         try {
-            const response = await fetch(`${this.apiEndpoints.base}/osint/virustotal/${target}`);
+            const response = await fetch(this.withAudit(`${this.apiEndpoints.base}/osint/virustotal/${target}`));
             const data = await response.json();
             
             if (data) {
@@ -811,7 +865,7 @@ class OSINTCore {
         if (scan) {
             result.timestamp = new Date();
             scan.results.push(result);
-            this.results.push(result);
+            this.workspaceOf(scan.caseId).results.push(result);
             this.emitEvent('resultAdded', { scanId, result });
         }
     }
@@ -834,9 +888,10 @@ class OSINTCore {
         return hashArray.map(b => b.toString(16).padStart(2, '0')).join('').substr(0, 32);
     }
     
-    // Export data
+    // Export data of the active case
     exportResults() {
         return {
+            caseId: this.caseId,
             entities: Array.from(this.entities.values()),
             relationships: this.relationships,
             results: this.results,
@@ -844,7 +899,7 @@ class OSINTCore {
         };
     }
     
-    // Clear all data
+    // Clear the active case's data
     reset() {
         this.results = [];
         this.entities.clear();
@@ -11,6 +11,11 @@ class OSINTSearchClient {
         this.minQueryLength = options.minQueryLength || 2;
         this.maxResults = options.maxResults || 100;
         
+        // Case new scans are attached to (set by the UI's case switcher)
+        this.caseId = options.caseId || null;
+        // Reason logged with scans made outside a case
+        this.justification = options.justification || null;
+        
         // State
         this.currentScan = null;
         this.eventSource = null;
@@ -118,7 +123,8 @@ class OSINTSearchClient {
         try {
             const response = await fetch(`${this.baseUrl}/api/adapters`);
             const data = await response.json();
-            this.adapters = data.adapters || [];
+            // Username search: email/domain/IP adapters only run in target scans
+            this.adapters = (data.adapters || []).filter(adapter => !adapter.targets || adapter.targets.includes('username'));
             this.renderFilters();
         } catch (error) {
             console.error('[SearchClient] Failed to load adapters:', error);
@@ -176,10 +182,12 @@ class OSINTSearchClient {
     }
     
     /**
-     * Start a new scan
+     * Start a new scan. `options.target` ({ type, value }) scans a typed
+     * target with its default profile instead of a username, and
+     * `options.pivot` makes the server follow leads found in the results.
      */
-    async startScan(query) {
-        if (!query || query.length < this.minQueryLength) {
+    async startScan(query, options = {}) {
+        if (!options.target && (!query || query.length < this.minQueryLength)) {
             return;
         }
         
@@ -190,6 +198,7 @@ class OSINTSearchClient {
         
         this.isScanning = true;
         this.results = [];
+        this.pivots = [];
         this.onStart({ query });
         
         // Update UI
@@ -202,9 +211,17 @@ class OSINTSearchClient {
             const response = await fetch(`${this.baseUrl}/api/scan`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
+                body: JSON.stringify(options.target ? {
+                    target: options.target,
+                    pivot: options.pivot,
+                    caseId: this.caseId || undefined,
+                    justification: this.caseId ? undefined : this.justification || undefined
+                } : {
                     query: query.trim(),
-                    adapters: this.getSelectedAdapters()
+                    adapters: this.getSelectedAdapters(),
+                    pivot: options.pivot,
+                    caseId: this.caseId || undefined,
+                    justification: this.caseId ? undefined : this.justification || undefined
                 })
             });
             
@@ -262,6 +279,14 @@ class OSINTSearchClient {
                 console.log('[SearchClient] Stream initialized:', data);
                 break;
                 
+            case 'queued':
+                this.updateProgress(0, `Queued - position ${data.position} of ${data.queueLength}`);
+                break;
+                
+            case 'started':
+                this.updateProgress(0, 'Scan started...');
+                break;
+                
             case 'progress':
                 this.updateProgress(data.progress, `Scanning ${data.adapter}...`);
                 this.onProgress(data);
@@ -272,10 +297,22 @@ class OSINTSearchClient {
                 this.onResult(data.result);
                 break;
                 
+            case 'pivot':
+                this.pivots.push(data.pivot);
+                break;
+                
             case 'complete':
                 this.handleComplete(data.scan);
                 break;
                 
+            case 'cancelled':
+                this.handleCancelled(data.scan);
+                break;
+                
+            case 'retry':
+                console.warn(`[SearchClient] Retrying ${data.adapter} (attempt ${data.attempt}/${data.maxRetries}) in ${data.delay}ms:`, data.error);
+                break;
+                
             case 'error':
                 console.warn(`[SearchClient] Adapter error (${data.adapter}):`, data.error);
                 break;
@@ -292,6 +329,8 @@ class OSINTSearchClient {
             
             if (scan.status === 'completed') {
                 this.handleComplete(scan);
+            } else if (scan.status === 'cancelled') {
+                this.handleCancelled(scan);
             } else if (scan.status === 'error') {
                 this.handleError(new Error('Scan failed'));
             }
@@ -324,10 +363,97 @@ class OSINTSearchClient {
         // Update progress
         this.updateProgress(100, `Scan complete - ${scan.stats?.uniqueResults || 0} results found`);
         this.updateStats(scan.stats, scan.duration);
+        this.linkAvatars(scan);
+        this.linkPivots(scan);
+        
+        // The server has attached the scan's entities to its case by now
+        if (this.caseId) {
+            document.dispatchEvent(new CustomEvent('osint:caseUpdated', {
+                detail: { caseId: this.caseId, scanId: scan.id }
+            }));
+        }
         
         this.onComplete(scan);
     }
     
+    /**
+     * Show cross-platform "same avatar" matches in the graph
+     */
+    linkAvatars(scan) {
+        (scan.avatarLinks || []).forEach(link => {
+            link.between.forEach(id => {
+                const result = this.results.find(r => r.id === id);
+                if (!result) return;
+                
+                document.dispatchEvent(new CustomEvent('osint:entityAdded', {
+                    detail: {
+                        id,
+                        label: `${result.platform || result.source}: ${result.username}`,
+                        type: 'username',
+                        confidence: result.confidence,
+                        data: result
+                    }
+                }));
+            });
+            
+            document.dispatchEvent(new CustomEvent('osint:relationshipAdded', {
+                detail: { source: link.between[0], target: link.between[1], type: 'same avatar' }
+            }));
+        });
+    }
+    
+    /**
+     * Show pivots in the graph as result -> lead -> results found for the lead
+     */
+    linkPivots(scan) {
+        const addResult = result => document.dispatchEvent(new CustomEvent('osint:entityAdded', {
+            detail: {
+                id: result.id,
+                label: `${result.platform || result.source}: ${result.username || result.email || result.domain || result.title || ''}`,
+                type: 'username',
+                confidence: result.confidence,
+                data: result
+            }
+        }));
+        
+        (scan.pivots || this.pivots || []).forEach(pivot => {
+            const parent = this.results.find(r => r.id === pivot.parentId);
+            const found = pivot.resultIds.map(id => this.results.find(r => r.id === id)).filter(Boolean);
+            if (!parent || !found.length) return;
+            
+            addResult(parent);
+            document.dispatchEvent(new CustomEvent('osint:entityAdded', {
+                detail: { id: pivot.id, label: pivot.value, type: pivot.type, data: { [pivot.type]: pivot.value } }
+            }));
+            document.dispatchEvent(new CustomEvent('osint:relationshipAdded', {
+                detail: { source: parent.id, target: pivot.id, type: pivot.field }
+            }));
+            
+            found.forEach(result => {
+                addResult(result);
+                document.dispatchEvent(new CustomEvent('osint:relationshipAdded', {
+                    detail: { source: pivot.id, target: result.id, type: 'found' }
+                }));
+            });
+        });
+    }
+    
+    /**
+     * Handle a scan cancelled on the server (keeps partial results)
+     */
+    handleCancelled(scan) {
+        this.isScanning = false;
+        this.eventSource?.close();
+        this.setLoading(false);
+        
+        (scan.results || []).forEach(result => this.addResult(result, false));
+        this.results.sort((a, b) => b.confidence - a.confidence);
+        this.renderAllResults();
+        
+        this.updateProgress(scan.progress || 0, `Scan cancelled - ${this.results.length} partial results`);
+        this.updateStats(scan.stats, scan.duration);
+    }
+    
     /**
      * Add a result to the list
      */
@@ -397,7 +523,7 @@ class OSINTSearchClient {
                     <span class="source-icon">${this.getSourceIcon(result.source)}</span>
                     <span class="source-name">${this.formatAdapterName(result.source)}</span>
                 </div>
-                <div class="confidence-badge ${confidenceClass}">
+                <div class="confidence-badge ${confidenceClass}" title="${this.getScoreTooltip(result)}">
                     <span class="confidence-value">${confidencePercent}%</span>
                     ${result.verified ? '<span class="verified-badge" title="Verified">✓</span>' : ''}
                 </div>
@@ -447,6 +573,22 @@ class OSINTSearchClient {
         return `<div class="result-meta">${meta.join('')}</div>`;
     }
     
+    /**
+     * Score breakdown from result.scoreExplanation, one factor per line
+     */
+    getScoreTooltip(result) {
+        const explanation = result.scoreExplanation;
+        if (!explanation) return '';
+        
+        const percent = value => `${value < 0 ? '' : '+'}${Math.round(value * 100)}%`;
+        const lines = [`Base ${Math.round(explanation.base * 100)}%`];
+        explanation.factors
+            .filter(f => f.contribution !== 0)
+            .forEach(f => lines.push(`${percent(f.contribution)} ${f.description || f.rule}`));
+        
+        return lines.join('\n').replace(/"/g, '&quot;');
+    }
+    
     /**
      * Get confidence class
      */
@@ -551,6 +693,13 @@ class OSINTSearchClient {
             this.eventSource = null;
         }
         
+        // Stop the server-side scan too; partial results stay available
+        const scanId = this.currentScan?.scanId;
+        if (scanId) {
+            fetch(`${this.baseUrl}/api/scan/${scanId}`, { method: 'DELETE' })
+                .catch(error => console.warn('[SearchClient] Failed to cancel scan:', error));
+        }
+        
         this.setLoading(false);
         this.updateProgress(0, 'Scan cancelled');
     }
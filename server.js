@@ -9,12 +9,177 @@ const cors = require('cors');
 const axios = require('axios');
 const path = require('path');
 const crypto = require('crypto');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
-const platforms = require('./config/platforms.json');
-const { SearchAggregator } = require('./lib/search-aggregator');
+const { SearchAggregator, AGGREGATOR_CONFIG } = require('./lib/search-aggregator');
+const { createScanStore } = require('./lib/scan-store');
+const { createEntityStore } = require('./lib/entity-store');
+const { EntityGraph, EntityValidationError, describeEntityTypes } = require('./lib/entity-graph');
+const { createCaseStore } = require('./lib/case-store');
+const { createAuthStore } = require('./lib/auth-store');
+const { createAuditStore } = require('./lib/audit-store');
+const { AuditLog, loadAuditKey } = require('./lib/audit-log');
+const { AuthManager, AuthValidationError, PERMISSIONS, PAID_ADAPTERS, SESSION_COOKIE, readSessionCookie } = require('./lib/auth');
+const { createRateLimiter, createRateLimitStore, parseRouteCosts, parseKeyBudgets, RATE_LIMIT_HEADERS } = require('./lib/rate-limit');
+const { CaseManager, CaseValidationError, summarizeCase, describeCase } = require('./lib/cases');
+const { loadPlatformCatalog } = require('./lib/platform-catalog');
+const { loadWhatsMyNameFile, mergeCatalogs } = require('./lib/whatsmyname');
+const { loadScoringRules } = require('./lib/scoring');
+const { TARGET_TYPES, ScanTargetError, describeProfiles } = require('./lib/scan-profiles');
+const { HttpCache, installHttpCache, redactUrl } = require('./lib/http-cache');
+const { OutboundHttp, installOutboundHttp, parseHostLimits } = require('./lib/outbound-http');
+const { UrlGuard, UrlBlockedError } = require('./lib/url-guard');
+const { AvatarHasher } = require('./lib/image-hash');
+const { buildApiSpec } = require('./lib/api-spec');
+const { createApiValidator, annotateOperations } = require('./lib/openapi');
+const UsernameChecker = require('./lib/checker');
+const emailDiscovery = require('./lib/email-discovery');
 
-// Initialize the search aggregator
-const searchAggregator = new SearchAggregator();
+// Egress policy for every outbound axios request: per-host rate limits,
+// global concurrency, User-Agent rotation and proxy / Tor routing.
+// Installed first so the cache below answers hits without spending tokens.
+const outbound = installOutboundHttp(new OutboundHttp({
+    maxConcurrency: parseInt(process.env.HTTP_MAX_CONCURRENCY) || undefined,
+    hostRate: process.env.HTTP_HOST_RATE ? parseFloat(process.env.HTTP_HOST_RATE) : undefined,
+    hostBurst: parseInt(process.env.HTTP_HOST_BURST) || undefined,
+    hostLimits: parseHostLimits(process.env.HTTP_HOST_LIMITS),
+    userAgents: (process.env.HTTP_USER_AGENTS || '').split('|').map(ua => ua.trim()).filter(Boolean),
+    rotateUserAgents: process.env.HTTP_ROTATE_USER_AGENTS !== 'false',
+    proxy: process.env.HTTP_PROXY_URL || null,
+    tor: process.env.TOR_ENABLED === 'true',
+    torProxy: process.env.TOR_PROXY_URL || undefined
+}));
+
+if (outbound.proxy) {
+    console.log(`[Outbound] Routing requests through ${outbound.getStats().proxy}${outbound.tor ? ' (Tor)' : ''}`);
+}
+
+if (process.env.HTTP_LOG === 'true') {
+    outbound.use({
+        request: config => {
+            config.startedAt = Date.now();
+        },
+        response: (response, config) => {
+            console.log(`[HTTP] ${config.method.toUpperCase()} ${redactUrl(axios.getUri(config))} ${response.status} ${Date.now() - config.startedAt}ms`);
+        }
+    });
+}
+
+// Shared on-disk cache for every outbound axios request (adapters, checker, routes)
+const httpCache = process.env.HTTP_CACHE === 'false' ? null : installHttpCache(new HttpCache({
+    dir: process.env.HTTP_CACHE_DIR || path.join(__dirname, 'data', 'http-cache'),
+    defaultTTL: parseInt(process.env.HTTP_CACHE_DEFAULT_TTL) || 0,
+    maxEntries: parseInt(process.env.HTTP_CACHE_MAX_ENTRIES) || undefined
+}));
+
+// Platform catalogue shared by /api/search and the aggregator's direct adapter.
+// Validation errors are thrown here so a bad entry stops the server at startup.
+let platforms = loadPlatformCatalog(process.env.PLATFORMS_FILE || undefined);
+
+// Optional WhatsMyName site list appended to the catalogue
+if (process.env.WHATSMYNAME_FILE) {
+    const imported = loadWhatsMyNameFile(process.env.WHATSMYNAME_FILE, {
+        includeNsfw: process.env.WHATSMYNAME_NSFW === 'true'
+    });
+    platforms = mergeCatalogs(platforms, imported);
+    console.log(`[Catalogue] Imported ${imported.platforms.length} WhatsMyName sites (${imported.skipped.length} skipped)`);
+}
+
+// SSRF guard for caller-supplied URLs (GET /api/check?url=). Behind a proxy
+// or Tor, names are resolved there, so only literal addresses are checked.
+const urlGuard = new UrlGuard({
+    platforms: platforms.platforms,
+    requirePlatformMatch: process.env.URL_CHECK_REQUIRE_PLATFORM === 'true',
+    ports: process.env.URL_CHECK_PORTS ? process.env.URL_CHECK_PORTS.split(',').map(Number) : undefined,
+    resolveDns: !outbound.proxy
+});
+
+const usernameChecker = new UsernameChecker({
+    calibrate: process.env.CALIBRATE_CHECKS === 'true'
+});
+
+// Initialize the search aggregator with a persistent scan store
+const scanStore = createScanStore({
+    type: process.env.SCAN_STORE || 'jsonl',
+    path: process.env.SCAN_STORE_PATH || path.join(__dirname, 'data', 'scans.jsonl'),
+    scanTTL: parseInt(process.env.SCAN_TTL) || undefined
+});
+// Shared entity graph every finished scan is merged into
+const entityGraph = new EntityGraph({
+    store: createEntityStore({
+        type: process.env.ENTITY_STORE || 'jsonl',
+        path: process.env.ENTITY_STORE_PATH || path.join(__dirname, 'data', 'entities.jsonl')
+    })
+});
+
+// Investigation cases grouping scans, entities, notes and exported artifacts
+const caseManager = new CaseManager({
+    store: createCaseStore({
+        type: process.env.CASE_STORE || 'jsonl',
+        path: process.env.CASE_STORE_PATH || path.join(__dirname, 'data', 'cases.jsonl')
+    }),
+    graph: entityGraph,
+    maxArtifactBytes: parseInt(process.env.CASE_ARTIFACT_MAX_BYTES) || undefined
+});
+
+// Accounts, sessions and API tokens; off unless AUTH_ENABLED=true
+const authManager = new AuthManager({
+    enabled: process.env.AUTH_ENABLED === 'true',
+    store: createAuthStore({
+        type: process.env.AUTH_STORE || 'jsonl',
+        path: process.env.AUTH_STORE_PATH || path.join(__dirname, 'data', 'auth.jsonl')
+    }),
+    sessionTtl: parseInt(process.env.AUTH_SESSION_TTL) || undefined
+});
+
+if (authManager.enabled && process.env.AUTH_ADMIN_USERNAME && process.env.AUTH_ADMIN_PASSWORD) {
+    authManager.ensureAdmin(process.env.AUTH_ADMIN_USERNAME, process.env.AUTH_ADMIN_PASSWORD)
+        .then(user => user && console.log(`[Auth] Created admin account "${user.username}"`))
+        .catch(error => console.error(`[Auth] Could not create the admin account: ${error.message}`));
+}
+
+// Hash-chained log of who looked up what, and why
+const auditLog = new AuditLog({
+    store: createAuditStore({
+        type: process.env.AUDIT_STORE || 'jsonl',
+        path: process.env.AUDIT_STORE_PATH || path.join(__dirname, 'data', 'audit.jsonl')
+    }),
+    cases: caseManager,
+    requireJustification: process.env.AUDIT_REQUIRE_JUSTIFICATION !== 'false',
+    // Chain key: AUDIT_KEY, else a key file created on first start
+    key: process.env.AUDIT_KEY || (process.env.AUDIT_STORE === 'memory'
+        ? crypto.randomBytes(32)
+        : loadAuditKey(process.env.AUDIT_KEY_PATH || path.join(__dirname, 'data', 'audit.key')))
+});
+
+const searchAggregator = new SearchAggregator({
+    store: scanStore,
+    graph: entityGraph,
+    catalog: platforms,
+    // Adapters send their requests through the outbound layer and the HTTP cache
+    http: outbound.client,
+    // Behind a proxy or Tor, DNS queries would leave through the local resolver
+    localDns: !outbound.proxy,
+    // Avatar URLs come from scanned sites, so they go through the SSRF guard too
+    avatarHasher: new AvatarHasher({ guard: new UrlGuard({ resolveDns: !outbound.proxy }) }),
+    // Team rule set for result confidence; invalid rules stop the server at startup
+    scoringRules: process.env.SCORING_RULES_FILE ? loadScoringRules(process.env.SCORING_RULES_FILE) : null,
+    // Upper bounds for scans that follow leads (options.pivot)
+    pivotMaxDepth: Number(process.env.PIVOT_MAX_DEPTH || AGGREGATOR_CONFIG.pivotMaxDepth),
+    pivotMaxRequests: Number(process.env.PIVOT_MAX_REQUESTS || AGGREGATOR_CONFIG.pivotMaxRequests),
+    pivotTypes: process.env.PIVOT_TYPES ? process.env.PIVOT_TYPES.split(',').map(type => type.trim()) : AGGREGATOR_CONFIG.pivotTypes
+});
+
+// Finished scans bring the entities they found into their cases and
+// their result counts into the audit log
+['scan:complete', 'scan:cancelled'].forEach(event => {
+    searchAggregator.on(event, scan => {
+        caseManager.syncScan(scan.id).catch(error => {
+            console.error(`[Cases] Failed to sync scan ${scan.id}: ${error.message}`);
+        });
+        auditLog.completeScan(scan).catch(error => {
+            console.error(`[Audit] Failed to log the end of scan ${scan.id}: ${error.message}`);
+        });
+    });
+});
 
 // API Configuration from environment
 const API_KEYS = {
@@ -33,29 +198,40 @@ const API_KEYS = {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Rate limiter configuration
-const rateLimiter = new RateLimiterMemory({
-    points: parseInt(process.env.RATE_LIMIT_REQUESTS) || 30,
-    duration: 60, // per 60 seconds
+// Rate limiter: cost-weighted budgets per API key or client IP
+const rateLimiter = createRateLimiter({
+    store: createRateLimitStore({
+        type: process.env.RATE_LIMIT_STORE || 'memory',
+        path: process.env.RATE_LIMIT_STORE_PATH
+    }),
+    points: parseInt(process.env.RATE_LIMIT_POINTS || process.env.RATE_LIMIT_REQUESTS) || 120,
+    duration: Math.ceil((parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000) / 1000),
+    costs: parseRouteCosts(process.env.RATE_LIMIT_COSTS),
+    keys: parseKeyBudgets(process.env.RATE_LIMIT_KEYS)
 });
 
+// OpenAPI description of every route, with the permission, rate limit cost
+// and audit rule each one is served under
+const apiSpec = annotateOperations(buildApiSpec(), (method, routePath) => ({
+    'x-permission': authManager.routePermission(method, routePath),
+    'x-rate-limit-cost': rateLimiter.costOf(method, routePath),
+    'x-audited': auditLog.audits(method, routePath)
+}));
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: RATE_LIMIT_HEADERS }));
+// Case artifacts are exported files; allow bodies up to the artifact limit
+app.use('/api/cases', express.json({ limit: caseManager.maxArtifactBytes * 2 }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
-
-// Rate limiting middleware
-app.use(async (req, res, next) => {
-    try {
-        await rateLimiter.consume(req.ip);
-        next();
-    } catch (rejRes) {
-        res.status(429).json({
-            error: 'Too many requests',
-            retryAfter: Math.ceil(rejRes.msBeforeNext / 1000)
-        });
-    }
-});
+// Authenticate first so signed-in users and tokens get their own rate limit bucket
+app.use(authManager.middleware());
+app.use(rateLimiter);
+// Requests the API description rejects get 400 { error, errors }
+const validateResponses = process.env.OPENAPI_VALIDATE_RESPONSES;
+app.use(createApiValidator(apiSpec, { responses: ['warn', 'strict'].includes(validateResponses) ? validateResponses : false }));
+// Lookups need a caseId or justification and are written to the audit log
+app.use(auditLog.middleware());
 
 // Logging middleware
 app.use((req, res, next) => {
@@ -70,12 +246,20 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * OpenAPI 3 description of this API, rendered by /api-docs.html
+ */
+app.get('/api/openapi.json', (req, res) => {
+    res.json(apiSpec);
+});
+
 /**
  * Get available adapters from aggregator
  */
 app.get('/api/adapters', (req, res) => {
     res.json({
         adapters: searchAggregator.getAdapters(),
+        queue: searchAggregator.getQueueStats(),
         timestamp: new Date().toISOString()
     });
 });
@@ -97,12 +281,13 @@ app.get('/api/platforms', (req, res) => {
 });
 
 /**
- * Check a single URL for username existence
+ * Check a single URL for username existence. Private, loopback and
+ * link-local targets (also via redirects or DNS) are refused with 403 and a reason.
  */
 app.get('/api/check', async (req, res) => {
     const { url } = req.query;
     
-    if (!url) {
+    if (!url || typeof url !== 'string') {
         return res.status(400).json({ error: 'URL parameter required' });
     }
     
@@ -110,6 +295,9 @@ app.get('/api/check', async (req, res) => {
         const result = await checkUrl(url);
         res.json(result);
     } catch (error) {
+        if (error instanceof UrlBlockedError) {
+            return res.status(error.status).json({ error: error.message, reason: error.reason, exists: false });
+        }
         res.json({ exists: false, error: error.message });
     }
 });
@@ -118,14 +306,14 @@ app.get('/api/check', async (req, res) => {
  * Main search endpoint - streaming response
  */
 app.post('/api/search', async (req, res) => {
-    const { username, engines = [], categories = 'all' } = req.body;
+    const { username, engines = [], categories = 'all', calibrate } = req.body;
     
     if (!username) {
         return res.status(400).json({ error: 'Username required' });
     }
     
     // Validate username format
-    if (!/^[a-zA-Z0-9_.-]+$/.test(username)) {
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]+$/.test(username)) {
         return res.status(400).json({ error: 'Invalid username format' });
     }
     
@@ -143,6 +331,7 @@ app.post('/api/search', async (req, res) => {
     
     const total = platformsToCheck.length;
     let completed = 0;
+    let found = 0;
     
     // Process platforms in batches
     const batchSize = 5;
@@ -154,8 +343,6 @@ app.post('/api/search', async (req, res) => {
     
     for (const batch of batches) {
         const promises = batch.map(async (platform) => {
-            const url = platform.url.replace('{username}', username);
-            
             // Send progress update
             res.write(JSON.stringify({
                 type: 'progress',
@@ -164,34 +351,10 @@ app.post('/api/search', async (req, res) => {
                 total: total
             }) + '\n');
             
-            const startTime = Date.now();
-            let result;
-            
-            try {
-                const checkResult = await checkUrl(url, platform.checkMethod);
-                result = {
-                    platform: platform.name,
-                    url: url,
-                    icon: platform.icon,
-                    color: platform.color,
-                    category: platform.category,
-                    status: checkResult.exists ? 'found' : 'not-found',
-                    responseTime: Date.now() - startTime
-                };
-            } catch (error) {
-                result = {
-                    platform: platform.name,
-                    url: url,
-                    icon: platform.icon,
-                    color: platform.color,
-                    category: platform.category,
-                    status: 'error',
-                    error: error.message,
-                    responseTime: Date.now() - startTime
-                };
-            }
+            const result = await usernameChecker.check(platform, username, { calibrate });
             
             completed++;
+            if (result.status === 'found') found++;
             
             // Send result
             res.write(JSON.stringify({
@@ -215,6 +378,7 @@ app.post('/api/search', async (req, res) => {
         total: total
     }) + '\n');
     
+    res.locals.audit = { ...res.locals.audit, resultCount: found };
     res.end();
 });
 
@@ -227,6 +391,9 @@ app.post('/api/search-engines', async (req, res) => {
     if (!username) {
         return res.status(400).json({ error: 'Username required' });
     }
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]+$/.test(username)) {
+        return res.status(400).json({ error: 'Invalid username format' });
+    }
     
     const results = {};
     
@@ -246,22 +413,21 @@ app.post('/api/search-engines', async (req, res) => {
 });
 
 /**
- * Check if a URL exists (username found)
+ * Check if a URL exists (username found). The URL comes from the caller,
+ * so it is fetched through the URL guard; throws UrlBlockedError.
  */
 async function checkUrl(url, method = 'status') {
     const config = {
         timeout: 10000,
         headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
             'Accept-Language': 'en-US,en;q=0.5',
         },
-        maxRedirects: 5,
         validateStatus: (status) => status < 500
     };
     
     try {
-        const response = await axios.get(url, config);
+        const response = await urlGuard.fetch(url, config);
         
         // Check based on method
         switch (method) {
@@ -430,11 +596,14 @@ app.get('/api/hibp/:email', async (req, res) => {
 
 // Unified OSINT check endpoint for streaming
 app.post('/api/check', async (req, res) => {
-    const { username } = req.body;
+    const { username, calibrate } = req.body;
     
     if (!username) {
         return res.status(400).json({ error: 'Username required' });
     }
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]+$/.test(username)) {
+        return res.status(400).json({ error: 'Invalid username format' });
+    }
     
     // Set up SSE
     res.setHeader('Content-Type', 'text/event-stream');
@@ -449,24 +618,27 @@ app.post('/api/check', async (req, res) => {
     const platformsToCheck = platforms.platforms.slice(0, 50); // Limit to 50
     
     for (const platform of platformsToCheck) {
-        const url = platform.url.replace('{username}', username);
+        const result = await usernameChecker.check(platform, username, { calibrate });
         
-        try {
-            const exists = await checkUrl(url, platform.checkMethod);
+        if (result.status === 'error') {
             sendEvent({
                 platform: platform.name,
-                url,
-                found: exists.exists,
-                status: exists.exists ? 'verified' : 'not-found',
-                category: platform.category
+                url: result.url,
+                found: false,
+                status: 'error',
+                error: result.error
             });
-        } catch (error) {
+        } else {
             sendEvent({
                 platform: platform.name,
-                url,
-                found: false,
-                status: 'error',
-                error: error.message
+                url: result.url,
+                found: result.status === 'found',
+                status: result.status === 'found' ? 'verified' : result.status,
+                reason: result.reason,
+                confidence: result.confidence,
+                calibrated: result.calibrated,
+                calibration: result.calibration,
+                category: platform.category
             });
         }
         
@@ -719,6 +891,14 @@ app.get('/api/osint/gitlab/:username', async (req, res) => {
 app.get('/api/dns/:domain', async (req, res) => {
     const { domain } = req.params;
     
+    // Resolving here would send the target to the local resolver, outside the proxy
+    if (outbound.proxy) {
+        return res.status(503).json({
+            error: 'DNS lookups are disabled while requests go through a proxy or Tor',
+            reason: 'proxied'
+        });
+    }
+    
     try {
         const dns = require('dns').promises;
         
@@ -747,6 +927,62 @@ app.get('/api/dns/:domain', async (req, res) => {
     }
 });
 
+/**
+ * Email candidates for a person at a domain
+ * POST /api/email/candidates { firstName, lastName, domain, samples?, useHunter?, validate?, limit? }
+ */
+app.post('/api/email/candidates', async (req, res) => {
+    const { firstName, lastName, domain, samples = [], useHunter = false, validate = true, limit } = req.body;
+    
+    if (!firstName || !domain) {
+        return res.status(400).json({ error: 'firstName and domain required' });
+    }
+    if (typeof domain !== 'string' || !/^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i.test(domain)) {
+        return res.status(400).json({ error: 'Invalid domain' });
+    }
+    if (!Array.isArray(samples)) {
+        return res.status(400).json({ error: 'samples must be an array' });
+    }
+    
+    try {
+        const knownEmails = [...samples];
+        let hint = null;
+        
+        // Hunter's domain search supplies named samples and its own pattern guess
+        if (useHunter && API_KEYS.hunter && authManager.can(req, 'paid')) {
+            const response = await axios.get(
+                `https://api.hunter.io/v2/domain-search?domain=${encodeURIComponent(domain)}&api_key=${API_KEYS.hunter}`,
+                { timeout: 10000 }
+            );
+            knownEmails.push(...(response.data.data?.emails || []));
+            hint = response.data.data?.pattern || null;
+        }
+        
+        const patterns = emailDiscovery.inferPattern(knownEmails, domain, { hint });
+        const candidates = emailDiscovery.generateCandidates(
+            { firstName, lastName, domain },
+            patterns,
+            { limit: Math.min(parseInt(limit) || 10, emailDiscovery.EMAIL_PATTERNS.length) }
+        );
+        
+        const domainCheck = await emailDiscovery.validateDomain(domain.toLowerCase(), { mx: validate && !outbound.proxy });
+        
+        res.json({
+            domain: domain.toLowerCase(),
+            pattern: patterns[0] || null,
+            patterns,
+            samplesUsed: knownEmails.length,
+            domainCheck,
+            candidates: candidates.map(candidate => ({
+                ...candidate,
+                validation: emailDiscovery.validateEmail(candidate.email, domainCheck)
+            }))
+        });
+    } catch (error) {
+        res.status(error.response?.status || 500).json({ error: error.message });
+    }
+});
+
 // Whois Lookup (basic)
 app.get('/api/whois/:domain', async (req, res) => {
     const { domain } = req.params;
@@ -918,7 +1154,7 @@ app.get('/api/hackernews/search', async (req, res) => {
 app.get('/api/search/global', async (req, res) => {
     const { q, type = 'all' } = req.query;
     
-    if (!q) {
+    if (!q || typeof q !== 'string') {
         return res.status(400).json({ error: 'Query required' });
     }
     
@@ -997,44 +1233,123 @@ app.get('/api/search/global', async (req, res) => {
 // ==========================================
 
 /**
- * Start a new scan with SSE streaming results
- * POST /api/scan
+ * Start a scan from a request body: `{ target: { type, value }, profile }`
+ * runs a scan profile against a typed target, a plain `{ query }` is a
+ * username scan. `pivot` (true or { maxDepth, maxRequests, types }) follows
+ * leads found in the results. Callers without the 'paid' permission scan
+ * without the adapters that spend paid API quota. Throws ScanTargetError
+ * (400) for invalid input.
  */
-app.post('/api/scan', async (req, res) => {
-    const { query, adapters, options = {} } = req.body;
+function startScanFromRequest(req) {
+    const { query, target, profile, adapters, pivot, options = {} } = req.body;
+    const excludeAdapters = authManager.can(req, 'paid') ? undefined : PAID_ADAPTERS;
+    
+    if (target) {
+        return searchAggregator.startTargetScan(target, { ...options, adapters, profile, excludeAdapters, ...(pivot ? { pivot } : {}) });
+    }
     
     if (!query) {
-        return res.status(400).json({ error: 'Query parameter required' });
+        throw new ScanTargetError(['Query parameter or target required']);
+    }
+    
+    // Validate query format; the API description checks this too
+    if (typeof query !== 'string' || !/^[a-zA-Z0-9_.\-@]+$/.test(query)) {
+        throw new ScanTargetError(['Invalid query format']);
     }
     
-    // Validate query format
-    if (!/^[a-zA-Z0-9_.\-@]+$/.test(query)) {
-        return res.status(400).json({ error: 'Invalid query format' });
+    return searchAggregator.startScan(query, {
+        adapters: adapters,
+        ...options,
+        excludeAdapters,
+        ...(pivot ? { pivot } : {}),
+        target: undefined,
+        profile: undefined
+    });
+}
+
+function sendScanError(res, error) {
+    if (error instanceof ScanTargetError) {
+        return res.status(400).json({ error: error.errors.join('; '), errors: error.errors });
     }
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+/**
+ * Scan profiles and the adapters each runs
+ * GET /api/profiles
+ */
+app.get('/api/profiles', (req, res) => {
+    res.json({
+        profiles: describeProfiles(searchAggregator.adapters.values()),
+        targetTypes: TARGET_TYPES
+    });
+});
+
+/**
+ * Start a new scan with SSE streaming results, optionally in a case
+ * POST /api/scan { query } | { target: { type, value }, profile }, caseId?
+ */
+app.post('/api/scan', async (req, res) => {
+    const { caseId } = req.body;
     
     try {
-        const scan = await searchAggregator.startScan(query, {
-            adapters: adapters,
-            ...options
-        });
+        if (caseId !== undefined) {
+            const record = await caseManager.getCase(caseId);
+            if (!record) return res.status(404).json({ error: 'Case not found' });
+            if (record.status === 'archived') {
+                return res.status(409).json({ error: `Case "${caseId}" is archived; reopen it to add scans` });
+            }
+        }
+        
+        const scan = await startScanFromRequest(req);
+        if (caseId !== undefined) {
+            await caseManager.attachScan(caseId, scan.id);
+        }
+        // Results arrive later; the audit log records them when the scan ends
+        res.locals.audit = { ...res.locals.audit, scanId: scan.id, resultCount: null };
         
         res.json({
             scanId: scan.id,
             status: scan.status,
+            queuePosition: scan.status === 'queued' ? scan.queuePosition : null,
             query: scan.query,
-            message: 'Scan started. Use /api/scan/:id/stream for live results'
+            target: scan.target,
+            profile: scan.profile,
+            adapters: scan.options.adapters || null,
+            variants: scan.variants ? scan.variants.map(v => v.username) : [],
+            pivot: scan.pivotLimits || null,
+            caseId: caseId || null,
+            message: scan.status === 'queued'
+                ? 'Scan queued. Use /api/scan/:id/stream for position updates and live results'
+                : 'Scan started. Use /api/scan/:id/stream for live results'
         });
+    } catch (error) {
+        sendScanError(res, error);
+    }
+});
+
+/**
+ * List stored scans (newest first)
+ * GET /api/scans?status=&query=&limit=
+ */
+app.get('/api/scans', async (req, res) => {
+    const { status, query } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    try {
+        const scans = await searchAggregator.listScans({ status, query, limit });
+        res.json({ scans, count: scans.length });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * Get scan status and results
+ * Get scan status and results (live or from the scan store)
  * GET /api/scan/:id
  */
-app.get('/api/scan/:id', (req, res) => {
-    const scan = searchAggregator.getScan(req.params.id);
+app.get('/api/scan/:id', async (req, res) => {
+    const scan = await searchAggregator.loadScan(req.params.id);
     
     if (!scan) {
         return res.status(404).json({ error: 'Scan not found' });
@@ -1043,25 +1358,61 @@ app.get('/api/scan/:id', (req, res) => {
     res.json({
         id: scan.id,
         query: scan.query,
+        target: scan.target || null,
+        profile: scan.profile || null,
         status: scan.status,
+        queuePosition: scan.status === 'queued' ? scan.queuePosition : null,
         progress: scan.progress,
         stats: scan.stats,
         startTime: scan.startTime,
         endTime: scan.endTime,
         duration: scan.endTime ? scan.endTime - scan.startTime : Date.now() - scan.startTime,
         results: scan.results,
+        identities: scan.identities || [],
+        avatarLinks: scan.avatarLinks || [],
+        variants: scan.variants || [],
+        pivots: scan.pivots || [],
         errors: scan.errors,
         fromCache: scan.fromCache || false
     });
 });
 
+/**
+ * Cancel a running scan, keeping partial results
+ * DELETE /api/scan/:id
+ */
+app.delete('/api/scan/:id', async (req, res) => {
+    const scan = await searchAggregator.loadScan(req.params.id);
+    
+    if (!scan) {
+        return res.status(404).json({ error: 'Scan not found' });
+    }
+    
+    if (!searchAggregator.isActive(scan)) {
+        return res.status(409).json({ error: `Scan is not active (status: ${scan.status})` });
+    }
+    
+    try {
+        const cancelled = await searchAggregator.cancelScan(scan.id);
+        
+        res.json({
+            id: cancelled.id,
+            status: cancelled.status,
+            stats: cancelled.stats,
+            resultsCount: cancelled.results.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * SSE streaming endpoint for live scan results
  * GET /api/scan/:id/stream
  */
-app.get('/api/scan/:id/stream', (req, res) => {
+app.get('/api/scan/:id/stream', async (req, res) => {
     const scanId = req.params.id;
-    const scan = searchAggregator.getScan(scanId);
+    const scan = await searchAggregator.loadScan(scanId);
     
     if (!scan) {
         return res.status(404).json({ error: 'Scan not found' });
@@ -1077,21 +1428,28 @@ app.get('/api/scan/:id/stream', (req, res) => {
     res.write(`data: ${JSON.stringify({
         type: 'init',
         scanId: scan.id,
+        query: scan.query,
+        target: scan.target || null,
+        profile: scan.profile || null,
         status: scan.status,
+        queuePosition: scan.status === 'queued' ? scan.queuePosition : null,
         progress: scan.progress,
         resultsCount: scan.results.length
     })}\n\n`);
     
-    // If already complete, send all results and close
-    if (scan.status === 'completed' || scan.status === 'error') {
+    // If already finished, send all results and close
+    if (!searchAggregator.isActive(scan)) {
         res.write(`data: ${JSON.stringify({
-            type: 'complete',
+            type: scan.status === 'cancelled' ? 'cancelled' : 'complete',
             scan: {
                 id: scan.id,
                 status: scan.status,
                 progress: 100,
                 stats: scan.stats,
                 results: scan.results,
+                identities: scan.identities || [],
+                avatarLinks: scan.avatarLinks || [],
+                pivots: scan.pivots || [],
                 errors: scan.errors,
                 duration: scan.endTime - scan.startTime
             }
@@ -1131,6 +1489,9 @@ app.get('/api/scan/:id/stream', (req, res) => {
                     progress: 100,
                     stats: completedScan.stats,
                     results: completedScan.results,
+                    identities: completedScan.identities || [],
+                    avatarLinks: completedScan.avatarLinks || [],
+                    pivots: completedScan.pivots || [],
                     errors: completedScan.errors,
                     duration: completedScan.endTime - completedScan.startTime
                 }
@@ -1140,11 +1501,70 @@ app.get('/api/scan/:id/stream', (req, res) => {
         }
     };
     
+    const onPivot = (data) => {
+        if (data.scanId === scanId) {
+            res.write(`data: ${JSON.stringify({
+                type: 'pivot',
+                pivot: data.pivot
+            })}\n\n`);
+        }
+    };
+    
+    const onQueued = (data) => {
+        if (data.scanId === scanId) {
+            res.write(`data: ${JSON.stringify({
+                type: 'queued',
+                position: data.position,
+                queueLength: data.queueLength
+            })}\n\n`);
+        }
+    };
+    
+    const onStarted = (data) => {
+        if (data.scanId === scanId) {
+            res.write(`data: ${JSON.stringify({ type: 'started' })}\n\n`);
+        }
+    };
+    
+    const onRetry = (data) => {
+        if (data.scanId === scanId) {
+            res.write(`data: ${JSON.stringify({
+                type: 'retry',
+                adapter: data.adapter,
+                attempt: data.attempt,
+                maxRetries: data.maxRetries,
+                delay: data.delay,
+                status: data.status,
+                error: data.error
+            })}\n\n`);
+        }
+    };
+    
+    const onCancelled = (cancelledScan) => {
+        if (cancelledScan.id === scanId) {
+            res.write(`data: ${JSON.stringify({
+                type: 'cancelled',
+                scan: {
+                    id: cancelledScan.id,
+                    status: cancelledScan.status,
+                    progress: cancelledScan.progress,
+                    stats: cancelledScan.stats,
+                    results: cancelledScan.results,
+                    errors: cancelledScan.errors,
+                    duration: cancelledScan.endTime - cancelledScan.startTime
+                }
+            })}\n\n`);
+            cleanup();
+            res.end();
+        }
+    };
+    
     const onError = (data) => {
         if (data.scanId === scanId) {
             res.write(`data: ${JSON.stringify({
                 type: 'error',
                 adapter: data.adapter,
+                pivot: data.pivot,
                 error: data.error
             })}\n\n`);
         }
@@ -1154,13 +1574,23 @@ app.get('/api/scan/:id/stream', (req, res) => {
         searchAggregator.off('scan:result', onResult);
         searchAggregator.off('scan:progress', onProgress);
         searchAggregator.off('scan:complete', onComplete);
+        searchAggregator.off('scan:cancelled', onCancelled);
         searchAggregator.off('scan:adapter:error', onError);
+        searchAggregator.off('scan:adapter:retry', onRetry);
+        searchAggregator.off('scan:queued', onQueued);
+        searchAggregator.off('scan:started', onStarted);
+        searchAggregator.off('scan:pivot', onPivot);
     };
     
     searchAggregator.on('scan:result', onResult);
     searchAggregator.on('scan:progress', onProgress);
     searchAggregator.on('scan:complete', onComplete);
+    searchAggregator.on('scan:cancelled', onCancelled);
     searchAggregator.on('scan:adapter:error', onError);
+    searchAggregator.on('scan:adapter:retry', onRetry);
+    searchAggregator.on('scan:queued', onQueued);
+    searchAggregator.on('scan:started', onStarted);
+    searchAggregator.on('scan:pivot', onPivot);
     
     // Handle client disconnect
     req.on('close', () => {
@@ -1182,14 +1612,10 @@ app.get('/api/scan/:id/stream', (req, res) => {
  * POST /api/scan/quick
  */
 app.post('/api/scan/quick', async (req, res) => {
-    const { query, adapters, timeout = 30000 } = req.body;
-    
-    if (!query) {
-        return res.status(400).json({ error: 'Query parameter required' });
-    }
+    const { timeout = 30000 } = req.body;
     
     try {
-        const scan = await searchAggregator.startScan(query, { adapters });
+        const scan = await startScanFromRequest(req);
         
         // Wait for completion with timeout
         await new Promise((resolve, reject) => {
@@ -1199,7 +1625,7 @@ app.post('/api/scan/quick', async (req, res) => {
             
             const checkComplete = setInterval(() => {
                 const currentScan = searchAggregator.getScan(scan.id);
-                if (currentScan.status === 'completed' || currentScan.status === 'error') {
+                if (!searchAggregator.isActive(currentScan)) {
                     clearTimeout(timeoutId);
                     clearInterval(checkComplete);
                     resolve();
@@ -1211,46 +1637,794 @@ app.post('/api/scan/quick', async (req, res) => {
         res.json({
             id: finalScan.id,
             query: finalScan.query,
+            target: finalScan.target,
+            profile: finalScan.profile,
             status: finalScan.status,
             stats: finalScan.stats,
             results: finalScan.results,
+            pivots: finalScan.pivots || [],
             errors: finalScan.errors,
             duration: finalScan.endTime - finalScan.startTime
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendScanError(res, error);
     }
 });
 
-// API Status Check
-app.get('/api/status', (req, res) => {
-    res.json({
-        apis: {
-            shodan: !!API_KEYS.shodan,
-            hunter: !!API_KEYS.hunter,
-            hibp: !!API_KEYS.hibp,
-            twitter: !!(API_KEYS.twitter.key && API_KEYS.twitter.secret),
-            github: !!API_KEYS.github,
-            abuseipdb: !!API_KEYS.abuseipdb,
-            virustotal: !!API_KEYS.virustotal
-        },
-        freeApis: ['github', 'keybase', 'reddit', 'gitlab', 'nominatim', 'wikidata', 'dns'],
-        timestamp: new Date().toISOString()
-    });
-});
+// ==========================================
+// ENTITY GRAPH ENDPOINTS
+// ==========================================
 
-// Utility function
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function sendGraphError(res, error) {
+    if (error instanceof EntityValidationError) {
+        return res.status(400).json({ error: error.errors.join('; '), errors: error.errors });
+    }
+    res.status(error.status || 500).json({ error: error.message });
 }
 
-// Serve frontend
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+function pageOf(query) {
+    return {
+        limit: Math.min(parseInt(query.limit) || 100, 1000),
+        offset: Math.max(parseInt(query.offset) || 0, 0)
+    };
+}
+
+/**
+ * Entity and relationship types
+ * GET /api/entities/types
+ */
+app.get('/api/entities/types', (req, res) => {
+    res.json(describeEntityTypes());
 });
 
-// Error handling
-app.use((err, req, res, next) => {
+/**
+ * List entities, most recently updated first
+ * GET /api/entities?type=&q=&scanId=&limit=&offset=
+ */
+app.get('/api/entities', async (req, res) => {
+    const { type, q, scanId } = req.query;
+    
+    try {
+        const { items, total } = await entityGraph.listEntities({ type, q, scanId, ...pageOf(req.query) });
+        res.json({ entities: items, count: items.length, total });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * Create an entity, or add observations to the entity with the same identity
+ * POST /api/entities { type, attributes, label? }
+ */
+app.post('/api/entities', async (req, res) => {
+    try {
+        const { entity, created } = await entityGraph.upsertEntity(req.body);
+        res.status(created ? 201 : 200).json({ entity, created });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * Get an entity with its relationships
+ * GET /api/entities/:id
+ */
+app.get('/api/entities/:id', async (req, res) => {
+    try {
+        const entity = await entityGraph.getEntity(req.params.id);
+        if (!entity) return res.status(404).json({ error: 'Entity not found' });
+        
+        const { items } = await entityGraph.listRelationships({ entity: entity.id, limit: 1000 });
+        res.json({ entity, relationships: items });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * Set (or with null, remove) attributes and the label of an entity
+ * PATCH /api/entities/:id { attributes?, label? }
+ */
+app.patch('/api/entities/:id', async (req, res) => {
+    try {
+        const entity = await entityGraph.updateEntity(req.params.id, req.body);
+        if (!entity) return res.status(404).json({ error: 'Entity not found' });
+        res.json({ entity });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * Delete an entity and its relationships
+ * DELETE /api/entities/:id
+ */
+app.delete('/api/entities/:id', async (req, res) => {
+    try {
+        const deleted = await entityGraph.deleteEntity(req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Entity not found' });
+        res.json({ deleted: true, ...deleted });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * List relationships
+ * GET /api/relationships?type=&entity=&source=&target=&scanId=&limit=&offset=
+ */
+app.get('/api/relationships', async (req, res) => {
+    const { type, entity, source, target, scanId } = req.query;
+    
+    try {
+        const { items, total } = await entityGraph.listRelationships({ type, entity, source, target, scanId, ...pageOf(req.query) });
+        res.json({ relationships: items, count: items.length, total });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * Connect two entities
+ * POST /api/relationships { type, source, target, attributes? }
+ */
+app.post('/api/relationships', async (req, res) => {
+    try {
+        const { relationship, created } = await entityGraph.upsertRelationship(req.body);
+        res.status(created ? 201 : 200).json({ relationship, created });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * Get a relationship
+ * GET /api/relationships/:id
+ */
+app.get('/api/relationships/:id', async (req, res) => {
+    try {
+        const relationship = await entityGraph.getRelationship(req.params.id);
+        if (!relationship) return res.status(404).json({ error: 'Relationship not found' });
+        res.json({ relationship });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * Set (or with null, remove) relationship attributes
+ * PATCH /api/relationships/:id { attributes }
+ */
+app.patch('/api/relationships/:id', async (req, res) => {
+    try {
+        const relationship = await entityGraph.updateRelationship(req.params.id, req.body);
+        if (!relationship) return res.status(404).json({ error: 'Relationship not found' });
+        res.json({ relationship });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+/**
+ * Delete a relationship
+ * DELETE /api/relationships/:id
+ */
+app.delete('/api/relationships/:id', async (req, res) => {
+    try {
+        const deleted = await entityGraph.deleteRelationship(req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Relationship not found' });
+        res.json({ deleted: true, id: req.params.id });
+    } catch (error) {
+        sendGraphError(res, error);
+    }
+});
+
+// ==========================================
+// CASE ENDPOINTS
+// ==========================================
+
+function sendCaseError(res, error) {
+    if (error instanceof CaseValidationError) {
+        return res.status(error.status).json({ error: error.errors.join('; '), errors: error.errors });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+/**
+ * Run a change to part of a case and return its result, or answer the
+ * request with 404 (naming the case or the part) or an error and return null
+ */
+async function changeCasePart(res, caseId, part, change) {
+    try {
+        if (!(await caseManager.getCase(caseId))) {
+            res.status(404).json({ error: 'Case not found' });
+            return null;
+        }
+        const changed = await change();
+        if (!changed) res.status(404).json({ error: `${part} not found in case` });
+        return changed;
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+}
+
+/**
+ * List cases, most recently updated first
+ * GET /api/cases?status=open|archived&q=&scanId=&entityId=&limit=&offset=
+ */
+app.get('/api/cases', async (req, res) => {
+    const { status, q, scanId, entityId } = req.query;
+    
+    try {
+        const { items, total } = await caseManager.listCases({ status, q, scanId, entityId, ...pageOf(req.query) });
+        res.json({ cases: items.map(summarizeCase), count: items.length, total });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Open a new case
+ * POST /api/cases { name, description? }
+ */
+app.post('/api/cases', async (req, res) => {
+    try {
+        const record = await caseManager.createCase(req.body);
+        res.status(201).json({ case: describeCase(record) });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Get a case with its scans, entity IDs, notes and artifact list
+ * GET /api/cases/:id
+ */
+app.get('/api/cases/:id', async (req, res) => {
+    try {
+        const record = await caseManager.getCase(req.params.id);
+        if (!record) return res.status(404).json({ error: 'Case not found' });
+        res.json({ case: describeCase(record) });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Rename, describe, archive or reopen a case
+ * PATCH /api/cases/:id { name?, description?, status? }
+ */
+app.patch('/api/cases/:id', async (req, res) => {
+    try {
+        const record = await caseManager.updateCase(req.params.id, req.body);
+        if (!record) return res.status(404).json({ error: 'Case not found' });
+        res.json({ case: describeCase(record) });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Archive a case; it stays readable but refuses changes until reopened
+ * POST /api/cases/:id/archive
+ */
+app.post('/api/cases/:id/archive', async (req, res) => {
+    try {
+        const record = await caseManager.archiveCase(req.params.id);
+        if (!record) return res.status(404).json({ error: 'Case not found' });
+        res.json({ case: describeCase(record) });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Delete a case. Its scans and graph entities are kept.
+ * DELETE /api/cases/:id
+ */
+app.delete('/api/cases/:id', async (req, res) => {
+    try {
+        const deleted = await caseManager.deleteCase(req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Case not found' });
+        res.json({ deleted: true, id: req.params.id });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Scans attached to a case, newest first
+ * GET /api/cases/:id/scans
+ */
+app.get('/api/cases/:id/scans', async (req, res) => {
+    try {
+        const record = await caseManager.getCase(req.params.id);
+        if (!record) return res.status(404).json({ error: 'Case not found' });
+        
+        const scans = (await Promise.all(record.scans.map(id => searchAggregator.loadScan(id))))
+            .filter(Boolean)
+            .sort((a, b) => b.startTime - a.startTime)
+            .map(scan => ({
+                id: scan.id,
+                query: scan.query,
+                target: scan.target || null,
+                profile: scan.profile || null,
+                status: scan.status,
+                startTime: scan.startTime,
+                endTime: scan.endTime,
+                resultsCount: scan.results?.length || 0
+            }));
+        res.json({ scans, count: scans.length, missing: record.scans.length - scans.length });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Attach an existing scan and the entities it found
+ * POST /api/cases/:id/scans { scanId }
+ */
+app.post('/api/cases/:id/scans', async (req, res) => {
+    const { scanId } = req.body;
+    
+    try {
+        if (typeof scanId === 'string' && !(await searchAggregator.loadScan(scanId))) {
+            return res.status(404).json({ error: 'Scan not found' });
+        }
+        const record = await caseManager.attachScan(req.params.id, scanId);
+        if (!record) return res.status(404).json({ error: 'Case not found' });
+        res.json({ case: describeCase(record) });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Detach a scan; entities it brought stay in the case
+ * DELETE /api/cases/:id/scans/:scanId
+ */
+app.delete('/api/cases/:id/scans/:scanId', async (req, res) => {
+    const record = await changeCasePart(res, req.params.id, 'Scan',
+        () => caseManager.detachScan(req.params.id, req.params.scanId));
+    if (record) res.json({ case: describeCase(record) });
+});
+
+/**
+ * The case's entities and the relationships between them
+ * GET /api/cases/:id/graph
+ */
+app.get('/api/cases/:id/graph', async (req, res) => {
+    try {
+        const graph = await caseManager.getCaseGraph(req.params.id);
+        if (!graph) return res.status(404).json({ error: 'Case not found' });
+        res.json(graph);
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Attach a graph entity
+ * POST /api/cases/:id/entities { entityId }
+ */
+app.post('/api/cases/:id/entities', async (req, res) => {
+    try {
+        const record = await caseManager.attachEntity(req.params.id, req.body.entityId);
+        if (!record) return res.status(404).json({ error: 'Case not found' });
+        res.json({ case: describeCase(record) });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Detach an entity (it stays in the shared graph)
+ * DELETE /api/cases/:id/entities/:entityId
+ */
+app.delete('/api/cases/:id/entities/:entityId', async (req, res) => {
+    const record = await changeCasePart(res, req.params.id, 'Entity',
+        () => caseManager.detachEntity(req.params.id, req.params.entityId));
+    if (record) res.json({ case: describeCase(record) });
+});
+
+/**
+ * Add an analyst note
+ * POST /api/cases/:id/notes { text }
+ */
+app.post('/api/cases/:id/notes', async (req, res) => {
+    try {
+        const note = await caseManager.addNote(req.params.id, req.body);
+        if (!note) return res.status(404).json({ error: 'Case not found' });
+        res.status(201).json({ note });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Edit a note
+ * PATCH /api/cases/:id/notes/:noteId { text }
+ */
+app.patch('/api/cases/:id/notes/:noteId', async (req, res) => {
+    const note = await changeCasePart(res, req.params.id, 'Note',
+        () => caseManager.updateNote(req.params.id, req.params.noteId, req.body));
+    if (note) res.json({ note });
+});
+
+/**
+ * Delete a note
+ * DELETE /api/cases/:id/notes/:noteId
+ */
+app.delete('/api/cases/:id/notes/:noteId', async (req, res) => {
+    const record = await changeCasePart(res, req.params.id, 'Note',
+        () => caseManager.deleteNote(req.params.id, req.params.noteId));
+    if (record) res.json({ deleted: true, id: req.params.noteId });
+});
+
+/**
+ * Store an exported artifact (JSON export, CSV, report, ...)
+ * POST /api/cases/:id/artifacts { name, mediaType?, content }
+ */
+app.post('/api/cases/:id/artifacts', async (req, res) => {
+    try {
+        const artifact = await caseManager.addArtifact(req.params.id, req.body);
+        if (!artifact) return res.status(404).json({ error: 'Case not found' });
+        res.status(201).json({ artifact });
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Download an artifact with its media type
+ * GET /api/cases/:id/artifacts/:artifactId
+ */
+app.get('/api/cases/:id/artifacts/:artifactId', async (req, res) => {
+    try {
+        const artifact = await caseManager.getArtifact(req.params.id, req.params.artifactId);
+        if (!artifact) return res.status(404).json({ error: 'Artifact not found' });
+        
+        res.attachment(artifact.name);
+        res.type(artifact.mediaType);
+        res.send(artifact.content);
+    } catch (error) {
+        sendCaseError(res, error);
+    }
+});
+
+/**
+ * Delete an artifact
+ * DELETE /api/cases/:id/artifacts/:artifactId
+ */
+app.delete('/api/cases/:id/artifacts/:artifactId', async (req, res) => {
+    const record = await changeCasePart(res, req.params.id, 'Artifact',
+        () => caseManager.deleteArtifact(req.params.id, req.params.artifactId));
+    if (record) res.json({ deleted: true, id: req.params.artifactId });
+});
+
+// ==========================================
+// AUTH ENDPOINTS
+// ==========================================
+
+function sendAuthError(res, error) {
+    if (error instanceof AuthValidationError) {
+        return res.status(error.status).json({ error: error.errors.join('; '), errors: error.errors });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+/**
+ * Who is signed in, and what they may do
+ * GET /api/auth/session
+ */
+app.get('/api/auth/session', (req, res) => {
+    if (!authManager.enabled) {
+        return res.json({ enabled: false, user: null, permissions: PERMISSIONS });
+    }
+    res.json({
+        enabled: true,
+        user: req.auth?.user || null,
+        via: req.auth?.via || null,
+        permissions: req.auth ? [...req.auth.permissions] : []
+    });
+});
+
+// Everything below needs accounts switched on
+app.use(['/api/auth', '/api/users'], (req, res, next) => {
+    if (!authManager.enabled) return res.status(404).json({ error: 'Authentication is disabled' });
+    next();
+});
+
+/**
+ * Sign in and receive the session cookie
+ * POST /api/auth/login { username, password }
+ */
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    
+    try {
+        const { user, secret, expiresAt } = await authManager.login(username, password);
+        res.cookie(SESSION_COOKIE, secret, authManager.cookieOptions(req));
+        res.json({ user, expiresAt });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * End the current session
+ * POST /api/auth/logout
+ */
+app.post('/api/auth/logout', async (req, res) => {
+    const secret = readSessionCookie(req.get('Cookie'));
+    
+    try {
+        if (secret) await authManager.logout(secret);
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ loggedOut: true });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Accept the terms of use; required before any other API use
+ * POST /api/auth/terms
+ */
+app.post('/api/auth/terms', async (req, res) => {
+    try {
+        res.json({ user: await authManager.acceptTerms(req.auth.user.id) });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Change your password; your other sessions are signed out
+ * POST /api/auth/password { currentPassword, password }
+ */
+app.post('/api/auth/password', async (req, res) => {
+    if (req.auth.via !== 'session') {
+        return res.status(403).json({ error: 'Sign in with a password to change it' });
+    }
+    
+    try {
+        const user = await authManager.changePassword(
+            req.auth.user.id, req.body.currentPassword, req.body.password, req.auth.session.id);
+        res.json({ user });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Your API tokens (never their secrets)
+ * GET /api/auth/tokens
+ */
+app.get('/api/auth/tokens', async (req, res) => {
+    try {
+        res.json({ tokens: await authManager.listTokens(req.auth.user.id) });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Issue an API token for scripts. The secret is only shown in this
+ * response; send it as "Authorization: Bearer <secret>".
+ * POST /api/auth/tokens { name, scopes: [read|scan|write|paid|admin], expiresInDays? }
+ */
+app.post('/api/auth/tokens', async (req, res) => {
+    // A leaked token must not be able to mint more
+    if (req.auth.via !== 'session') {
+        return res.status(403).json({ error: 'API tokens can only be issued from a signed-in session' });
+    }
+    
+    try {
+        res.status(201).json(await authManager.createToken(req.auth.user.id, req.body));
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Revoke one of your API tokens
+ * DELETE /api/auth/tokens/:id
+ */
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+    try {
+        const revoked = await authManager.revokeToken(req.params.id, req.auth.user.id);
+        if (!revoked) return res.status(404).json({ error: 'Token not found' });
+        res.json({ deleted: true, id: req.params.id });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Accounts (admin)
+ * GET /api/users
+ */
+app.get('/api/users', async (req, res) => {
+    try {
+        res.json({ users: await authManager.listUsers() });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Create an account (admin)
+ * POST /api/users { username, password, role: viewer|analyst|admin }
+ */
+app.post('/api/users', async (req, res) => {
+    try {
+        res.status(201).json({ user: await authManager.createUser(req.body) });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Change an account's role, password or disabled flag (admin)
+ * PATCH /api/users/:id { role?, password?, disabled? }
+ */
+app.patch('/api/users/:id', async (req, res) => {
+    try {
+        const user = await authManager.updateUser(req.params.id, req.body);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({ user });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Delete an account with its sessions and tokens (admin)
+ * DELETE /api/users/:id
+ */
+app.delete('/api/users/:id', async (req, res) => {
+    try {
+        const deleted = await authManager.deleteUser(req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'User not found' });
+        res.json({ deleted: true, id: req.params.id });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * An account's API tokens (admin)
+ * GET /api/users/:id/tokens
+ */
+app.get('/api/users/:id/tokens', async (req, res) => {
+    try {
+        if (!(await authManager.getUser(req.params.id))) return res.status(404).json({ error: 'User not found' });
+        res.json({ tokens: await authManager.listTokens(req.params.id) });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+/**
+ * Revoke any account's API token (admin)
+ * DELETE /api/users/:id/tokens/:tokenId
+ */
+app.delete('/api/users/:id/tokens/:tokenId', async (req, res) => {
+    try {
+        const revoked = await authManager.revokeToken(req.params.tokenId, req.params.id);
+        if (!revoked) return res.status(404).json({ error: 'Token not found' });
+        res.json({ deleted: true, id: req.params.tokenId });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+// ==========================================
+// AUDIT LOG ENDPOINTS
+// ==========================================
+
+/**
+ * Review audited lookups, newest first (admin when auth is enabled)
+ * GET /api/audit?user=&endpoint=&target=&caseId=&scanId=&event=&from=&to=&limit=&offset=
+ */
+app.get('/api/audit', async (req, res) => {
+    const { user, endpoint, target, caseId, scanId, event, from, to } = req.query;
+
+    try {
+        const { items, total } = await auditLog.query({
+            user, endpoint, target, caseId, scanId, event, from, to,
+            ...pageOf(req.query)
+        });
+        res.json({ entries: items, total, count: items.length });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Check the audit log's hash chain for edited, removed or reordered entries
+ * GET /api/audit/verify
+ */
+app.get('/api/audit/verify', async (req, res) => {
+    try {
+        res.json(await auditLog.verify());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Inspect the outbound HTTP cache
+ * GET /api/cache?host=&url=&limit=
+ */
+app.get('/api/cache', async (req, res) => {
+    if (!httpCache) return res.status(404).json({ error: 'HTTP cache is disabled' });
+    
+    const { host, url } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    
+    try {
+        const [stats, entries] = await Promise.all([
+            httpCache.getStats(),
+            httpCache.list({ host, url, limit })
+        ]);
+        res.json({ stats, entries, count: entries.length });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Purge the outbound HTTP cache, optionally only one host or URL prefix
+ * DELETE /api/cache?host=&url=
+ */
+app.delete('/api/cache', async (req, res) => {
+    if (!httpCache) return res.status(404).json({ error: 'HTTP cache is disabled' });
+    
+    try {
+        const deleted = await httpCache.purge({ host: req.query.host, url: req.query.url });
+        res.json({ deleted });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API Status Check
+app.get('/api/status', (req, res) => {
+    res.json({
+        apis: {
+            shodan: !!API_KEYS.shodan,
+            hunter: !!API_KEYS.hunter,
+            hibp: !!API_KEYS.hibp,
+            twitter: !!(API_KEYS.twitter.key && API_KEYS.twitter.secret),
+            github: !!API_KEYS.github,
+            abuseipdb: !!API_KEYS.abuseipdb,
+            virustotal: !!API_KEYS.virustotal
+        },
+        freeApis: ['github', 'keybase', 'reddit', 'gitlab', 'nominatim', 'wikidata', 'dns'],
+        outbound: outbound.getStats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Utility function
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Serve frontend
+app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Error handling
+app.use((err, req, res, next) => {
+    // Bodies express.json() could not parse get the same 400 as invalid input
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+        const message = err.type === 'entity.too.large' ? 'body is too large' : 'body is not valid JSON';
+        return res.status(err.status).json({ error: message, errors: [message] });
+    }
     console.error('Error:', err);
     res.status(500).json({ error: 'Internal server error' });
 });
@@ -1275,8 +2449,20 @@ app.listen(PORT, () => {
 
 Available OSINT Endpoints:
   GET  /api/status              - API configuration status
+  GET  /api/openapi.json        - OpenAPI description (docs: /api-docs.html)
   POST /api/check               - Username check (SSE stream)
   POST /api/search              - Full platform scan
+  POST /api/scan                - Start a scan ({ query } or { target, profile })
+  GET  /api/profiles            - Scan profiles & target types
+  GET  /api/scans               - Stored scan history
+  DELETE /api/scan/:id          - Cancel a running scan
+  GET  /api/entities            - Entity graph (CRUD under /api/entities/:id)
+  GET  /api/relationships       - Entity relationships (CRUD)
+  GET  /api/cases               - Investigation cases (CRUD under /api/cases/:id)
+  POST /api/auth/login          - Sign in (when AUTH_ENABLED=true)
+  POST /api/auth/tokens         - Issue a scoped API token
+  GET  /api/users               - Accounts & roles (admin)
+  GET  /api/audit               - Audit log of lookups (verify: /api/audit/verify)
   
   GET  /api/osint/github/:user  - GitHub profile
   GET  /api/osint/keybase/:user - Keybase lookup
@@ -1290,6 +2476,9 @@ Available OSINT Endpoints:
   GET  /api/osint/virustotal/:t - VT scan
   GET  /api/osint/wikidata      - Entity search
   GET  /api/dns/:domain         - DNS records
+  POST /api/email/candidates    - Email pattern discovery
+  GET  /api/cache               - HTTP cache entries & stats
+  DELETE /api/cache             - Purge HTTP cache
     `);
 });
 
@@ -0,0 +1,272 @@
+/**
+ * Audit Log Tests
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AuditLog, GENESIS_HASH, hashEntry, loadAuditKey, verifyAuditChain } = require('../lib/audit-log');
+const { JsonLinesAuditStore } = require('../lib/audit-store');
+
+const LOOKUP = { user: 'alice', endpoint: 'GET /api/dns/:domain', target: 'example.com', justification: 'Phishing report 112' };
+
+function makeRequest({ method = 'GET', path: requestPath, query = {}, body, params = {} }) {
+    return { method, path: requestPath, query, body, params, ip: '203.0.113.7' };
+}
+
+function makeResponse() {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.writableFinished = true;
+    res.locals = {};
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    return res;
+}
+
+// Run the middleware, let the route answer with `body`, then finish the response
+async function send(log, request, body) {
+    const req = makeRequest(request);
+    const res = makeResponse();
+    const next = jest.fn();
+
+    await log.middleware()(req, res, next);
+    if (next.mock.calls.length && body !== undefined) res.json(body);
+    res.emit('finish');
+    await log.queue;
+    return { res, passed: next.mock.calls.length === 1 };
+}
+
+describe('AuditLog', () => {
+    test('should chain entries from the genesis hash', async () => {
+        const log = new AuditLog();
+        const first = await log.record(LOOKUP);
+        const second = await log.record({ ...LOOKUP, target: 'example.org' });
+
+        expect(first).toMatchObject({ seq: 1, prevHash: GENESIS_HASH, user: 'alice', event: 'lookup' });
+        expect(first.hash).toBe(hashEntry(first));
+        expect(second.prevHash).toBe(first.hash);
+        expect(await log.verify()).toEqual({ valid: true, count: 2, lastHash: second.hash });
+    });
+
+    test('should detect edited, removed and truncated entries on disk', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+        const filePath = path.join(dir, 'audit.jsonl');
+        const open = () => new AuditLog({ store: new JsonLinesAuditStore({ path: filePath }) });
+        const lines = () => fs.readFileSync(filePath, 'utf8').trim().split('\n');
+
+        try {
+            const log = open();
+            for (const target of ['a.example', 'b.example', 'c.example']) {
+                await log.record({ ...LOOKUP, target });
+            }
+            await log.close();
+
+            // A restarted server continues the chain
+            const reopened = open();
+            expect((await reopened.record(LOOKUP)).seq).toBe(4);
+            expect((await reopened.verify()).valid).toBe(true);
+            const original = lines();
+
+            fs.writeFileSync(filePath, original.map(line => line.replace('b.example', 'z.example')).join('\n') + '\n');
+            expect(await open().verify()).toMatchObject({ valid: false, brokenAt: 2, reason: 'entry 2 was modified' });
+
+            fs.writeFileSync(filePath, original.filter((line, index) => index !== 1).join('\n') + '\n');
+            expect(await open().verify()).toMatchObject({ valid: false, brokenAt: 2 });
+
+            fs.writeFileSync(filePath, original.slice(0, 2).join('\n') + '\n');
+            expect(await reopened.verify()).toMatchObject({ valid: false, reason: 'the log ends at entry 2 but entry 4 was written' });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should key the chain so a rewritten log does not verify', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+        try {
+            const key = loadAuditKey(path.join(dir, 'keys', 'audit.key'));
+            expect(loadAuditKey(path.join(dir, 'keys', 'audit.key'))).toBe(key);
+
+            const log = new AuditLog({ key });
+            await log.record(LOOKUP);
+            await log.record({ ...LOOKUP, target: 'example.org' });
+            const entries = await log.store.list();
+            expect(entries[0].hash).toBe(hashEntry(entries[0], key));
+            expect(await log.verify()).toMatchObject({ valid: true, count: 2 });
+
+            // Edit an entry and recompute every hash without the key
+            let prevHash = GENESIS_HASH;
+            const forged = entries.map(entry => {
+                const copy = { ...entry, target: entry.target.replace('example.org', 'example.net'), prevHash };
+                copy.hash = hashEntry(copy);
+                prevHash = copy.hash;
+                return copy;
+            });
+            expect(verifyAuditChain(forged)).toMatchObject({ valid: true });
+            expect(verifyAuditChain(forged, key)).toMatchObject({ valid: false, brokenAt: 1, reason: 'entry 1 was modified' });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should filter entries newest first', async () => {
+        const log = new AuditLog();
+        await log.record(LOOKUP);
+        await log.record({ ...LOOKUP, user: 'bob', endpoint: 'POST /api/scan', target: 'jdoe', caseId: 'case-1' });
+        await log.record({ ...LOOKUP, user: 'bob', target: 'Example.net' });
+
+        const bob = await log.query({ user: 'bob' });
+        expect(bob.total).toBe(2);
+        expect(bob.items.map(entry => entry.seq)).toEqual([3, 2]);
+        expect((await log.query({ target: 'example', endpoint: '/api/dns' })).total).toBe(2);
+        expect((await log.query({ caseId: 'case-1' })).items[0].target).toBe('jdoe');
+        expect((await log.query({ from: Date.now() + 1000 })).total).toBe(0);
+        expect((await log.query({ limit: 1, offset: 1 })).items[0].seq).toBe(2);
+    });
+});
+
+describe('AuditLog middleware', () => {
+    test('should require a case or a justification for lookups', async () => {
+        const cases = { getCase: async id => (id === 'case-1' ? { id } : null) };
+        const log = new AuditLog({ cases });
+
+        const missing = await send(log, { path: '/api/dns/example.com' });
+        expect(missing.passed).toBe(false);
+        expect(missing.res.statusCode).toBe(400);
+        expect(missing.res.body.reason).toBe('justification');
+
+        expect((await send(log, { path: '/api/dns/example.com', query: { justification: ' ok' } })).res.statusCode).toBe(400);
+        expect((await send(log, { path: '/api/dns/example.com', query: { caseId: 'case-9' } })).res.statusCode).toBe(404);
+        expect((await send(log, { path: '/api/dns/example.com', query: { caseId: 'case-1' } })).passed).toBe(true);
+
+        // Routes that look nobody up are not audited
+        expect((await send(log, { path: '/api/scans' })).passed).toBe(true);
+        expect((await log.query()).total).toBe(1);
+    });
+
+    test('should log who looked up what with the result count', async () => {
+        const log = new AuditLog();
+        const req = {
+            method: 'POST',
+            path: '/api/scan/quick',
+            body: { target: { type: 'email', value: 'jane@example.com' }, justification: 'Fraud case follow-up' }
+        };
+
+        await send(log, req, { id: 'scan-1', results: [{}, {}, {}] });
+        await send(log, { path: '/api/osint/github/jdoe', params: { username: 'jdoe' }, query: { justification: 'Fraud case follow-up' } }, { error: 'Not found' });
+
+        const { items } = await log.query();
+        expect(items[1]).toMatchObject({
+            endpoint: 'POST /api/scan/quick',
+            target: 'email:jane@example.com',
+            justification: 'Fraud case follow-up',
+            ip: '203.0.113.7',
+            user: 'anonymous',
+            status: 200,
+            resultCount: 3
+        });
+        expect(items[0]).toMatchObject({ endpoint: 'GET /api/osint/*', target: 'jdoe', resultCount: null });
+    });
+
+    test('should audit routes whatever their case, HEAD requests and aborted lookups', async () => {
+        const log = new AuditLog();
+
+        expect((await send(log, { method: 'POST', path: '/API/SCAN', body: { query: 'jdoe' } })).res.statusCode).toBe(400);
+        expect((await send(log, { method: 'HEAD', path: '/api/dns/example.com' })).res.statusCode).toBe(400);
+        expect((await send(log, { method: 'POST', path: '/api/email/candidates', body: { firstName: 'Jane' } })).res.statusCode).toBe(400);
+
+        // The client leaves a streamed search before it ends: only 'close' fires
+        const res = makeResponse();
+        res.writableFinished = false;
+        const req = makeRequest({ method: 'POST', path: '/api/search', body: { username: 'jdoe', justification: 'Fraud case follow-up' } });
+        await log.middleware()(req, res, () => {});
+        res.emit('close');
+        await log.queue;
+
+        const { items } = await log.query();
+        expect(items).toHaveLength(1);
+        expect(items[0]).toMatchObject({ event: 'lookup:aborted', endpoint: 'POST /api/search', target: 'jdoe' });
+    });
+
+    test('should log how a scan ended, whichever comes first', async () => {
+        const log = new AuditLog();
+        const start = { method: 'POST', path: '/api/scan', body: { query: 'jdoe', justification: 'Background check' } };
+
+        // The response goes out before the scan ends
+        const slow = makeResponse();
+        const next = () => { slow.locals.audit = { ...slow.locals.audit, scanId: 'scan-slow', resultCount: null }; };
+        await log.middleware()(makeRequest(start), slow, next);
+        slow.emit('finish');
+        await log.completeScan({ id: 'scan-slow', status: 'completed', results: [{}, {}] });
+
+        // A cached scan ends before its response
+        await log.completeScan({ id: 'scan-fast', status: 'cancelled', results: [{}] });
+        const fast = makeResponse();
+        await log.middleware()(makeRequest(start), fast, () => {
+            fast.locals.audit = { ...fast.locals.audit, scanId: 'scan-fast', resultCount: null };
+        });
+        fast.emit('finish');
+        await log.queue;
+
+        const { items } = await log.query();
+        expect(items.reverse().map(entry => [entry.scanId, entry.event, entry.resultCount])).toEqual([
+            ['scan-slow', 'lookup', null],
+            ['scan-slow', 'scan:complete', 2],
+            ['scan-fast', 'lookup', null],
+            ['scan-fast', 'scan:cancelled', 1]
+        ]);
+        expect((await log.verify()).valid).toBe(true);
+    });
+});
+
+describe('AuditLog middleware and the bundled UI', () => {
+    const ok = { status: 200, ok: true, json: async () => ({ exists: false }), body: { getReader: () => ({ read: async () => ({ done: true }) }) } };
+
+    // The request a browser script made, as Express would hand it to the middleware
+    function toRequest([url, init = {}]) {
+        const parsed = new URL(url, 'http://localhost');
+        return {
+            method: init.method || 'GET',
+            path: parsed.pathname,
+            query: Object.fromEntries(parsed.searchParams),
+            body: init.body ? JSON.parse(init.body) : undefined
+        };
+    }
+
+    beforeAll(() => {
+        // jsdom has no AbortSignal.timeout()
+        if (!AbortSignal.timeout) AbortSignal.timeout = () => new AbortController().signal;
+        require('../public/js/osint-core');
+        require('../public/js/app');
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+        sessionStorage.clear();
+    });
+
+    test('should pass the platform checks both UIs make', async () => {
+        const log = new AuditLog();
+        global.fetch = jest.fn(async () => ok);
+
+        const core = new window.OSINTCore();
+        core.justification = 'Fraud case follow-up';
+        await core.scanUsername('scan-1', 'jdoe');
+
+        sessionStorage.setItem('osint_justification', 'Fraud case follow-up');
+        const app = Object.create(window.UsernameOSINT.prototype);
+        app.apiBase = '/api';
+        await app.checkPlatform({ name: 'GitHub', url: 'https://github.com/{username}' }, 'jdoe');
+
+        const checks = global.fetch.mock.calls.filter(([url]) => url.startsWith('/api/check'));
+        expect(checks).toHaveLength(2);
+        for (const call of checks) {
+            expect((await send(log, toRequest(call))).passed).toBe(true);
+        }
+
+        const { items } = await log.query();
+        expect(items.map(entry => entry.target)).toEqual(['https://github.com/jdoe', 'jdoe']);
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Authentication & Roles Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AuthManager, AuthValidationError, hashPassword, verifyPassword } = require('../lib/auth');
+const { JsonLinesAuthStore } = require('../lib/auth-store');
+
+const PASSWORD = 'correct horse battery';
+
+function makeRequest({ method = 'GET', path: requestPath = '/api/scans', headers = {} } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { method, path: requestPath, get: name => lower[name.toLowerCase()] };
+}
+
+async function send(auth, request) {
+    const req = makeRequest(request);
+    const res = { statusCode: 200, body: null };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    const next = jest.fn();
+
+    await auth.middleware()(req, res, next);
+    return { req, res, passed: next.mock.calls.length === 1 };
+}
+
+async function signIn(auth, username, role, { terms = true } = {}) {
+    const user = await auth.createUser({ username, password: PASSWORD, role });
+    if (terms) await auth.acceptTerms(user.id);
+    const { secret } = await auth.login(username, PASSWORD);
+    return { user, cookie: `theme=dark; osint_session=${secret}` };
+}
+
+describe('passwords', () => {
+    test('should hash with a salt and verify', async () => {
+        const hash = await hashPassword(PASSWORD);
+
+        expect(hash).toMatch(/^scrypt\$16384\$8\$1\$/);
+        expect(hash).not.toBe(await hashPassword(PASSWORD));
+        expect(await verifyPassword(PASSWORD, hash)).toBe(true);
+        expect(await verifyPassword('wrong password!', hash)).toBe(false);
+    });
+});
+
+describe('AuthManager', () => {
+    test('should validate accounts and never expose password hashes', async () => {
+        const auth = new AuthManager({ enabled: true });
+        const admin = await auth.createUser({ username: 'Alice', password: PASSWORD, role: 'admin' });
+
+        expect(admin).toMatchObject({ username: 'alice', role: 'admin', termsAcceptedAt: null });
+        expect(admin.passwordHash).toBeUndefined();
+        await expect(auth.createUser({ username: 'alice', password: PASSWORD })).rejects.toMatchObject({ status: 409 });
+        await expect(auth.createUser({ username: 'bob', password: 'short', role: 'root' }))
+            .rejects.toMatchObject({ errors: ['password must be a string of at least 10 characters', 'role must be one of viewer, analyst, admin'] });
+
+        // The last active admin stays
+        await expect(auth.updateUser(admin.id, { role: 'viewer' })).rejects.toBeInstanceOf(AuthValidationError);
+        await expect(auth.deleteUser(admin.id)).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should sign in with a session cookie and sign out', async () => {
+        const auth = new AuthManager({ enabled: true });
+        const { user, cookie } = await signIn(auth, 'alice', 'analyst');
+
+        await expect(auth.login('alice', 'wrong password!')).rejects.toMatchObject({ status: 401 });
+        await expect(auth.login('nobody', PASSWORD)).rejects.toMatchObject({ status: 401 });
+
+        const { req, passed } = await send(auth, { headers: { Cookie: cookie } });
+        expect(passed).toBe(true);
+        expect(req.auth).toMatchObject({ via: 'session', user: { id: user.id } });
+        expect(req.rateLimitKey).toBe(`user:${user.id}`);
+
+        await auth.logout(cookie.split('osint_session=')[1]);
+        expect((await send(auth, { headers: { Cookie: cookie } })).res.statusCode).toBe(401);
+    });
+
+    test('should gate routes by role and the terms of use', async () => {
+        const auth = new AuthManager({ enabled: true });
+        const viewer = await signIn(auth, 'victor', 'viewer');
+        const analyst = await signIn(auth, 'anna', 'analyst');
+        const newcomer = await signIn(auth, 'nina', 'analyst', { terms: false });
+
+        expect((await send(auth, { path: '/api/health' })).passed).toBe(true);
+        expect((await send(auth, { path: '/index.html' })).passed).toBe(true);
+        expect((await send(auth, { path: '/api/scans' })).res.statusCode).toBe(401);
+        // Express routes ignore case and answer HEAD with GET handlers
+        expect((await send(auth, { method: 'POST', path: '/API/SCAN' })).res.statusCode).toBe(401);
+        expect((await send(auth, { method: 'HEAD', path: '/api/osint/shodan/8.8.8.8' })).res.statusCode).toBe(401);
+        expect((await send(auth, { method: 'POST', path: '/index.html' })).res.statusCode).toBe(401);
+
+        const paid = { path: '/api/osint/shodan/8.8.8.8' };
+        expect((await send(auth, { ...paid, headers: { Cookie: viewer.cookie } })).res.body)
+            .toEqual({ error: 'This requires the "paid" permission', permission: 'paid' });
+        expect((await send(auth, { ...paid, headers: { Cookie: analyst.cookie } })).passed).toBe(true);
+        expect((await send(auth, { path: '/api/osint/hunter/verify', headers: { Cookie: viewer.cookie } })).res.body.permission).toBe('paid');
+        expect((await send(auth, { path: '/api/osint/abuseipdb/8.8.8.8', headers: { Cookie: viewer.cookie } })).res.body.permission).toBe('paid');
+        expect((await send(auth, { path: '/api/users', headers: { Cookie: analyst.cookie } })).res.statusCode).toBe(403);
+        expect((await send(auth, { path: '/api/cache', headers: { Cookie: viewer.cookie } })).res.body.permission).toBe('admin');
+
+        const blocked = await send(auth, { path: '/api/scans', headers: { Cookie: newcomer.cookie } });
+        expect(blocked.res.body).toMatchObject({ reason: 'terms' });
+        expect((await send(auth, { method: 'POST', path: '/api/auth/terms', headers: { Cookie: newcomer.cookie } })).passed).toBe(true);
+    });
+
+    test('should narrow API tokens to their scopes and the owner role', async () => {
+        const auth = new AuthManager({ enabled: true });
+        const { user } = await signIn(auth, 'anna', 'analyst');
+
+        await expect(auth.createToken(user.id, { name: 'ci', scopes: ['admin'] }))
+            .rejects.toMatchObject({ errors: ['scope "admin" is not allowed for the analyst role'] });
+
+        const { token, secret } = await auth.createToken(user.id, { name: 'ci', scopes: ['read', 'paid'] });
+        expect(secret).toMatch(/^osint_/);
+        expect(token.hash).toBeUndefined();
+        const bearer = { Authorization: `Bearer ${secret}` };
+
+        const read = await send(auth, { headers: bearer });
+        expect(read.passed).toBe(true);
+        expect(read.req.rateLimitKey).toBe(`token:${token.id}`);
+        expect((await send(auth, { method: 'POST', path: '/api/scan', headers: bearer })).res.statusCode).toBe(403);
+
+        // Demoting the owner shrinks the token too
+        await auth.updateUser(user.id, { role: 'viewer' });
+        expect((await send(auth, { path: '/api/osint/hibp/a@example.com', headers: bearer })).res.statusCode).toBe(403);
+
+        await auth.revokeToken(token.id, user.id);
+        expect((await send(auth, { headers: bearer })).res.statusCode).toBe(401);
+    });
+
+    test('should let everything through while disabled', async () => {
+        const auth = new AuthManager();
+        const { req, passed } = await send(auth, { method: 'DELETE', path: '/api/cache' });
+
+        expect(passed).toBe(true);
+        expect(req.auth).toBeUndefined();
+        expect(auth.can(req, 'paid')).toBe(true);
+    });
+
+    test('should persist accounts and tokens to a JSON-lines store', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-store-'));
+        const filePath = path.join(dir, 'auth.jsonl');
+
+        try {
+            const auth = new AuthManager({ enabled: true, store: new JsonLinesAuthStore({ path: filePath }) });
+            const { user } = await signIn(auth, 'alice', 'admin');
+            const { secret } = await auth.createToken(user.id, { name: 'backup', scopes: ['read'] });
+            await auth.close();
+
+            expect(fs.readFileSync(filePath, 'utf8')).not.toContain(secret);
+
+            const reopened = new AuthManager({ enabled: true, store: new JsonLinesAuthStore({ path: filePath }) });
+            const { req } = await send(reopened, { headers: { Authorization: `Bearer ${secret}` } });
+            expect(req.auth.user.username).toBe('alice');
+            await reopened.close();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
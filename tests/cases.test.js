@@ -0,0 +1,114 @@
+/**
+ * Case Workspace Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CaseManager, CaseValidationError, summarizeCase, describeCase } = require('../lib/cases');
+const { JsonLinesCaseStore } = require('../lib/case-store');
+const { EntityGraph } = require('../lib/entity-graph');
+
+describe('CaseManager', () => {
+    test('should create, list and validate cases', async () => {
+        const cases = new CaseManager();
+        const falcon = await cases.createCase({ name: '  Op Falcon ', description: 'Phishing crew' });
+        await cases.createCase({ name: 'Op Heron' });
+
+        expect(falcon).toMatchObject({ name: 'Op Falcon', status: 'open', scans: [], notes: [] });
+        expect((await cases.listCases({ q: 'phishing' })).items.map(c => c.id)).toEqual([falcon.id]);
+        expect((await cases.listCases()).total).toBe(2);
+
+        await expect(cases.createCase({ name: ' ' })).rejects.toBeInstanceOf(CaseValidationError);
+        await expect(cases.updateCase(falcon.id, { status: 'closed' }))
+            .rejects.toMatchObject({ errors: ['status must be one of open, archived'], status: 400 });
+        expect(await cases.updateCase('case-missing', { name: 'x' })).toBeNull();
+    });
+
+    test('should keep archived cases read-only until reopened', async () => {
+        const cases = new CaseManager();
+        const { id } = await cases.createCase({ name: 'Op Falcon' });
+
+        const archived = await cases.archiveCase(id);
+        expect(archived.status).toBe('archived');
+        expect(archived.archivedAt).toEqual(expect.any(Number));
+        expect((await cases.listCases({ status: 'open' })).total).toBe(0);
+
+        await expect(cases.addNote(id, { text: 'late lead' })).rejects.toMatchObject({ status: 409 });
+        await expect(cases.updateCase(id, { name: 'Renamed' })).rejects.toMatchObject({ status: 409 });
+
+        const reopened = await cases.updateCase(id, { status: 'open', name: 'Op Falcon II' });
+        expect(reopened).toMatchObject({ status: 'open', name: 'Op Falcon II', archivedAt: null });
+        expect(await cases.addNote(id, { text: 'late lead' })).toMatchObject({ text: 'late lead' });
+    });
+
+    test('should attach scans with their entities and build the case graph', async () => {
+        const graph = new EntityGraph();
+        const cases = new CaseManager({ graph });
+        const { id } = await cases.createCase({ name: 'Op Falcon' });
+        const scan = {
+            id: 'scan-1',
+            query: 'jdoe',
+            results: [{ id: 'github-1', source: 'github', type: 'profile', username: 'jdoe', url: 'https://github.com/jdoe', email: 'jane@example.com', confidence: 0.9 }],
+            identities: []
+        };
+
+        // Attached while running: entities arrive when the scan is synced
+        await cases.attachScan(id, 'scan-1');
+        await graph.ingestScan(scan);
+        const { entity: other } = await graph.upsertEntity({ type: 'domain', attributes: { domain: 'unrelated.org' } });
+
+        const live = await cases.getCaseGraph(id);
+        expect(live.entities).toHaveLength(3);
+        expect(live.relationships).toHaveLength(2);
+
+        expect(await cases.syncScan('scan-1')).toBe(1);
+        const record = await cases.getCase(id);
+        expect(record.entities).toHaveLength(3);
+        expect(record.entities).not.toContain(other.id);
+
+        await cases.attachEntity(id, other.id);
+        await expect(cases.attachEntity(id, 'domain-missing')).rejects.toMatchObject({ errors: ['entity "domain-missing" does not exist'] });
+        expect(summarizeCase(await cases.getCase(id)).counts).toEqual({ scans: 1, entities: 4, notes: 0, artifacts: 0 });
+    });
+
+    test('should store notes and artifacts', async () => {
+        const cases = new CaseManager({ maxArtifactBytes: 64 });
+        const { id } = await cases.createCase({ name: 'Op Falcon' });
+
+        const note = await cases.addNote(id, { text: 'Check the Keybase proofs' });
+        expect((await cases.updateNote(id, note.id, { text: 'Proofs verified' })).text).toBe('Proofs verified');
+        expect(await cases.updateNote(id, 'note-missing', { text: 'x' })).toBeNull();
+
+        const artifact = await cases.addArtifact(id, { name: 'export.json', content: { nodes: [] } });
+        expect(artifact).toMatchObject({ name: 'export.json', mediaType: 'application/json', size: 12 });
+        expect(artifact.content).toBeUndefined();
+        expect((await cases.getArtifact(id, artifact.id)).content).toBe('{"nodes":[]}');
+        expect(describeCase(await cases.getCase(id)).artifacts[0].content).toBeUndefined();
+
+        await expect(cases.addArtifact(id, { name: 'big.txt', content: 'x'.repeat(65) }))
+            .rejects.toMatchObject({ errors: ['content must be at most 64 bytes'] });
+        expect(await cases.deleteNote(id, note.id)).toMatchObject({ notes: [] });
+    });
+
+    test('should persist to a JSON-lines store', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-store-'));
+        const filePath = path.join(dir, 'cases.jsonl');
+
+        try {
+            const cases = new CaseManager({ store: new JsonLinesCaseStore({ path: filePath }) });
+            const { id } = await cases.createCase({ name: 'Op Falcon' });
+            await cases.addNote(id, { text: 'first note' });
+            const { id: removed } = await cases.createCase({ name: 'Scratch' });
+            await cases.deleteCase(removed);
+            await cases.close();
+
+            const reopened = new CaseManager({ store: new JsonLinesCaseStore({ path: filePath }) });
+            expect((await reopened.getCase(id)).notes.map(n => n.text)).toEqual(['first note']);
+            expect(await reopened.getCase(removed)).toBeNull();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
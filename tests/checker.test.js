@@ -0,0 +1,100 @@
+/**
+ * Username Checker Tests
+ */
+
+const axios = require('axios');
+const UsernameChecker = require('../lib/checker');
+const { fingerprintResponse, compareFingerprint } = require('../lib/detection');
+
+jest.mock('axios');
+
+const PLATFORM = {
+    name: 'SoftSite',
+    category: 'social',
+    url: 'https://soft.example.com/{username}',
+    checkMethod: 'status'
+};
+
+function page(title, length) {
+    return `<html><title>${title}</title><body>${'x'.repeat(length)}</body></html>`;
+}
+
+describe('UsernameChecker calibration', () => {
+    let request;
+
+    beforeEach(() => {
+        request = jest.fn();
+        axios.create.mockReturnValue({ request });
+    });
+
+    test('should downgrade hits that look like the soft-404 baseline', async () => {
+        // Every username gets the same 200 landing page
+        request.mockImplementation(async () => ({ status: 200, data: page('Soft Site', 3000) }));
+        const checker = new UsernameChecker({ calibrate: true });
+
+        const result = await checker.check(PLATFORM, 'alice');
+
+        expect(result.status).toBe('not-found');
+        expect(result.calibrated).toBe(true);
+        expect(result.calibration.differences).toEqual([]);
+        expect(result.reason).toContain('soft-404 baseline');
+    });
+
+    test('should keep hits that differ from the baseline and report the evidence', async () => {
+        request.mockImplementation(async ({ url }) => url.endsWith('/alice')
+            ? { status: 200, data: page('alice - Soft Site', 9000) }
+            : { status: 200, data: page('Soft Site', 3000) });
+        const checker = new UsernameChecker({ calibrate: true });
+
+        const result = await checker.check(PLATFORM, 'alice');
+
+        expect(result.status).toBe('found');
+        expect(result.calibrated).toBe(true);
+        expect(result.calibration.differences.map(d => d.field)).toEqual(['title', 'length']);
+        expect(result.reason).toContain('differs from soft-404 baseline (title, length)');
+    });
+
+    test('should probe each platform once per TTL', async () => {
+        request.mockResolvedValue({ status: 404, data: '' });
+        const checker = new UsernameChecker({ calibrate: true });
+
+        await checker.check(PLATFORM, 'alice');
+        await checker.check(PLATFORM, 'bob');
+
+        // one calibration probe + two checks
+        expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    test('should respect usernamePattern when generating the probe', () => {
+        const checker = new UsernameChecker();
+        const probe = checker.generateProbeUsername({ ...PLATFORM, usernamePattern: '^[a-z][a-z0-9]{4,7}$' });
+        expect(probe).toMatch(/^[a-z][a-z0-9]{4,7}$/);
+    });
+
+    test('should skip calibration unless requested', async () => {
+        request.mockResolvedValue({ status: 200, data: page('Soft Site', 3000) });
+        const checker = new UsernameChecker();
+
+        const result = await checker.check(PLATFORM, 'alice');
+
+        expect(result.status).toBe('found');
+        expect(result.calibrated).toBeUndefined();
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('fingerprints', () => {
+    test('should mask the username out of titles and redirects', () => {
+        const response = name => ({
+            status: 200,
+            data: page(`${name} not here`, 100),
+            request: { res: { responseUrl: `https://soft.example.com/search?q=${name}` } }
+        });
+
+        const baseline = fingerprintResponse(response('x1234abcd'), 'x1234abcd');
+        const actual = fingerprintResponse(response('alice'), 'alice');
+
+        expect(baseline.title).toBe('{username} not here');
+        expect(compareFingerprint(baseline, actual).matches).toBe(true);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Detection Engine Tests
+ */
+
+const { detectProfile, extractTitle } = require('../lib/detection');
+
+const PLATFORM = {
+    name: 'Example',
+    category: 'social',
+    url: 'https://example.com/{username}',
+    checkMethod: 'status'
+};
+
+const PROFILE_URL = 'https://example.com/alice';
+
+function page(title, body = '', size = 2000) {
+    return `<html><head><title>${title}</title></head><body>${body}${' '.repeat(size)}</body></html>`;
+}
+
+function respond(data, overrides = {}) {
+    return {
+        status: 200,
+        data,
+        headers: {},
+        request: { res: { responseUrl: PROFILE_URL } },
+        ...overrides
+    };
+}
+
+function detect(response, platform = PLATFORM) {
+    return detectProfile(platform, response, { username: 'alice', requestUrl: PROFILE_URL });
+}
+
+describe('detectProfile', () => {
+    test('should report not-found on a status mismatch', () => {
+        const result = detect(respond('', { status: 404 }));
+
+        expect(result.status).toBe('not-found');
+        expect(result.reason).toBe('HTTP 404 (expected 200)');
+        expect(result.confidence).toBe(0.05);
+    });
+
+    test('should treat a redirect away from the profile as a soft 404', () => {
+        const result = detect(respond(page('Home'), {
+            request: { res: { responseUrl: 'https://example.com/' } }
+        }));
+
+        expect(result.status).toBe('not-found');
+        expect(result.reason).toContain('Redirected away from the profile');
+    });
+
+    test('should follow redirects that keep the username', () => {
+        const result = detect(respond(page('alice'), {
+            request: { res: { responseUrl: 'https://www.example.com/Alice/' } }
+        }));
+        expect(result.status).toBe('found');
+    });
+
+    test('should honour notFoundRedirect', () => {
+        const platform = { ...PLATFORM, notFoundRedirect: '/login' };
+        const result = detect(respond(page('Sign in'), {
+            request: { res: { responseUrl: 'https://example.com/login?next=/alice' } }
+        }), platform);
+
+        expect(result.status).toBe('not-found');
+        expect(result.reason).toBe('Redirected to https://example.com/login?next=/alice');
+    });
+
+    test('should detect soft-404 titles', () => {
+        expect(detect(respond(page('Page Not Found | Example'))).status).toBe('not-found');
+        expect(detect(respond(page('Gone')), { ...PLATFORM, errorTitles: ['gone'] }).status).toBe('not-found');
+    });
+
+    test('should enforce minContentLength', () => {
+        const result = detect(respond('<p>x</p>'), { ...PLATFORM, minContentLength: 1000 });
+
+        expect(result.status).toBe('not-found');
+        expect(result.reason).toContain('expected at least 1000');
+    });
+
+    test('should raise confidence with corroborating signals', () => {
+        const bare = detect(respond(page('Example', '', 0)));
+        const missingContent = detect(respond(page('alice on Example', '@alice')), {
+            ...PLATFORM,
+            checkMethod: 'content',
+            validContent: 'profile-card',
+            errorStrings: []
+        });
+
+        expect(bare.status).toBe('found');
+        expect(missingContent.status).toBe('not-found');
+
+        const withContent = detect(respond(page('alice on Example', '<div class="profile-card">@alice</div>')), {
+            ...PLATFORM,
+            checkMethod: 'content',
+            validContent: 'profile-card',
+            errorStrings: []
+        });
+
+        expect(withContent.status).toBe('found');
+        expect(withContent.reason).toBe('HTTP 200, expected content, username in title, username in page');
+        expect(withContent.confidence).toBeGreaterThan(bare.confidence);
+        expect(withContent.confidence).toBeLessThanOrEqual(0.95);
+    });
+
+    test('should list the signals it used', () => {
+        const result = detect(respond(page('alice')));
+        expect(result.signals.map(s => s.signal)).toEqual(['status', 'titleUsername', 'bodyUsername']);
+    });
+});
+
+describe('extractTitle', () => {
+    test('should collapse whitespace', () => {
+        expect(extractTitle('<title>\n  Hello\n  World </title>')).toBe('Hello World');
+        expect(extractTitle('<p>no title</p>')).toBeNull();
+    });
+});
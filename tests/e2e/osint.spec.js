@@ -264,7 +264,7 @@ test.describe('OSINT Playground', () => {
     test.describe('Scan API', () => {
         test('should start a scan and return scan ID', async ({ page }) => {
             const response = await page.request.post('/api/scan', {
-                data: { query: 'testuser' }
+                data: { query: 'testuser', justification: 'E2E test run' }
             });
             
             expect(response.ok()).toBeTruthy();
@@ -277,17 +277,26 @@ test.describe('OSINT Playground', () => {
         
         test('should reject invalid query', async ({ page }) => {
             const response = await page.request.post('/api/scan', {
-                data: { query: 'invalid query with spaces!' }
+                data: { query: 'invalid query with spaces!', justification: 'E2E test run' }
             });
             
             expect(response.ok()).toBeFalsy();
             expect(response.status()).toBe(400);
         });
         
+        test('should require a case or justification', async ({ page }) => {
+            const response = await page.request.post('/api/scan', {
+                data: { query: 'testuser' }
+            });
+            
+            expect(response.status()).toBe(400);
+            expect((await response.json()).reason).toBe('justification');
+        });
+        
         test('should get scan results by ID', async ({ page }) => {
             // First start a scan
             const startResponse = await page.request.post('/api/scan', {
-                data: { query: 'octocat' }
+                data: { query: 'octocat', justification: 'E2E test run' }
             });
             const { scanId } = await startResponse.json();
             
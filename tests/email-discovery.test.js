@@ -0,0 +1,123 @@
+/**
+ * Email Discovery Tests
+ */
+
+const {
+    inferPattern,
+    generateCandidates,
+    checkSyntax,
+    isRoleAccount,
+    isDisposable,
+    checkMx,
+    validateDomain,
+    validateEmail
+} = require('../lib/email-discovery');
+
+function dnsError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+}
+
+describe('inferPattern', () => {
+    test('should rank patterns seen in named samples', () => {
+        const patterns = inferPattern([
+            { value: 'john.smith@acme.com', first_name: 'John', last_name: 'Smith' },
+            { email: 'jane.doe@acme.com', firstName: 'Jane', lastName: 'Doe' },
+            { email: 'bwayne@acme.com', firstName: 'Bruce', lastName: 'Wayne' },
+            { email: 'other@elsewhere.com', firstName: 'Other', lastName: 'Person' },
+            'nameless@acme.com'
+        ], 'acme.com');
+
+        expect(patterns).toEqual([
+            { pattern: '{first}.{last}', matches: 2, confidence: 0.6 },
+            { pattern: '{f}{last}', matches: 1, confidence: 0.4 }
+        ]);
+    });
+
+    test('should normalize accents and count a Hunter hint', () => {
+        const patterns = inferPattern(
+            [{ email: 'zoe_muller@acme.com', firstName: 'Zoë', lastName: 'Müller' }],
+            'acme.com',
+            { hint: '{first}_{last}' }
+        );
+        expect(patterns[0]).toEqual({ pattern: '{first}_{last}', matches: 2, confidence: 0.75 });
+    });
+});
+
+describe('generateCandidates', () => {
+    test('should put inferred patterns before common ones', () => {
+        const candidates = generateCandidates(
+            { firstName: 'Ada', lastName: 'Lovelace', domain: 'Acme.com' },
+            [{ pattern: '{f}{last}', confidence: 0.8 }],
+            { limit: 3 }
+        );
+
+        expect(candidates).toEqual([
+            { email: 'alovelace@acme.com', pattern: '{f}{last}', confidence: 0.8, source: 'inferred' },
+            { email: 'ada.lovelace@acme.com', pattern: '{first}.{last}', confidence: 0.15, source: 'common' },
+            { email: 'ada@acme.com', pattern: '{first}', confidence: 0.06, source: 'common' }
+        ]);
+    });
+
+    test('should skip last-name patterns without a last name', () => {
+        const candidates = generateCandidates({ firstName: 'Cher', domain: 'acme.com' });
+        expect(candidates.map(c => c.email)).toEqual(['cher@acme.com']);
+    });
+});
+
+describe('validation', () => {
+    test('should check syntax, role accounts and disposable domains', () => {
+        expect(checkSyntax('ada.lovelace@acme.com')).toBe(true);
+        expect(checkSyntax('ada..lovelace@acme.com')).toBe(false);
+        expect(checkSyntax('ada@localhost')).toBe(false);
+        expect(isRoleAccount('Support+tickets@acme.com')).toBe(true);
+        expect(isRoleAccount('ada@acme.com')).toBe(false);
+        expect(isDisposable('mailinator.com')).toBe(true);
+        expect(isDisposable('eu.mailinator.com')).toBe(true);
+        expect(isDisposable('acme.com')).toBe(false);
+    });
+
+    test('should sort MX records by priority', async () => {
+        const resolver = {
+            resolveMx: jest.fn().mockResolvedValue([
+                { exchange: 'mx2.acme.com', priority: 20 },
+                { exchange: 'mx1.acme.com', priority: 10 }
+            ])
+        };
+
+        expect(await checkMx('acme.com', { resolver })).toEqual({
+            found: true,
+            implicit: false,
+            records: ['mx1.acme.com', 'mx2.acme.com']
+        });
+    });
+
+    test('should fall back to A records and report missing mail servers', async () => {
+        const implicit = {
+            resolveMx: jest.fn().mockRejectedValue(dnsError('ENODATA')),
+            resolve4: jest.fn().mockResolvedValue(['192.0.2.1'])
+        };
+        const missing = {
+            resolveMx: jest.fn().mockRejectedValue(dnsError('ENOTFOUND')),
+            resolve4: jest.fn().mockRejectedValue(dnsError('ENOTFOUND'))
+        };
+
+        expect((await checkMx('acme.com', { resolver: implicit })).implicit).toBe(true);
+        expect((await checkMx('nowhere.invalid', { resolver: missing })).found).toBe(false);
+    });
+
+    test('should classify candidates', async () => {
+        const resolver = { resolveMx: jest.fn().mockResolvedValue([{ exchange: 'mx.acme.com', priority: 10 }]) };
+        const domainCheck = await validateDomain('acme.com', { resolver });
+
+        expect(validateEmail('ada@acme.com', domainCheck).status).toBe('valid');
+        expect(validateEmail('info@acme.com', domainCheck)).toEqual({
+            status: 'risky',
+            checks: { syntax: true, mx: true, disposable: false, role: true },
+            reasons: ['Role account']
+        });
+        expect(validateEmail('ada@acme.com', { disposable: false, mx: { found: false } }).status).toBe('invalid');
+        expect(validateEmail('ada@acme.com', { disposable: false, mx: null }).status).toBe('unknown');
+    });
+});
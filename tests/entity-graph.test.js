@@ -0,0 +1,206 @@
+/**
+ * Entity Graph Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    EntityGraph,
+    EntityValidationError,
+    entityIdFor,
+    scanToGraph
+} = require('../lib/entity-graph');
+const { JsonLinesEntityStore } = require('../lib/entity-store');
+const { SearchAggregator, BaseAdapter } = require('../lib/search-aggregator');
+
+function makeScan(overrides = {}) {
+    return {
+        id: 'scan-1',
+        query: 'jdoe',
+        target: null,
+        results: [
+            {
+                id: 'github-1',
+                source: 'github',
+                type: 'profile',
+                username: 'jdoe',
+                displayName: 'Jane Doe',
+                url: 'https://github.com/jdoe',
+                email: 'Jane@Example.com',
+                location: 'Berlin',
+                company: '@acme',
+                confidence: 0.95
+            },
+            {
+                id: 'keybase-1',
+                source: 'keybase',
+                type: 'profile',
+                username: 'jdoe',
+                url: 'https://keybase.io/jdoe',
+                proofs: [{ proof_type: 'dns', nametag: 'jane.dev' }, { proof_type: 'twitter', nametag: 'jane_d' }],
+                confidence: 0.85
+            }
+        ],
+        identities: [{ id: 'identity-1', confidence: 0.9, members: [{ resultId: 'github-1' }, { resultId: 'keybase-1' }] }],
+        ...overrides
+    };
+}
+
+describe('entity identity', () => {
+    test('should derive the same ID from equivalent attributes', () => {
+        expect(entityIdFor('email', { email: 'Jane@Example.com ' })).toBe(entityIdFor('email', { email: 'jane@example.com' }));
+        expect(entityIdFor('domain', { domain: 'https://www.Jane.dev/about' })).toBe(entityIdFor('domain', { domain: 'jane.dev' }));
+        expect(entityIdFor('account', { platform: 'GitHub', username: 'JDoe' })).toMatch(/^account-[0-9a-f]{16}$/);
+        expect(entityIdFor('email', { email: 'not-an-email' })).toBeNull();
+    });
+});
+
+describe('EntityGraph', () => {
+    test('should merge observations and keep attribute provenance', async () => {
+        const graph = new EntityGraph();
+
+        const first = await graph.upsertEntity({ type: 'person', attributes: { name: 'Jane Doe', city: 'Berlin' } },
+            { source: 'github', scanId: 'scan-1', confidence: 0.6 });
+        const second = await graph.upsertEntity({ type: 'person', attributes: { name: 'jane  doe', city: 'Munich' } },
+            { source: 'linkedin', scanId: 'scan-2', confidence: 0.9 });
+
+        expect(first.created).toBe(true);
+        expect(second.created).toBe(false);
+        expect(second.entity.id).toBe(first.entity.id);
+        expect(second.entity.attributes.city).toBe('Munich');
+        expect(second.entity.provenance.city.map(o => [o.value, o.source, o.scanId])).toEqual([
+            ['Berlin', 'github', 'scan-1'],
+            ['Munich', 'linkedin', 'scan-2']
+        ]);
+        expect(second.entity.scans).toEqual(['scan-1', 'scan-2']);
+    });
+
+    test('should apply manual edits but refuse identity changes', async () => {
+        const graph = new EntityGraph();
+        const { entity } = await graph.upsertEntity({ type: 'email', attributes: { email: 'jane@example.com', status: 'valid' } },
+            { source: 'hunter', confidence: 0.7 });
+
+        const updated = await graph.updateEntity(entity.id, { label: 'Work email', attributes: { status: 'bouncing', webmail: null } });
+        expect(updated.label).toBe('Work email');
+        expect(updated.attributes.status).toBe('bouncing');
+        expect(updated.provenance.status.at(-1)).toMatchObject({ source: 'manual', confidence: 1 });
+
+        await expect(graph.updateEntity(entity.id, { attributes: { email: 'other@example.com' } }))
+            .rejects.toThrow('cannot change');
+        expect(await graph.updateEntity('email-missing', {})).toBeNull();
+    });
+
+    test('should validate entities and relationships', async () => {
+        const graph = new EntityGraph();
+        const { entity: email } = await graph.upsertEntity({ type: 'email', attributes: { email: 'jane@example.com' } });
+        const { entity: ip } = await graph.upsertEntity({ type: 'ip', attributes: { ip: '203.0.113.7' } });
+
+        await expect(graph.upsertEntity({ type: 'planet', attributes: {} })).rejects.toBeInstanceOf(EntityValidationError);
+        await expect(graph.upsertEntity({ type: 'account', attributes: { platform: 'github' } }))
+            .rejects.toMatchObject({ errors: ['account entities need platform and username, or url'] });
+        await expect(graph.upsertRelationship({ type: 'resolves_to', source: email.id, target: ip.id }))
+            .rejects.toMatchObject({ errors: ['resolves_to cannot connect email to ip'] });
+        await expect(graph.upsertRelationship({ type: 'related_to', source: email.id, target: 'ip-missing' }))
+            .rejects.toMatchObject({ errors: ['target entity "ip-missing" does not exist'] });
+    });
+
+    test('should delete relationships with their entity', async () => {
+        const graph = new EntityGraph();
+        const { entity: domain } = await graph.upsertEntity({ type: 'domain', attributes: { domain: 'jane.dev' } });
+        const { entity: ip } = await graph.upsertEntity({ type: 'ip', attributes: { ip: '203.0.113.7' } });
+        const { relationship } = await graph.upsertRelationship({ type: 'resolves_to', source: domain.id, target: ip.id });
+
+        expect(await graph.deleteEntity(ip.id)).toEqual({ id: ip.id, relationships: 1 });
+        expect(await graph.getRelationship(relationship.id)).toBeNull();
+        expect(await graph.deleteEntity(ip.id)).toBeNull();
+    });
+
+    test('should persist to a JSON-lines store', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'entity-store-'));
+        const filePath = path.join(dir, 'entities.jsonl');
+
+        try {
+            const graph = new EntityGraph({ store: new JsonLinesEntityStore({ path: filePath }) });
+            const { entity } = await graph.upsertEntity({ type: 'username', attributes: { username: 'jdoe' } });
+            const { entity: removed } = await graph.upsertEntity({ type: 'username', attributes: { username: 'gone' } });
+            await graph.deleteEntity(removed.id);
+            await graph.close();
+
+            const reopened = new EntityGraph({ store: new JsonLinesEntityStore({ path: filePath }) });
+            expect((await reopened.getEntity(entity.id)).label).toBe('jdoe');
+            expect(await reopened.getEntity(removed.id)).toBeNull();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('scan ingestion', () => {
+    test('should map results to typed entities and relationships', () => {
+        const { relationships, resultEntities } = scanToGraph(makeScan());
+        const id = (type, attributes) => entityIdFor(type, attributes);
+        const github = id('account', { platform: 'github', username: 'jdoe' });
+        const keybase = id('account', { platform: 'keybase', username: 'jdoe' });
+        const edges = relationships.map(r => [r.type, r.source, r.target]);
+
+        expect(resultEntities.get('github-1')).toBe(github);
+        expect(edges).toEqual(expect.arrayContaining([
+            ['has_account', id('username', { username: 'jdoe' }), github],
+            ['has_email', github, id('email', { email: 'jane@example.com' })],
+            ['located_at', github, id('location', { name: 'Berlin' })],
+            ['works_at', github, id('organization', { name: 'acme' })],
+            ['verified_identity', keybase, id('domain', { domain: 'jane.dev' })],
+            ['verified_identity', keybase, id('account', { platform: 'twitter', username: 'jane_d' })],
+            ['same_as', github, keybase]
+        ]));
+    });
+
+    test('should merge scans into the shared graph', async () => {
+        const graph = new EntityGraph();
+        const scan = makeScan();
+
+        const counts = await graph.ingestScan(scan);
+        await graph.ingestScan(makeScan({
+            id: 'scan-2',
+            target: { type: 'email', queries: { email: 'jane@example.com' } },
+            results: [{ id: 'hibp-1', source: 'hibp', type: 'breach', breach: 'Adobe', email: 'jane@example.com', confidence: 0.95 }],
+            identities: []
+        }));
+
+        expect(counts.entities).toBe(8);
+        expect(scan.results[0].entityId).toBe(entityIdFor('account', { platform: 'github', username: 'jdoe' }));
+
+        const email = await graph.getEntity(entityIdFor('email', { email: 'jane@example.com' }));
+        expect(email.scans).toEqual(['scan-1', 'scan-2']);
+        const { items } = await graph.listRelationships({ entity: email.id });
+        expect(items.map(r => r.type).sort()).toEqual(['exposed_in', 'has_email']);
+    });
+
+    test('should populate the graph from aggregator scans', async () => {
+        class ProfileAdapter extends BaseAdapter {
+            constructor() {
+                super('profiles', { priority: 1 });
+            }
+            async search(query) {
+                return [{ ...this.normalizeResult({}, 'profile'), username: query, url: `https://example.com/${query}`, email: `${query}@example.com` }];
+            }
+        }
+
+        const graph = new EntityGraph();
+        const aggregator = new SearchAggregator({ enableCache: false, hashAvatars: false, pruneInterval: 0, graph });
+        aggregator.adapters.clear();
+        aggregator.registerAdapter(new ProfileAdapter());
+
+        const completed = await new Promise(resolve => {
+            aggregator.on('scan:complete', resolve);
+            aggregator.startScan('jdoe');
+        });
+
+        expect(completed.stats).toMatchObject({ entities: 3, relationships: 2 });
+        expect(completed.results[0].entityId).toMatch(/^account-/);
+        const { total } = await graph.listEntities({ scanId: completed.id });
+        expect(total).toBe(3);
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * HTTP Response Cache Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const {
+    HttpCache,
+    installHttpCache,
+    parseCacheControl,
+    freshnessLifetime,
+    redactUrl
+} = require('../lib/http-cache');
+
+function reply(status, data, headers = {}) {
+    return config => Promise.resolve({
+        data,
+        status,
+        statusText: String(status),
+        headers: new axios.AxiosHeaders(headers),
+        config,
+        request: {}
+    });
+}
+
+describe('cache headers', () => {
+    test('should parse Cache-Control directives', () => {
+        expect(parseCacheControl('public, max-age=60, s-maxage="120"')).toEqual({ public: true, 'max-age': '60', 's-maxage': '120' });
+    });
+
+    test('should compute freshness from max-age, Expires and Age', () => {
+        expect(freshnessLifetime({ 'cache-control': 'max-age=60', age: '10' })).toBe(50);
+        expect(freshnessLifetime({ date: 'Mon, 01 Jan 2024 00:00:00 GMT', expires: 'Mon, 01 Jan 2024 00:05:00 GMT' })).toBe(300);
+        expect(freshnessLifetime({ 'cache-control': 'no-cache, max-age=60' })).toBe(0);
+        expect(freshnessLifetime({ 'cache-control': 'no-store' })).toBeNull();
+        expect(freshnessLifetime({}, 30)).toBe(30);
+    });
+
+    test('should mask credentials in URLs', () => {
+        expect(redactUrl('https://api.example.com/host?key=abc&q=1')).toBe('https://api.example.com/host?key=REDACTED&q=1');
+    });
+});
+
+describe('HttpCache', () => {
+    let dir;
+    let network;
+    let client;
+    let cache;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+        network = jest.fn();
+        client = axios.create({ adapter: network });
+        cache = installHttpCache(new HttpCache({ dir }), client);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should serve fresh responses from the cache', async () => {
+        network.mockImplementation(reply(200, '{"login":"octocat"}', { 'cache-control': 'max-age=60', etag: '"v1"' }));
+
+        const first = await client.get('https://api.github.com/users/octocat');
+        const second = await client.get('https://api.github.com/users/octocat');
+
+        expect(network).toHaveBeenCalledTimes(1);
+        expect(first.headers['x-cache']).toBe('MISS');
+        expect(second.headers['x-cache']).toBe('HIT');
+        expect(second.data).toEqual({ login: 'octocat' });
+    });
+
+    test('should revalidate stale entries with conditional requests', async () => {
+        network.mockImplementationOnce(reply(200, '{"id":1}', { 'cache-control': 'no-cache', etag: '"v1"' }));
+        network.mockImplementationOnce(reply(304, '', { etag: '"v1"', 'cache-control': 'max-age=30' }));
+
+        await client.get('https://api.example.com/item/1');
+        const revalidated = await client.get('https://api.example.com/item/1');
+        const fresh = await client.get('https://api.example.com/item/1');
+
+        expect(network.mock.calls[1][0].headers.get('If-None-Match')).toBe('"v1"');
+        expect(revalidated.headers['x-cache']).toBe('REVALIDATED');
+        expect(revalidated.data).toEqual({ id: 1 });
+        expect(fresh.headers['x-cache']).toBe('HIT');
+        expect(network).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not store no-store responses or responses without validators', async () => {
+        network.mockImplementationOnce(reply(200, 'a', { 'cache-control': 'no-store' }));
+        network.mockImplementationOnce(reply(200, 'b'));
+
+        await client.get('https://example.com/a');
+        await client.get('https://example.com/b');
+
+        expect((await cache.getStats()).entries).toBe(0);
+    });
+
+    test('should persist entries across instances', async () => {
+        network.mockImplementation(reply(200, 'hello', { 'cache-control': 'max-age=60' }));
+        await client.get('https://example.com/page', { responseType: 'text' });
+
+        const reloaded = axios.create({ adapter: network });
+        installHttpCache(new HttpCache({ dir }), reloaded);
+        const response = await reloaded.get('https://example.com/page', { responseType: 'text' });
+
+        expect(response.headers['x-cache']).toBe('HIT');
+        expect(response.data).toBe('hello');
+        expect(network).toHaveBeenCalledTimes(1);
+    });
+
+    test('should apply validateStatus to cached responses', async () => {
+        network.mockImplementation(reply(404, 'missing', { 'cache-control': 'max-age=60' }));
+
+        await client.get('https://example.com/nobody', { validateStatus: () => true });
+        await expect(client.get('https://example.com/nobody')).rejects.toMatchObject({ response: { status: 404 } });
+        expect(network).toHaveBeenCalledTimes(1);
+    });
+
+    test('should cache responses rejected by validateStatus', async () => {
+        network.mockImplementation(config => reply(404, 'missing', { 'cache-control': 'max-age=60' })(config)
+            .then(response => Promise.reject(new axios.AxiosError('Not found', 'ERR_BAD_REQUEST', config, null, response))));
+
+        await expect(client.get('https://example.com/gone')).rejects.toMatchObject({ response: { status: 404 } });
+        await expect(client.get('https://example.com/gone')).rejects.toMatchObject({ response: { status: 404 } });
+        expect(network).toHaveBeenCalledTimes(1);
+    });
+
+    test('should bypass the cache on request', async () => {
+        network.mockImplementation(reply(200, 'x', { 'cache-control': 'max-age=60' }));
+
+        await client.get('https://example.com/x', { cache: false });
+        await client.get('https://example.com/x', { cache: false });
+
+        expect(network).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep responses for different provider keys apart', async () => {
+        network.mockImplementation(reply(200, '{}', { 'cache-control': 'max-age=60' }));
+        const url = 'https://haveibeenpwned.com/api/v3/breachedaccount/a';
+
+        await client.get(url, { headers: { 'hibp-api-key': 'one' } });
+        await client.get(url, { headers: { 'hibp-api-key': 'two' } });
+        await client.get(url, { headers: { 'x-apikey': 'two' } });
+        await client.get(url, { headers: { Key: 'two' } });
+        const hit = await client.get(url, { headers: { 'hibp-api-key': 'one' } });
+
+        expect(network).toHaveBeenCalledTimes(4);
+        expect(hit.headers['x-cache']).toBe('HIT');
+    });
+
+    test('should only reuse a response for requests matching its Vary headers', async () => {
+        network.mockImplementation(config => reply(200, `"${config.headers.get('Accept-Language')}"`, {
+            'cache-control': 'max-age=60',
+            vary: 'Accept-Language'
+        })(config));
+        const url = 'https://example.com/profile';
+
+        await client.get(url, { headers: { 'Accept-Language': 'en' } });
+        const other = await client.get(url, { headers: { 'Accept-Language': 'de' } });
+        const hit = await client.get(url, { headers: { 'Accept-Language': 'de' } });
+
+        expect(other.headers['x-cache']).toBe('MISS');
+        expect(other.data).toBe('de');
+        expect(hit.headers['x-cache']).toBe('HIT');
+        expect(hit.data).toBe('de');
+        expect(network).toHaveBeenCalledTimes(2);
+    });
+
+    test('should list and purge entries by host', async () => {
+        network.mockImplementation(reply(200, '{}', { 'cache-control': 'max-age=60' }));
+        await client.get('https://api.shodan.io/host/1.1.1.1', { params: { key: 'secret' } });
+        await client.get('https://api.github.com/users/a');
+
+        const entries = await cache.list({ host: 'api.shodan.io' });
+        expect(entries).toHaveLength(1);
+        expect(entries[0].url).toBe('https://api.shodan.io/host/1.1.1.1?key=REDACTED');
+        expect(entries[0].fresh).toBe(true);
+
+        expect(await cache.purge({ host: 'api.shodan.io' })).toBe(1);
+        expect((await cache.getStats()).entries).toBe(1);
+    });
+});
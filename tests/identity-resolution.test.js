@@ -0,0 +1,135 @@
+/**
+ * Identity Resolution Tests
+ */
+
+const {
+    normalizeUrl,
+    nameSimilarity,
+    compareProfiles,
+    resolveIdentities
+} = require('../lib/identity-resolution');
+const { SearchAggregator, BaseAdapter } = require('../lib/search-aggregator');
+
+function profile(source, fields = {}) {
+    return {
+        id: `${source}-1`,
+        source,
+        type: 'profile',
+        username: 'janedoe',
+        url: `https://${source}.com/janedoe`,
+        confidence: 0.9,
+        ...fields
+    };
+}
+
+describe('helpers', () => {
+    test('should normalize URLs', () => {
+        expect(normalizeUrl('https://www.GitHub.com/JaneDoe/')).toBe('github.com/janedoe');
+        expect(normalizeUrl('github.com/janedoe')).toBe('github.com/janedoe');
+    });
+
+    test('should compare names regardless of order and accents', () => {
+        expect(nameSimilarity('Jane Doe', 'Doe, Jane')).toBe(1);
+        expect(nameSimilarity('Zoë Smith', 'zoe smith')).toBe(1);
+        expect(nameSimilarity('Jane Doe', 'John Smith')).toBe(0);
+    });
+});
+
+describe('compareProfiles', () => {
+    test('should find email, avatar and name evidence', () => {
+        const evidence = compareProfiles(
+            profile('github', { email: 'Jane@Example.com', avatar: 'https://img/a.png?s=40', displayName: 'Jane Doe' }),
+            profile('gitlab', { email: 'jane@example.com', avatar: 'https://img/a.png', displayName: 'Jane Doe' })
+        );
+        expect(evidence.map(e => e.type)).toEqual(['email', 'avatar', 'displayName']);
+    });
+
+    test('should compare hashed avatars perceptually', () => {
+        const hashes = { aHash: 'ff00ff00ff00ff00', dHash: '0f0f0f0f0f0f0f0f', pHash: 'aaaaaaaaaaaaaaaa', uniform: false };
+        const evidence = compareProfiles(
+            profile('github', { avatar: 'https://avatars.example.com/u/1', avatarHashes: hashes }),
+            profile('twitter', { avatar: 'https://pbs.example.com/p.jpg', avatarHashes: { ...hashes, pHash: 'aaaaaaaaaaaaaaab' } })
+        );
+        expect(evidence).toEqual([{ type: 'avatar', weight: 0.8, detail: 'perceptual hash distance 1' }]);
+    });
+
+    test('should follow links in bios and website fields', () => {
+        const evidence = compareProfiles(
+            profile('github', { raw: { blog: 'https://www.reddit.com/user/janedoe' } }),
+            profile('reddit', { url: 'https://reddit.com/user/janedoe' })
+        );
+        expect(evidence).toEqual([expect.objectContaining({ type: 'linkedUrl' })]);
+    });
+
+    test('should use Keybase proofs', () => {
+        const evidence = compareProfiles(
+            profile('keybase', { proofs: [{ proof_type: 'github', nametag: 'JaneDoe' }] }),
+            profile('github')
+        );
+        expect(evidence).toEqual([expect.objectContaining({ type: 'keybaseProof', detail: 'github:JaneDoe' })]);
+    });
+});
+
+describe('resolveIdentities', () => {
+    test('should merge linked profiles with provenance', () => {
+        const identities = resolveIdentities([
+            profile('github', { displayName: 'Jane Doe', location: 'Berlin', email: 'jane@example.com' }),
+            profile('gitlab', { displayName: 'Jane Doe', location: 'Berlin, DE', email: 'jane@example.com' }),
+            profile('keybase', { proofs: [{ proof_type: 'github', nametag: 'janedoe' }], location: 'Berlin' }),
+            profile('reddit'),
+            { id: 'repo-1', source: 'github', type: 'repository', url: 'https://github.com/janedoe/x' }
+        ]);
+
+        expect(identities).toHaveLength(1);
+        const [identity] = identities;
+
+        expect(identity.sources.sort()).toEqual(['github', 'gitlab', 'keybase']);
+        expect(identity.confidence).toBeGreaterThan(0.95);
+        expect(identity.attributes.location[0]).toEqual({
+            value: 'Berlin',
+            sources: [
+                { source: 'github', resultId: 'github-1', url: 'https://github.com/janedoe' },
+                { source: 'keybase', resultId: 'keybase-1', url: 'https://keybase.com/janedoe' }
+            ]
+        });
+        expect(identity.evidence.map(e => e.type)).toEqual(
+            expect.arrayContaining(['email', 'displayName', 'keybaseProof'])
+        );
+    });
+
+    test('should not merge on weak evidence alone', () => {
+        const identities = resolveIdentities([
+            profile('github', { displayName: 'Jane' }),
+            profile('gitlab', { displayName: 'jane' })
+        ]);
+        expect(identities).toEqual([]);
+    });
+});
+
+describe('SearchAggregator identities', () => {
+    class FixedAdapter extends BaseAdapter {
+        constructor(name, fields) {
+            super(name, { priority: 1 });
+            this.fields = fields;
+        }
+        async search(query) {
+            return [{ ...this.normalizeResult({}, 'profile'), username: query, url: `https://${this.name}.com/${query}`, ...this.fields }];
+        }
+    }
+
+    test('should attach identities to completed scans', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false });
+        testAggregator.adapters.clear();
+        testAggregator.registerAdapter(new FixedAdapter('github', { email: 'jane@example.com' }));
+        testAggregator.registerAdapter(new FixedAdapter('gitlab', { email: 'jane@example.com' }));
+
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('janedoe');
+        });
+
+        expect(completed.identities).toHaveLength(1);
+        expect(completed.stats.identities).toBe(1);
+        completed.results.forEach(result => expect(result.identityId).toBe(completed.identities[0].id));
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * Avatar Perceptual Hashing Tests
+ */
+
+const zlib = require('zlib');
+const {
+    ImageDecodeError,
+    decodeImage,
+    hashImage,
+    hammingDistance,
+    compareHashes,
+    findAvatarMatches,
+    AvatarHasher
+} = require('../lib/image-hash');
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    // The decoder does not verify CRCs
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+/**
+ * Encode an 8-bit PNG; `pixel(x, y)` returns one value per channel
+ */
+function encodePng(width, height, colorType, pixel) {
+    const channels = { 0: 1, 2: 3, 6: 4 }[colorType];
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = [y % 2 ? 1 : 0]; // alternate None and Sub filters
+        let previous = new Array(channels).fill(0);
+        for (let x = 0; x < width; x++) {
+            const values = pixel(x, y);
+            row.push(...values.map((v, c) => (y % 2 ? (v - previous[c]) & 0xff : v)));
+            previous = values;
+        }
+        rows.push(Buffer.from(row));
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Encode a 4-color GIF, resetting the LZW table before every pixel
+ */
+function encodeGif(width, height, palette, index) {
+    const codes = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) codes.push(4, index(x, y));
+    }
+    codes.push(5);
+
+    const bytes = [];
+    codes.forEach((code, i) => {
+        for (let bit = 0; bit < 3; bit++) {
+            const position = i * 3 + bit;
+            if (position % 8 === 0) bytes.push(0);
+            bytes[bytes.length - 1] |= ((code >> bit) & 1) << (position % 8);
+        }
+    });
+
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const part = bytes.slice(i, i + 255);
+        blocks.push(part.length, ...part);
+    }
+
+    const screen = Buffer.alloc(7);
+    screen.writeUInt16LE(width, 0);
+    screen.writeUInt16LE(height, 2);
+    screen[4] = 0x81; // global table of 4 entries
+
+    const descriptor = Buffer.alloc(10);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(width, 5);
+    descriptor.writeUInt16LE(height, 7);
+
+    return Buffer.concat([
+        Buffer.from('GIF89a', 'ascii'),
+        screen,
+        Buffer.from(palette.flat()),
+        descriptor,
+        Buffer.from([2, ...blocks, 0, 0x3b])
+    ]);
+}
+
+// A dark disc on a light gradient, scaled to any size
+const portrait = size => (x, y) => {
+    const dx = x / size - 0.4;
+    const dy = y / size - 0.45;
+    const value = dx * dx + dy * dy < 0.06 ? 40 : 150 + Math.round((x / size) * 100);
+    return [value, value, value];
+};
+
+// Vertical stripes: nothing like the portrait
+const stripes = size => x => {
+    const value = Math.floor((x / size) * 6) % 2 ? 230 : 20;
+    return [value, value, value];
+};
+
+describe('decodeImage', () => {
+    test('should decode grayscale PNG with filters', () => {
+        const image = decodeImage(encodePng(4, 2, 0, (x, y) => [x * 60 + y]));
+
+        expect(image.format).toBe('png');
+        expect(Array.from(image.gray)).toEqual([0, 60, 120, 180, 1, 61, 121, 181]);
+    });
+
+    test('should composite transparent RGBA pixels onto white', () => {
+        const image = decodeImage(encodePng(2, 1, 6, x => (x ? [0, 0, 0, 255] : [0, 0, 0, 0])));
+
+        expect(Array.from(image.gray)).toEqual([255, 0]);
+    });
+
+    test('should decode the first GIF frame', () => {
+        const palette = [[0, 0, 0], [255, 255, 255], [255, 0, 0], [0, 0, 255]];
+        const image = decodeImage(encodeGif(3, 2, palette, (x, y) => (x + y) % 4));
+
+        expect(image.format).toBe('gif');
+        expect(Array.from(image.gray).map(Math.round)).toEqual([0, 255, 76, 255, 76, 29]);
+    });
+
+    test('should reject unknown formats', () => {
+        expect(() => decodeImage(Buffer.from('<svg></svg>'))).toThrow(ImageDecodeError);
+    });
+
+    test('should not inflate more data than the dimensions allow', () => {
+        const png = encodePng(2, 2, 0, () => [0]);
+        // A 2x2 header over a megabyte of compressed zeros
+        const bomb = Buffer.concat([
+            png.subarray(0, 33),
+            chunk('IDAT', zlib.deflateSync(Buffer.alloc(1024 * 1024))),
+            chunk('IEND', Buffer.alloc(0))
+        ]);
+        expect(() => decodeImage(bomb)).toThrow('PNG data is larger than its dimensions allow');
+    });
+});
+
+describe('hashImage', () => {
+    test('should produce 64-bit hex hashes', () => {
+        const hashes = hashImage(encodePng(64, 64, 2, portrait(64)));
+
+        expect(hashes.aHash).toMatch(/^[0-9a-f]{16}$/);
+        expect(hashes.dHash).toMatch(/^[0-9a-f]{16}$/);
+        expect(hashes.pHash).toMatch(/^[0-9a-f]{16}$/);
+        expect(hashes.uniform).toBe(false);
+    });
+
+    test('should match the same avatar at different sizes', () => {
+        const large = hashImage(encodePng(96, 96, 2, portrait(96)));
+        const small = hashImage(encodePng(40, 40, 2, portrait(40)));
+
+        expect(compareHashes(large, small).match).toBe(true);
+    });
+
+    test('should not match different avatars', () => {
+        const a = hashImage(encodePng(64, 64, 2, portrait(64)));
+        const b = hashImage(encodePng(64, 64, 2, stripes(64)));
+
+        expect(compareHashes(a, b).match).toBe(false);
+    });
+
+    test('should flag flat images as uniform', () => {
+        expect(hashImage(encodePng(16, 16, 0, () => [200])).uniform).toBe(true);
+    });
+});
+
+describe('hammingDistance', () => {
+    test('should count differing bits', () => {
+        expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+        expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    });
+});
+
+describe('findAvatarMatches', () => {
+    const hashes = { aHash: 'ff00ff00ff00ff00', dHash: '0f0f0f0f0f0f0f0f', pHash: 'aaaaaaaaaaaaaaaa', uniform: false };
+
+    test('should link matching avatars from different sites only', () => {
+        const links = findAvatarMatches([
+            { id: 'a', source: 'github', avatarHashes: hashes },
+            { id: 'b', source: 'keybase', avatarHashes: { ...hashes, pHash: 'aaaaaaaaaaaaaaab' } },
+            { id: 'c', source: 'github', avatarHashes: hashes }
+        ]);
+
+        expect(links.map(l => l.between)).toEqual([['a', 'b'], ['b', 'c']]);
+        expect(links[0].type).toBe('same-avatar');
+    });
+
+    test('should ignore uniform avatars', () => {
+        const flat = { ...hashes, uniform: true };
+        const links = findAvatarMatches([
+            { id: 'a', source: 'github', avatarHashes: flat },
+            { id: 'b', source: 'keybase', avatarHashes: flat }
+        ]);
+
+        expect(links).toEqual([]);
+    });
+});
+
+describe('AvatarHasher', () => {
+    test('should not fetch avatars from private addresses', async () => {
+        const hasher = new AvatarHasher();
+
+        await expect(hasher.fetch('http://169.254.169.254/latest/meta-data')).rejects.toMatchObject({ reason: 'private-address' });
+        await expect(hasher.fetch('http://localhost/avatar.png')).rejects.toMatchObject({ reason: 'local-hostname' });
+        expect(await hasher.hash('http://10.0.0.5/avatar.png')).toBeNull();
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * OpenAPI Description and Validation Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { buildApiSpec } = require('../lib/api-spec');
+const { validateSchema, compileOperations, validateRequest, createApiValidator } = require('../lib/openapi');
+
+const spec = buildApiSpec();
+const table = compileOperations(spec);
+
+function check(method, requestPath, { query = {}, body } = {}) {
+    return validateRequest(spec, table, { method, path: requestPath, query, body });
+}
+
+function makeResponse() {
+    const res = { statusCode: 200 };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    return res;
+}
+
+describe('API description', () => {
+    test('should describe every route server.js serves', () => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+        const routes = [...source.matchAll(/app\.(get|post|put|patch|delete)\('(\/api\/[^']+)'/g)]
+            .map(([, method, route]) => `${method.toUpperCase()} ${route.replace(/\(.*\)$/, '')}`);
+
+        const described = new Set(table.map(rule => `${rule.method} ${rule.path}`));
+        expect(routes.length).toBeGreaterThan(50);
+        expect(routes.filter(route => !described.has(route))).toEqual([]);
+    });
+
+    test('should resolve every schema reference', () => {
+        const refs = [...JSON.stringify(spec).matchAll(/"\$ref":"#\/components\/schemas\/(\w+)"/g)].map(match => match[1]);
+        expect(refs.filter(name => !spec.components.schemas[name])).toEqual([]);
+    });
+});
+
+describe('validateSchema', () => {
+    test('should name every problem with where it is', () => {
+        const errors = validateSchema(spec, { $ref: '#/components/schemas/ScanRequest' }, {
+            query: 'has spaces',
+            target: { type: 'phone' },
+            pivot: 'yes',
+            adapters: ['github', 3]
+        }, 'body');
+
+        expect(errors).toEqual([
+            'body.query must be a username or email (letters, digits, ".", "_", "-" and "@")',
+            'body.target.value is required',
+            'body.target.type must be one of username, email, domain, ip, person, organization',
+            'body.pivot must be a boolean or an object of pivot limits',
+            'body.adapters[1] must be a string'
+        ]);
+    });
+
+    test('should accept valid values and null where allowed', () => {
+        expect(validateSchema(spec, { $ref: '#/components/schemas/Domain' }, 'Example.co.uk')).toEqual([]);
+        expect(validateSchema(spec, { type: 'string', nullable: true }, null)).toEqual([]);
+        expect(validateSchema(spec, { $ref: '#/components/schemas/User', nullable: true }, null)).toEqual([]);
+        expect(validateSchema(spec, { type: 'integer' }, 1.5, 'limit')).toEqual(['limit must be an integer']);
+    });
+});
+
+describe('validateRequest', () => {
+    test('should check path and query parameters of the matching operation', () => {
+        expect(check('GET', '/api/dns/not_a_domain').errors).toEqual(['path.domain must be a domain name']);
+        expect(check('GET', '/api/osint/hunter/verify').errors).toEqual(['query.email is required']);
+        expect(check('GET', '/api/hackernews/poll').errors).toEqual(['path.type must be one of ask, show, job']);
+        expect(check('GET', '/api/entities', { query: { limit: '25', offset: 'x' } }).errors)
+            .toEqual(['query.offset must be an integer']);
+        expect(check('GET', '/api/scans', { query: { status: ['running', 'queued'] } }).errors)
+            .toEqual(['query.status must be given once']);
+    });
+
+    test('should prefer static paths over parameters', () => {
+        expect(check('GET', '/api/entities/types').rule.template).toBe('/api/entities/types');
+        expect(check('GET', '/api/hackernews/top').rule.template).toBe('/api/hackernews/top');
+        expect(check('GET', '/api/entities/entity-1').rule.template).toBe('/api/entities/{id}');
+    });
+
+    test('should require bodies and leave undescribed routes alone', () => {
+        expect(check('POST', '/api/entities', { body: {} }).errors).toEqual(['body is required']);
+        expect(check('POST', '/api/scan', { body: { query: 'jdoe', justification: 'Fraud report 12' } }).errors).toEqual([]);
+        expect(check('GET', '/index.html')).toBeNull();
+        expect(check('PUT', '/api/scans')).toBeNull();
+    });
+});
+
+describe('createApiValidator', () => {
+    test('should answer invalid requests with 400 and every error', () => {
+        const next = jest.fn();
+        const res = makeResponse();
+        createApiValidator(spec)({ method: 'POST', path: '/api/search', query: {}, body: { username: 'a b', calibrate: 'yes' } }, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors).toHaveLength(2);
+        expect(res.body.error).toBe(res.body.errors.join('; '));
+    });
+
+    test('should refuse API requests the description does not cover', () => {
+        const validator = createApiValidator(spec);
+        const next = jest.fn();
+
+        const unknown = makeResponse();
+        validator({ method: 'PUT', path: '/api/scans', query: {} }, unknown, next);
+        expect(unknown.statusCode).toBe(404);
+        expect(unknown.body.errors).toEqual(['PUT /api/scans is not part of the API']);
+
+        // Express ignores case, so the description does too
+        const shouted = makeResponse();
+        validator({ method: 'POST', path: '/API/SCAN', query: {}, body: { query: '../../orgs/x' } }, shouted, next);
+        expect(shouted.statusCode).toBe(400);
+
+        validator({ method: 'GET', path: '/js/app.js', query: {} }, makeResponse(), next);
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    test('should replace responses that break the description in strict mode', () => {
+        const next = jest.fn();
+        const res = makeResponse();
+        createApiValidator(spec, { responses: 'strict' })({ method: 'GET', path: '/api/health', query: {} }, res, next);
+
+        expect(next).toHaveBeenCalled();
+        res.json({ status: 'ok', timestamp: new Date().toISOString() });
+        expect(res.statusCode).toBe(200);
+
+        res.json({ status: 'degraded' });
+        expect(res.statusCode).toBe(500);
+        expect(res.body.errors).toEqual(['response.status must be one of ok']);
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Username Permutation Tests
+ */
+
+const { tokenize, generatePermutations } = require('../lib/permutations');
+
+describe('tokenize', () => {
+    test('should split separators, camelCase and trailing numbers', () => {
+        expect(tokenize('JohnDoe_92')).toEqual({ tokens: ['john', 'doe'], number: '92' });
+        expect(tokenize('jane.doe')).toEqual({ tokens: ['jane', 'doe'], number: null });
+        expect(tokenize('Jane Mary Doe')).toEqual({ tokens: ['jane', 'mary', 'doe'], number: null });
+    });
+});
+
+describe('generatePermutations', () => {
+    test('should rank separator variants first and exclude the seed', () => {
+        const variants = generatePermutations('john_doe', { limit: 4 }).map(v => v.username);
+
+        expect(variants).toEqual(['johndoe', 'john.doe', 'john-doe', 'doejohn']);
+    });
+
+    test('should cover reversed order, initials, years, suffixes and leetspeak', () => {
+        const variants = generatePermutations({ firstName: 'Jane', lastName: 'Doe' }, { limit: 500, years: ['1990'] });
+        const names = variants.map(v => v.username);
+
+        expect(names).toEqual(expect.arrayContaining([
+            'jane.doe', 'doe_jane', 'jdoe', 'janed', 'jandoe', 'janedoe1990', 'janedoe_official', 'j4n3d03'
+        ]));
+        expect(variants.find(v => v.username === 'j4n3d03').transforms).toContain('leetspeak');
+    });
+
+    test('should keep the original number and sort by score', () => {
+        const variants = generatePermutations('john_doe92', { limit: 50 });
+        const scores = variants.map(v => v.score);
+
+        expect(variants.find(v => v.username === 'johndoe92').transforms).toContain('original-number');
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    });
+
+    test('should honour the cap and only emit valid usernames', () => {
+        const variants = generatePermutations('torvalds', { limit: 7 });
+
+        expect(variants).toHaveLength(7);
+        variants.forEach(v => expect(v.username).toMatch(/^[a-z0-9_.-]{3,30}$/));
+        expect(generatePermutations('')).toEqual([]);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Pivot Lead Extraction Tests
+ */
+
+const { extractLeads, resolvePivotLimits } = require('../lib/pivots');
+
+const LIMITS = { maxDepth: 2, maxRequests: 30, types: ['email', 'domain', 'username'] };
+
+describe('extractLeads', () => {
+    test('should find emails and websites on GitHub profiles', () => {
+        const leads = extractLeads({
+            source: 'github',
+            email: 'Jane@Example.com',
+            bio: 'Writing at https://blog.jane.dev/posts and on https://github.com/jane. Mail jane@work.io',
+            raw: { blog: 'www.janedoe.com' }
+        });
+
+        expect(leads).toEqual([
+            { type: 'email', value: 'jane@example.com', field: 'email' },
+            { type: 'domain', value: 'janedoe.com', field: 'blog' },
+            { type: 'email', value: 'jane@work.io', field: 'bio' },
+            { type: 'domain', value: 'blog.jane.dev', field: 'bio' }
+        ]);
+    });
+
+    test('should turn Keybase proofs into usernames and domains', () => {
+        const leads = extractLeads({
+            source: 'keybase',
+            proofs: [
+                { proof_type: 'github', nametag: 'jdoe' },
+                { proof_type: 'twitter', nametag: 'jdoe' },
+                { proof_type: 'reddit', nametag: 'jane_d' },
+                { proof_type: 'dns', nametag: 'jane.dev' },
+                { proof_type: 'generic_web_site', nametag: 'https://www.janedoe.com' }
+            ]
+        });
+
+        expect(leads).toEqual([
+            { type: 'username', value: 'jdoe', field: 'proofs.github' },
+            { type: 'username', value: 'jane_d', field: 'proofs.reddit' },
+            { type: 'domain', value: 'jane.dev', field: 'proofs.dns' },
+            { type: 'domain', value: 'janedoe.com', field: 'proofs.generic_web_site' }
+        ]);
+    });
+
+    test('should skip noreply addresses and invalid values', () => {
+        expect(extractLeads({
+            email: '1234+jane@users.noreply.github.com',
+            emails: [{ value: 'no-reply@example.com' }, { value: 'sales@example.com' }],
+            accounts: [{ platform: 'twitter', username: 'not a handle' }],
+            ips: ['10.0.0.1', 'nope']
+        })).toEqual([
+            { type: 'email', value: 'sales@example.com', field: 'emails' },
+            { type: 'ip', value: '10.0.0.1', field: 'ips' }
+        ]);
+    });
+});
+
+describe('resolvePivotLimits', () => {
+    test('should use the server limits and only let requests lower them', () => {
+        expect(resolvePivotLimits(undefined, LIMITS)).toBeNull();
+        expect(resolvePivotLimits(true, LIMITS)).toEqual(LIMITS);
+        expect(resolvePivotLimits({ maxDepth: 5, maxRequests: 4, types: ['email', 'ip'] }, LIMITS))
+            .toEqual({ maxDepth: 2, maxRequests: 4, types: ['email'] });
+    });
+
+    test('should reject malformed pivot options', () => {
+        expect(() => resolvePivotLimits({ maxDepth: -1, types: ['phone'] }, LIMITS))
+            .toThrow(expect.objectContaining({
+                name: 'ScanTargetError',
+                errors: ['pivot.maxDepth must be a non-negative integer', 'pivot.types must only contain email, domain, username, ip']
+            }));
+        expect(() => resolvePivotLimits('deep', LIMITS)).toThrow('pivot must be true');
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Platform Catalogue Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    PlatformCatalogError,
+    validateCatalog,
+    loadPlatformCatalog,
+    expandTemplate,
+    isValidUsername,
+    buildProbeRequest,
+    evaluateResponse
+} = require('../lib/platform-catalog');
+
+function makePlatform(overrides = {}) {
+    return {
+        name: 'Example',
+        category: 'social',
+        url: 'https://example.com/{username}',
+        checkMethod: 'status',
+        ...overrides
+    };
+}
+
+describe('validateCatalog', () => {
+    test('should accept the bundled catalogue', () => {
+        const catalog = loadPlatformCatalog();
+        expect(catalog.platforms.length).toBeGreaterThan(0);
+    });
+
+    test('should report every invalid field', () => {
+        const errors = validateCatalog({
+            categories: ['social'],
+            platforms: [
+                makePlatform({ url: 'https://example.com/profile' }),
+                makePlatform({ name: 'Other', category: 'unknown', checkMethod: 'magic' }),
+                makePlatform({ name: 'Pattern', usernamePattern: '[' }),
+                makePlatform({ name: 'Probe', probe: { method: 'GET', body: 'x' } })
+            ]
+        });
+
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.stringContaining('"url" must contain {username}'),
+            expect.stringContaining('unknown category "unknown"'),
+            expect.stringContaining('"checkMethod" must be one of'),
+            expect.stringContaining('"usernamePattern" is not a valid regex'),
+            expect.stringContaining('"probe.body" is only allowed with POST')
+        ]));
+    });
+
+    test('should reject duplicate names', () => {
+        const errors = validateCatalog({
+            platforms: [makePlatform(), makePlatform({ name: 'example' })]
+        });
+        expect(errors).toEqual([expect.stringContaining('duplicate name "example"')]);
+    });
+
+    test('should throw PlatformCatalogError when loading an invalid file', () => {
+        const file = path.join(os.tmpdir(), `catalog-${Date.now()}.json`);
+        fs.writeFileSync(file, JSON.stringify({ platforms: [{ name: 'Broken' }] }));
+
+        try {
+            expect(() => loadPlatformCatalog(file)).toThrow(PlatformCatalogError);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
+
+describe('probes', () => {
+    test('should expand templates in strings and objects', () => {
+        expect(expandTemplate('https://x.com/{username}', 'a b')).toBe('https://x.com/a%20b');
+        expect(expandTemplate({ user: '{username}' }, 'a b', false)).toEqual({ user: 'a b' });
+    });
+
+    test('should check usernamePattern', () => {
+        const platform = makePlatform({ usernamePattern: '^[a-z]{3,}$' });
+        expect(isValidUsername(platform, 'alice')).toBe(true);
+        expect(isValidUsername(platform, 'Al')).toBe(false);
+        expect(isValidUsername(makePlatform(), 'anything')).toBe(true);
+    });
+
+    test('should build POST probes with a body', () => {
+        const request = buildProbeRequest(makePlatform({
+            checkMethod: 'json',
+            headers: { 'X-Test': '1' },
+            probe: {
+                method: 'POST',
+                url: 'https://api.example.com/lookup',
+                body: { username: '{username}' },
+                contentType: 'application/json'
+            }
+        }), 'alice');
+
+        expect(request).toEqual({
+            method: 'POST',
+            url: 'https://api.example.com/lookup',
+            data: { username: 'alice' },
+            headers: {
+                'X-Test': '1',
+                'Content-Type': 'application/json',
+                Accept: 'application/json'
+            }
+        });
+    });
+});
+
+describe('evaluateResponse', () => {
+    test('should use the expected status code', () => {
+        const platform = makePlatform();
+        expect(evaluateResponse(platform, { status: 200, data: '' }).status).toBe('found');
+        expect(evaluateResponse(platform, { status: 404, data: '' }).status).toBe('not-found');
+    });
+
+    test('should match platform error strings', () => {
+        const platform = makePlatform({ checkMethod: 'content', errorStrings: ['No such user'] });
+        const verdict = evaluateResponse(platform, { status: 200, data: '<p>No such user</p>' });
+
+        expect(verdict.status).toBe('not-found');
+        expect(verdict.reason).toContain('No such user');
+    });
+
+    test('should require validContent when declared', () => {
+        const platform = makePlatform({ checkMethod: 'content', validContent: 'profile-card' });
+        expect(evaluateResponse(platform, { status: 200, data: '<div class="profile-card">' }).status).toBe('found');
+        expect(evaluateResponse(platform, { status: 200, data: '<div>' }).status).toBe('not-found');
+    });
+
+    test('should report false-positive markers as unknown', () => {
+        const platform = makePlatform({ falsePositiveMarkers: ['authwall'] });
+        expect(evaluateResponse(platform, { status: 200, data: '/authwall?trk=' }).status).toBe('unknown');
+    });
+
+    test('should treat JSON error payloads as not found', () => {
+        const platform = makePlatform({ checkMethod: 'json' });
+        expect(evaluateResponse(platform, { status: 200, data: { error: 'not found' } }).status).toBe('not-found');
+        expect(evaluateResponse(platform, { status: 200, data: { id: 1 } }).status).toBe('found');
+    });
+});
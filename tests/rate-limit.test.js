@@ -0,0 +1,146 @@
+/**
+ * API Rate Limiting Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+
+const {
+    createRateLimiter,
+    FileRateLimitStore,
+    FlexibleRateLimitStore,
+    RateLimitConfigError,
+    parseRouteCosts,
+    parseKeyBudgets
+} = require('../lib/rate-limit');
+
+function makeRequest({ method = 'GET', path: requestPath = '/api/status', ip = '203.0.113.7', headers = {} } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { method, path: requestPath, ip, get: name => lower[name.toLowerCase()] };
+}
+
+function makeResponse() {
+    const res = { headers: {}, statusCode: 200, body: null };
+    res.set = (name, value) => {
+        if (typeof name === 'object') Object.assign(res.headers, name);
+        else res.headers[name] = value;
+        return res;
+    };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    return res;
+}
+
+async function send(limiter, request) {
+    const res = makeResponse();
+    const next = jest.fn();
+    await limiter(makeRequest(request), res, next);
+    return { res, passed: next.mock.calls.length === 1 };
+}
+
+describe('route costs', () => {
+    test('should weigh scans over lookups and leave static files free', () => {
+        const limiter = createRateLimiter({ costs: parseRouteCosts('GET /api/osint/shodan/:target=8') });
+
+        expect(limiter.costOf('POST', '/api/scan')).toBe(10);
+        expect(limiter.costOf('GET', '/api/scan/scan-1')).toBe(1);
+        expect(limiter.costOf('GET', '/api/scan/scan-1/stream')).toBe(0);
+        expect(limiter.costOf('GET', '/api/osint/github/jdoe')).toBe(3);
+        expect(limiter.costOf('GET', '/api/osint/shodan/1.2.3.4')).toBe(8);
+        expect(limiter.costOf('GET', '/api/health')).toBe(0);
+        expect(limiter.costOf('GET', '/js/app.js')).toBe(0);
+        // Express routes ignore case; so must the costs
+        expect(limiter.costOf('POST', '/API/SCAN')).toBe(10);
+        expect(limiter.costOf('HEAD', '/api/osint/github/jdoe')).toBe(3);
+        expect(limiter.costOf('POST', '/index.html')).toBe(1);
+    });
+
+    test('should reject malformed settings', () => {
+        expect(() => parseRouteCosts('POST /api/scan=lots')).toThrow(RateLimitConfigError);
+        expect(() => parseKeyBudgets('secret=-1')).toThrow(RateLimitConfigError);
+        expect(parseKeyBudgets('alpha=300, beta')).toEqual(new Map([['alpha', 300], ['beta', null]]));
+    });
+});
+
+describe('createRateLimiter', () => {
+    test('should charge route costs and answer 429 with standard headers', async () => {
+        const limiter = createRateLimiter({ points: 25, duration: 60 });
+
+        const first = await send(limiter, { method: 'POST', path: '/api/scan' });
+        expect(first.passed).toBe(true);
+        expect(first.res.headers).toMatchObject({
+            'RateLimit-Policy': '25;w=60',
+            'RateLimit-Limit': '25',
+            'RateLimit-Remaining': '15',
+            'RateLimit-Reset': '60'
+        });
+
+        await send(limiter, { method: 'POST', path: '/api/scan' });
+        const refused = await send(limiter, { method: 'POST', path: '/api/scan' });
+        expect(refused.passed).toBe(false);
+        expect(refused.res.statusCode).toBe(429);
+        expect(refused.res.headers['Retry-After']).toBe('60');
+        expect(refused.res.body).toMatchObject({ error: 'Too many requests', cost: 10, remaining: 5 });
+
+        // Refused cost is not charged; cheaper calls still fit
+        expect((await send(limiter, { path: '/api/osint/github/jdoe' })).passed).toBe(true);
+        const health = await send(limiter, { path: '/api/health' });
+        expect(health.passed).toBe(true);
+        expect(health.res.headers).toEqual({});
+    });
+
+    test('should give known API keys their own bucket', async () => {
+        const limiter = createRateLimiter({ points: 10, keys: parseKeyBudgets('team-key=30') });
+
+        await send(limiter, { method: 'POST', path: '/api/scan' });
+        expect((await send(limiter, { method: 'POST', path: '/api/scan' })).passed).toBe(false);
+
+        const keyed = await send(limiter, { method: 'POST', path: '/api/scan', headers: { 'X-API-Key': 'team-key' } });
+        expect(keyed.passed).toBe(true);
+        expect(keyed.res.headers['RateLimit-Remaining']).toBe('20');
+
+        const bearer = await send(limiter, { method: 'POST', path: '/api/scan', headers: { Authorization: 'Bearer team-key' } });
+        expect(bearer.res.headers['RateLimit-Remaining']).toBe('10');
+
+        // A made-up key shares the IP's exhausted bucket
+        expect((await send(limiter, { method: 'POST', path: '/api/scan', headers: { 'X-API-Key': 'invented' } })).passed).toBe(false);
+    });
+
+    test('should let requests through when the store fails', async () => {
+        const limiter = createRateLimiter({ store: { consume: async () => { throw new Error('redis down'); } } });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect((await send(limiter, { method: 'POST', path: '/api/scan' })).passed).toBe(true);
+        console.error.mockRestore();
+    });
+});
+
+describe('rate limit stores', () => {
+    test('should keep budgets across restarts in a file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-'));
+        const filePath = path.join(dir, 'rate-limits.json');
+
+        try {
+            const store = new FileRateLimitStore({ path: filePath });
+            await store.consume('ip:203.0.113.7', 8, { points: 10, duration: 60 });
+            await store.close();
+
+            const reopened = new FileRateLimitStore({ path: filePath });
+            const result = await reopened.consume('ip:203.0.113.7', 3, { points: 10, duration: 60 });
+            expect(result).toMatchObject({ allowed: false, consumed: 8, remaining: 2 });
+            await reopened.close();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should wrap a rate-limiter-flexible limiter', async () => {
+        const store = new FlexibleRateLimitStore({ limiter: new RateLimiterMemory({ points: 1000, duration: 60 }) });
+
+        expect(await store.consume('key:a', 7, { points: 10 })).toMatchObject({ allowed: true, consumed: 7, remaining: 3 });
+        expect(await store.consume('key:a', 7, { points: 10 })).toMatchObject({ allowed: false, consumed: 7, remaining: 3 });
+        expect(await store.consume('key:a', 3, { points: 10 })).toMatchObject({ allowed: true, remaining: 0 });
+    });
+});
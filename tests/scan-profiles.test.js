@@ -0,0 +1,115 @@
+/**
+ * Scan Profile & Target Tests
+ */
+
+const {
+    SCAN_PROFILES,
+    ScanTargetError,
+    detectTargetType,
+    normalizeTarget,
+    planTargetScan,
+    describeProfiles
+} = require('../lib/scan-profiles');
+
+const adapter = (name, targets) => ({ name, targets });
+
+const ADAPTERS = [
+    adapter('github'),
+    adapter('gravatar', ['email']),
+    adapter('hibp', ['email']),
+    adapter('dns', ['domain']),
+    adapter('hunter', ['domain', 'email']),
+    adapter('shodan', ['ip']),
+    adapter('nominatim', ['location'])
+];
+
+describe('targets', () => {
+    test('should detect bare string targets like OSINTCore', () => {
+        expect(detectTargetType('jane@example.com')).toBe('email');
+        expect(detectTargetType('8.8.8.8')).toBe('ip');
+        expect(detectTargetType('2001:db8::1')).toBe('ip');
+        expect(detectTargetType('example.com')).toBe('domain');
+        expect(detectTargetType('Jane Doe')).toBe('person');
+        expect(detectTargetType('jane_doe')).toBe('username');
+    });
+
+    test('should normalize values and derive queries', () => {
+        expect(normalizeTarget({ type: 'domain', value: 'https://www.Example.com/about' }))
+            .toMatchObject({ label: 'example.com', query: 'example.com', queries: { domain: 'example.com' } });
+        expect(normalizeTarget('Jane@Example.com').queries).toEqual({ email: 'jane@example.com' });
+
+        const organization = normalizeTarget({
+            type: 'organization',
+            value: { name: 'Acme Corp', domain: 'acme.example', location: 'Berlin' }
+        });
+        expect(organization).toMatchObject({
+            label: 'Acme Corp',
+            query: 'acmecorp',
+            queries: { username: 'acmecorp', domain: 'acme.example', location: 'Berlin' }
+        });
+    });
+
+    test('should seed person scans with a ranked handle', () => {
+        const person = normalizeTarget({ type: 'person', value: 'Jane Doe' });
+
+        expect(person.name).toBe('Jane Doe');
+        expect(person.queries.username).toMatch(/jane.*doe|doe.*jane/);
+        expect(normalizeTarget({ type: 'person', value: { firstName: 'Jane', lastName: 'Doe' } }).queries)
+            .toEqual(person.queries);
+    });
+
+    test('should collect every validation problem', () => {
+        expect(() => normalizeTarget({ type: 'planet', value: 'mars' })).toThrow(ScanTargetError);
+        expect(() => normalizeTarget({ type: 'ip', value: '999.1.1.1' })).toThrow('not a valid IP address');
+
+        try {
+            normalizeTarget({ type: 'organization', value: { domain: 'not a domain' } });
+            throw new Error('expected ScanTargetError');
+        } catch (error) {
+            expect(error.errors).toEqual([
+                'organization targets need a name',
+                'target.value.domain is not a valid domain'
+            ]);
+        }
+    });
+});
+
+describe('planning', () => {
+    test('should pick the default profile for the target type', () => {
+        const plan = planTargetScan({ type: 'email', value: 'jane@example.com' }, null, ADAPTERS);
+
+        expect(plan.profile).toBe('breach');
+        expect(plan.adapters).toEqual(['gravatar', 'hibp', 'hunter']);
+        expect(plan.options).toEqual({});
+    });
+
+    test('should enable permutations for person targets', () => {
+        const plan = planTargetScan({ type: 'person', value: 'Jane Doe' }, 'social', ADAPTERS);
+
+        expect(plan.adapters).toEqual(['github']);
+        expect(plan.options).toEqual({ permutations: true, name: 'Jane Doe' });
+    });
+
+    test('should run every matching adapter in the deep profile', () => {
+        const plan = planTargetScan(
+            { type: 'organization', value: { name: 'Acme', domain: 'acme.example', location: 'Berlin' } },
+            'deep',
+            ADAPTERS
+        );
+
+        expect(plan.adapters).toEqual(['github', 'dns', 'hunter', 'nominatim']);
+    });
+
+    test('should reject unknown profiles', () => {
+        expect(() => planTargetScan({ type: 'ip', value: '8.8.8.8' }, 'stealth', ADAPTERS))
+            .toThrow('unknown profile "stealth"');
+    });
+
+    test('should describe profiles with their adapters and target types', () => {
+        const profiles = describeProfiles(ADAPTERS);
+        const threat = profiles.find(profile => profile.id === 'threat');
+
+        expect(profiles.map(profile => profile.id)).toEqual(Object.keys(SCAN_PROFILES));
+        expect(threat).toEqual({ id: 'threat', name: 'Threat Intel', adapters: ['shodan'], targets: ['ip'] });
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * Scan Store Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    MemoryScanStore,
+    JsonLinesScanStore,
+    createScanStore
+} = require('../lib/scan-store');
+const { SearchAggregator, BaseAdapter } = require('../lib/search-aggregator');
+
+function makeScan(overrides = {}) {
+    return {
+        id: `scan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        query: 'testuser',
+        status: 'completed',
+        startTime: Date.now() - 1000,
+        endTime: Date.now(),
+        results: [{ id: 'r1', source: 'github' }],
+        errors: [],
+        ...overrides
+    };
+}
+
+describe('MemoryScanStore', () => {
+    test('should save and return scans', async () => {
+        const store = new MemoryScanStore();
+        const scan = makeScan();
+
+        await store.saveScan(scan);
+        const loaded = await store.getScan(scan.id);
+
+        expect(loaded.id).toBe(scan.id);
+        expect(loaded.results).toEqual(scan.results);
+        expect(await store.getScan('missing')).toBeNull();
+    });
+
+    test('should expire scans past their TTL', async () => {
+        const store = new MemoryScanStore({ scanTTL: 60 });
+        const old = makeScan({ startTime: Date.now() - 120000, endTime: Date.now() - 120000 });
+
+        await store.saveScan(old);
+        expect(await store.getScan(old.id)).toBeNull();
+        expect(await store.prune()).toBe(1);
+    });
+
+    test('should expire cache entries past their TTL', async () => {
+        const store = new MemoryScanStore({ cacheTTL: 60 });
+
+        await store.setCached('fresh', { results: [], timestamp: Date.now() });
+        await store.setCached('stale', { results: [], timestamp: Date.now() - 120000 });
+
+        expect(await store.getCached('fresh')).not.toBeNull();
+        expect(await store.getCached('stale')).toBeNull();
+    });
+
+    test('should list scans newest first with filters', async () => {
+        const store = new MemoryScanStore();
+        await store.saveScan(makeScan({ id: 'a', startTime: Date.now() - 3000 }));
+        await store.saveScan(makeScan({ id: 'b', startTime: Date.now() - 2000, status: 'error' }));
+        await store.saveScan(makeScan({ id: 'c', startTime: Date.now() - 1000 }));
+
+        const all = await store.listScans();
+        expect(all.map(s => s.id)).toEqual(['c', 'b', 'a']);
+
+        const completed = await store.listScans({ status: 'completed', limit: 1 });
+        expect(completed.map(s => s.id)).toEqual(['c']);
+    });
+});
+
+describe('JsonLinesScanStore', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osint-store-'));
+        filePath = path.join(dir, 'scans.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should persist scans across store instances', async () => {
+        const store = new JsonLinesScanStore({ path: filePath });
+        const scan = makeScan();
+
+        await store.saveScan(scan);
+        await store.setCached('testuser:{}', { results: scan.results, timestamp: Date.now() });
+        await store.close();
+
+        const reopened = new JsonLinesScanStore({ path: filePath });
+        expect((await reopened.getScan(scan.id)).query).toBe('testuser');
+        expect((await reopened.getCached('testuser:{}')).results).toEqual(scan.results);
+    });
+
+    test('should keep the latest record and honour deletes', async () => {
+        const store = new JsonLinesScanStore({ path: filePath });
+        const scan = makeScan({ status: 'running' });
+
+        await store.saveScan(scan);
+        await store.saveScan({ ...scan, status: 'completed' });
+        const other = makeScan();
+        await store.saveScan(other);
+        await store.deleteScan(other.id);
+
+        const reopened = new JsonLinesScanStore({ path: filePath });
+        expect((await reopened.getScan(scan.id)).status).toBe('completed');
+        expect(await reopened.getScan(other.id)).toBeNull();
+    });
+
+    test('should mark scans left running by a previous process as interrupted', async () => {
+        const store = new JsonLinesScanStore({ path: filePath });
+        const scan = makeScan({ status: 'running', endTime: null });
+        await store.saveScan(scan);
+
+        const reopened = new JsonLinesScanStore({ path: filePath });
+        expect((await reopened.getScan(scan.id)).status).toBe('interrupted');
+    });
+
+    test('should skip corrupt lines', async () => {
+        const scan = makeScan();
+        fs.writeFileSync(filePath, `not json\n${JSON.stringify({ type: 'scan', scan })}\n`);
+
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const store = new JsonLinesScanStore({ path: filePath });
+
+        expect((await store.getScan(scan.id)).id).toBe(scan.id);
+        spy.mockRestore();
+    });
+
+    test('should keep only an index in memory and read bodies from the file', async () => {
+        const store = new JsonLinesScanStore({ path: filePath });
+        const scans = [makeScan({ query: 'alice' }), makeScan({ query: 'bob', status: 'running', endTime: null })];
+        for (const scan of scans) await store.saveScan(scan);
+        await store.setCached('alice:{}', { results: scans[0].results, timestamp: Date.now() });
+        await store.close();
+
+        const reopened = new JsonLinesScanStore({ path: filePath });
+        await reopened.init();
+        expect(JSON.stringify([...reopened.scans.values(), ...reopened.cache.values()])).not.toContain('github');
+        expect(await reopened.listScans()).toEqual(expect.arrayContaining([
+            expect.objectContaining({ query: 'alice', resultsCount: 1 })
+        ]));
+
+        // Compaction moves records; the index follows them
+        await reopened.deleteScan(scans[0].id);
+        await reopened.compact();
+        expect((await reopened.getScan(scans[1].id)).results).toEqual(scans[1].results);
+        expect((await reopened.getCached('alice:{}')).results).toEqual(scans[0].results);
+        await reopened.close();
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.type)).toEqual(['scan', 'cache']);
+        expect(lines[0].scan.status).toBe('interrupted');
+    });
+
+    test('should compact stale lines', async () => {
+        const store = new JsonLinesScanStore({ path: filePath, compactThreshold: 3 });
+        const scan = makeScan();
+
+        for (let i = 0; i < 5; i++) {
+            await store.saveScan({ ...scan, progress: i * 20 });
+        }
+        await store.close();
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        expect(lines.length).toBeLessThan(5);
+        expect(JSON.parse(lines[lines.length - 1]).scan.progress).toBe(80);
+    });
+});
+
+describe('createScanStore', () => {
+    test('should create stores by type', () => {
+        expect(createScanStore()).toBeInstanceOf(MemoryScanStore);
+        expect(createScanStore({ type: 'jsonl', path: path.join(os.tmpdir(), 'unused.jsonl') }))
+            .toBeInstanceOf(JsonLinesScanStore);
+    });
+
+    test('should reject unknown types', () => {
+        expect(() => createScanStore({ type: 'nope' })).toThrow('Unknown scan store type: nope');
+    });
+});
+
+describe('SearchAggregator persistence', () => {
+    class StaticAdapter extends BaseAdapter {
+        constructor() {
+            super('static', { priority: 1 });
+        }
+        async search(query) {
+            return [{ ...this.normalizeResult({}, 'profile'), username: query, url: `https://example.com/${query}` }];
+        }
+    }
+
+    test('should serve finished scans from the store after a restart', async () => {
+        const store = new MemoryScanStore();
+        const first = new SearchAggregator({ enableCache: false, store, pruneInterval: 0 });
+        first.adapters.clear();
+        first.registerAdapter(new StaticAdapter());
+
+        const completed = await new Promise(resolve => {
+            first.on('scan:complete', resolve);
+            first.startScan('testuser');
+        });
+
+        const second = new SearchAggregator({ enableCache: false, store, pruneInterval: 0 });
+        expect(second.getScan(completed.id)).toBeNull();
+
+        const loaded = await second.loadScan(completed.id);
+        expect(loaded.status).toBe('completed');
+        expect(loaded.results).toHaveLength(1);
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Confidence Scoring Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    ScoringRuleError,
+    ScoringEngine,
+    validateRuleSet,
+    loadScoringRules
+} = require('../lib/scoring');
+const { SearchAggregator, BaseAdapter } = require('../lib/search-aggregator');
+
+const factor = (explanation, rule) => explanation.factors.find(f => f.rule === rule);
+
+describe('ScoringEngine', () => {
+    test('should explain every default factor', () => {
+        const engine = new ScoringEngine();
+        const { score, explanation } = engine.score(
+            { confidence: 0.4, verified: true, username: 'JaneDoe', displayName: 'Jane', bio: 'hi' },
+            { query: 'janedoe' }
+        );
+
+        expect(explanation.ruleSet).toBe('default');
+        expect(explanation.base).toBe(0.4);
+        expect(factor(explanation, 'verified').contribution).toBe(0.2);
+        expect(factor(explanation, 'usernameMatch').contribution).toBe(0.3);
+        expect(factor(explanation, 'profileCompleteness')).toMatchObject({ value: 0.4, contribution: 0.04, detail: 'displayName, bio' });
+        expect(explanation.total).toBe(0.94);
+        expect(score).toBe(0.94);
+    });
+
+    test('should give the same score when a result is scored again', () => {
+        const engine = new ScoringEngine();
+        const result = { confidence: 0.5, verified: true };
+
+        const first = engine.score(result, { query: 'x' });
+        Object.assign(result, { confidence: first.score, scoreExplanation: first.explanation });
+        const second = engine.score(result, { query: 'x' });
+
+        expect(second).toEqual(first);
+    });
+
+    test('should credit usernames that differ only by separators', () => {
+        const { explanation } = new ScoringEngine().score({ username: 'johndoe' }, { query: 'john_doe' });
+
+        expect(factor(explanation, 'usernameMatch')).toMatchObject({
+            value: 0.9,
+            contribution: 0.27,
+            detail: 'username normalized match with john_doe'
+        });
+    });
+
+    test('should use the similarity passed by the caller', () => {
+        const similarity = { score: 0.5, field: 'username', method: 'exact', target: 'johndoe' };
+        const { explanation } = new ScoringEngine().score({ username: 'johndoe' }, { query: 'other', similarity });
+
+        expect(factor(explanation, 'usernameMatch').contribution).toBe(0.15);
+    });
+
+    test('should extend the default rules', () => {
+        const engine = new ScoringEngine({
+            name: 'team',
+            extends: 'default',
+            rules: [
+                { name: 'verified', weight: 0.4 },
+                { name: 'profileCompleteness', weight: 0 },
+                { name: 'popular', field: 'raw.followers', op: 'scale', max: 1000, weight: 0.2 },
+                { name: 'nsfw', field: 'category', op: 'equals', value: 'nsfw', weight: -0.3 }
+            ]
+        });
+
+        const { score, explanation } = engine.score(
+            { confidence: 0.5, verified: true, category: 'nsfw', raw: { followers: 500 } },
+            { query: 'x' }
+        );
+
+        expect(explanation.ruleSet).toBe('team');
+        expect(explanation.factors.map(f => f.rule)).toEqual(['verified', 'usernameMatch', 'popular', 'nsfw']);
+        expect(score).toBe(0.7);
+    });
+
+    test('should accept rule functions and clamp the score', () => {
+        const engine = new ScoringEngine([
+            { name: 'always', weight: 1, evaluate: () => ({ value: 1, detail: 'test' }) }
+        ]);
+        const { score, explanation } = engine.score({ confidence: 0.6 });
+
+        expect(explanation.total).toBe(1.6);
+        expect(score).toBe(1);
+    });
+});
+
+describe('rule validation', () => {
+    test('should report every problem', () => {
+        const errors = validateRuleSet([
+            { name: 'a', builtin: 'nope', weight: 0.1 },
+            { name: 'b', field: 'bio', op: 'contains', weight: 0.1 },
+            { name: 'c', field: 'bio', op: 'exists', weight: 2 },
+            { name: 'd', weight: 0.1 }
+        ]);
+
+        expect(errors).toHaveLength(4);
+        expect(errors[0]).toContain('unknown builtin "nope"');
+        expect(errors[1]).toContain('"op" must be one of');
+        expect(errors[2]).toContain('"weight" must be a number between -1 and 1');
+        expect(errors[3]).toContain('needs exactly one of');
+    });
+
+    test('should reject invalid rule files', () => {
+        const file = path.join(os.tmpdir(), `scoring-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify({ extends: 'default', rules: [{ name: 'x', field: 'bio', op: 'matches', value: '(', weight: 0.1 }] }));
+
+        try {
+            expect(() => loadScoringRules(file)).toThrow(ScoringRuleError);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    test('should refuse to build an engine from invalid rules', () => {
+        expect(() => new ScoringEngine([{ name: 'x' }])).toThrow(ScoringRuleError);
+    });
+});
+
+describe('SearchAggregator scoring', () => {
+    test('should attach scoreExplanation using configured rules', async () => {
+        class ProfileAdapter extends BaseAdapter {
+            constructor() {
+                super('profiles', { priority: 1 });
+            }
+            async search(query) {
+                return [{ ...this.normalizeResult({}, 'profile'), username: query, confidence: 0.5 }];
+            }
+        }
+
+        const aggregator = new SearchAggregator({
+            enableCache: false,
+            scoringRules: { extends: 'default', rules: [{ name: 'usernameMatch', weight: 0.1 }] }
+        });
+        aggregator.adapters.clear();
+        aggregator.registerAdapter(new ProfileAdapter());
+
+        const completed = await new Promise(resolve => {
+            aggregator.on('scan:complete', resolve);
+            aggregator.startScan('jane');
+        });
+
+        const [result] = completed.results;
+        expect(result.confidence).toBe(0.6);
+        expect(factor(result.scoreExplanation, 'usernameMatch').weight).toBe(0.1);
+    });
+});
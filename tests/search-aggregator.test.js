@@ -6,7 +6,10 @@ const {
     SearchAggregator, 
     BaseAdapter, 
     GitHubAdapter,
-    AGGREGATOR_CONFIG 
+    DnsAdapter,
+    DirectPlatformAdapter,
+    AGGREGATOR_CONFIG,
+    parseRetryAfter
 } = require('../lib/search-aggregator');
 
 // Mock axios
@@ -41,6 +44,14 @@ describe('SearchAggregator', () => {
             const adapters = aggregator.getAdapters();
             expect(adapters.map(a => a.name)).toContain('custom');
         });
+        
+        test('should give the default adapters the client it is given', () => {
+            const http = { get: jest.fn(), request: jest.fn() };
+            const injected = new SearchAggregator({ enableCache: false, http });
+            const clients = [...injected.adapters.values()].filter(adapter => adapter.name !== 'dns').map(adapter => adapter.http);
+            
+            expect(clients.every(client => client === http)).toBe(true);
+        });
     });
     
     describe('startScan', () => {
@@ -193,6 +204,582 @@ describe('SearchAggregator', () => {
     });
 });
 
+describe('cancelScan', () => {
+    class SlowAdapter extends BaseAdapter {
+        constructor() {
+            super('slow', { priority: 2 });
+            this.receivedSignal = null;
+        }
+        async search(query, options = {}) {
+            this.receivedSignal = options.signal;
+            await this.sleep(60000, options.signal);
+            return [{ id: 'late', url: 'https://example.com/late', confidence: 0.9 }];
+        }
+    }
+    
+    class FastAdapter extends BaseAdapter {
+        constructor() {
+            super('fast', { priority: 1 });
+        }
+        async search() {
+            return [{ id: 'fast', url: 'https://example.com/fast', confidence: 0.7 }];
+        }
+    }
+    
+    test('should abort adapters and keep partial results', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false });
+        testAggregator.adapters.clear();
+        const slow = new SlowAdapter();
+        testAggregator.registerAdapter(new FastAdapter());
+        testAggregator.registerAdapter(slow);
+        
+        const scan = await testAggregator.startScan('testuser');
+        await new Promise(resolve => testAggregator.once('scan:progress', resolve));
+        
+        const cancelledEvent = new Promise(resolve => testAggregator.once('scan:cancelled', resolve));
+        const cancelled = await testAggregator.cancelScan(scan.id);
+        
+        expect(cancelled.status).toBe('cancelled');
+        expect(slow.receivedSignal.aborted).toBe(true);
+        expect(cancelled.results.map(r => r.id)).toEqual(['fast']);
+        expect((await cancelledEvent).id).toBe(scan.id);
+        
+        // The aborted adapter's late results never reach the scan
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(testAggregator.getScan(scan.id).results.map(r => r.id)).toEqual(['fast']);
+        expect(testAggregator.getScan(scan.id).status).toBe('cancelled');
+    });
+    
+    test('should keep one listener on the scan signal however many adapters wait on it', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false });
+        testAggregator.adapters.clear();
+        const adapters = Array.from({ length: 15 }, (_, index) => {
+            const adapter = new SlowAdapter();
+            adapter.name = `slow-${index}`;
+            testAggregator.registerAdapter(adapter);
+            return adapter;
+        });
+        const warnings = [];
+        const onWarning = warning => warnings.push(warning.name);
+        process.on('warning', onWarning);
+        
+        // Live abort listeners per signal
+        const listeners = new Map();
+        const count = (signal, delta) => listeners.set(signal, (listeners.get(signal) || 0) + delta);
+        const add = jest.spyOn(AbortSignal.prototype, 'addEventListener')
+            .mockImplementation(function (type, listener, options) {
+                count(this, 1);
+                return EventTarget.prototype.addEventListener.call(this, type, listener, options);
+            });
+        const remove = jest.spyOn(AbortSignal.prototype, 'removeEventListener')
+            .mockImplementation(function (type, listener, options) {
+                count(this, -1);
+                return EventTarget.prototype.removeEventListener.call(this, type, listener, options);
+            });
+        
+        const scan = await testAggregator.startScan('testuser');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const { signal } = testAggregator.controllers.get(scan.id);
+        add.mockRestore();
+        remove.mockRestore();
+        
+        expect(adapters.every(adapter => adapter.receivedSignal)).toBe(true);
+        expect(listeners.get(signal)).toBeLessThanOrEqual(2);
+        
+        await testAggregator.cancelScan(scan.id);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        process.off('warning', onWarning);
+        
+        expect(adapters.every(adapter => adapter.receivedSignal.aborted)).toBe(true);
+        expect(warnings).not.toContain('MaxListenersExceededWarning');
+    });
+    
+    test('should stop a scan that runs out of time and complete it with what it has', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false, totalTimeout: 50 });
+        testAggregator.adapters.clear();
+        const slow = new SlowAdapter();
+        testAggregator.registerAdapter(new FastAdapter());
+        testAggregator.registerAdapter(slow);
+        const cancelled = jest.fn();
+        testAggregator.on('scan:cancelled', cancelled);
+        
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('testuser');
+        });
+        
+        expect(completed.status).toBe('completed');
+        expect(completed.timedOut).toBe(true);
+        expect(completed.results.map(r => r.id)).toEqual(['fast']);
+        expect(completed.errors).toContainEqual({ adapter: 'scan', error: 'Timeout' });
+        expect(slow.receivedSignal.aborted).toBe(true);
+        expect(cancelled).not.toHaveBeenCalled();
+    });
+    
+    test('should abort an adapter search that runs out of time', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false, defaultTimeout: 50 });
+        testAggregator.adapters.clear();
+        const slow = new SlowAdapter();
+        testAggregator.registerAdapter(slow);
+        
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('testuser');
+        });
+        
+        expect(slow.receivedSignal.aborted).toBe(true);
+        expect(completed.errors).toEqual([{ adapter: 'slow', error: 'Timeout' }]);
+        expect(testAggregator.getAdapterSlots('slow').active).toBe(0);
+    });
+    
+    test('should stay cancelled when cancelled while the scan is being finalized', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false });
+        testAggregator.adapters.clear();
+        testAggregator.registerAdapter(new FastAdapter());
+        
+        let scanId;
+        testAggregator.graph = {
+            ingestScan: jest.fn(async () => {
+                // The first call is runScan's; cancelScan ingests again
+                if (testAggregator.graph.ingestScan.mock.calls.length === 1) await testAggregator.cancelScan(scanId);
+                return { entities: 0, relationships: 0 };
+            })
+        };
+        const completed = jest.fn();
+        testAggregator.on('scan:complete', completed);
+        const cancelled = new Promise(resolve => testAggregator.once('scan:cancelled', resolve));
+        
+        scanId = (await testAggregator.startScan('testuser')).id;
+        await cancelled;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        
+        expect(testAggregator.getScan(scanId).status).toBe('cancelled');
+        expect(completed).not.toHaveBeenCalled();
+    });
+    
+    test('should ignore scans that are not running', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false });
+        testAggregator.adapters.clear();
+        testAggregator.registerAdapter(new FastAdapter());
+        
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('testuser');
+        });
+        
+        const result = await testAggregator.cancelScan(completed.id);
+        expect(result.status).toBe('completed');
+        expect(await testAggregator.cancelScan('unknown-id')).toBeNull();
+    });
+});
+
+describe('username permutations', () => {
+    class KnownUsersAdapter extends BaseAdapter {
+        constructor(users) {
+            super('known', { priority: 1 });
+            this.users = users;
+            this.queries = [];
+        }
+        async search(query) {
+            this.queries.push(query);
+            if (!this.users.includes(query)) return [];
+            return [{ ...this.normalizeResult({}, 'profile'), username: query, url: `https://example.com/${query}`, confidence: 0.6 }];
+        }
+    }
+    
+    test('should scan variants and link hits back to the seed', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false });
+        testAggregator.adapters.clear();
+        const adapter = new KnownUsersAdapter(['john_doe', 'johndoe']);
+        testAggregator.registerAdapter(adapter);
+        
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('john_doe', { permutations: true, permutationLimit: 3 });
+        });
+        
+        expect(adapter.queries).toEqual(['john_doe', 'johndoe', 'john.doe', 'john-doe']);
+        expect(completed.variants.map(v => v.username)).toEqual(['johndoe', 'john.doe', 'john-doe']);
+        expect(completed.variants[0].hits).toBe(1);
+        
+        const seedHit = completed.results.find(r => r.username === 'john_doe');
+        const variantHit = completed.results.find(r => r.username === 'johndoe');
+        expect(seedHit.seed).toBeUndefined();
+        expect(variantHit.seed).toBe('john_doe');
+        expect(variantHit.variant).toEqual({ username: 'johndoe', score: 0.9, transforms: ['joined'] });
+        expect(variantHit.confidence).toBeLessThan(seedHit.confidence);
+    });
+    
+    test('should not scan variants unless requested', async () => {
+        const testAggregator = new SearchAggregator({ enableCache: false });
+        testAggregator.adapters.clear();
+        const adapter = new KnownUsersAdapter([]);
+        testAggregator.registerAdapter(adapter);
+        
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('john_doe');
+        });
+        
+        expect(adapter.queries).toEqual(['john_doe']);
+        expect(completed.variants).toBeUndefined();
+    });
+});
+
+describe('avatar hashing', () => {
+    class AvatarAdapter extends BaseAdapter {
+        constructor(name, avatar) {
+            super(name, { priority: 1 });
+            this.avatar = avatar;
+        }
+        async search(query) {
+            return [{ ...this.normalizeResult({}, 'profile'), username: query, url: `https://${this.name}.example.com/${query}`, avatar: this.avatar }];
+        }
+    }
+    
+    const HASHES = {
+        'https://a.example.com/me.png': { aHash: 'ff00ff00ff00ff00', dHash: '0f0f0f0f0f0f0f0f', pHash: 'aaaaaaaaaaaaaaaa', uniform: false },
+        'https://b.example.com/me.jpg': { aHash: 'ff00ff00ff00ff01', dHash: '0f0f0f0f0f0f0f0f', pHash: 'aaaaaaaaaaaaaaab', uniform: false },
+        'https://c.example.com/other.png': { aHash: '00ff00ff00ff00ff', dHash: 'f0f0f0f0f0f0f0f0', pHash: '5555555555555555', uniform: false }
+    };
+    
+    test('should store hashes on results and link matching avatars across sources', async () => {
+        const avatarHasher = { hash: jest.fn(async url => HASHES[url] || null) };
+        const testAggregator = new SearchAggregator({ enableCache: false, avatarHasher });
+        testAggregator.adapters.clear();
+        testAggregator.registerAdapter(new AvatarAdapter('alpha', 'https://a.example.com/me.png'));
+        testAggregator.registerAdapter(new AvatarAdapter('beta', 'https://b.example.com/me.jpg'));
+        testAggregator.registerAdapter(new AvatarAdapter('gamma', 'https://c.example.com/other.png'));
+        
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('jane');
+        });
+        
+        expect(avatarHasher.hash).toHaveBeenCalledTimes(3);
+        expect(completed.results.every(r => r.avatarHashes)).toBe(true);
+        expect(completed.avatarLinks).toHaveLength(1);
+        expect(completed.avatarLinks[0].sources.sort()).toEqual(['alpha', 'beta']);
+        expect(completed.avatarLinks[0].distances).toEqual({ aHash: 1, dHash: 0, pHash: 1 });
+        expect(completed.stats.avatarLinks).toBe(1);
+    });
+    
+    test('should skip hashing when disabled', async () => {
+        const avatarHasher = { hash: jest.fn() };
+        const testAggregator = new SearchAggregator({ enableCache: false, avatarHasher, hashAvatars: false });
+        testAggregator.adapters.clear();
+        testAggregator.registerAdapter(new AvatarAdapter('alpha', 'https://a.example.com/me.png'));
+        
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('jane');
+        });
+        
+        expect(avatarHasher.hash).not.toHaveBeenCalled();
+        expect(completed.avatarLinks).toBeUndefined();
+    });
+});
+
+describe('target scans', () => {
+    class RecordingAdapter extends BaseAdapter {
+        constructor(name, targets) {
+            super(name, { priority: 1, targets });
+            this.queries = [];
+        }
+        async search(query) {
+            this.queries.push(query);
+            return [{ ...this.normalizeResult({}, 'profile'), url: `https://${this.name}.example.com/${query}` }];
+        }
+    }
+    
+    function createAggregator() {
+        const testAggregator = new SearchAggregator({ enableCache: false, hashAvatars: false });
+        testAggregator.adapters.clear();
+        const adapters = {
+            github: new RecordingAdapter('github'),
+            gravatar: new RecordingAdapter('gravatar', ['email']),
+            hibp: new RecordingAdapter('hibp', ['email']),
+            nominatim: new RecordingAdapter('nominatim', ['location']),
+            shodan: new RecordingAdapter('shodan', ['ip'])
+        };
+        Object.values(adapters).forEach(adapter => testAggregator.registerAdapter(adapter));
+        return { testAggregator, adapters };
+    }
+    
+    function runToCompletion(testAggregator, start) {
+        return new Promise((resolve, reject) => {
+            testAggregator.on('scan:complete', resolve);
+            start().catch(reject);
+        });
+    }
+    
+    test('should run only the profile adapters that accept the target type', async () => {
+        const { testAggregator, adapters } = createAggregator();
+        
+        const completed = await runToCompletion(testAggregator, () =>
+            testAggregator.startTargetScan({ type: 'email', value: 'Jane@Example.com' }, { profile: 'breach' }));
+        
+        expect(completed.profile).toBe('breach');
+        expect(completed.target).toMatchObject({ type: 'email', queries: { email: 'jane@example.com' } });
+        expect(completed.stats.totalSources).toBe(2);
+        expect(adapters.hibp.queries).toEqual(['jane@example.com']);
+        expect(adapters.gravatar.queries).toEqual(['jane@example.com']);
+        expect(adapters.github.queries).toEqual([]);
+    });
+    
+    test('should give each adapter its own query kind for person targets', async () => {
+        const { testAggregator, adapters } = createAggregator();
+        
+        const completed = await runToCompletion(testAggregator, () => testAggregator.startTargetScan({
+            type: 'person',
+            value: { firstName: 'Jane', lastName: 'Doe', location: 'Berlin' }
+        }));
+        
+        expect(completed.profile).toBe('social');
+        expect(adapters.nominatim.queries).toEqual(['Berlin']);
+        expect(completed.variants.length).toBeGreaterThan(0);
+        expect(adapters.github.queries[0]).toBe(completed.query);
+        expect(adapters.github.queries.length).toBe(1 + completed.variants.length);
+        expect(adapters.shodan.queries).toEqual([]);
+    });
+    
+    test('should reject targets the profile cannot scan', async () => {
+        const { testAggregator } = createAggregator();
+        
+        await expect(testAggregator.startTargetScan({ type: 'ip', value: '10.0.0.1' }, { profile: 'breach' }))
+            .rejects.toThrow('profile "breach" has no modules for ip targets');
+        await expect(testAggregator.startTargetScan({ type: 'email', value: 'nope' }))
+            .rejects.toMatchObject({ name: 'ScanTargetError', status: 400 });
+    });
+    
+    test('should keep plain queries on username adapters', async () => {
+        const { testAggregator, adapters } = createAggregator();
+        
+        await runToCompletion(testAggregator, () => testAggregator.startScan('jane'));
+        
+        expect(adapters.github.queries).toEqual(['jane']);
+        expect(adapters.hibp.queries).toEqual([]);
+    });
+    
+    test('should leave out excluded adapters', async () => {
+        const { testAggregator, adapters } = createAggregator();
+        
+        const completed = await runToCompletion(testAggregator, () => testAggregator.startTargetScan(
+            { type: 'email', value: 'jane@example.com' }, { profile: 'breach', excludeAdapters: ['hibp'] }));
+        
+        expect(completed.stats.totalSources).toBe(1);
+        expect(adapters.hibp.queries).toEqual([]);
+        expect(adapters.gravatar.queries).toEqual(['jane@example.com']);
+    });
+});
+
+describe('job queue', () => {
+    class GatedAdapter extends BaseAdapter {
+        constructor() {
+            super('gated', { priority: 1 });
+            this.inFlight = 0;
+            this.maxInFlight = 0;
+            this.gates = [];
+        }
+        async search(query) {
+            this.inFlight++;
+            this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+            await new Promise(resolve => this.gates.push(resolve));
+            this.inFlight--;
+            return [{ id: query, url: `https://example.com/${query}`, confidence: 0.7 }];
+        }
+        openNext() {
+            const gate = this.gates.shift();
+            if (gate) gate();
+        }
+    }
+    
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    
+    function createQueueAggregator(config) {
+        const testAggregator = new SearchAggregator({ enableCache: false, ...config });
+        testAggregator.adapters.clear();
+        const adapter = new GatedAdapter();
+        testAggregator.registerAdapter(adapter);
+        return { testAggregator, adapter };
+    }
+    
+    test('should queue scans beyond maxConcurrentJobs', async () => {
+        const { testAggregator, adapter } = createQueueAggregator({ maxConcurrentJobs: 1 });
+        const queued = [];
+        testAggregator.on('scan:queued', data => queued.push(data));
+        
+        const first = await testAggregator.startScan('one');
+        const second = await testAggregator.startScan('two');
+        const third = await testAggregator.startScan('three');
+        
+        expect(first.status).toBe('running');
+        expect(second.status).toBe('queued');
+        expect(second.queuePosition).toBe(1);
+        expect(third.queuePosition).toBe(2);
+        expect(testAggregator.getQueueStats()).toMatchObject({ running: 1, queued: 2 });
+        
+        // Finishing the first scan promotes the next one and shifts positions
+        const started = new Promise(resolve => testAggregator.once('scan:started', resolve));
+        await flush();
+        adapter.openNext();
+        expect((await started).scanId).toBe(second.id);
+        expect(second.status).toBe('running');
+        expect(third.queuePosition).toBe(1);
+        expect(queued[queued.length - 1]).toMatchObject({ scanId: third.id, position: 1 });
+        
+        await flush();
+        adapter.openNext();
+        await flush();
+        adapter.openNext();
+        await new Promise(resolve => testAggregator.on('scan:complete', scan => scan.id === third.id && resolve()));
+    });
+    
+    test('should cap in-flight requests per adapter', async () => {
+        const { testAggregator, adapter } = createQueueAggregator({ maxConcurrentJobs: 5, maxConcurrentPerAdapter: 2 });
+        
+        for (const query of ['a', 'b', 'c', 'd']) {
+            await testAggregator.startScan(query);
+        }
+        await flush();
+        
+        expect(adapter.inFlight).toBe(2);
+        expect(testAggregator.getAdapters()[0].inFlight).toBe(2);
+        
+        for (let i = 0; i < 4; i++) {
+            adapter.openNext();
+            await flush();
+        }
+        expect(adapter.maxInFlight).toBe(2);
+    });
+    
+    test('should cancel queued scans without running them', async () => {
+        const { testAggregator, adapter } = createQueueAggregator({ maxConcurrentJobs: 1 });
+        
+        await testAggregator.startScan('one');
+        const second = await testAggregator.startScan('two');
+        
+        const cancelled = await testAggregator.cancelScan(second.id);
+        expect(cancelled.status).toBe('cancelled');
+        expect(testAggregator.getQueueStats().queued).toBe(0);
+        
+        await flush();
+        adapter.openNext();
+        await flush();
+        expect(adapter.gates).toHaveLength(0);
+        expect(second.status).toBe('cancelled');
+    });
+    
+    test('should reject scans when the queue is full', async () => {
+        const { testAggregator } = createQueueAggregator({ maxConcurrentJobs: 1, maxQueueLength: 1 });
+        
+        await testAggregator.startScan('one');
+        await testAggregator.startScan('two');
+        await expect(testAggregator.startScan('three')).rejects.toThrow('Scan queue is full');
+    });
+});
+
+describe('retry with backoff', () => {
+    function httpError(status, headers = {}) {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = { status, headers };
+        return error;
+    }
+    
+    class FlakyAdapter extends BaseAdapter {
+        constructor(failures) {
+            super('flaky', { priority: 1 });
+            this.failures = failures;
+            this.calls = 0;
+        }
+        async search() {
+            this.calls++;
+            if (this.failures.length) throw this.failures.shift();
+            return [{ id: 'ok', url: 'https://example.com/ok', confidence: 0.7 }];
+        }
+    }
+    
+    function runWith(adapter, config = {}) {
+        const testAggregator = new SearchAggregator({ enableCache: false, retryDelay: 1, ...config });
+        testAggregator.adapters.clear();
+        testAggregator.registerAdapter(adapter);
+        
+        const retries = [];
+        testAggregator.on('scan:adapter:retry', data => retries.push(data));
+        
+        return new Promise(resolve => {
+            testAggregator.on('scan:complete', scan => resolve({ scan, retries }));
+            testAggregator.startScan('testuser');
+        });
+    }
+    
+    test('should retry transient failures and emit retry events', async () => {
+        const adapter = new FlakyAdapter([httpError(503), Object.assign(new Error('reset'), { code: 'ECONNRESET' })]);
+        const { scan, retries } = await runWith(adapter);
+        
+        expect(adapter.calls).toBe(3);
+        expect(scan.results).toHaveLength(1);
+        expect(scan.stats.retries).toBe(2);
+        expect(retries.map(r => r.attempt)).toEqual([1, 2]);
+        expect(retries[0]).toMatchObject({ adapter: 'flaky', status: 503, maxRetries: AGGREGATOR_CONFIG.maxRetries });
+    });
+    
+    test('should give up after maxRetries', async () => {
+        const adapter = new FlakyAdapter([httpError(500), httpError(500), httpError(500)]);
+        const { scan, retries } = await runWith(adapter, { maxRetries: 2 });
+        
+        expect(adapter.calls).toBe(3);
+        expect(retries).toHaveLength(2);
+        expect(scan.errors[0]).toMatchObject({ adapter: 'flaky' });
+    });
+    
+    test('should not retry client errors', async () => {
+        const adapter = new FlakyAdapter([httpError(403)]);
+        const { retries } = await runWith(adapter);
+        
+        expect(adapter.calls).toBe(1);
+        expect(retries).toHaveLength(0);
+    });
+    
+    test('should honour Retry-After on 429', async () => {
+        const adapter = new FlakyAdapter([httpError(429, { 'retry-after': '0' })]);
+        const { retries } = await runWith(adapter, { retryDelay: 5000 });
+        
+        expect(retries[0].delay).toBe(0);
+        expect(retries[0].status).toBe(429);
+    });
+    
+    test('should give up when Retry-After exceeds maxRetryDelay', async () => {
+        const adapter = new FlakyAdapter([httpError(429, { 'retry-after': '120' })]);
+        const { retries } = await runWith(adapter);
+        
+        expect(adapter.calls).toBe(1);
+        expect(retries).toHaveLength(0);
+    });
+    
+    test('should back off exponentially with jitter', () => {
+        const testAggregator = new SearchAggregator({ retryDelay: 1000, retryBackoff: 2, maxRetryDelay: 10000 });
+        const error = httpError(503);
+        
+        for (let i = 0; i < 20; i++) {
+            const third = testAggregator.getRetryDelay(3, error);
+            expect(third).toBeGreaterThanOrEqual(2000);
+            expect(third).toBeLessThanOrEqual(4000);
+        }
+        expect(testAggregator.getRetryDelay(10, error)).toBeLessThanOrEqual(10000);
+    });
+    
+    test('should parse Retry-After seconds and dates', () => {
+        expect(parseRetryAfter('3')).toBe(3000);
+        expect(parseRetryAfter(undefined)).toBeNull();
+        expect(parseRetryAfter('garbage')).toBeNull();
+        
+        const inFuture = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+        expect(inFuture).toBeGreaterThan(3000);
+        expect(inFuture).toBeLessThanOrEqual(5000);
+    });
+});
+
 describe('GitHubAdapter', () => {
     let adapter;
     
@@ -244,6 +831,70 @@ describe('GitHubAdapter', () => {
         const results = await adapter.search('testuser');
         expect(results).toEqual([]);
     });
+    
+    test('should rethrow transient errors for the aggregator to retry', async () => {
+        const error = new Error('Request failed with status code 502');
+        error.response = { status: 502, headers: {} };
+        axios.get.mockRejectedValue(error);
+        
+        await expect(adapter.search('testuser')).rejects.toThrow('502');
+    });
+});
+
+describe('DirectPlatformAdapter', () => {
+    beforeEach(() => {
+        axios.request.mockReset();
+    });
+    
+    test('should keep the batches checked before the search ran out of time', async () => {
+        const platforms = Array.from({ length: 25 }, (_, index) => ({
+            name: `Site ${index}`,
+            category: 'social',
+            url: `https://example.com/${index}/{username}`,
+            checkMethod: 'status',
+            validStatus: 200
+        }));
+        // The first batch answers, the rest hang until aborted
+        axios.request.mockImplementation(config => {
+            if (Number(config.url.split('/')[3]) < 10) {
+                return Promise.resolve({ status: 200, data: '<h1>jdoe</h1>', headers: {} });
+            }
+            return new Promise((_, reject) => {
+                config.signal.addEventListener('abort', () => reject(new Error('canceled')));
+            });
+        });
+        
+        const testAggregator = new SearchAggregator({ enableCache: false, hashAvatars: false, defaultTimeout: 1000 });
+        testAggregator.adapters.clear();
+        testAggregator.registerAdapter(new DirectPlatformAdapter({ catalog: { platforms } }));
+        
+        const completed = await new Promise(resolve => {
+            testAggregator.on('scan:complete', resolve);
+            testAggregator.startScan('jdoe');
+        });
+        
+        expect(completed.results).toHaveLength(10);
+        expect(completed.errors).toEqual([{ adapter: 'direct', query: 'jdoe', error: 'Timeout', partial: true }]);
+        // The hanging batch was aborted and the last one never sent
+        const probes = axios.request.mock.calls.map(([config]) => config).filter(config => config.url.startsWith('https://example.com/'));
+        expect(probes).toHaveLength(20);
+        expect(probes[19].signal.aborted).toBe(true);
+    });
+});
+
+describe('DnsAdapter', () => {
+    test('should not touch the local resolver when local DNS is off', async () => {
+        const resolver = { resolve4: jest.fn() };
+        const adapter = new DnsAdapter({ resolver, localDns: false });
+        
+        expect(await adapter.search('example.com')).toEqual([]);
+        expect(resolver.resolve4).not.toHaveBeenCalled();
+    });
+    
+    test('should pass the aggregator setting to the registered adapter', () => {
+        const proxied = new SearchAggregator({ enableCache: false, localDns: false });
+        expect(proxied.adapters.get('dns').localDns).toBe(false);
+    });
 });
 
 describe('BaseAdapter', () => {
@@ -285,3 +936,108 @@ describe('AGGREGATOR_CONFIG', () => {
         expect(AGGREGATOR_CONFIG.totalTimeout).toBeGreaterThan(AGGREGATOR_CONFIG.defaultTimeout);
     });
 });
+
+describe('pivoting', () => {
+    class LeadAdapter extends BaseAdapter {
+        constructor(name, targets, priority, found = {}) {
+            super(name, { priority, targets });
+            this.found = found;
+            this.queries = [];
+        }
+        async search(query) {
+            this.queries.push(query);
+            const fields = this.found[query];
+            return fields ? [{ ...this.normalizeResult({}, 'profile'), url: `https://${this.name}.example.com/${query}`, ...fields }] : [];
+        }
+    }
+    
+    function createAggregator(options = {}) {
+        const testAggregator = new SearchAggregator({ enableCache: false, hashAvatars: false, ...options });
+        testAggregator.adapters.clear();
+        const adapters = {
+            github: new LeadAdapter('github', ['username'], 1, {
+                jdoe: { username: 'jdoe', email: 'jane@example.com', bio: 'Blog: https://jane.dev' },
+                janed: { username: 'janed' }
+            }),
+            hibp: new LeadAdapter('hibp', ['email'], 2),
+            gravatar: new LeadAdapter('gravatar', ['email'], 3, {
+                'jane@example.com': { accounts: [{ platform: 'twitter', username: 'janed' }, { platform: 'github', username: 'jdoe' }] }
+            }),
+            dns: new LeadAdapter('dns', ['domain'], 1, {
+                'jane.dev': { domain: 'jane.dev', ips: ['203.0.113.7'] }
+            })
+        };
+        Object.values(adapters).forEach(adapter => testAggregator.registerAdapter(adapter));
+        return { testAggregator, adapters };
+    }
+    
+    function runToCompletion(testAggregator, start) {
+        return new Promise((resolve, reject) => {
+            testAggregator.on('scan:complete', resolve);
+            start().catch(reject);
+        });
+    }
+    
+    test('should follow leads breadth first and record each pivot as an edge', async () => {
+        const { testAggregator, adapters } = createAggregator();
+        const events = [];
+        testAggregator.on('scan:pivot', ({ pivot }) => events.push(pivot.value));
+        
+        const completed = await runToCompletion(testAggregator, () => testAggregator.startScan('jdoe', { pivot: true }));
+        
+        expect(completed.pivots.map(({ type, value, field, depth }) => ({ type, value, field, depth }))).toEqual([
+            { type: 'email', value: 'jane@example.com', field: 'email', depth: 1 },
+            { type: 'domain', value: 'jane.dev', field: 'bio', depth: 1 },
+            { type: 'username', value: 'janed', field: 'accounts.twitter', depth: 2 }
+        ]);
+        expect(events).toEqual(['jane@example.com', 'jane.dev', 'janed']);
+        
+        // Root result -> email lead -> Gravatar profile -> username lead
+        const [emailPivot, , usernamePivot] = completed.pivots;
+        const root = completed.results.find(r => r.username === 'jdoe');
+        const gravatar = completed.results.find(r => r.source === 'gravatar');
+        expect(emailPivot.parentId).toBe(root.id);
+        expect(emailPivot.resultIds).toEqual([gravatar.id]);
+        expect(gravatar.pivot).toMatchObject({ id: emailPivot.id, parentId: root.id, depth: 1 });
+        expect(usernamePivot.parentId).toBe(gravatar.id);
+        
+        // The IP from DNS has no modules registered; the scan's own username is not a lead
+        expect(adapters.github.queries).toEqual(['jdoe', 'janed']);
+        expect(adapters.hibp.queries).toEqual(['jane@example.com']);
+        expect(completed.stats).toMatchObject({ pivots: 3, pivotRequests: 4 });
+    });
+    
+    test('should stop pivoting when the request budget is spent', async () => {
+        const { testAggregator, adapters } = createAggregator();
+        
+        const completed = await runToCompletion(testAggregator, () =>
+            testAggregator.startScan('jdoe', { pivot: { maxRequests: 1 } }));
+        
+        expect(completed.pivots).toHaveLength(1);
+        expect(completed.pivots[0].adapters).toEqual(['hibp']);
+        expect(completed.stats).toMatchObject({ pivotRequests: 1, pivotBudgetExhausted: true });
+        expect(adapters.gravatar.queries).toEqual([]);
+        expect(adapters.dns.queries).toEqual([]);
+    });
+    
+    test('should only pivot on allowed types up to the server depth limit', async () => {
+        const { testAggregator, adapters } = createAggregator({ pivotMaxDepth: 1 });
+        
+        const completed = await runToCompletion(testAggregator, () =>
+            testAggregator.startScan('jdoe', { pivot: { maxDepth: 3, types: ['email', 'username'] } }));
+        
+        expect(completed.pivotLimits).toEqual({ maxDepth: 1, maxRequests: 30, types: ['email', 'username'] });
+        expect(completed.pivots.map(pivot => pivot.value)).toEqual(['jane@example.com']);
+        expect(adapters.dns.queries).toEqual([]);
+        expect(adapters.github.queries).toEqual(['jdoe']);
+    });
+    
+    test('should not pivot unless asked', async () => {
+        const { testAggregator, adapters } = createAggregator();
+        
+        const completed = await runToCompletion(testAggregator, () => testAggregator.startScan('jdoe'));
+        
+        expect(completed.pivots).toBeUndefined();
+        expect(adapters.hibp.queries).toEqual([]);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * String Similarity Tests
+ */
+
+const {
+    foldConfusables,
+    normalizeForMatch,
+    levenshtein,
+    jaroWinkler,
+    compareUsernames,
+    matchQuery
+} = require('../lib/string-similarity');
+const { SearchAggregator, BaseAdapter } = require('../lib/search-aggregator');
+
+describe('normalization', () => {
+    test('should fold look-alike characters from other scripts', () => {
+        expect(foldConfusables('jоhn')).toBe('john'); // Cyrillic о
+        expect(foldConfusables('ＪＯＨＮ')).toBe('john');
+        expect(foldConfusables('Zoë')).toBe('zoe');
+    });
+
+    test('should ignore separators', () => {
+        expect(normalizeForMatch('John_Doe')).toBe('johndoe');
+        expect(normalizeForMatch('john.doe')).toBe('johndoe');
+        expect(normalizeForMatch('john - doe')).toBe('johndoe');
+    });
+});
+
+describe('distances', () => {
+    test('should compute Levenshtein distance', () => {
+        expect(levenshtein('kitten', 'sitting')).toBe(3);
+        expect(levenshtein('', 'abc')).toBe(3);
+        expect(levenshtein('same', 'same')).toBe(0);
+    });
+
+    test('should compute Jaro-Winkler similarity', () => {
+        expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.961, 3);
+        expect(jaroWinkler('abc', 'xyz')).toBe(0);
+    });
+});
+
+describe('compareUsernames', () => {
+    test('should rank exact, normalized and fuzzy matches', () => {
+        expect(compareUsernames('JohnDoe', 'johndoe')).toEqual({ score: 1, method: 'exact' });
+        expect(compareUsernames('john_doe', 'jоhndoe')).toEqual({ score: 0.9, method: 'normalized' });
+
+        const fuzzy = compareUsernames('johndoe1', 'johndoe');
+        expect(fuzzy.method).toBe('fuzzy');
+        expect(fuzzy.score).toBeGreaterThan(0.8);
+        expect(fuzzy.score).toBeLessThan(0.9);
+    });
+});
+
+describe('matchQuery', () => {
+    test('should credit display names containing the query', () => {
+        expect(matchQuery({ username: 'jd42', displayName: 'John Doe' }, 'johndoe'))
+            .toEqual({ field: 'displayName', score: 0.85, method: 'contains', target: 'johndoe' });
+    });
+
+    test('should ignore weak fuzzy matches', () => {
+        expect(matchQuery({ username: 'alice' }, 'johndoe').score).toBe(0);
+    });
+});
+
+describe('SearchAggregator similarity', () => {
+    class FixedAdapter extends BaseAdapter {
+        constructor(results) {
+            super('fixed', { priority: 1 });
+            this.results = results;
+        }
+        async search() {
+            return this.results.map(r => ({ ...this.normalizeResult({}, 'profile'), ...r }));
+        }
+    }
+
+    async function scan(results, query = 'john_doe') {
+        const aggregator = new SearchAggregator({ enableCache: false, hashAvatars: false });
+        aggregator.adapters.clear();
+        aggregator.registerAdapter(new FixedAdapter(results));
+        return new Promise(resolve => {
+            aggregator.on('scan:complete', resolve);
+            aggregator.startScan(query);
+        });
+    }
+
+    test('should expose similarity and score near matches', async () => {
+        const completed = await scan([
+            { username: 'johndoe', url: 'https://a.example.com/johndoe', confidence: 0.5 },
+            { username: 'someone', url: 'https://b.example.com/someone', confidence: 0.5 }
+        ]);
+
+        const near = completed.results.find(r => r.username === 'johndoe');
+        const other = completed.results.find(r => r.username === 'someone');
+        expect(near.similarity).toMatchObject({ score: 0.9, field: 'username', method: 'normalized' });
+        expect(other.similarity.score).toBe(0);
+        expect(near.confidence).toBeGreaterThan(other.confidence);
+    });
+
+    test('should deduplicate normalized URLs', async () => {
+        const completed = await scan([
+            { username: 'JohnDoe', url: 'https://www.github.com/JohnDoe/', confidence: 0.4 },
+            { username: 'johndoe', url: 'https://github.com/johndoe', confidence: 0.6 }
+        ]);
+
+        expect(completed.results).toHaveLength(1);
+        expect(completed.results[0].url).toBe('https://github.com/johndoe');
+    });
+});
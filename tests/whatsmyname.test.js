@@ -0,0 +1,140 @@
+/**
+ * WhatsMyName Import Tests
+ */
+
+const axios = require('axios');
+const UsernameChecker = require('../lib/checker');
+const { validateCatalog, loadPlatformCatalog } = require('../lib/platform-catalog');
+const {
+    convertSite,
+    importWhatsMyName,
+    mergeCatalogs
+} = require('../lib/whatsmyname');
+
+jest.mock('axios');
+
+const SITES = [
+    {
+        name: 'ExampleForum',
+        uri_check: 'https://forum.example.com/api/users/{account}.json',
+        uri_pretty: 'https://forum.example.com/u/{account}',
+        e_code: 200,
+        e_string: '"username":',
+        m_code: 404,
+        m_string: 'not found',
+        cat: 'coding'
+    },
+    {
+        name: 'PostSite',
+        uri_check: 'https://post.example.com/lookup',
+        uri_pretty: 'https://post.example.com/@{account}',
+        post_body: '{"user":"{account}"}',
+        headers: { 'Content-Type': 'application/json' },
+        e_code: 200,
+        e_string: 'exists',
+        m_code: 200,
+        m_string: 'available',
+        cat: 'social'
+    },
+    { name: 'Disabled', uri_check: 'https://d.example.com/{account}', e_code: 200, e_string: 'x', valid: false, cat: 'misc' },
+    { name: 'Adult', uri_check: 'https://a.example.com/{account}', e_code: 200, e_string: 'x', cat: 'XX NSFW xx' },
+    { name: 'NoPlaceholder', uri_check: 'https://n.example.com/', e_code: 200, e_string: 'x', cat: 'misc' }
+];
+
+describe('convertSite', () => {
+    test('should map existence and missing rules', () => {
+        expect(convertSite(SITES[0])).toEqual({
+            name: 'ExampleForum',
+            category: 'development',
+            url: 'https://forum.example.com/u/{username}',
+            checkMethod: 'content',
+            validStatus: 200,
+            validContent: '"username":',
+            missingStatus: 404,
+            errorStrings: ['not found'],
+            probe: { url: 'https://forum.example.com/api/users/{username}.json' },
+            source: 'whatsmyname'
+        });
+    });
+
+    test('should map post_body to a POST probe', () => {
+        const platform = convertSite(SITES[1]);
+
+        expect(platform.probe).toEqual({
+            url: 'https://post.example.com/lookup',
+            method: 'POST',
+            body: '{"user":"{username}"}'
+        });
+        expect(platform.missingStatus).toBeUndefined();
+    });
+});
+
+describe('importWhatsMyName', () => {
+    test('should skip disabled, nsfw and invalid sites', () => {
+        const catalog = importWhatsMyName({ sites: SITES });
+
+        expect(catalog.platforms.map(p => p.name)).toEqual(['ExampleForum', 'PostSite']);
+        expect(catalog.skipped.map(s => s.name)).toEqual(['Disabled', 'Adult', 'NoPlaceholder']);
+        expect(validateCatalog(catalog)).toEqual([]);
+    });
+
+    test('should include nsfw sites on request', () => {
+        const catalog = importWhatsMyName({ sites: SITES }, { includeNsfw: true });
+        expect(catalog.platforms.find(p => p.name === 'Adult').category).toBe('nsfw');
+    });
+
+    test('should keep existing catalogue entries when merging', () => {
+        const base = loadPlatformCatalog();
+        const github = base.platforms.find(p => p.name === 'GitHub');
+        const merged = mergeCatalogs(base, importWhatsMyName({
+            sites: [...SITES, { ...SITES[0], name: 'github' }]
+        }));
+
+        expect(merged.platforms.filter(p => p.name.toLowerCase() === 'github')).toEqual([github]);
+        expect(merged.platforms).toHaveLength(base.platforms.length + 2);
+        expect(validateCatalog(merged)).toEqual([]);
+    });
+});
+
+describe('UsernameChecker with imported sites', () => {
+    let request;
+
+    beforeEach(() => {
+        request = jest.fn();
+        axios.create.mockReturnValue({ request });
+    });
+
+    test('should report found when the existence rules match', async () => {
+        request.mockResolvedValue({ status: 200, data: '{"username":"alice"}' });
+        const checker = new UsernameChecker();
+
+        const result = await checker.check(convertSite(SITES[0]), 'alice');
+
+        expect(request).toHaveBeenCalledWith(expect.objectContaining({
+            url: 'https://forum.example.com/api/users/alice.json'
+        }));
+        expect(result.status).toBe('found');
+        expect(result.url).toBe('https://forum.example.com/u/alice');
+    });
+
+    test('should report not-found on the missing string', async () => {
+        request.mockResolvedValue({ status: 200, data: 'Name is available' });
+        const checker = new UsernameChecker();
+
+        const result = await checker.check(convertSite(SITES[1]), 'alice');
+
+        expect(request).toHaveBeenCalledWith(expect.objectContaining({
+            method: 'POST',
+            data: '{"user":"alice"}'
+        }));
+        expect(result.status).toBe('not-found');
+    });
+
+    test('should treat unexpected status codes as unknown', async () => {
+        request.mockResolvedValue({ status: 403, data: '' });
+        const checker = new UsernameChecker();
+
+        const result = await checker.check(convertSite(SITES[0]), 'alice');
+        expect(result.status).toBe('unknown');
+    });
+});